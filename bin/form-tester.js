@@ -0,0 +1,711 @@
+#!/usr/bin/env node
+
+/**
+ * form-tester CLI
+ *
+ * One entry point for the form testing toolkit, replacing the separate
+ * run-jbit-tests.js, setup.js, scripts/check-status.js and
+ * environment-validator.js invocations. Those modules are reused as-is.
+ *
+ * Every command accepts --json (machine-readable result on stdout, human
+ * output on stderr) and exits with one of EXIT_CODES.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const JBITTestRunner = require('../run-jbit-tests');
+const EnvironmentValidator = require('../customers/jbit/tests/utils/environment-validator');
+const { createDirectories, createEnvFile, verifyTestData } = require('../setup');
+const { checkTestStatus, getTestSummary, getReportPaths } = require('../scripts/check-status');
+const { cleanupSubmissions, getRunMarkers, writeCleanupReport, printCleanupReport } = require('../scripts/cleanup-submissions');
+const { createSubmissionStoreFromEnv } = require('../tests/shared/submission-stores');
+const { startMonitor, printMonitorStats, parseInterval, parseRuns } = require('../scripts/monitor');
+const { getHistoryFile, readHistory, getHistoryStats } = require('../scripts/monitor-history');
+const { notify, printNotificationReport } = require('../scripts/notify');
+const {
+  getResultsHistoryDir,
+  loadResultsHistory,
+  aggregateResultsHistory,
+  printResultsHistory,
+  writeDashboard
+} = require('../scripts/results-history');
+const {
+  ALL_BROWSERS,
+  getQuarantineFile,
+  getQuarantineSettings,
+  readQuarantine,
+  writeQuarantine,
+  addToQuarantine,
+  removeFromQuarantine,
+  updateCustomerQuarantine,
+  printQuarantine
+} = require('../scripts/quarantine');
+const { EXPORT_FORMATS, exportResults } = require('../scripts/export-results');
+const CustomerTestConfig = require('../tests/shared/CustomerTestConfig');
+const { listCustomers, loadCustomer, getCustomerDir } = require('../tests/utils/customer-registry');
+const { loadFormRegistry, getFormDefinition } = require('../tests/utils/form-registry');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+const EXIT_CODES = {
+  OK: 0,          // Command succeeded, all tests/checks passed
+  FAILED: 1,      // Tests or checks ran and failed
+  USAGE: 2,       // Unknown command, option, customer, form, scenario or browser
+  ERROR: 3        // Environment problem (missing results, broken setup, crash)
+};
+
+const BROWSERS = ['chromium', 'firefox', 'webkit', 'all'];
+
+const VALUE_OPTIONS = ['customer', 'form', 'scenario', 'browser', 'marker', 'interval', 'runs', 'event', 'environment', 'config', 'limit', 'reason', 'export', 'output'];
+const FLAG_OPTIONS = ['json', 'all', 'quick', 'open', 'help', 'dry-run', 'mark-read', 'history'];
+
+// Commands that hand unknown --options to Playwright; the others reject them
+const PASSTHROUGH_COMMANDS = ['run', 'visual'];
+
+// Options each command takes besides --help and --json; the others are a usage error
+const COMMAND_OPTIONS = {
+  init: ['customer'],
+  doctor: ['quick'],
+  run: ['customer', 'all', 'form', 'scenario', 'browser'],
+  status: ['customer', 'all', 'history', 'limit', 'export', 'output'],
+  report: ['customer', 'open'],
+  forms: ['customer', 'all'],
+  cleanup: ['customer', 'all', 'marker', 'dry-run', 'mark-read'],
+  monitor: ['customer', 'form', 'scenario', 'browser', 'interval', 'runs'],
+  notify: ['customer', 'all', 'event', 'environment', 'form', 'config', 'dry-run'],
+  quarantine: ['customer', 'browser', 'reason'],
+  visual: ['customer', 'all', 'form', 'browser']
+};
+
+class CliError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} exitCode - One of EXIT_CODES
+   */
+  constructor(message, exitCode = EXIT_CODES.ERROR) {
+    super(message);
+    this.name = 'CliError';
+    this.exitCode = exitCode;
+  }
+}
+
+const HELP = `
+form-tester - End-to-end form testing CLI
+
+Usage:
+  form-tester <command> [options]
+
+Commands:
+  init                 Create directories and .env, verify customer test data
+  doctor [--quick]     Validate the test environment
+  run                  Run tests (unknown --options are passed to Playwright)
+  status [--all]       Show results of the last run
+  status --history     Trends over the archived runs and an HTML dashboard
+                       [--limit <n>]
+  status --export <formats>
+                       Write the last run as ${Object.keys(EXPORT_FORMATS).join(', ')} (comma-separated or all)
+                       [--output <dir>]
+  report [--open]      Show report locations, or open the HTML report
+  forms list [--all]   List forms from forms-list.json
+  cleanup              Remove the last run's submissions from the site
+                       [--dry-run] [--mark-read] [--marker <id>]
+  monitor              Run a scenario on an interval and record its history
+                       [--interval 15m] [--runs <n>]
+  monitor stats        Success rate and last failure from the monitor history
+  notify               Send the alerts of config/alerting-config.yml for the last run
+                       [--event schedule] [--environment staging] [--form <id>] [--dry-run]
+  quarantine           List the quarantined flaky tests
+  quarantine update    Quarantine flaky tests and release recovered ones from the results history
+  quarantine add|remove "<test title>" [--browser <name>] [--reason <text>]
+  visual [check]       Compare the form states with the approved screenshot baselines
+                       (unknown --options are passed to Playwright)
+  visual approve       Accept the current screenshots as the new baselines
+                       [--form <id>] [--browser <name>]
+
+Options:
+  --customer <name>    Customer under customers/ (default: CUSTOMER env or jbit)
+  --form <id>          Only run tests for this form id
+  --scenario <name>    ${Object.keys(JBITTestRunner.SCENARIOS).join(' | ')} (default: all)
+  --browser <name>     ${BROWSERS.join(' | ')} (default: all)
+  --marker <id>        Correlation ID to clean up (default: the last run's)
+  --event <type>       Event type for the notification triggers (default: GITHUB_EVENT_NAME)
+  --environment <name> Alerting environment (default: ALERT_ENVIRONMENT or production)
+  --config <file>      Alerting config (default: config/alerting-config.yml)
+  --all                Apply to every registered customer
+  --json               Print a JSON result on stdout
+  --help, -h           Show this help
+
+Exit codes:
+  0  success   1  tests/checks failed   2  usage error   3  environment error
+
+Examples:
+  form-tester run --customer jbit --scenario happy-path --browser chromium
+  form-tester run --form jbit-contact-form -- --headed
+  form-tester status --all --json
+  form-tester visual approve --browser chromium
+`;
+
+/**
+ * Split argv into positionals, known options and Playwright passthrough args
+ * @param {Array<string>} argv - Arguments without node and script path
+ * @returns {Object} { positionals, options, passthrough, unknown }
+ *   unknown lists the unknown --options, which are also in passthrough
+ */
+function parseArgs(argv) {
+  const parsed = { positionals: [], options: {}, passthrough: [], unknown: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      parsed.passthrough.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (arg === '-h') {
+      parsed.options.help = true;
+      continue;
+    }
+
+    if (!arg.startsWith('--')) {
+      parsed.positionals.push(arg);
+      continue;
+    }
+
+    const eq = arg.indexOf('=');
+    const name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+
+    if (VALUE_OPTIONS.includes(name)) {
+      const value = eq === -1 ? argv[++i] : arg.slice(eq + 1);
+      if (!value || value.startsWith('--')) {
+        throw new CliError(`Option --${name} requires a value`, EXIT_CODES.USAGE);
+      }
+      parsed.options[name] = value;
+    } else if (FLAG_OPTIONS.includes(name)) {
+      parsed.options[name] = true;
+    } else {
+      parsed.passthrough.push(arg);
+      parsed.unknown.push(arg);
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Resolve the customers a command applies to
+ * @param {Object} options - Parsed options
+ * @returns {Array<string>} Customer names
+ */
+function resolveCustomers(options) {
+  if (options.all) {
+    return listCustomers();
+  }
+
+  const customer = options.customer || process.env.CUSTOMER || 'jbit';
+  try {
+    loadCustomer(customer);
+  } catch (error) {
+    throw new CliError(error.message, EXIT_CODES.USAGE);
+  }
+  return [customer];
+}
+
+/**
+ * init - prepare directories, .env and verify test data
+ */
+async function initCommand({ options }) {
+  const [customer] = resolveCustomers(options);
+
+  createDirectories();
+  createEnvFile();
+
+  const reportsDir = getReportPaths(customer).reportsDir;
+  ['screenshots', 'test-artifacts', 'html-report'].forEach(dir => {
+    fs.mkdirSync(path.join(reportsDir, dir), { recursive: true });
+  });
+
+  const testDataComplete = verifyTestData(customer);
+  console.log(testDataComplete ? '\n✅ Ready: form-tester run' : '\n❌ Missing test data, see above');
+
+  return {
+    exitCode: testDataComplete ? EXIT_CODES.OK : EXIT_CODES.ERROR,
+    result: { customer, reportsDir, testDataComplete }
+  };
+}
+
+/**
+ * doctor - validate the environment
+ */
+async function doctorCommand({ options }) {
+  const validator = new EnvironmentValidator();
+
+  if (options.quick) {
+    const healthy = await validator.quickHealthCheck();
+    console.log(healthy ? '✅ Environment OK' : '❌ Environment Issues');
+    return {
+      exitCode: healthy ? EXIT_CODES.OK : EXIT_CODES.ERROR,
+      result: { quick: true, healthy }
+    };
+  }
+
+  const summary = await validator.validateEnvironment();
+  return {
+    exitCode: summary.success ? EXIT_CODES.OK : EXIT_CODES.ERROR,
+    result: summary
+  };
+}
+
+/**
+ * run - run tests through JBITTestRunner for one or all customers
+ */
+async function runCommand({ options, passthrough }) {
+  const scenario = options.scenario || 'all';
+  if (!(scenario in JBITTestRunner.SCENARIOS)) {
+    throw new CliError(`Unknown scenario '${scenario}'. Available: ${Object.keys(JBITTestRunner.SCENARIOS).join(', ')}`, EXIT_CODES.USAGE);
+  }
+
+  const browser = options.browser || 'all';
+  if (!BROWSERS.includes(browser)) {
+    throw new CliError(`Unknown browser '${browser}'. Available: ${BROWSERS.join(', ')}`, EXIT_CODES.USAGE);
+  }
+
+  const customers = resolveCustomers(options);
+  if (options.form) {
+    customers.forEach(customer => {
+      try {
+        getFormDefinition(customer, options.form);
+      } catch (error) {
+        throw new CliError(error.message, EXIT_CODES.USAGE);
+      }
+    });
+  }
+
+  const runs = [];
+  for (const customer of customers) {
+    const runner = new JBITTestRunner(customer);
+    if (options.json) {
+      runner.stdio = ['ignore', process.stderr, process.stderr];
+    }
+
+    const code = await runner.runScenario(scenario, passthrough, { form: options.form, browser });
+    const summary = getTestSummary(customer);
+    runs.push({ customer, exitCode: code, reportsDir: runner.reportsDir, stats: summary.stats || null });
+  }
+
+  return {
+    exitCode: runs.every(run => run.exitCode === 0) ? EXIT_CODES.OK : EXIT_CODES.FAILED,
+    result: { scenario, form: options.form || null, browser, runs }
+  };
+}
+
+/**
+ * status - summarize the last run per customer
+ */
+async function statusCommand({ options }) {
+  const customers = resolveCustomers(options);
+
+  if (options.history) {
+    return historyCommand(customers, options);
+  }
+  if (options.export) {
+    return exportCommand(customers, options);
+  }
+
+  const summaries = customers.map(customer => {
+    try {
+      return getTestSummary(customer);
+    } catch (error) {
+      return { customer, found: false, error: error.message };
+    }
+  });
+
+  if (!options.json) {
+    customers.forEach(customer => checkTestStatus(customer));
+  }
+
+  let exitCode = EXIT_CODES.OK;
+  if (summaries.some(summary => !summary.found)) {
+    exitCode = EXIT_CODES.ERROR;
+  } else if (summaries.some(summary => !summary.success)) {
+    exitCode = EXIT_CODES.FAILED;
+  }
+
+  return { exitCode, result: options.all ? summaries : summaries[0] };
+}
+
+/**
+ * status --history - aggregate the archived runs and write the trend dashboard
+ * @param {Array<string>} customers - Customers
+ * @param {Object} options - CLI options
+ */
+function historyCommand(customers, options) {
+  const limit = options.limit !== undefined ? parseInt(options.limit, 10) : undefined;
+  if (limit !== undefined && !(limit > 0)) {
+    throw new CliError(`Option --limit needs a positive number, got '${options.limit}'`, EXIT_CODES.USAGE);
+  }
+
+  const results = customers.map(customer => {
+    const history = aggregateResultsHistory(loadResultsHistory(getResultsHistoryDir(customer), { limit }));
+    console.log(`\n📊 ${customer.toUpperCase()} test history`);
+    printResultsHistory(history);
+
+    const dashboard = writeDashboard(customer, history);
+    console.log(`\n📊 Dashboard: ${dashboard}`);
+    return { customer, dashboard, ...history };
+  });
+
+  return {
+    exitCode: results.some(result => result.runs.length === 0) ? EXIT_CODES.ERROR : EXIT_CODES.OK,
+    result: options.all ? results : results[0]
+  };
+}
+
+/**
+ * status --export - write the last run as JUnit XML, TAP and/or summary JSON
+ * @param {Array<string>} customers - Customers
+ * @param {Object} options - CLI options
+ */
+function exportCommand(customers, options) {
+  const formats = options.export === 'all' ? Object.keys(EXPORT_FORMATS) : options.export.split(',').map(format => format.trim());
+  const unknown = formats.find(format => !EXPORT_FORMATS[format]);
+  if (unknown) {
+    throw new CliError(`Unknown export format '${unknown}'. Available: ${Object.keys(EXPORT_FORMATS).join(', ')}, all`, EXIT_CODES.USAGE);
+  }
+  if (options.all && options.output) {
+    throw new CliError('Option --output writes one customer; drop --all or --output', EXIT_CODES.USAGE);
+  }
+
+  const results = customers.map(customer => {
+    const { found, resultsFile } = getTestSummary(customer);
+    if (!found) {
+      throw new CliError(`No test results for ${customer}. Run the tests first (${resultsFile})`);
+    }
+    const { files, summary } = exportResults(customer, { formats, outputDir: options.output });
+    Object.entries(files).forEach(([format, file]) => console.log(`📤 ${customer} ${format}: ${file}`));
+    return { customer, files, success: summary.success };
+  });
+
+  return {
+    exitCode: results.every(result => result.success) ? EXIT_CODES.OK : EXIT_CODES.FAILED,
+    result: options.all ? results : results[0]
+  };
+}
+
+/**
+ * report - show report locations or open the HTML report
+ */
+async function reportCommand({ options }) {
+  const [customer] = resolveCustomers({ ...options, all: false });
+  const { reportsDir, resultsFile } = getReportPaths(customer);
+  const htmlReportDir = path.join(reportsDir, 'html-report');
+
+  const result = {
+    customer,
+    htmlReport: path.join(htmlReportDir, 'index.html'),
+    jsonReport: resultsFile,
+    htmlReportExists: fs.existsSync(path.join(htmlReportDir, 'index.html')),
+    jsonReportExists: fs.existsSync(resultsFile)
+  };
+
+  console.log(`📁 HTML Report: ${result.htmlReport}${result.htmlReportExists ? '' : ' (missing)'}`);
+  console.log(`📋 JSON Report: ${result.jsonReport}${result.jsonReportExists ? '' : ' (missing)'}`);
+
+  if (!result.htmlReportExists) {
+    return { exitCode: EXIT_CODES.ERROR, result };
+  }
+
+  if (options.open) {
+    await new Promise((resolve, reject) => {
+      const child = spawn('npx', ['playwright', 'show-report', htmlReportDir], { stdio: 'inherit' });
+      child.on('close', resolve);
+      child.on('error', reject);
+    });
+  }
+
+  return { exitCode: EXIT_CODES.OK, result };
+}
+
+/**
+ * forms list - list registered forms per customer
+ */
+async function formsCommand({ positionals, options }) {
+  if (positionals[0] !== 'list') {
+    throw new CliError(`Unknown forms subcommand '${positionals[0] || ''}'. Available: list`, EXIT_CODES.USAGE);
+  }
+
+  const forms = [];
+  for (const customer of resolveCustomers(options)) {
+    console.log(`\n📋 ${customer} (${path.relative(ROOT_DIR, getCustomerDir(customer))}/forms/forms-list.json)`);
+
+    for (const form of loadFormRegistry(customer)) {
+      const entry = {
+        customer,
+        id: form.id,
+        purpose: form.purpose || null,
+        url: form.url,
+        language: form.language || null,
+        fields: form.fields.length,
+        required: form.fields.filter(field => field.required).map(field => field.name),
+        captcha: form.security_features?.captcha || null
+      };
+      forms.push(entry);
+
+      console.log(`   • ${entry.id}${entry.purpose ? ` - ${entry.purpose}` : ''}`);
+      console.log(`     ${entry.url} | ${entry.fields} fields | captcha: ${entry.captcha || 'none'}`);
+    }
+  }
+
+  return { exitCode: EXIT_CODES.OK, result: forms };
+}
+
+/**
+ * cleanup - remove the submissions of the last run through the configured submission store
+ */
+async function cleanupCommand({ options }) {
+  const customers = resolveCustomers(options);
+  const reports = [];
+
+  for (const customer of customers) {
+    const store = createSubmissionStoreFromEnv(process.env, new CustomerTestConfig(customer).baseUrl);
+    if (!store) {
+      throw new CliError('No submission store configured. Set SUBMISSION_STORE (e.g. wp-rest) and WP_USER/WP_APP_PASSWORD');
+    }
+
+    const markers = options.marker ? [options.marker] : getRunMarkers(customer);
+    const report = await cleanupSubmissions(store, markers, {
+      mode: options['mark-read'] ? 'mark-read' : 'delete',
+      dryRun: !!options['dry-run']
+    });
+
+    printCleanupReport(report);
+    reports.push({ customer, reportFile: writeCleanupReport(customer, report), ...report });
+  }
+
+  return {
+    exitCode: reports.some(report => report.failed.length > 0) ? EXIT_CODES.FAILED : EXIT_CODES.OK,
+    result: options.all ? reports : reports[0]
+  };
+}
+
+/**
+ * monitor - run a smoke scenario on an interval, or show the monitor history stats
+ */
+async function monitorCommand({ positionals, options }) {
+  const [customer] = resolveCustomers({ ...options, all: false });
+
+  if (positionals[0] === 'stats') {
+    const historyFile = getHistoryFile(customer);
+    const stats = getHistoryStats(readHistory(historyFile, { form: options.form }));
+    printMonitorStats(stats);
+    return { exitCode: EXIT_CODES.OK, result: { customer, historyFile, ...stats } };
+  }
+  if (positionals[0]) {
+    throw new CliError(`Unknown monitor subcommand '${positionals[0]}'. Available: stats`, EXIT_CODES.USAGE);
+  }
+
+  const scenario = options.scenario || 'happy-path';
+  if (!(scenario in JBITTestRunner.SCENARIOS)) {
+    throw new CliError(`Unknown scenario '${scenario}'. Available: ${Object.keys(JBITTestRunner.SCENARIOS).join(', ')}`, EXIT_CODES.USAGE);
+  }
+
+  let maxRuns;
+  try {
+    maxRuns = parseRuns(options.runs);
+    parseInterval(options.interval);
+  } catch (error) {
+    throw new CliError(error.message, EXIT_CODES.USAGE);
+  }
+
+  const controller = new AbortController();
+  process.once('SIGINT', () => controller.abort());
+  process.once('SIGTERM', () => controller.abort());
+
+  const runner = new JBITTestRunner(customer);
+  if (options.json) {
+    runner.stdio = ['ignore', process.stderr, process.stderr];
+  }
+
+  const stats = await startMonitor({
+    customer,
+    scenario,
+    form: options.form,
+    browser: options.browser || 'chromium',
+    interval: options.interval,
+    maxRuns,
+    signal: controller.signal
+  }, { runner });
+
+  return {
+    exitCode: stats?.lastStatus === 'passed' ? EXIT_CODES.OK : EXIT_CODES.FAILED,
+    result: { customer, scenario, historyFile: getHistoryFile(customer), ...stats }
+  };
+}
+
+/**
+ * notify - send the configured alerts for the last run
+ */
+async function notifyCommand({ options }) {
+  const customers = resolveCustomers(options);
+  const reports = [];
+
+  for (const customer of customers) {
+    const summary = getTestSummary(customer);
+    if (!summary.found) {
+      throw new CliError(`No test results for ${customer}. Run the tests first (${summary.resultsFile})`);
+    }
+
+    const report = await notify(summary, {
+      event: options.event,
+      environment: options.environment,
+      form: options.form,
+      configFile: options.config,
+      dryRun: !!options['dry-run']
+    });
+    printNotificationReport(report);
+    reports.push(report);
+  }
+
+  return {
+    exitCode: reports.some(report => report.failed.length > 0) ? EXIT_CODES.FAILED : EXIT_CODES.OK,
+    result: options.all ? reports : reports[0]
+  };
+}
+
+/**
+ * quarantine - list, update or edit the quarantined flaky tests
+ */
+async function quarantineCommand({ positionals, options }) {
+  const [customer] = resolveCustomers({ ...options, all: false });
+  const [action = 'list', title] = positionals;
+  const file = getQuarantineFile(customer);
+  const settings = getQuarantineSettings(customer);
+  const browser = !options.browser || options.browser === 'all' ? ALL_BROWSERS : options.browser;
+  let changes = { added: [], released: [] };
+
+  if (action === 'update') {
+    changes = updateCustomerQuarantine(customer);
+    changes.added.forEach(entry => console.log(`🚧 Quarantined: ${entry.key} (${entry.reason})`));
+    changes.released.forEach(entry => console.log(`✅ Released: ${entry.key} (${entry.cleanRuns} clean runs)`));
+  } else if (action === 'add' || action === 'remove') {
+    if (!title) {
+      throw new CliError(`quarantine ${action} needs a test title`, EXIT_CODES.USAGE);
+    }
+    const quarantine = readQuarantine(file);
+    writeQuarantine(file, action === 'add'
+      ? addToQuarantine(quarantine, { title, browser, reason: options.reason })
+      : removeFromQuarantine(quarantine, { title, browser }));
+  } else if (action !== 'list') {
+    throw new CliError(`Unknown quarantine subcommand '${action}'. Available: list, update, add, remove`, EXIT_CODES.USAGE);
+  }
+
+  const quarantine = readQuarantine(file);
+  printQuarantine(customer, quarantine, settings);
+  return {
+    exitCode: EXIT_CODES.OK,
+    result: { customer, file, settings, tests: quarantine.tests, added: changes.added, released: changes.released }
+  };
+}
+
+/**
+ * visual - compare the form states with their baselines, or approve the current screenshots
+ */
+async function visualCommand({ positionals, options, passthrough }) {
+  const [action = 'check'] = positionals;
+  if (action !== 'check' && action !== 'approve') {
+    throw new CliError(`Unknown visual subcommand '${action}'. Available: check, approve`, EXIT_CODES.USAGE);
+  }
+
+  // Rewrites only the baselines that differ (or are missing); matching ones stay untouched
+  const updateArgs = action === 'approve' ? ['--update-snapshots=changed'] : [];
+  const { exitCode, result } = await runCommand({
+    options: { ...options, scenario: 'visual' },
+    passthrough: [...updateArgs, ...passthrough]
+  });
+
+  if (action === 'approve' && exitCode === EXIT_CODES.OK) {
+    console.log('\n📸 Baselines approved. Review and commit the __screenshots__ changes:');
+    console.log('   git status -- "customers/*/tests/__screenshots__"');
+  }
+  return { exitCode, result: { action, ...result } };
+}
+
+const COMMANDS = {
+  init: initCommand,
+  doctor: doctorCommand,
+  run: runCommand,
+  status: statusCommand,
+  report: reportCommand,
+  forms: formsCommand,
+  cleanup: cleanupCommand,
+  monitor: monitorCommand,
+  notify: notifyCommand,
+  quarantine: quarantineCommand,
+  visual: visualCommand
+};
+
+/**
+ * CLI entry point
+ * @param {Array<string>} argv - Arguments without node and script path
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv = process.argv.slice(2)) {
+  const json = argv.includes('--json');
+
+  // Keep stdout clean for the JSON result
+  if (json) {
+    console.log = console.error;
+  }
+
+  try {
+    const { positionals, options, passthrough, unknown } = parseArgs(argv);
+    const [command, ...rest] = positionals;
+
+    if (options.help || !command) {
+      console.log(HELP);
+      return command || options.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+    }
+
+    const handler = COMMANDS[command];
+    if (!handler) {
+      throw new CliError(`Unknown command '${command}'. Available: ${Object.keys(COMMANDS).join(', ')}`, EXIT_CODES.USAGE);
+    }
+    if (unknown.length > 0 && !PASSTHROUGH_COMMANDS.includes(command)) {
+      throw new CliError(`Unknown option ${unknown.join(', ')} for '${command}'. See form-tester --help`, EXIT_CODES.USAGE);
+    }
+    const unsupported = Object.keys(options).filter(name => !['help', 'json', ...COMMAND_OPTIONS[command]].includes(name));
+    if (unsupported.length > 0) {
+      throw new CliError(`'${command}' does not take ${unsupported.map(name => `--${name}`).join(', ')}. See form-tester --help`, EXIT_CODES.USAGE);
+    }
+
+    process.chdir(ROOT_DIR);
+    const { exitCode, result } = await handler({ positionals: rest, options, passthrough });
+
+    if (json) {
+      process.stdout.write(JSON.stringify({ command, exitCode, result }, null, 2) + '\n');
+    }
+    return exitCode;
+
+  } catch (error) {
+    const exitCode = error.exitCode ?? EXIT_CODES.ERROR;
+    console.error(`❌ ${error.message}`);
+
+    if (json) {
+      process.stdout.write(JSON.stringify({ exitCode, error: error.message }, null, 2) + '\n');
+    }
+    return exitCode;
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().then(code => process.exit(code));
+}
+
+module.exports = {
+  main,
+  parseArgs,
+  EXIT_CODES
+};
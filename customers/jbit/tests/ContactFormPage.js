@@ -1,6 +1,10 @@
 const BasePage = require('../../../tests/shared/BasePage');
 const FormHelper = require('../../../tests/shared/FormHelper');
 const RecaptchaHandler = require('./utils/recaptcha-handler');
+const { config } = require('./utils/test-config');
+const { getFormDefinition } = require('../../../tests/utils/form-registry');
+const { getCorrelationField } = require('../../../tests/utils/form-definition');
+const { getCorrelationId, stampCorrelationId } = require('../../../tests/utils/correlation-id');
 
 /**
  * ContactFormPage - Page Object Model for JBIT Contact Form
@@ -11,9 +15,11 @@ class ContactFormPage extends BasePage {
     super(page);
     this.formHelper = new FormHelper(page);
     this.recaptchaHandler = new RecaptchaHandler(page);
+    this.lastOutcome = null;
+    this.correlationId = null;
 
-    // Form URL
-    this.url = 'https://jbit.be/contact-nl/';
+    // Form URL (follows JBIT_BASE_URL so the stand-in server can be targeted)
+    this.url = config.getFormUrl(config.forms.contact.url);
 
     // Form field selectors based on actual form inspection
     this.selectors = {
@@ -72,18 +78,22 @@ class ContactFormPage extends BasePage {
 
     await this.goto(this.url);
     await this.waitForFormLoad();
+
+    // Record which strategy handled each protection and whether it worked
+    await this.recaptchaHandler.verifyProtection();
   }
 
   /**
    * Handle reCAPTCHA protection on the form
-   * Applies multiple bypass strategies to handle CAPTCHA for testing
+   * Applies the bypass strategies declared for the form in forms-list.json
    */
   async handleRecaptcha() {
     console.log('Setting up reCAPTCHA bypass strategies...');
 
     try {
-      // Apply multiple strategies for maximum success rate
-      const success = await this.recaptchaHandler.applyMultipleStrategies();
+      const definition = getFormDefinition(config.customer, config.forms.contact.formId);
+      const outcomes = await this.recaptchaHandler.protectForm(definition);
+      const success = outcomes.every(outcome => outcome.installed);
 
       if (success) {
         console.log('reCAPTCHA bypass strategies applied successfully');
@@ -126,9 +136,16 @@ class ContactFormPage extends BasePage {
 
   /**
    * Fill the contact form with provided data
+   * The test's correlation ID is stamped into the form's correlation field first
+   * (see correlation-id.js); use the returned data when checking what was sent.
    * @param {Object} formData - Object containing form field values
+   * @param {Object} options - Fill options
+   * @param {string|boolean} options.correlationId - ID to stamp, false to leave the data as is
+   *   (default: the test's correlation ID when enabled in customer.json)
+   * @returns {Promise<Object>} The data as filled
    */
-  async fillContactForm(formData) {
+  async fillContactForm(formData, options = {}) {
+    formData = this.stampCorrelationId(formData, options.correlationId);
     console.log('Filling contact form with data:', formData);
 
     // Fill name field (support both 'name' and 'naam')
@@ -160,6 +177,28 @@ class ContactFormPage extends BasePage {
     }
 
     console.log('Form filled successfully');
+    return formData;
+  }
+
+  /**
+   * Stamp a correlation ID into the form's correlation field
+   * @param {Object} formData - Form data
+   * @param {string|boolean} correlationId - Explicit ID, false to skip (default: the test's ID)
+   * @returns {Object} Form data carrying the ID
+   */
+  stampCorrelationId(formData, correlationId) {
+    if (correlationId === false || (correlationId === undefined && !config.correlation.enabled)) {
+      return formData;
+    }
+
+    const definition = getFormDefinition(config.customer, config.forms.contact.formId);
+    const field = getCorrelationField(definition);
+    if (!field) {
+      return formData;
+    }
+
+    this.correlationId = correlationId || getCorrelationId({ prefix: config.correlation.prefix });
+    return stampCorrelationId(formData, this.correlationId, field);
   }
 
   /**
@@ -216,6 +255,7 @@ class ContactFormPage extends BasePage {
 
   /**
    * Submit the contact form
+   * @returns {Object} - Classified admin-ajax outcome ({ type, status, message, fieldErrors })
    */
   async submitForm() {
     console.log('Submitting contact form');
@@ -234,9 +274,10 @@ class ContactFormPage extends BasePage {
     await this.scrollToElement(this.selectors.submitButton);
 
     // Wait for submit button and click
-    await this.formHelper.submitForm(this.selectors.submitButton);
+    this.lastOutcome = await this.formHelper.submitForm(this.selectors.submitButton);
 
     console.log('Form submitted, waiting for response');
+    return this.lastOutcome;
   }
 
   /**
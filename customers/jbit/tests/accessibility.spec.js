@@ -0,0 +1,160 @@
+const { test, expect } = require('@playwright/test');
+const FormPage = require('../../../tests/shared/FormPage');
+const AccessibilityAudit = require('../../../tests/shared/AccessibilityAudit');
+const { loadFormRegistry } = require('../../../tests/utils/form-registry');
+const {
+  SUBMIT_STOP,
+  parseColor,
+  resolveBackground,
+  contrastRatio,
+  minimumContrast,
+  checkFieldAccessibility,
+  checkErrorAccessibility,
+  checkFocusOrder,
+  groupViolationsByField,
+  formatAuditReport
+} = require('../../../tests/utils/accessibility-audit');
+const RecaptchaHandler = require('./utils/recaptcha-handler');
+const { config } = require('./utils/test-config');
+
+/**
+ * JBIT Accessibility Audit
+ *
+ * WCAG pass over every registered form: labels, announced required state,
+ * error messages linked with aria-describedby, focus order, keyboard-only
+ * submission and the colour contrast of error text. The per-field report is
+ * printed and attached to the test as 'accessibility'.
+ */
+for (const definition of loadFormRegistry('jbit')) {
+  test.describe(`JBIT Accessibility: ${definition.id}`, { tag: [`@${definition.id}`, '@a11y'] }, () => {
+
+    test('A11Y-001: Should have no accessibility violations in any field', async ({ page }) => {
+      const formPage = new FormPage(page, definition, {
+        baseUrl: config.baseUrl,
+        securityHandler: new RecaptchaHandler(page),
+        correlation: false
+      });
+      await formPage.navigate();
+
+      const report = await new AccessibilityAudit(formPage).run();
+
+      expect(report.tabOrder).toContain(SUBMIT_STOP);
+      expect(report.violations, formatAuditReport(report)).toEqual([]);
+    });
+  });
+}
+
+test.describe('JBIT Accessibility - Rules', { tag: ['@jbit-contact-form', '@a11y'] }, () => {
+
+  const email = { name: 'email', type: 'email', required: true };
+  const interesse = { name: 'interesse', type: 'checkbox', options: ['Webdesign', 'SEO'] };
+
+  /**
+   * BasePage#getAccessibilityInfo() entry
+   * @param {Object} overrides - Properties to change
+   * @returns {Object} Control info
+   */
+  function control(overrides = {}) {
+    return {
+      accessibleName: 'E-mail',
+      required: false,
+      ariaRequired: false,
+      ariaInvalid: false,
+      description: '',
+      groupName: '',
+      groupRequired: false,
+      ...overrides
+    };
+  }
+
+  test('A11Y-002: Should compute WCAG contrast ratios over the effective background', () => {
+    expect(parseColor('rgb(183, 28, 28)')).toEqual({ r: 183, g: 28, b: 28, a: 1 });
+    expect(parseColor('rgba(0, 0, 0, 0)')).toEqual({ r: 0, g: 0, b: 0, a: 0 });
+    expect(parseColor('#ffffff')).toEqual({ r: 255, g: 255, b: 255, a: 1 });
+    expect(parseColor('color(srgb 1 0 0)')).toBeNull();
+
+    const white = resolveBackground([]);
+    expect(contrastRatio(parseColor('#000000'), white)).toBeCloseTo(21, 5);
+    expect(contrastRatio(parseColor('rgb(183, 28, 28)'), white)).toBeGreaterThan(4.5);
+    expect(contrastRatio(parseColor('rgb(255, 0, 0)'), white)).toBeCloseTo(4, 1);
+
+    // Transparent layers are skipped, a translucent one is painted over what is below
+    expect(resolveBackground(['rgba(0, 0, 0, 0)', 'rgb(0, 0, 0)'])).toEqual({ r: 0, g: 0, b: 0, a: 1 });
+    expect(resolveBackground(['rgba(0, 0, 0, 0.5)'])).toEqual({ r: 127.5, g: 127.5, b: 127.5, a: 1 });
+
+    expect(minimumContrast(16)).toBe(4.5);
+    expect(minimumContrast(19, 700)).toBe(3);
+    expect(minimumContrast(24)).toBe(3);
+
+    const violations = checkErrorAccessibility('email', {
+      text: 'Dit veld is verplicht.',
+      colors: { color: 'rgb(255, 0, 0)', fontSize: 13, fontWeight: 400, backgrounds: ['rgba(0, 0, 0, 0)', 'rgb(255, 255, 255)'] }
+    }, control({ description: 'Dit veld is verplicht.', ariaInvalid: true }));
+    expect(violations).toEqual([{
+      field: 'email',
+      rule: 'error-contrast',
+      wcag: '1.4.3',
+      message: 'Error text contrast 4.00:1 (#ff0000 on #ffffff), needs 4.5:1'
+    }]);
+  });
+
+  test('A11Y-003: Should report label, required and error-link violations per field', () => {
+    expect(checkFieldAccessibility(email, [control({ required: true, ariaRequired: true })])).toEqual([]);
+    expect(checkFieldAccessibility(email, [control({ accessibleName: '' })]).map(entry => [entry.rule, entry.message])).toEqual([
+      ['label', 'No associated label (label[for], aria-label or aria-labelledby; a placeholder does not count)'],
+      ['aria-required', 'Required, but not announced: add aria-required="true" (or required)']
+    ]);
+    expect(checkFieldAccessibility({ name: 'phone', type: 'tel' }, [control({ ariaRequired: true })])[0].message)
+      .toBe('Optional, but announced as required');
+    expect(checkFieldAccessibility(email, [])[0].message).toBe('Field not found on the page');
+
+    expect(checkFieldAccessibility(interesse, [
+      control({ value: 'Webdesign', accessibleName: 'Webdesign', groupName: 'Interesse' }),
+      control({ value: 'SEO', accessibleName: 'SEO', groupName: 'Interesse' })
+    ])).toEqual([]);
+    expect(checkFieldAccessibility(interesse, [
+      control({ value: 'Webdesign', accessibleName: 'Webdesign' }),
+      control({ value: 'SEO', accessibleName: '' })
+    ]).map(entry => entry.message)).toEqual([
+      "Option 'SEO' has no label",
+      'Options are not grouped under the field label (fieldset with legend, or role="group" with aria-labelledby)'
+    ]);
+
+    const unlinked = checkErrorAccessibility('email', { text: 'Ongeldig e-mailadres', colors: null }, control());
+    expect(unlinked.map(entry => [entry.rule, entry.wcag, entry.message])).toEqual([
+      ['error-description', '3.3.1', "Error 'Ongeldig e-mailadres' is not linked to the field with aria-describedby (or aria-errormessage)"],
+      ['error-description', '3.3.1', 'Field with an error is not marked aria-invalid="true"']
+    ]);
+
+    const byField = groupViolationsByField(unlinked, ['name', 'email']);
+    expect(Object.keys(byField)).toEqual(['name', 'email']);
+    expect(byField.name).toEqual([]);
+    expect(byField.email).toHaveLength(2);
+
+    const text = formatAuditReport({ form: 'jbit-contact-form', violations: unlinked, byField, notes: [] });
+    expect(text).toContain('✅ name');
+    expect(text).toContain('❌ email');
+    expect(text).toContain('[error-description, WCAG 3.3.1]');
+  });
+
+  test('A11Y-004: Should check the focus order up to the submit button', () => {
+    const expected = ['name', 'email', 'interesse', SUBMIT_STOP];
+    const stop = (name, tabIndex = 0) => ({ stop: name, tabIndex });
+
+    expect(checkFocusOrder(expected, [
+      stop('name'), stop('email'), stop('interesse'), stop('interesse'), stop(null), stop(SUBMIT_STOP)
+    ])).toEqual([]);
+
+    const violations = checkFocusOrder(expected, [stop('email', 2), stop('name'), stop('interesse')]);
+    expect(violations.map(entry => [entry.field, entry.rule, entry.message])).toEqual([
+      ['email', 'focus-order', "Receives focus before 'name'"],
+      [SUBMIT_STOP, 'keyboard', 'Submit button cannot be reached with Tab'],
+      ['email', 'focus-order', 'Positive tabindex 2 overrides the page order']
+    ]);
+
+    expect(checkFocusOrder(['name', 'email'], [stop('name')])).toEqual([
+      { field: 'email', rule: 'focus-order', wcag: '2.4.3', message: 'Cannot be reached with Tab' }
+    ]);
+  });
+
+});
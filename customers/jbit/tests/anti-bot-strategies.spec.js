@@ -0,0 +1,141 @@
+const { test, expect } = require('@playwright/test');
+const ElementorStandInServer = require('../../../tests/shared/ElementorStandInServer');
+const FormPage = require('../../../tests/shared/FormPage');
+const { createDefaultRegistry, PROTECTIONS } = require('../../../tests/shared/AntiBotStrategyRegistry');
+const { getFormDefinition } = require('../../../tests/utils/form-registry');
+const { assertTestSiteKey, TEST_TOKENS } = require('../../../tests/utils/captcha-test-keys');
+const RecaptchaHandler = require('./utils/recaptcha-handler');
+
+/**
+ * JBIT Contact Form - Anti-Bot Strategies
+ *
+ * Checks that the bot protections declared in forms-list.json resolve to
+ * registered strategies, that the chosen strategy and its verification end up
+ * in the test report, and that test-key mode works against the stand-in's fake
+ * reCAPTCHA/Turnstile widgets.
+ */
+test.describe('JBIT Contact Form - Anti-Bot Strategies', { tag: '@jbit-contact-form' }, () => {
+  const definition = getFormDefinition('jbit', 'jbit-contact-form');
+
+  test('AB-001: Should resolve the declared bot protections to registered strategies', () => {
+    const registry = createDefaultRegistry();
+
+    expect(registry.resolveProtections(definition)).toEqual([
+      { type: PROTECTIONS.TURNSTILE, strategy: 'turnstile_bypass', fallbacks: [] },
+      { type: PROTECTIONS.RECAPTCHA_V2, strategy: 'intercept_network', fallbacks: ['mock_response'] }
+    ]);
+  });
+
+  test('AB-002: Should fall back to legacy flags and reject unknown strategies', () => {
+    const registry = createDefaultRegistry();
+    const legacy = {
+      id: 'legacy-form',
+      security_features: { captcha: true, recaptcha_type: 'v3', honeypot: true }
+    };
+
+    expect(registry.resolveProtections(legacy).map(p => [p.type, p.strategy])).toEqual([
+      [PROTECTIONS.RECAPTCHA_V3, 'intercept_network'],
+      [PROTECTIONS.HONEYPOT, 'honeypot_guard']
+    ]);
+    expect(() => registry.get('solve_it_by_hand')).toThrow(/Unknown anti-bot strategy/);
+    expect(() => registry.register({ name: 'incomplete', install: async () => {} })).toThrow(/missing: applies, verify/);
+  });
+
+  test('AB-003: Should record the chosen strategy and its verification in the report', async ({ page }) => {
+    const server = new ElementorStandInServer({ customer: 'jbit' });
+    const baseUrl = await server.start();
+
+    try {
+      const securityHandler = new RecaptchaHandler(page);
+      const formPage = new FormPage(page, definition, { baseUrl, securityHandler });
+      await formPage.navigate();
+
+      expect(securityHandler.outcomes.map(o => [o.type, o.strategy, o.verified])).toEqual([
+        [PROTECTIONS.TURNSTILE, 'turnstile_bypass', true],
+        [PROTECTIONS.RECAPTCHA_V2, 'intercept_network', true]
+      ]);
+
+      const annotations = test.info().annotations.filter(a => a.type === 'anti-bot');
+      expect(annotations.map(a => a.description)).toEqual([
+        'turnstile → turnstile_bypass: verified',
+        'recaptcha_v2 → intercept_network: verified'
+      ]);
+    } finally {
+      await server.stop();
+    }
+  });
+
+  test('AB-004: Should accept only published test site keys outside production', () => {
+    expect(assertTestSiteKey({ provider: 'turnstile', siteKey: '1x00000000000000000000AA' }, 'staging')).toBe(true);
+    expect(assertTestSiteKey({ provider: 'recaptcha', siteKey: '6LcRealProductionKeyRealProductionKey0000' }, 'production')).toBe(false);
+    expect(() => assertTestSiteKey({ provider: 'recaptcha', siteKey: '6LcRealProductionKeyRealProductionKey0000' }, 'staging'))
+      .toThrow(/not a published recaptcha test key/);
+    expect(() => assertTestSiteKey(null, 'test')).toThrow(/No CAPTCHA widget/);
+  });
+
+  test('AB-005: Should reject stand-in submissions without a test-key token', async ({ request }) => {
+    const server = new ElementorStandInServer({ customer: 'jbit', captcha: true });
+    await server.start();
+
+    try {
+      const html = await (await request.get(server.getFormUrl(definition.id))).text();
+      const submit = async (tokens) => (await server.submit(definition.id, { email: 'test@example.com' }, { extra: tokens })).body;
+
+      expect(html).toContain('data-sitekey="1x00000000000000000000AA"');
+      expect((await submit({})).success).toBe(false);
+      expect((await submit({
+        'g-recaptcha-response': 'stand-in-recaptcha-test-token',
+        'cf-turnstile-response': TEST_TOKENS.turnstile
+      })).success).toBe(true);
+      expect(server.getSubmissions()[1].captcha.every(result => result.valid)).toBe(true);
+    } finally {
+      await server.stop();
+    }
+  });
+
+  test('AB-006: Should solve test-key widgets in test-key mode and submit', async ({ page }) => {
+    const checkboxDefinition = {
+      ...definition,
+      security_features: { ...definition.security_features, recaptcha_type: 'v2_checkbox' }
+    };
+    const server = new ElementorStandInServer({ customer: 'jbit', forms: [checkboxDefinition], captcha: true });
+    const baseUrl = await server.start();
+
+    try {
+      const securityHandler = new RecaptchaHandler(page, undefined, { testKeys: true });
+      const formPage = new FormPage(page, checkboxDefinition, { baseUrl, securityHandler });
+      await formPage.navigate();
+
+      expect(securityHandler.outcomes.map(o => [o.type, o.strategy, o.verified])).toEqual([
+        [PROTECTIONS.TURNSTILE, 'official_test_keys', true],
+        [PROTECTIONS.RECAPTCHA_V2, 'official_test_keys', true]
+      ]);
+
+      await formPage.fill(formPage.buildSampleData());
+      await formPage.submit();
+      expect((await formPage.outcome()).status).toBe('success');
+    } finally {
+      await server.stop();
+    }
+  });
+
+  test('AB-007: Should report a production site key as not verified in test-key mode', async ({ page }) => {
+    const server = new ElementorStandInServer({
+      customer: 'jbit',
+      captcha: { turnstile: '0x4AAAAAAAProductionKey000' }
+    });
+    const baseUrl = await server.start();
+
+    try {
+      const securityHandler = new RecaptchaHandler(page, undefined, { testKeys: true });
+      await new FormPage(page, definition, { baseUrl, securityHandler }).navigate();
+
+      const turnstile = securityHandler.outcomes.find(o => o.type === PROTECTIONS.TURNSTILE);
+      expect(turnstile.verified).toBe(false);
+      expect(turnstile.error).toMatch(/not a published turnstile test key/);
+    } finally {
+      await server.stop();
+    }
+  });
+
+});
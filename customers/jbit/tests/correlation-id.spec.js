@@ -0,0 +1,82 @@
+const { test, expect } = require('@playwright/test');
+const ElementorStandInServer = require('../../../tests/shared/ElementorStandInServer');
+const { getFormDefinition } = require('../../../tests/utils/form-registry');
+const { getCorrelationField } = require('../../../tests/utils/form-definition');
+const {
+  ANNOTATION_TYPE,
+  createCorrelationId,
+  getCorrelationId,
+  getRecordedCorrelationIds,
+  stampCorrelationId
+} = require('../../../tests/utils/correlation-id');
+const ContactFormPage = require('./ContactFormPage');
+
+// Load test data
+const testData = require('../data/test-data.json');
+
+/**
+ * JBIT Contact Form - Correlation IDs
+ *
+ * Every synthetic submission carries the ID of the test that made it, recorded
+ * in the report, so leads in the mailbox, CRM or WordPress can be traced back.
+ */
+test.describe('JBIT Contact Form - Correlation IDs', { tag: '@jbit-contact-form' }, () => {
+  const definition = getFormDefinition('jbit', 'jbit-contact-form');
+  const messageField = getCorrelationField(definition);
+
+  test('CI-001: Should create unique prefixed IDs', () => {
+    const ids = new Set(Array.from({ length: 50 }, () => createCorrelationId('JBIT')));
+
+    expect(ids.size).toBe(50);
+    ids.forEach(id => expect(id).toMatch(/^JBIT-[0-9a-z]+-[0-9a-f]{6}$/));
+  });
+
+  test('CI-002: Should use one ID per test and record it as an annotation', () => {
+    const id = getCorrelationId();
+
+    expect(getCorrelationId()).toBe(id);
+    expect(getRecordedCorrelationIds(test.info().annotations)).toEqual([id]);
+    expect(test.info().annotations).toContainEqual({ type: ANNOTATION_TYPE, description: id });
+  });
+
+  test('CI-003: Should stamp the message field under the key the data uses', () => {
+    const data = { naam: 'Jan', email: 'jan@test.com', bericht: 'Hallo' };
+    const stamped = stampCorrelationId(data, 'E2E-1', messageField);
+
+    expect(messageField.name).toBe('message');
+    expect(stamped).toEqual({ ...data, bericht: 'Hallo\n\nRef: E2E-1' });
+    expect(data.bericht).toBe('Hallo');
+    expect(stampCorrelationId(stamped, 'E2E-1', messageField)).toEqual(stamped);
+
+    // Empty messages stay empty so required-field tests keep their meaning
+    expect(stampCorrelationId({ bericht: '' }, 'E2E-1', messageField)).toEqual({ bericht: '' });
+  });
+
+  test('CI-004: Should write the ID into a hidden field', () => {
+    const hidden = { name: 'test_ref', type: 'hidden' };
+
+    expect(stampCorrelationId({ email: 'jan@test.com' }, 'E2E-2', hidden))
+      .toEqual({ email: 'jan@test.com', test_ref: 'E2E-2' });
+  });
+
+  test('CI-005: Should send the test\'s ID with a browser submission', async ({ page }) => {
+    const server = new ElementorStandInServer({ customer: 'jbit' });
+    await server.start();
+
+    try {
+      const contactPage = new ContactFormPage(page);
+      contactPage.url = server.getFormUrl('jbit-contact-form');
+
+      await contactPage.navigate();
+      const data = await contactPage.fillContactForm(testData.test_data_sets.valid_data.happy_path_basic);
+      await contactPage.submitForm();
+
+      expect(contactPage.correlationId).toBe(getCorrelationId());
+      expect(server.getSubmissions()[0].formFields.message).toBe(data.bericht);
+      expect(server.getSubmissions()[0].formFields.message).toContain(`Ref: ${contactPage.correlationId}`);
+    } finally {
+      await server.stop();
+    }
+  });
+
+});
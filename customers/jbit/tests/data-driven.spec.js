@@ -0,0 +1,85 @@
+const { test, expect } = require('@playwright/test');
+const FormPage = require('../../../tests/shared/FormPage');
+const { loadScenarios, normalizeData, OUTCOMES } = require('../../../tests/utils/scenario-loader');
+const { getFormDefinition } = require('../../../tests/utils/form-registry');
+const { loadCustomer } = require('../../../tests/utils/customer-registry');
+const { validateFormData } = require('../../../tests/utils/field-validation');
+const RecaptchaHandler = require('./utils/recaptcha-handler');
+const { config } = require('./utils/test-config');
+
+/**
+ * JBIT Contact Form - Data-Driven Scenarios
+ *
+ * One test per entry in data/test-data.json, generated by the scenario loader.
+ * Expected outcomes and messages are the ones documented in test-data.json
+ * (`expected`, expected_error_messages), so TC-002..TC-014 in test-cases.md
+ * are executed. DD-001 checks them against the rules of forms-list.json.
+ *
+ * Run only these with: npx playwright test --grep @data-driven
+ */
+const scenarios = loadScenarios('jbit', 'jbit-contact-form');
+
+test.describe('JBIT Contact Form - Data-Driven Scenarios', () => {
+
+  for (const scenario of scenarios) {
+    test(scenario.title, { tag: ['@data-driven', `@${scenario.testCase}`, `@${scenario.formId}`] }, async ({ page }) => {
+      const formPage = FormPage.fromRegistry(page, 'jbit', scenario.formId, {
+        baseUrl: config.baseUrl,
+        securityHandler: new RecaptchaHandler(page)
+      });
+
+      await formPage.navigate();
+      await formPage.fill(scenario.data);
+      await formPage.submit();
+
+      const outcome = await formPage.outcome();
+      console.log(`${scenario.id} (${scenario.dataSet}):`, outcome);
+
+      switch (scenario.expected.outcome) {
+        case OUTCOMES.SUCCESS:
+          expect(outcome.fieldErrors).toEqual({});
+          expect(outcome.status).toBe('success');
+          break;
+
+        case OUTCOMES.FIELD_ERROR:
+          expect(['client_validation', 'field_errors']).toContain(outcome.status);
+          for (const [field, message] of Object.entries(scenario.expected.fields)) {
+            expect(outcome.fieldErrors).toHaveProperty(field);
+
+            // Browser validation messages are localised by the browser, server messages by the site
+            if (message && outcome.status === 'field_errors') {
+              expect(outcome.fieldErrors[field]).toContain(message);
+            }
+          }
+          break;
+
+        case OUTCOMES.GENERAL_ERROR:
+          expect(outcome.status).toBe('error');
+          break;
+
+        default:
+          throw new Error(`Unknown expected outcome: ${scenario.expected.outcome}`);
+      }
+    });
+  }
+
+});
+
+test.describe('JBIT Contact Form - Data-Driven Scenario Checks', { tag: ['@jbit-contact-form', '@data-driven'] }, () => {
+
+  test('DD-001: Should document the outcomes the form definition enforces', () => {
+    const form = getFormDefinition('jbit', 'jbit-contact-form');
+
+    // Documented outcomes and messages agree with the rules the stand-in applies
+    for (const scenario of scenarios) {
+      expect(validateFormData(form, scenario.data), scenario.id).toEqual(scenario.expected.fields);
+    }
+    expect(scenarios.find(scenario => scenario.id === 'TC-003-invalid-data-missing-individual-required-1').expected)
+      .toEqual({ outcome: OUTCOMES.FIELD_ERROR, fields: { email: 'Dit veld is verplicht' } });
+
+    // customer.json names the same required fields as forms-list.json
+    const required = Object.keys(normalizeData(form, Object.fromEntries(loadCustomer('jbit').validationRules.required.map(key => [key, true]))));
+    expect(required).toEqual(form.fields.filter(field => field.required).map(field => field.name));
+  });
+
+});
@@ -0,0 +1,129 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const EvidenceCollector = require('../../../tests/shared/EvidenceCollector');
+const { renderEvidenceReport } = require('../../../tests/utils/evidence-report');
+const { recordOutcome } = require('../../../tests/utils/submission-outcome');
+const { annotate } = require('../../../tests/utils/test-annotations');
+
+/**
+ * JBIT Contact Form - Evidence Report
+ *
+ * Each test can bundle its evidence into one self-contained HTML file to send
+ * to the customer: ordered screenshots, the form values, the admin-ajax
+ * requests and responses, console errors and the final outcome.
+ */
+test.describe('JBIT Contact Form - Evidence Report', { tag: '@jbit-contact-form' }, () => {
+
+  // 1x1 transparent PNG
+  const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+
+  const submission = {
+    url: 'http://127.0.0.1:8080/wp-admin/admin-ajax.php',
+    timestamp: '2026-01-01T10:00:05.000Z',
+    request: {
+      action: 'elementor_pro_forms_send_form',
+      formId: 'jbit-contact-form',
+      postId: '42',
+      nonce: 'secret-nonce-123',
+      captcha: { 'cf-turnstile-response': 'secret-token-456' },
+      fields: { _wpnonce: 'secret-nonce-123', 'cf-turnstile-response': 'secret-token-456' },
+      formFields: { name: 'Jan <b>Janssens</b>', email: 'jan@example.com', interesse: ['Webdesign', 'SEO'] }
+    },
+    response: { status: 200, json: { success: false, data: { message: 'Vul dit veld in' } }, success: false, message: 'Vul dit veld in', errors: { email: 'Ongeldig' } }
+  };
+
+  /**
+   * Playwright page stand-in that emits console events and writes a PNG per screenshot
+   * @returns {EventEmitter} Page
+   */
+  function fakePage() {
+    const page = new EventEmitter();
+    page.screenshot = async ({ path: file }) => {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, PNG);
+    };
+    return page;
+  }
+
+  test('EV-001: Should render one self-contained page without nonces or captcha tokens', () => {
+    const html = renderEvidenceReport({
+      title: 'TC-001: <script>alert(1)</script>',
+      project: 'chromium',
+      customer: 'jbit',
+      status: 'failed',
+      outcome: 'VALIDATION_ERROR',
+      error: 'Expected: "SUCCESS"',
+      correlationIds: ['E2E-abc'],
+      screenshots: [{ step: 1, name: 'form filled', capturedAt: '2026-01-01T10:00:04.000Z', data: PNG.toString('base64') }],
+      fieldValues: [{ label: 'Filled values', values: { name: 'Jan', email: 'jan@example.com' } }],
+      submissions: [submission],
+      consoleErrors: [{ type: 'console', text: 'Uncaught TypeError: x is undefined', location: 'http://127.0.0.1:8080/app.js:3', at: '2026-01-01T10:00:03.000Z' }],
+      generatedAt: '2026-01-01T10:01:00.000Z'
+    });
+
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain(`<img src="data:image/png;base64,${PNG.toString('base64')}" alt="form filled">`);
+    expect(html).not.toMatch(/(src|href)="(?!data:)/);
+    expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('Submission outcome<b>VALIDATION_ERROR</b>');
+    expect(html).toContain('<tr><th>name</th><td>Jan &lt;b&gt;Janssens&lt;/b&gt;</td></tr>');
+    expect(html).toContain('<tr><th>interesse</th><td>Webdesign, SEO</td></tr>');
+    expect(html).toContain('<tr><th>error: email</th><td>Ongeldig</td></tr>');
+    expect(html).toContain('Uncaught TypeError: x is undefined');
+    expect(html).toContain('<tr><th>nonce</th><td>sent (hidden)</td></tr>');
+    expect(html).not.toContain('secret-nonce-123');
+    expect(html).not.toContain('secret-token-456');
+  });
+
+  test('EV-002: Should collect ordered screenshots, values, submissions and console errors of a test', async () => {
+    const page = fakePage();
+    const evidence = new EvidenceCollector(page).start();
+    const tracking = evidence.trackSubmissions({ submissions: [submission], pending: [] });
+
+    page.emit('console', { type: () => 'log', text: () => 'loaded', location: () => ({}) });
+    page.emit('console', { type: () => 'error', text: () => 'Failed to load resource: 500', location: () => ({ url: 'http://127.0.0.1:8080/form', lineNumber: 12 }) });
+    page.emit('pageerror', new Error('elementorFrontend is not defined'));
+
+    const first = await evidence.screenshot('Initial form state');
+    evidence.recordFieldValues({ name: 'Jan' }, 'Filled values');
+    const second = await evidence.screenshot('form filled');
+    expect(path.basename(first)).toBe('evidence-01-initial-form-state.png');
+    expect(path.basename(second)).toBe('evidence-02-form-filled.png');
+    expect(path.dirname(first)).toBe(test.info().outputDir);
+
+    annotate('correlation-id', 'E2E-xyz');
+    recordOutcome({ type: 'SUCCESS', duration: 500 });
+
+    const collected = evidence.getEvidence();
+    expect(collected).toMatchObject({
+      title: 'EV-002: Should collect ordered screenshots, values, submissions and console errors of a test',
+      project: test.info().project.name,
+      file: 'evidence-report.spec.js',
+      customer: 'jbit',
+      outcome: 'SUCCESS',
+      correlationIds: ['E2E-xyz'],
+      submissions: tracking.submissions
+    });
+    expect(collected.consoleErrors.map(entry => [entry.type, entry.text, entry.location])).toEqual([
+      ['console', 'Failed to load resource: 500', 'http://127.0.0.1:8080/form:12'],
+      ['pageerror', 'elementorFrontend is not defined', null]
+    ]);
+    evidence.setOutcome({ type: 'SERVER_ERROR' });
+    expect(evidence.getEvidence().outcome).toBe('SERVER_ERROR');
+
+    const report = await evidence.writeReport();
+    expect(report).toBe(test.info().outputPath('evidence.html'));
+    const html = fs.readFileSync(report, 'utf8');
+    expect(html.indexOf('1. Initial form state')).toBeLessThan(html.indexOf('2. form filled'));
+    expect(html.match(/data:image\/png;base64,/g)).toHaveLength(2);
+    expect(test.info().attachments.map(attachment => [attachment.name, attachment.contentType])).toEqual([
+      ['01 Initial form state', 'image/png'],
+      ['02 form filled', 'image/png'],
+      ['evidence', 'text/html']
+    ]);
+  });
+
+});
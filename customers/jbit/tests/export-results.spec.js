@@ -0,0 +1,168 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const path = require('path');
+const {
+  collectTestCases,
+  buildExportSummary,
+  renderJUnit,
+  renderTap,
+  exportResults
+} = require('../../../scripts/export-results');
+
+/**
+ * JBIT Contact Form - Results Export
+ *
+ * The Playwright JSON results of a run are exported as JUnit XML, TAP and a
+ * compact summary JSON for other CI systems and dashboards, with each test's
+ * form, submission outcome class and correlation IDs.
+ */
+test.describe('JBIT Contact Form - Results Export', { tag: '@jbit-contact-form' }, () => {
+
+  const outcome = (type) => ({ type: 'submission-outcome', description: type });
+  const correlationId = (id) => ({ type: 'correlation-id', description: id });
+
+  const results = {
+    stats: { startTime: '2026-01-01T10:00:00.000Z', duration: 42000 },
+    suites: [{
+      title: 'contact-form.spec.js',
+      file: 'contact-form.spec.js',
+      specs: [],
+      suites: [{
+        title: 'JBIT Contact Form',
+        specs: [{
+          title: 'TC-001: Should submit the contact form',
+          file: 'contact-form.spec.js',
+          tags: ['jbit-contact-form', 'smoke'],
+          tests: [
+            { projectName: 'chromium', status: 'expected', results: [{ status: 'passed', duration: 1500, annotations: [correlationId('E2E-aaa'), outcome('SUCCESS')] }] },
+            {
+              projectName: 'firefox',
+              status: 'unexpected',
+              results: [
+                { status: 'failed', duration: 2000, error: { message: '\u001b[31mExpected: "SUCCESS"\u001b[39m\nReceived: "SERVER_ERROR" <br>' }, annotations: [correlationId('E2E-bbb'), outcome('SERVER_ERROR')] },
+                { status: 'failed', duration: 2500, error: { message: '\u001b[31mExpected: "SUCCESS"\u001b[39m\nReceived: "SERVER_ERROR" <br>' }, annotations: [correlationId('E2E-ccc'), outcome('SERVER_ERROR')] }
+              ]
+            },
+            {
+              projectName: 'webkit',
+              status: 'flaky',
+              results: [
+                { status: 'timedOut', duration: 30000, error: { message: 'Test timeout of 30000ms exceeded.' }, annotations: [correlationId('E2E-ddd'), outcome('TIMEOUT')] },
+                { status: 'passed', duration: 1800, annotations: [correlationId('E2E-eee'), outcome('SUCCESS')] }
+              ]
+            }
+          ]
+        }, {
+          title: 'TC-005: Should reject # in the phone field',
+          file: 'contact-form.spec.js',
+          tags: ['jbit-contact-form'],
+          tests: [{ projectName: 'chromium', status: 'skipped', results: [{ status: 'skipped', duration: 0 }] }]
+        }]
+      }]
+    }]
+  };
+  const options = { customer: 'jbit', formIds: ['jbit-contact-form'], generatedAt: '2026-01-01T11:00:00.000Z' };
+
+  test('EX-001: Should collect each test with its form, outcome class and correlation IDs', () => {
+    const [passed, failed, flaky, skipped] = collectTestCases(results, options);
+
+    expect(passed).toEqual({
+      title: 'TC-001: Should submit the contact form',
+      file: 'contact-form.spec.js',
+      browser: 'chromium',
+      form: 'jbit-contact-form',
+      status: 'passed',
+      quarantined: false,
+      outcome: 'SUCCESS',
+      correlationIds: ['E2E-aaa'],
+      duration: 1500,
+      retries: 0,
+      error: null
+    });
+    expect(failed).toMatchObject({ status: 'failed', outcome: 'SERVER_ERROR', correlationIds: ['E2E-bbb', 'E2E-ccc'], duration: 4500, retries: 1 });
+    expect(failed.error).toBe('Expected: "SUCCESS"\nReceived: "SERVER_ERROR" <br>');
+    expect(flaky).toMatchObject({ status: 'flaky', outcome: 'SUCCESS', error: 'Test timeout of 30000ms exceeded.' });
+    expect(skipped).toMatchObject({ status: 'skipped', form: 'jbit-contact-form', outcome: null, correlationIds: [] });
+    expect(collectTestCases(results)[0].form).toBeNull();
+  });
+
+  test('EX-002: Should summarize outcomes per form', () => {
+    const summary = buildExportSummary(results, options);
+
+    expect(summary).toMatchObject({
+      customer: 'jbit',
+      generatedAt: '2026-01-01T11:00:00.000Z',
+      startedAt: '2026-01-01T10:00:00.000Z',
+      success: false,
+      stats: { total: 4, passed: 1, failed: 1, flaky: 1, skipped: 1, quarantined: 0 }
+    });
+    expect(summary.forms['jbit-contact-form']).toEqual({
+      total: 4,
+      passed: 1,
+      failed: 1,
+      flaky: 1,
+      skipped: 1,
+      outcomes: { SUCCESS: 2, SERVER_ERROR: 1 },
+      correlationIds: ['E2E-aaa', 'E2E-bbb', 'E2E-ccc', 'E2E-ddd', 'E2E-eee']
+    });
+    expect(summary.tests).toHaveLength(4);
+  });
+
+  test('EX-003: Should write JUnit XML with outcome and correlation ID properties', () => {
+    const xml = renderJUnit(buildExportSummary(results, options));
+
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="jbit form tests" tests="4" failures="1" skipped="1" errors="0" time="42.000" timestamp="2026-01-01T10:00:00.000Z">/);
+    expect(xml).toContain('<testsuite name="contact-form.spec.js [firefox]" tests="1" failures="1" skipped="0" errors="0" time="4.500">');
+    expect(xml).toContain('<property name="correlation-id" value="E2E-bbb, E2E-ccc"/>');
+    expect(xml).toContain('<property name="outcome" value="SERVER_ERROR"/>');
+    expect(xml).toContain('<failure message="Expected: &quot;SUCCESS&quot;" type="SERVER_ERROR">Expected: &quot;SUCCESS&quot;\nReceived: &quot;SERVER_ERROR&quot; &lt;br&gt;</failure>');
+    expect(xml).toContain('<property name="flaky" value="true"/>');
+    expect(xml).not.toContain('\u001b');
+    expect(xml).toMatch(/<testcase name="TC-005: Should reject # in the phone field" classname="contact-form.spec.js" time="0.000">\n\s+<properties>[\s\S]*?<\/properties>\n\s+<skipped\/>/);
+  });
+
+  test('EX-004: Should write TAP with a YAML block per test', () => {
+    const tap = renderTap(buildExportSummary(results, options));
+    const lines = tap.split('\n');
+
+    expect(lines.slice(0, 2)).toEqual(['TAP version 13', '1..4']);
+    expect(lines).toContain('ok 1 - TC-001: Should submit the contact form [chromium]');
+    expect(lines).toContain('not ok 2 - TC-001: Should submit the contact form [firefox]');
+    expect(lines).toContain('ok 4 - TC-005: Should reject \\# in the phone field [chromium] # SKIP');
+    expect(tap).toContain([
+      '  ---',
+      '  browser: firefox',
+      '  form: jbit-contact-form',
+      '  outcome: SERVER_ERROR',
+      '  correlation_ids: ["E2E-bbb", "E2E-ccc"]',
+      '  duration_ms: 4500',
+      '  retries: 1',
+      '  message: |',
+      '    Expected: "SUCCESS"',
+      '    Received: "SERVER_ERROR" <br>',
+      '  ...'
+    ].join('\n'));
+  });
+
+  test('EX-005: Should export quarantined failures without failing the ingesting build', () => {
+    const resultsFile = test.info().outputPath('test-results.json');
+    const outputDir = test.info().outputPath('exports');
+    fs.writeFileSync(resultsFile, JSON.stringify(results));
+    const quarantine = { tests: [{ key: 'TC-001: Should submit the contact form [firefox]', title: 'TC-001: Should submit the contact form', browser: 'firefox' }] };
+
+    const { summary, files } = exportResults('jbit', { resultsFile, outputDir, quarantine });
+    expect(Object.keys(files)).toEqual(['junit', 'tap', 'summary']);
+    expect(fs.readdirSync(outputDir).sort()).toEqual(['junit.xml', 'results.tap', 'summary.json']);
+    expect(summary).toMatchObject({ success: true, stats: { failed: 1, quarantined: 1 } });
+    expect(JSON.parse(fs.readFileSync(path.join(outputDir, 'summary.json'), 'utf8')).tests[1].quarantined).toBe(true);
+
+    const xml = fs.readFileSync(files.junit, 'utf8');
+    expect(xml).toContain('failures="0" skipped="2"');
+    expect(xml).toContain('<skipped message="Quarantined: Expected: &quot;SUCCESS&quot;"/>');
+    expect(fs.readFileSync(files.tap, 'utf8')).toContain('not ok 2 - TC-001: Should submit the contact form [firefox] # TODO quarantined');
+
+    expect(() => exportResults('jbit', { resultsFile, outputDir, formats: ['sarif'] })).toThrow("Unknown export format 'sarif'. Available: junit, tap, summary");
+    expect(() => exportResults('jbit', { resultsFile: test.info().outputPath('missing.json') })).toThrow(/No test results for jbit/);
+  });
+
+});
@@ -1,5 +1,20 @@
 const { test, expect } = require('@playwright/test');
 const RecaptchaHandler = require('./utils/recaptcha-handler');
+const ContactFormPage = require('./ContactFormPage');
+const MailDeliveryVerifier = require('../../../tests/shared/MailDeliveryVerifier');
+const WebhookVerifier = require('../../../tests/shared/WebhookVerifier');
+const EvidenceCollector = require('../../../tests/shared/EvidenceCollector');
+const FormValidationHelper = require('./utils/form-validation-helper');
+const { createMailboxFromEnv } = require('../../../tests/shared/mailbox-adapters');
+const { getFormDefinition } = require('../../../tests/utils/form-registry');
+const { getFormActions } = require('../../../tests/utils/form-definition');
+const { OUTCOMES } = require('../../../tests/utils/submission-outcome');
+const { getCorrelationId } = require('../../../tests/utils/correlation-id');
+const { config } = require('./utils/test-config');
+
+// Form URL follows JBIT_BASE_URL so the suite can run against the local stand-in
+const FORM_URL = config.getFormUrl(config.forms.contact.url);
+const FORM_HOST = new URL(FORM_URL).host;
 
 /**
  * JBIT Contact Form - Server Processing Validation
@@ -22,22 +37,31 @@ const RecaptchaHandler = require('./utils/recaptcha-handler');
  * - Form fields remain filled
  * - Error styling applied to form
  */
-test.describe('JBIT Contact Form - Server Processing Validation', () => {
+test.describe('JBIT Contact Form - Server Processing Validation', { tag: '@jbit-contact-form' }, () => {
+  let evidence;
 
   test.beforeEach(async ({ page }) => {
+    // Evidence report for the customer: screenshots, values, submissions, console errors
+    evidence = new EvidenceCollector(page).start();
+
     // Setup reCAPTCHA bypass
     console.log('Setting up reCAPTCHA bypass for server processing validation...');
     const recaptchaHandler = new RecaptchaHandler(page);
     await recaptchaHandler.handleRecaptcha();
 
     // Navigate to the form
-    await page.goto('https://jbit.be/contact-nl/');
+    await page.goto(FORM_URL);
     console.log('Navigated to JBIT contact form');
 
     // Wait for page to load completely
     await page.waitForLoadState('networkidle');
   });
 
+  test.afterEach(async () => {
+    await evidence?.writeReport();
+    evidence = null;
+  });
+
   /**
    * TC-SPV-001: Comprehensive Server Processing Validation
    * This test validates that the form is actually processed by the WordPress/Elementor backend
@@ -55,7 +79,9 @@ test.describe('JBIT Contact Form - Server Processing Validation', () => {
 
     try {
       // Capture initial state
-      await page.screenshot({ path: './test-artifacts/01-initial-form-state.png', fullPage: true });
+      const validationHelper = new FormValidationHelper(page);
+      evidence.trackSubmissions(validationHelper.setupNetworkMonitoring());
+      await evidence.screenshot('initial form state');
 
       // Monitor network requests to track form submission
       const submissionRequests = [];
@@ -114,7 +140,8 @@ test.describe('JBIT Contact Form - Server Processing Validation', () => {
       }
 
       // Capture form filled state
-      await page.screenshot({ path: './test-artifacts/02-form-filled.png', fullPage: true });
+      evidence.recordFieldValues(await validationHelper.getFormFieldValues(), 'Filled values');
+      await evidence.screenshot('form filled');
 
       // Submit the form
       console.log('Submitting form and monitoring server response...');
@@ -134,7 +161,8 @@ test.describe('JBIT Contact Form - Server Processing Validation', () => {
       await page.waitForTimeout(8000);
 
       // Capture post-submission state
-      await page.screenshot({ path: './test-artifacts/03-post-submission.png', fullPage: true });
+      evidence.recordFieldValues(await validationHelper.getFormFieldValues(), 'Values after submission');
+      await evidence.screenshot('post submission');
 
       // === COMPREHENSIVE SUCCESS/FAILURE VALIDATION ===
 
@@ -237,7 +265,7 @@ test.describe('JBIT Contact Form - Server Processing Validation', () => {
 
       // Primary failure condition: explicit error messages
       if (errorFound) {
-        await page.screenshot({ path: './test-artifacts/04-submission-failed.png', fullPage: true });
+        await evidence.screenshot('submission failed');
         throw new Error(`❌ FORM SUBMISSION FAILED: Error message detected - ${errorMessage}. This indicates the form was NOT processed by the server.`);
       }
 
@@ -251,7 +279,7 @@ test.describe('JBIT Contact Form - Server Processing Validation', () => {
       const successCount = successIndicators.filter(Boolean).length;
 
       if (successCount === 0) {
-        await page.screenshot({ path: './test-artifacts/04-submission-unclear.png', fullPage: true });
+        await evidence.screenshot('submission unclear');
         throw new Error(`❌ FORM SUBMISSION STATUS UNCLEAR: No positive success indicators found. Form may have been submitted but not processed by server. Check WordPress admin panel for actual submissions.`);
       }
 
@@ -259,16 +287,16 @@ test.describe('JBIT Contact Form - Server Processing Validation', () => {
       console.log(`\\n🎉 FORM SUBMISSION SUCCESSFUL! (${successCount}/3 success indicators present)`);
       console.log('✅ The form appears to have been properly processed by the server.');
 
-      await page.screenshot({ path: './test-artifacts/04-submission-successful.png', fullPage: true });
+      await evidence.screenshot('submission successful');
 
       // Final assertions
       expect(errorFound).toBe(false);
       expect(successCount).toBeGreaterThan(0);
-      expect(currentUrl).toContain('jbit.be');
+      expect(currentUrl).toContain(FORM_HOST);
 
     } catch (error) {
       console.error('Server processing validation failed:', error.message);
-      await page.screenshot({ path: './test-artifacts/error-final-state.png', fullPage: true });
+      await evidence.screenshot('error final state');
       throw error;
     }
   });
@@ -349,4 +377,70 @@ test.describe('JBIT Contact Form - Server Processing Validation', () => {
     }
   });
 
+  /**
+   * TC-SPV-003: Mail Delivery Validation
+   * Validates that the form's email action actually produced a mail.
+   * Needs a mailbox the site delivers to: MAILBOX=sink-http (SMTP sink) or MAILBOX=imap
+   */
+  test('TC-SPV-003: Should deliver the notification mail for a processed submission', async ({ page }) => {
+    const mailbox = createMailboxFromEnv();
+    test.skip(!mailbox, 'Set MAILBOX (sink-http or imap) to verify mail delivery');
+
+    const definition = getFormDefinition(config.customer, config.forms.contact.formId);
+    const verifier = new MailDeliveryVerifier(mailbox, definition);
+    const token = getCorrelationId({ prefix: config.correlation.prefix });
+    const formData = verifier.withToken({
+      naam: 'E2E Mail Delivery',
+      email: 'mail.delivery@test.com',
+      telefoon: '06-87654321',
+      interesse: ['Advies op maat'],
+      bericht: 'Mail delivery validation test.'
+    }, token);
+
+    try {
+      // beforeEach already applied the bypass and opened the form
+      const contactPage = new ContactFormPage(page);
+      await contactPage.waitForFormLoad();
+      // Already carries the token, also when correlation IDs are off for this customer
+      await contactPage.fillContactForm(formData, { correlationId: false });
+
+      const outcome = await contactPage.submitForm();
+      expect(outcome.type).toBe(OUTCOMES.SUCCESS);
+
+      const message = await verifier.waitForMail(token);
+      verifier.assertDelivered(message, formData);
+    } finally {
+      await mailbox.close();
+    }
+  });
+
+  /**
+   * TC-SPV-004: Webhook Delivery Validation
+   * Validates that the form's webhook action called its endpoint with the mapped fields.
+   * Needs the webhook pointed at a receiver: WEBHOOK_RECEIVER_URL (npm run webhook-receiver)
+   */
+  test('TC-SPV-004: Should call the webhook for a processed submission', async ({ page }) => {
+    const definition = getFormDefinition(config.customer, config.forms.contact.formId);
+    test.skip(getFormActions(definition, 'webhook').length === 0, 'Form has no webhook action');
+
+    const verifier = WebhookVerifier.fromEnv(definition);
+    test.skip(!verifier, 'Set WEBHOOK_RECEIVER_URL to verify webhook delivery');
+
+    // beforeEach already applied the bypass and opened the form
+    const contactPage = new ContactFormPage(page);
+    await contactPage.waitForFormLoad();
+    const formData = await contactPage.fillContactForm({
+      naam: 'E2E Webhook Delivery',
+      email: 'webhook.delivery@test.com',
+      telefoon: '06-87654321',
+      interesse: ['Advies op maat'],
+      bericht: 'Webhook delivery validation test.'
+    }, { correlationId: getCorrelationId({ prefix: config.correlation.prefix }) });
+
+    const outcome = await contactPage.submitForm();
+    expect(outcome.type).toBe(OUTCOMES.SUCCESS);
+
+    verifier.assertPayload(await verifier.waitForWebhook(contactPage.correlationId), formData);
+  });
+
 });
\ No newline at end of file
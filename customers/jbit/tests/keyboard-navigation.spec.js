@@ -0,0 +1,88 @@
+const { test, expect } = require('@playwright/test');
+const FormPage = require('../../../tests/shared/FormPage');
+const FormHelper = require('../../../tests/shared/FormHelper');
+const RecaptchaHandler = require('./utils/recaptcha-handler');
+const { config } = require('./utils/test-config');
+
+/**
+ * JBIT Contact Form - Keyboard-Only Submission
+ *
+ * Fills and submits the contact form the way keyboard and screen-reader users
+ * do: Tab/Shift+Tab between fields, typing, Space for the interesse checkboxes
+ * and Enter on the submit button (FormHelper's keyboard input mode). The result
+ * message must receive focus or sit in a live region so it gets announced.
+ * Any other spec can run in this mode with INPUT_MODE=keyboard.
+ */
+test.describe('JBIT Contact Form - Keyboard-Only Submission', { tag: ['@jbit-contact-form', '@keyboard'] }, () => {
+  let formPage;
+
+  test.beforeEach(async ({ page }) => {
+    // Count real pointer presses, so a fallback to the mouse fails the test
+    await page.addInitScript(() => {
+      window.__pointerPresses = 0;
+      window.addEventListener('pointerdown', event => { if (event.isTrusted) window.__pointerPresses++; }, true);
+    });
+
+    formPage = FormPage.fromRegistry(page, 'jbit', 'jbit-contact-form', {
+      baseUrl: config.baseUrl,
+      securityHandler: new RecaptchaHandler(page),
+      inputMode: 'keyboard'
+    });
+    await formPage.navigate();
+  });
+
+  test.afterEach(async ({ page }) => {
+    expect(await page.evaluate(() => window.__pointerPresses)).toBe(0);
+  });
+
+  test('KB-001: Should submit successfully with Tab, Space and Enter only', async () => {
+    const interesse = formPage.getField('interesse');
+    const data = { ...formPage.buildSampleData(), interesse: interesse.options.slice(0, 2) };
+
+    await formPage.fill(data);
+    const values = await formPage.getValues();
+    expect(values.interesse).toEqual(interesse.options.slice(0, 2));
+    expect(values.email).toBe(data.email);
+
+    await formPage.submit();
+    expect((await formPage.outcome()).status).toBe('success');
+
+    const announcement = await formPage.announcement();
+    console.log('Success message announcement:', announcement);
+    expect(announcement.announced, `'${announcement.text}' is neither focused nor in a live region`).toBe(true);
+  });
+
+  test('KB-002: Should announce the error message after going back with Shift+Tab', async () => {
+    const name = formPage.getField('name');
+    const email = formPage.getField('email');
+    await formPage.fill(formPage.buildSampleData());
+
+    // Focus is on the last field now; both corrections go backwards
+    await formPage.formHelper.typeWithKeyboard(formPage.getFieldSelector(name), 'E2E Keyboard');
+    await formPage.formHelper.typeWithKeyboard(formPage.getFieldSelector(email), '');
+
+    // Let the server reject the empty required field instead of the browser's validation bubble
+    await formPage.disableClientValidation();
+    await formPage.submit();
+
+    const outcome = await formPage.outcome();
+    expect(outcome.status).toBe('field_errors');
+    expect(outcome.fieldErrors).toHaveProperty('email');
+
+    const announcement = await formPage.announcement();
+    console.log('Error message announcement:', announcement);
+    expect(announcement.announced, `'${announcement.text}' is neither focused nor in a live region`).toBe(true);
+  });
+
+});
+
+test.describe('JBIT Contact Form - Keyboard Input Mode', { tag: ['@jbit-contact-form', '@keyboard'] }, () => {
+
+  test('KB-003: Should only accept known input modes', () => {
+    expect(FormHelper.INPUT_MODES).toEqual(['pointer', 'keyboard']);
+    expect(new FormHelper({}, { inputMode: 'keyboard' }).keyboardOnly).toBe(true);
+    expect(new FormHelper({}, { inputMode: 'pointer' }).keyboardOnly).toBe(false);
+    expect(() => new FormHelper({}, { inputMode: 'touch' })).toThrow("Unknown input mode 'touch'. Available: pointer, keyboard");
+  });
+
+});
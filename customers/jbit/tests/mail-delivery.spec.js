@@ -0,0 +1,115 @@
+const { test, expect } = require('@playwright/test');
+const ElementorStandInServer = require('../../../tests/shared/ElementorStandInServer');
+const SmtpSinkServer = require('../../../tests/shared/SmtpSinkServer');
+const MailDeliveryVerifier = require('../../../tests/shared/MailDeliveryVerifier');
+const { createMailbox, createMailboxFromEnv } = require('../../../tests/shared/mailbox-adapters');
+const { getFormDefinition } = require('../../../tests/utils/form-registry');
+const { parseMailMessage } = require('../../../tests/utils/mail-message');
+const { parseSubmissionResponse } = require('../../../tests/utils/submission-payload');
+const { OUTCOMES, classifyResponse } = require('../../../tests/utils/submission-outcome');
+const ContactFormPage = require('./ContactFormPage');
+
+// Load test data
+const testData = require('../data/test-data.json');
+
+/**
+ * JBIT Contact Form - Mail Delivery
+ *
+ * Proves the form's email action produced a mail: the stand-in delivers to a
+ * local SMTP sink, the mail is found by a correlation token put in the message
+ * field, and recipient, subject and every submitted value are checked.
+ */
+test.describe('JBIT Contact Form - Mail Delivery', { tag: '@jbit-contact-form' }, () => {
+  const definition = getFormDefinition('jbit', 'jbit-contact-form');
+  const unicode = testData.test_data_sets.edge_cases.unicode_content;
+  let sink;
+  let server;
+
+  test.beforeEach(async () => {
+    sink = new SmtpSinkServer();
+    const { port } = await sink.start();
+    server = new ElementorStandInServer({ customer: 'jbit', smtp: { port } });
+    await server.start();
+  });
+
+  test.afterEach(async () => {
+    await server.stop();
+    await sink.stop();
+  });
+
+  /**
+   * Classify the stand-in's answer to a post
+   * @param {Object} response - { status, body } from ElementorStandInServer#submit()
+   * @returns {Object} Classified outcome
+   */
+  const outcomeOf = ({ status, body }) => classifyResponse(parseSubmissionResponse(status, body), definition);
+
+  test('MD-001: Should parse encoded headers, quoted-printable and multipart mails', () => {
+    const raw = [
+      'From: =?UTF-8?B?SkJJVCBXZWJzaXRl?= <noreply@jbit.be>',
+      'To: "JBIT" <Info@JBIT.be>, sales@jbit.be',
+      'Subject: =?UTF-8?Q?Nieuw_bericht_van_Jos=C3=A9?=',
+      'MIME-Version: 1.0',
+      'Content-Type: multipart/alternative; boundary="b1"',
+      '',
+      '--b1',
+      'Content-Type: text/html; charset=UTF-8',
+      'Content-Transfer-Encoding: quoted-printable',
+      '',
+      '<p>Naam: Jos=C3=A9 van der M=C3=BCller<br>Bericht: prijs &amp; service =',
+      '(10% korting)</p>',
+      '--b1--',
+      ''
+    ].join('\r\n');
+
+    const message = parseMailMessage(Buffer.from(raw, 'latin1'));
+    expect(message.from).toBe('noreply@jbit.be');
+    expect(message.to).toEqual(['info@jbit.be', 'sales@jbit.be']);
+    expect(message.subject).toBe('Nieuw bericht van José');
+    expect(message.text).toBe('Naam: José van der Müller\nBericht: prijs & service (10% korting)');
+  });
+
+  test('MD-002: Should deliver the notification mail with every submitted value', async () => {
+    const verifier = new MailDeliveryVerifier(createMailbox({ type: 'smtp-sink', sink }), definition, { timeout: 5000, pollInterval: 100 });
+    const token = MailDeliveryVerifier.createToken();
+    const data = verifier.withToken(unicode, token);
+
+    expect(outcomeOf(await server.submit(definition.id, data)).type).toBe(OUTCOMES.SUCCESS);
+
+    const message = await verifier.waitForMail(token);
+    verifier.assertDelivered(message, data);
+    expect(message.envelope.to).toEqual(['info@jbit.be']);
+    expect(message.headers['reply-to']).toBe(unicode.email);
+    expect(() => verifier.assertDelivered(message, { ...data, naam: 'Zhang Wei Jr.' }))
+      .toThrow(/name value "Zhang Wei Jr\." not found in the body/);
+  });
+
+  test('MD-003: Should report a failed email action as a server error', async () => {
+    await sink.stop();
+
+    expect(outcomeOf(await server.submit(definition.id, unicode)).type).toBe(OUTCOMES.SERVER_ERROR);
+    expect(server.getSubmissions()[0].actions).toEqual([
+      expect.objectContaining({ type: 'email', sent: false, error: expect.any(String) })
+    ]);
+  });
+
+  test('MD-004: Should configure mailbox adapters from the environment', () => {
+    expect(createMailboxFromEnv({})).toBeNull();
+    expect(createMailboxFromEnv({ MAILBOX: 'sink-http', MAIL_SINK_URL: 'http://127.0.0.1:8025' }).type).toBe('sink-http');
+    expect(() => createMailboxFromEnv({ MAILBOX: 'pigeon' })).toThrow(/Unknown mailbox adapter 'pigeon'/);
+  });
+
+  test('MD-005: Should find the mail of a browser submission by its correlation ID', async ({ page }) => {
+    const contactPage = new ContactFormPage(page);
+    contactPage.url = server.getFormUrl('jbit-contact-form');
+
+    const verifier = new MailDeliveryVerifier(createMailbox({ type: 'smtp-sink', sink }), definition, { timeout: 10000 });
+
+    await contactPage.navigate();
+    const data = await contactPage.fillContactForm(testData.test_data_sets.valid_data.happy_path_comprehensive);
+    expect((await contactPage.submitForm()).type).toBe(OUTCOMES.SUCCESS);
+
+    verifier.assertDelivered(await verifier.waitForMail(contactPage.correlationId), data);
+  });
+
+});
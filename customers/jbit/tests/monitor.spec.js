@@ -0,0 +1,154 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const { parseInterval, parseRuns, buildHistoryEntry, runMonitorCycle, startMonitor } = require('../../../scripts/monitor');
+const { appendHistory, readHistory, getHistoryStats } = require('../../../scripts/monitor-history');
+const { ANNOTATION_TYPE, OUTCOMES, recordOutcome } = require('../../../tests/utils/submission-outcome');
+
+/**
+ * JBIT Contact Form - Synthetic Monitoring
+ *
+ * The monitor runs a smoke scenario on an interval and keeps a local history
+ * of every run, from which the success rate and last failure are reported.
+ * The Playwright run itself is replaced by a fake runner here.
+ */
+test.describe('JBIT Contact Form - Synthetic Monitoring', { tag: '@jbit-contact-form' }, () => {
+
+  /**
+   * Summary of a run as getTestSummary() returns it
+   * @param {boolean} success - Whether every test passed
+   * @param {string} resultsFile - Results file the summary was read from
+   * @returns {Object} Summary
+   */
+  function summaryOf(success, resultsFile) {
+    return {
+      found: true,
+      resultsFile,
+      stats: { total: 2, passed: success ? 2 : 1, failed: success ? 0 : 1 },
+      outcomes: success ? { SUCCESS: 2 } : { SUCCESS: 1, SERVER_ERROR: 1 },
+      failures: success ? [] : [{
+        title: 'TC-001',
+        error: 'Expected SUCCESS\nReceived SERVER_ERROR',
+        outcome: OUTCOMES.SERVER_ERROR,
+        screenshot: 'customers/jbit/reports/test-artifacts/tc-001/test-failed-1.png'
+      }]
+    };
+  }
+
+  test('MO-001: Should parse monitor intervals and run counts', () => {
+    expect(parseInterval('30s')).toBe(30000);
+    expect(parseInterval('15m')).toBe(900000);
+    expect(parseInterval('1.5h')).toBe(5400000);
+    expect(parseInterval(2500)).toBe(2500);
+    expect(parseInterval(undefined)).toBe(900000);
+    expect(() => parseInterval('soon')).toThrow(/Invalid interval 'soon'/);
+    expect(() => parseInterval('0m')).toThrow(/Invalid interval/);
+
+    expect(parseRuns('3')).toBe(3);
+    expect(parseRuns(undefined)).toBe(Infinity);
+    for (const runs of ['0', 'abc', '', '2.5', -1]) {
+      expect(() => parseRuns(runs)).toThrow(`Option --runs needs a positive number, got '${runs}'`);
+    }
+  });
+
+  test('MO-002: Should compute success rate and last failure from the history', () => {
+    const file = test.info().outputPath('history.jsonl');
+    const run = { customer: 'jbit', scenario: 'happy-path', browser: 'chromium', duration: 1000 };
+
+    appendHistory(file, buildHistoryEntry({ ...run, exitCode: 0, startedAt: '2026-01-01T10:00:00.000Z' }, summaryOf(true)));
+    appendHistory(file, buildHistoryEntry({ ...run, exitCode: 1, startedAt: '2026-01-01T10:15:00.000Z' }, summaryOf(false)));
+    fs.appendFileSync(file, '{"timestamp": "2026-01-01T10:2'); // interrupted write
+    appendHistory(file, buildHistoryEntry({ ...run, exitCode: 0, startedAt: '2026-01-01T10:30:00.000Z' }, summaryOf(true)));
+    appendHistory(file, buildHistoryEntry({ ...run, exitCode: 0, startedAt: '2026-01-01T10:45:00.000Z' }, summaryOf(true)));
+
+    const stats = getHistoryStats(readHistory(file));
+    expect(stats).toMatchObject({
+      runs: 4,
+      passed: 3,
+      failed: 1,
+      successRate: 75,
+      averageDuration: 1000,
+      lastStatus: 'passed',
+      lastSuccessAt: '2026-01-01T10:45:00.000Z',
+      lastFailureAt: '2026-01-01T10:15:00.000Z'
+    });
+    expect(stats.lastFailure).toMatchObject({
+      outcome: OUTCOMES.SERVER_ERROR,
+      screenshot: summaryOf(false).failures[0].screenshot,
+      error: 'Expected SUCCESS'
+    });
+
+    expect(readHistory(file, { since: '2026-01-01T10:30:00.000Z' })).toHaveLength(2);
+    expect(readHistory(file, { limit: 1 })[0].timestamp).toBe('2026-01-01T10:45:00.000Z');
+    expect(getHistoryStats([])).toMatchObject({ runs: 0, successRate: null, lastFailure: null });
+  });
+
+  /**
+   * Fake runner that writes a results file like a Playwright run
+   * @param {string} resultsFile - Results file to write
+   * @param {Function} exitCode - Returns the exit code of each run
+   * @param {Array} calls - Collects the runScenario() arguments
+   * @returns {Object} Runner
+   */
+  function fakeRunner(resultsFile, exitCode, calls = []) {
+    return {
+      runScenario: async (...args) => {
+        calls.push(args);
+        fs.writeFileSync(resultsFile, '{}');
+        // File times come from a coarse clock and can trail the cycle start of a run this short
+        const writtenAt = new Date(Date.now() + 1000);
+        fs.utimesSync(resultsFile, writtenAt, writtenAt);
+        return exitCode();
+      }
+    };
+  }
+
+  test('MO-003: Should record a monitor run with its outcome class', async () => {
+    const historyFile = test.info().outputPath('history.jsonl');
+    const resultsFile = test.info().outputPath('test-results.json');
+    const calls = [];
+    const runner = fakeRunner(resultsFile, () => 1, calls);
+
+    const { entry, stats } = await runMonitorCycle(
+      { customer: 'jbit', form: 'jbit-contact-form', historyFile },
+      { runner, getSummary: () => summaryOf(false, resultsFile) }
+    );
+
+    expect(calls).toEqual([['happy-path', [], { form: 'jbit-contact-form', browser: 'chromium' }]]);
+    expect(entry).toMatchObject({ status: 'failed', exitCode: 1, outcome: OUTCOMES.SERVER_ERROR, tests: { total: 2, failed: 1 } });
+    expect(stats).toMatchObject({ runs: 1, successRate: 0, lastFailureAt: entry.timestamp });
+
+    // A run that wrote no results is an error, not a pass
+    const crashed = await runMonitorCycle({ historyFile }, { runner: { runScenario: async () => 0 }, getSummary: () => ({ found: false }) });
+    expect(crashed.entry).toMatchObject({ status: 'error', error: 'No test results written' });
+
+    // Nor is a run that left the previous cycle's results in place
+    const earlier = new Date(Date.now() - 60 * 1000);
+    fs.utimesSync(resultsFile, earlier, earlier);
+    const stale = await runMonitorCycle({ historyFile }, { runner: { runScenario: async () => 1 }, getSummary: () => summaryOf(false, resultsFile) });
+    expect(stale.entry).toMatchObject({ status: 'error', error: 'No test results written', tests: null, screenshot: null });
+  });
+
+  test('MO-004: Should run on an interval until the run limit', async () => {
+    const historyFile = test.info().outputPath('history.jsonl');
+    const resultsFile = test.info().outputPath('test-results.json');
+    const results = [0, 1, 0];
+    const runner = fakeRunner(resultsFile, () => results.shift());
+
+    const stats = await startMonitor(
+      { historyFile, interval: '10ms', maxRuns: 3 },
+      { runner, getSummary: () => summaryOf(results.length !== 1, resultsFile) }
+    );
+
+    expect(stats).toMatchObject({ runs: 3, passed: 2, failed: 1, lastStatus: 'passed' });
+
+    // No run count is not a reason to run forever
+    await expect(startMonitor({ historyFile, interval: '10ms', maxRuns: 0 }, { runner })).rejects.toThrow(/--runs/);
+  });
+
+  test('MO-005: Should record classified outcomes on the running test', () => {
+    recordOutcome({ type: OUTCOMES.RATE_LIMITED });
+
+    expect(test.info().annotations).toContainEqual({ type: ANNOTATION_TYPE, description: OUTCOMES.RATE_LIMITED });
+  });
+
+});
@@ -0,0 +1,397 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const net = require('net');
+const SmtpSinkServer = require('../../../tests/shared/SmtpSinkServer');
+const WebhookReceiverServer = require('../../../tests/shared/WebhookReceiverServer');
+const { getTestSummary } = require('../../../scripts/check-status');
+const { readRunState } = require('../../../scripts/run-state');
+const { loadAlertingConfig, renderTemplate, buildNotificationContext, evaluateTriggers, notify } = require('../../../scripts/notify');
+
+/**
+ * JBIT Contact Form - Failure Notifications
+ *
+ * The notifier reads config/alerting-config.yml and reports a run's Playwright
+ * JSON results by email, Slack, Teams, PagerDuty and custom webhook. All
+ * channels are delivered to local stand-ins: the SMTP sink and the webhook
+ * receiver, with one path per HTTP channel. Failure streaks, sent alerts and
+ * flapping are remembered per form in the run state file.
+ */
+test.describe('JBIT Contact Form - Failure Notifications', { tag: '@jbit-contact-form' }, () => {
+  const env = {
+    GITHUB_RUN_NUMBER: '42',
+    GITHUB_SERVER_URL: 'https://github.example',
+    GITHUB_REPOSITORY: 'jbit/form-tests',
+    GITHUB_RUN_ID: '9001',
+    GITHUB_SHA: 'abc1234',
+    GITHUB_REF_NAME: 'main'
+  };
+  let sink;
+  let receiver;
+  let config;
+  let runs = 0;
+
+  test.beforeEach(async () => {
+    sink = new SmtpSinkServer();
+    receiver = new WebhookReceiverServer();
+    const smtp = await sink.start();
+    await receiver.start();
+
+    config = loadAlertingConfig(undefined, {
+      SLACK_WEBHOOK_URL: `${receiver.url}/slack`,
+      TEAMS_WEBHOOK_URL: `${receiver.url}/teams`,
+      PAGERDUTY_INTEGRATION_KEY: 'pd-routing-key',
+      CUSTOM_WEBHOOK_URL: `${receiver.url}/custom`
+    });
+    config.email.smtp = { server: smtp.host, port: smtp.port };
+    config.pagerduty.events_url = `${receiver.url}/pagerduty`;
+  });
+
+  test.afterEach(async () => {
+    await receiver.stop();
+    await sink.stop();
+  });
+
+  /**
+   * Write a Playwright JSON report with one contact form test per browser and summarize it
+   * @param {Object} statuses - Result status by project, e.g. { chromium: 'passed', firefox: 'failed' }
+   * @param {string} title - Test title
+   * @param {string} form - Form the test is tagged with
+   * @returns {Object} Summary from getTestSummary()
+   */
+  function runWith(statuses, title = 'TC-001: Should submit the contact form', form = 'jbit-contact-form') {
+    const projects = Object.keys(statuses);
+    const failed = projects.filter(project => statuses[project] === 'failed').length;
+    const file = test.info().outputPath(`results-${Date.now()}-${Math.random().toString(16).slice(2)}.json`);
+
+    fs.writeFileSync(file, JSON.stringify({
+      config: { projects: projects.map(name => ({ name })), metadata: {} },
+      suites: [{
+        title: 'contact-form.spec.js',
+        specs: [],
+        suites: [{
+          title: 'JBIT Contact Form',
+          specs: [{
+            title,
+            tags: [form],
+            tests: projects.map((projectName, index) => ({
+              projectName,
+              results: [{
+                // Workers are not projects: the last project ran on the first worker
+                workerIndex: projects.length - 1 - index,
+                status: statuses[projectName],
+                duration: 1200,
+                ...(statuses[projectName] === 'failed' ? { error: { message: 'Expected SUCCESS, received SERVER_ERROR' } } : {})
+              }]
+            }))
+          }]
+        }]
+      }],
+      // Every report is a run of its own
+      stats: { startTime: new Date(Date.UTC(2026, 0, 1) + ++runs * 1000).toISOString(), expected: projects.length - failed, unexpected: failed, skipped: 0, flaky: 0 }
+    }));
+
+    return getTestSummary('jbit', file);
+  }
+
+  /**
+   * Notify about a run of a scheduled workflow
+   * @param {Object} summary - Summary from runWith()
+   * @param {Object} options - Extra notify() options
+   * @returns {Promise<Object>} Report
+   */
+  function notifySchedule(summary, options = {}) {
+    return notify(summary, {
+      config,
+      env,
+      event: 'schedule',
+      stateFile: test.info().outputPath('run-state.json'),
+      ...options
+    });
+  }
+
+  test('NT-001: Should render the configured templates from the test results', () => {
+    const summary = runWith({ chromium: 'passed', firefox: 'failed' });
+    const context = buildNotificationContext(summary, { env, now: new Date('2026-01-01T10:15:00Z') });
+
+    expect(context).toMatchObject({
+      status: 'failure',
+      run_number: '42',
+      failed_count: 1,
+      total_count: 2,
+      browser: 'firefox',
+      workflow_url: 'https://github.example/jbit/form-tests/actions/runs/9001',
+      date: '2026-01-01 10:15 UTC',
+      all_browsers_failed: false
+    });
+
+    const email = renderTemplate(config.email.templates.failure, context);
+    expect(email.subject).toBe('🚨 JBIT Form Tests Failed - Run #42');
+    expect(email.body).toContain('- Failed Tests: 1\n- Total Tests: 2\n- Browser: firefox');
+    expect(email.body).toContain('- Commit: abc1234\n- Branch: main');
+
+    expect(renderTemplate(config.slack.templates.failure.text, context))
+      .toContain('<https://github.example/jbit/form-tests/actions/runs/9001|📊 View Results>');
+    expect(renderTemplate(config.webhook.payload, context).test_summary).toEqual({ total: 2, passed: 1, failed: 1, browser: 'firefox' });
+    expect(renderTemplate('{unknown} stays', context)).toBe('{unknown} stays');
+
+    // Unset secrets leave a channel unconfigured
+    expect(loadAlertingConfig(undefined, {}).slack.webhook_url).toBe('');
+  });
+
+  test('NT-002: Should only notify on the events and statuses of rules.triggers', () => {
+    const someFailed = buildNotificationContext(runWith({ chromium: 'passed', firefox: 'failed' }), { env });
+    const allFailed = buildNotificationContext(runWith({ chromium: 'failed', firefox: 'failed' }), { env });
+    const recovered = { ...someFailed, status: 'recovery' };
+
+    expect(evaluateTriggers(config.rules, 'schedule', someFailed).notify).toBe(true);
+    expect(evaluateTriggers(config.rules, 'schedule', recovered).notify).toBe(true);
+    expect(evaluateTriggers(config.rules, 'workflow_dispatch', recovered))
+      .toEqual({ notify: false, reason: "'workflow_dispatch' runs do not notify on recovery" });
+    expect(evaluateTriggers(config.rules, 'push', someFailed))
+      .toEqual({ notify: false, reason: 'Condition all_browsers_failed: true not met' });
+    expect(evaluateTriggers(config.rules, 'push', allFailed).notify).toBe(true);
+    expect(evaluateTriggers(config.rules, 'pull_request', allFailed).notify).toBe(false);
+    expect(evaluateTriggers(config.rules, 'release', allFailed).reason).toBe("No trigger for 'release' runs");
+  });
+
+  test('NT-003: Should deliver a failure through every configured channel', async () => {
+    const report = await notifySchedule(runWith({ chromium: 'failed', firefox: 'failed' }), { environment: 'staging' });
+
+    expect(report).toMatchObject({ status: 'failure', notify: true, failed: [], skipped: [] });
+    expect(report.sent.map(entry => entry.channel)).toEqual(['email', 'slack', 'teams', 'pagerduty', 'webhook']);
+
+    const mail = await sink.waitForMessage('JBIT Form Tests Failed');
+    expect(mail.envelope.to).toEqual(['dev-team@jbit.com']);
+    expect(mail.text).toContain('Failed Tests: 2');
+
+    const calls = Object.fromEntries(receiver.getRequests().map(request => [request.path, request.payload]));
+    expect(calls['/slack']).toMatchObject({ channel: '#jbit-dev', attachments: [{ color: 'danger' }] });
+    expect(calls['/slack'].attachments[0].text).toContain('• Failed: 2/2 tests');
+    expect(calls['/teams']).toMatchObject({ '@type': 'MessageCard', title: 'JBIT Form Tests Failed' });
+    expect(calls['/pagerduty']).toMatchObject({
+      routing_key: 'pd-routing-key',
+      event_action: 'trigger',
+      dedup_key: 'jbit-form-tests',
+      payload: { severity: 'error' }
+    });
+    expect(calls['/custom']).toMatchObject({ customer: 'jbit', status: 'failure', test_summary: { failed: 2, browser: 'chromium, firefox' } });
+  });
+
+  test('NT-004: Should hold back similar failures during the cooldown', async () => {
+    const start = new Date('2026-01-01T10:00:00Z');
+    const minutes = (n) => new Date(start.getTime() + n * 60 * 1000);
+    const failing = () => runWith({ chromium: 'failed', firefox: 'passed' });
+
+    expect((await notifySchedule(failing(), { now: start })).notify).toBe(true);
+
+    const repeated = await notifySchedule(failing(), { now: minutes(10) });
+    expect(repeated).toMatchObject({ notify: false, sent: [] });
+    expect(repeated.reason).toBe('Same failure notified at 2026-01-01T10:00:00.000Z (cooldown 30m)');
+
+    // Another failing test is not similar
+    const other = await notifySchedule(runWith({ chromium: 'failed', firefox: 'passed' }, 'TC-002: Should reject an empty form'), { now: minutes(15) });
+    expect(other.notify).toBe(true);
+
+    expect((await notifySchedule(failing(), { now: minutes(31) })).notify).toBe(true);
+
+    const limited = await notifySchedule(runWith({ chromium: 'failed', firefox: 'failed' }), { now: minutes(40) });
+    expect(limited.reason).toBe('Rate limit: 3 notifications in the last hour (max 3)');
+  });
+
+  test('NT-005: Should send a recovery message once the tests pass again', async () => {
+    const failedAt = new Date('2026-01-01T10:00:00Z');
+    await notifySchedule(runWith({ chromium: 'failed', firefox: 'passed' }), { now: failedAt });
+    await notifySchedule(runWith({ chromium: 'failed', firefox: 'passed' }), { now: new Date('2026-01-01T10:15:00Z') });
+    sink.clearMessages();
+    receiver.clearRequests();
+
+    const recovery = await notifySchedule(runWith({ chromium: 'passed', firefox: 'passed' }), { now: new Date('2026-01-01T10:30:00Z') });
+
+    expect(recovery).toMatchObject({ status: 'recovery', notify: true });
+    expect(recovery.skipped).toEqual([{ channel: 'teams', reason: 'No recovery template' }]);
+
+    const mail = await sink.waitForMessage('JBIT Form Tests Recovered');
+    expect(mail.text).toContain('- Previous Failure: 2026-01-01 10:00 UTC');
+
+    const calls = Object.fromEntries(receiver.getRequests().map(request => [request.path, request.payload]));
+    expect(calls['/slack'].attachments[0]).toMatchObject({ color: 'good' });
+    expect(calls['/pagerduty']).toEqual({ routing_key: 'pd-routing-key', event_action: 'resolve', dedup_key: 'jbit-form-tests' });
+    expect(calls['/custom']).toMatchObject({ status: 'recovery' });
+
+    // Passing again is no news
+    const passing = await notifySchedule(runWith({ chromium: 'passed', firefox: 'passed' }), { now: new Date('2026-01-01T10:45:00Z') });
+    expect(passing).toMatchObject({ status: 'success', notify: false });
+  });
+
+  test('NT-006: Should report channels that could not be delivered', async () => {
+    receiver.setStatus(500);
+    const custom = [];
+
+    const report = await notifySchedule(runWith({ chromium: 'failed', firefox: 'failed' }), {
+      transports: { email: { send: async (message) => custom.push(message) } }
+    });
+
+    expect(custom).toEqual([expect.objectContaining({ subject: '🚨 JBIT Form Tests Failed - Run #42' })]);
+    expect(report.sent.map(entry => entry.channel)).toEqual(['email']);
+    expect(report.failed.map(entry => entry.channel)).toEqual(['slack', 'teams', 'pagerduty', 'webhook']);
+    expect(report.failed[0].error).toBe(`${receiver.url}/slack answered 500`);
+
+    const dryRun = await notifySchedule(runWith({ chromium: 'failed', firefox: 'failed' }, 'TC-003'), { dryRun: true });
+    expect(dryRun).toMatchObject({ notify: true, failed: [] });
+    expect(sink.getMessages()).toHaveLength(0);
+  });
+
+  test('NT-007: Should keep the failure streak of each form in the run state', async () => {
+    const at = (time) => new Date(`2026-01-01T${time}:00Z`);
+    const contactForm = { form: 'jbit-contact-form', environment: 'staging' };
+
+    await notifySchedule(runWith({ chromium: 'failed' }), { ...contactForm, now: at('10:00') });
+    await notifySchedule(runWith({ chromium: 'passed' }, 'NL-001: Should subscribe', 'jbit-newsletter'), { form: 'jbit-newsletter', now: at('10:05') });
+    const third = await notifySchedule(runWith({ chromium: 'failed' }), { ...contactForm, now: at('10:40') });
+    await notifySchedule(runWith({ chromium: 'failed' }), { ...contactForm, now: at('10:50') });
+
+    const state = readRunState(test.info().outputPath('run-state.json'));
+    expect(state.forms['jbit-newsletter']).toMatchObject({ lastStatus: 'success', consecutiveFailures: 0 });
+    expect(state.forms['jbit-contact-form']).toMatchObject({
+      lastStatus: 'failure',
+      consecutiveFailures: 3,
+      firstFailureAt: '2026-01-01T10:00:00.000Z',
+      lastNotification: { at: '2026-01-01T10:40:00.000Z', status: 'failure' }
+    });
+
+    // The repeat after the cooldown says how long the form has been failing
+    expect(third.context).toMatchObject({ form: 'jbit-contact-form', consecutive_failures: 2, first_failure_date: '2026-01-01 10:00 UTC' });
+    const mails = sink.getMessages('JBIT Form Tests Failed');
+    expect(mails).toHaveLength(2);
+    expect(mails[1].text).toContain('- Failing Since: 2026-01-01 10:00 UTC (2 runs in a row)');
+
+    const recovery = await notifySchedule(runWith({ chromium: 'passed' }), { ...contactForm, now: at('11:00') });
+    expect(recovery).toMatchObject({ status: 'recovery', context: { previous_failure_date: '2026-01-01 10:00 UTC' } });
+    expect(recovery.state).toMatchObject({ consecutiveFailures: 0, firstFailureAt: null, lastSuccessAt: '2026-01-01T11:00:00.000Z' });
+  });
+
+  test('NT-008: Should report a flapping form once and hold back its alerts until it settles', async () => {
+    config.rules.flapping = { window: 6, threshold: 4 };
+    const statuses = ['failed', 'passed', 'failed', 'passed', 'failed', 'passed', 'passed', 'passed', 'failed'];
+    const reports = [];
+
+    for (const [index, status] of statuses.entries()) {
+      const now = new Date(Date.UTC(2026, 0, 1, 10, index * 10));
+      reports.push(await notifySchedule(runWith({ chromium: status }), { form: 'jbit-contact-form', now }));
+    }
+
+    expect(reports.map(report => report.status)).toEqual([
+      'failure', 'recovery', 'failure', 'recovery', 'flapping', 'recovery', 'success', 'success', 'failure'
+    ]);
+    expect(reports.map(report => report.notify)).toEqual([true, true, false, false, true, false, false, false, true]);
+    expect(reports[5].reason).toBe('Flapping since 2026-01-01T10:40:00.000Z: 5 status changes in the last 6 runs');
+    expect(reports[6].state).toMatchObject({ flapping: true, statusChanges: 4 });
+    expect(reports[7].state).toMatchObject({ flapping: false, flappingSince: null, statusChanges: 3 });
+
+    const mail = await sink.waitForMessage('JBIT Form Tests Flapping - jbit-contact-form');
+    expect(mail.text).toContain('- Status Changes: 4 in the last 5 runs');
+    const slack = receiver.getRequests().filter(request => request.path === '/slack').map(request => request.payload.attachments[0]);
+    expect(slack.map(attachment => attachment.color)).toEqual(['danger', 'good', 'warning', 'danger']);
+  });
+
+  test('NT-009: Should log in to the SMTP relay and skip email until its credentials are set', async () => {
+    const shipped = loadAlertingConfig(undefined, {});
+    expect(shipped.email.smtp).toMatchObject({ server: 'smtp.gmail.com', port: 587, tls: true, username: '' });
+
+    const unset = await notifySchedule(runWith({ chromium: 'failed' }), { config: { ...config, email: shipped.email } });
+    expect(unset.failed).toEqual([]);
+    expect(unset.skipped).toEqual([{ channel: 'email', reason: 'smtp.username not configured' }]);
+
+    // The sink takes any AUTH PLAIN login but offers no STARTTLS
+    config.email.smtp = { ...config.email.smtp, username: 'alerts@jbit.com', password: 'app-password' };
+    const sent = await notifySchedule(runWith({ chromium: 'failed' }, 'TC-002'));
+    expect(sent.failed).toEqual([]);
+    const mail = await sink.waitForMessage('JBIT Form Tests Failed');
+    expect(mail.envelope.from).toBe('alerts@jbit.com');
+
+    config.email.smtp.tls = true;
+    const refused = await notifySchedule(runWith({ chromium: 'failed' }, 'TC-003'));
+    expect(refused.failed.map(entry => entry.error)).toEqual([`SMTP server ${sink.host}:${sink.port} does not offer STARTTLS`]);
+  });
+
+  test('NT-012: Should fail the email when the SMTP relay hangs up mid-dialogue', async () => {
+    // A relay that offers STARTTLS and AUTH, answers everything else and drops the connection on one command
+    let dropOn;
+    const relay = net.createServer(socket => {
+      socket.write('220 relay ready\r\n');
+      socket.on('data', chunk => {
+        const command = chunk.toString('utf8');
+        if (command.startsWith(dropOn)) {
+          socket.destroy();
+        } else if (command.startsWith('EHLO')) {
+          socket.write('250-relay\r\n250-STARTTLS\r\n250 AUTH PLAIN\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      });
+    });
+    await new Promise(resolve => relay.listen(0, '127.0.0.1', resolve));
+    const { port } = relay.address();
+    config.email.smtp = { server: '127.0.0.1', port, username: 'alerts@jbit.com', password: 'app-password' };
+
+    try {
+      for (const [command, tls] of [['STARTTLS', true], ['AUTH', false]]) {
+        dropOn = command;
+        config.email.smtp.tls = tls;
+        const report = await notifySchedule(runWith({ chromium: 'failed' }, `TC-${command}`));
+        expect(report.failed).toEqual([expect.objectContaining({
+          channel: 'email',
+          error: `SMTP server 127.0.0.1:${port} closed the connection before replying`
+        })]);
+      }
+    } finally {
+      await new Promise(resolve => relay.close(resolve));
+    }
+  });
+
+  test('NT-010: Should record a run once however often it is reported', async () => {
+    const at = (time) => new Date(`2026-01-01T${time}:00Z`);
+    const summary = runWith({ chromium: 'failed' });
+
+    const first = await notifySchedule(summary, { now: at('10:00') });
+    expect(first).toMatchObject({ notify: true, state: { consecutiveFailures: 1, lastRunId: summary.runId } });
+
+    // Same results, reported again later: no longer streak, no status change, no repeated alert
+    for (const time of ['10:40', '11:20']) {
+      const repeated = await notifySchedule(getTestSummary('jbit', summary.resultsFile), { now: at(time) });
+      expect(repeated).toMatchObject({ notify: false, sent: [], reason: `Run ${summary.runId} was already recorded at 2026-01-01T10:00:00.000Z` });
+      expect(repeated.state).toMatchObject({ consecutiveFailures: 1, recent: [{ status: 'failure' }], lastRunAt: '2026-01-01T10:00:00.000Z' });
+    }
+
+    // Reports without a start time are told apart by their content
+    const withoutStart = test.info().outputPath('results-without-start.json');
+    const report = JSON.parse(fs.readFileSync(summary.resultsFile, 'utf8'));
+    delete report.stats.startTime;
+    fs.writeFileSync(withoutStart, JSON.stringify(report));
+    const next = await notifySchedule(getTestSummary('jbit', withoutStart), { now: at('12:00') });
+    expect(next.state.consecutiveFailures).toBe(2);
+    expect((await notifySchedule(getTestSummary('jbit', withoutStart), { now: at('12:40') })).state.consecutiveFailures).toBe(2);
+  });
+
+  test('NT-011: Should judge a form by its own tests', async () => {
+    // One run: the contact form fails in chromium, the newsletter passes
+    const contactForm = runWith({ chromium: 'failed', firefox: 'passed' });
+    const report = JSON.parse(fs.readFileSync(contactForm.resultsFile, 'utf8'));
+    const newsletter = JSON.parse(fs.readFileSync(runWith({ chromium: 'passed', firefox: 'passed' }, 'NL-001: Should subscribe', 'jbit-newsletter').resultsFile, 'utf8'));
+    report.suites.push(...newsletter.suites);
+    fs.writeFileSync(contactForm.resultsFile, JSON.stringify(report));
+    const summary = getTestSummary('jbit', contactForm.resultsFile);
+
+    const passing = await notifySchedule(summary, { form: 'jbit-newsletter' });
+    expect(passing).toMatchObject({ status: 'success', notify: false, context: { total_count: 2, failed_count: 0 } });
+    expect(passing.state).toMatchObject({ lastStatus: 'success', consecutiveFailures: 0 });
+
+    const failing = await notifySchedule(summary, { form: 'jbit-contact-form' });
+    expect(failing).toMatchObject({ status: 'failure', notify: true, context: { total_count: 2, failed_count: 1, browser: 'chromium' } });
+    expect(failing.state).toMatchObject({ lastStatus: 'failure', consecutiveFailures: 1 });
+
+    await expect(notifySchedule(summary, { form: 'jbit-quote' }))
+      .rejects.toThrow(`No tests tagged @jbit-quote in ${contactForm.resultsFile}`);
+  });
+
+});
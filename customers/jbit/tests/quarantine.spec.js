@@ -0,0 +1,173 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const { aggregateResultsHistory } = require('../../../scripts/results-history');
+const { getTestSummary } = require('../../../scripts/check-status');
+const {
+  ALL_BROWSERS,
+  findQuarantined,
+  addToQuarantine,
+  removeFromQuarantine,
+  countCleanRuns,
+  updateQuarantine
+} = require('../../../scripts/quarantine');
+
+/**
+ * JBIT Contact Form - Flaky Test Quarantine
+ *
+ * Tests that only pass on a CI retry in several recent runs are quarantined:
+ * they keep running, their failures are reported separately and do not fail
+ * the build, and they are released after enough clean runs in a row.
+ */
+test.describe('JBIT Contact Form - Flaky Test Quarantine', { tag: '@jbit-contact-form' }, () => {
+
+  const settings = { window: 10, flakyRuns: 2, releaseAfter: 3 };
+  const empty = { tests: [], released: [] };
+
+  /**
+   * Playwright JSON results of one run
+   * @param {number} day - Day of January 2026 the run started
+   * @param {Object} tests - Test status by title and browser, e.g. { 'TC-001': { firefox: 'flaky' } }
+   * @returns {Object} Results
+   */
+  function run(day, tests) {
+    const attempts = {
+      expected: [{ status: 'passed', duration: 1000 }],
+      unexpected: [
+        { status: 'failed', duration: 1000, error: { message: 'Expected SUCCESS, received SERVER_ERROR' } },
+        { status: 'failed', duration: 1000, error: { message: 'Expected SUCCESS, received SERVER_ERROR' } }
+      ],
+      flaky: [{ status: 'timedOut', duration: 30000, error: { message: 'Test timeout of 30000ms exceeded.' } }, { status: 'passed', duration: 1000 }]
+    };
+    const statuses = Object.values(tests).flatMap(Object.values);
+
+    return {
+      config: { metadata: {} },
+      stats: {
+        startTime: `2026-01-${String(day).padStart(2, '0')}T10:00:00.000Z`,
+        expected: statuses.filter(status => status === 'expected').length,
+        unexpected: statuses.filter(status => status === 'unexpected').length,
+        flaky: statuses.filter(status => status === 'flaky').length,
+        skipped: 0
+      },
+      suites: [{
+        title: 'contact-form.spec.js',
+        file: 'contact-form.spec.js',
+        specs: Object.entries(tests).map(([title, browsers]) => ({
+          title,
+          file: 'contact-form.spec.js',
+          tests: Object.entries(browsers).map(([projectName, status]) => ({ projectName, status, results: attempts[status] }))
+        }))
+      }]
+    };
+  }
+
+  /**
+   * Runs of TC-001 in firefox with the given statuses, one per day
+   * @param {Array<string>} statuses - Statuses, oldest first
+   * @param {number} firstDay - Day of the first run
+   * @returns {Array<Object>} Runs
+   */
+  function firefoxRuns(statuses, firstDay = 1) {
+    return statuses.map((status, index) => run(firstDay + index, { 'TC-001': { firefox: status, chromium: 'expected' } }));
+  }
+
+  test('QU-001: Should quarantine tests that were flaky in several recent runs', () => {
+    const once = updateQuarantine(empty, aggregateResultsHistory(firefoxRuns(['expected', 'flaky', 'expected'])), settings, '2026-01-04T00:00:00.000Z');
+    expect(once.added).toEqual([]);
+
+    const { quarantine, added } = updateQuarantine(empty,
+      aggregateResultsHistory(firefoxRuns(['flaky', 'expected', 'flaky', 'expected'])), settings, '2026-01-05T00:00:00.000Z');
+
+    expect(added).toEqual([{
+      key: 'TC-001 [firefox]',
+      title: 'TC-001',
+      browser: 'firefox',
+      since: '2026-01-01T10:00:00.000Z',
+      reason: 'Flaky in 2 of the last 4 runs',
+      flakyRuns: 2,
+      cleanRuns: 0
+    }]);
+    expect(findQuarantined(quarantine, 'TC-001', 'firefox')).toMatchObject({ key: 'TC-001 [firefox]' });
+    expect(findQuarantined(quarantine, 'TC-001', 'chromium')).toBeNull();
+
+    // Flaky runs that dropped out of the window no longer count
+    const old = updateQuarantine(empty, aggregateResultsHistory(firefoxRuns(['flaky', 'flaky', 'expected', 'expected'])), { ...settings, window: 2 });
+    expect(old.added).toEqual([]);
+  });
+
+  test('QU-002: Should release a quarantined test after enough clean runs in a row', () => {
+    const runs = firefoxRuns(['flaky', 'flaky', 'expected', 'flaky', 'expected', 'expected']);
+    const { quarantine } = updateQuarantine(empty, aggregateResultsHistory(runs.slice(0, 2)), settings, '2026-01-03T00:00:00.000Z');
+
+    const still = updateQuarantine(quarantine, aggregateResultsHistory(runs), settings, '2026-01-07T00:00:00.000Z');
+    expect(still.released).toEqual([]);
+    expect(still.quarantine.tests[0].cleanRuns).toBe(2);
+
+    const later = [...runs, ...firefoxRuns(['skipped', 'expected'], 7)];
+    const { quarantine: after, released } = updateQuarantine(still.quarantine, aggregateResultsHistory(later), settings, '2026-01-09T00:00:00.000Z');
+    expect(released).toEqual([{
+      key: 'TC-001 [firefox]',
+      title: 'TC-001',
+      browser: 'firefox',
+      since: '2026-01-01T10:00:00.000Z',
+      releasedAt: '2026-01-09T00:00:00.000Z',
+      cleanRuns: 3
+    }]);
+    expect(after.tests).toEqual([]);
+
+    // The flaky runs before the release do not quarantine it again, new ones do
+    expect(updateQuarantine(after, aggregateResultsHistory(later), settings, '2026-01-09T01:00:00.000Z').added).toEqual([]);
+    const relapse = [...later, ...firefoxRuns(['flaky', 'flaky'], 10)];
+    expect(updateQuarantine(after, aggregateResultsHistory(relapse), settings).added)
+      .toMatchObject([{ key: 'TC-001 [firefox]', since: '2026-01-10T10:00:00.000Z', flakyRuns: 2 }]);
+  });
+
+  test('QU-003: Should report quarantined failures separately without failing the build', () => {
+    const file = test.info().outputPath('test-results.json');
+    fs.writeFileSync(file, JSON.stringify(run(1, {
+      'TC-001': { firefox: 'unexpected', chromium: 'expected' },
+      'TC-002': { firefox: 'flaky', chromium: 'expected' }
+    })));
+    const quarantine = addToQuarantine(empty, { title: 'TC-001', browser: 'firefox' }, '2026-01-01T00:00:00.000Z');
+
+    const summary = getTestSummary('jbit', file, quarantine);
+    expect(summary.success).toBe(true);
+    expect(summary.stats).toMatchObject({ failed: 1, flaky: 1, quarantined: 1 });
+    expect(summary.quarantined.map(failure => [failure.file, failure.project])).toEqual([['TC-001', 'firefox'], ['TC-001', 'firefox']]);
+    expect(summary.failures.map(failure => [failure.file, failure.project])).toEqual([['TC-002', 'firefox']]);
+    expect(summary.quarantine).toEqual(quarantine.tests);
+
+    // The same failure outside the quarantine fails the build
+    const unquarantined = getTestSummary('jbit', file, empty);
+    expect(unquarantined.success).toBe(false);
+    expect(unquarantined.failures).toHaveLength(3);
+    expect(getTestSummary('jbit', file, addToQuarantine(empty, { title: 'TC-001', browser: 'chromium' })).success).toBe(false);
+  });
+
+  test('QU-004: Should quarantine and release tests by hand', () => {
+    const quarantine = addToQuarantine(empty, { title: 'TC-001' }, '2026-01-02T00:00:00.000Z');
+    expect(quarantine.tests).toEqual([{
+      key: `TC-001 [${ALL_BROWSERS}]`,
+      title: 'TC-001',
+      browser: ALL_BROWSERS,
+      since: '2026-01-02T00:00:00.000Z',
+      reason: 'Quarantined by hand',
+      flakyRuns: 0,
+      cleanRuns: 0,
+      manual: true
+    }]);
+    expect(addToQuarantine(quarantine, { title: 'TC-001' })).toBe(quarantine);
+    expect(findQuarantined(quarantine, 'TC-001', 'webkit')).not.toBeNull();
+    expect(removeFromQuarantine(quarantine, { title: 'TC-001', browser: 'webkit' }).tests).toHaveLength(1);
+    expect(removeFromQuarantine(quarantine, { title: 'TC-001' }).tests).toEqual([]);
+
+    // Only runs since the quarantine count, and every browser must be clean
+    expect(countCleanRuns(['flaky', 'passed', null, 'skipped', 'passed'])).toBe(2);
+    expect(countCleanRuns(['passed', 'failed'])).toBe(0);
+    const runs = firefoxRuns(['expected', 'expected', 'expected', 'flaky', 'expected', 'expected']);
+    const { quarantine: updated, released } = updateQuarantine(quarantine, aggregateResultsHistory(runs), settings);
+    expect(released).toEqual([]);
+    expect(updated.tests[0].cleanRuns).toBe(2);
+  });
+
+});
@@ -0,0 +1,64 @@
+const { test, expect } = require('@playwright/test');
+const FormPage = require('../../../tests/shared/FormPage');
+const { loadFormRegistry } = require('../../../tests/utils/form-registry');
+const RecaptchaHandler = require('./utils/recaptcha-handler');
+const { config } = require('./utils/test-config');
+
+/**
+ * JBIT Registered Forms
+ *
+ * Runs the same checks for every form in customers/jbit/forms/forms-list.json
+ * through the generic FormPage, so adding a form is a JSON change only.
+ */
+for (const definition of loadFormRegistry('jbit')) {
+  test.describe(`JBIT Registered Form: ${definition.id}`, { tag: `@${definition.id}` }, () => {
+    let formPage;
+
+    test.beforeEach(async ({ page }) => {
+      formPage = new FormPage(page, definition, {
+        baseUrl: config.baseUrl,
+        securityHandler: new RecaptchaHandler(page)
+      });
+      await formPage.navigate();
+    });
+
+    test('RF-001: Should render every defined field', async ({ page }) => {
+      for (const field of definition.fields) {
+        await expect(page.locator(formPage.getFieldSelector(field)).first()).toBeVisible();
+      }
+      await expect(page.locator(definition.submit_button.selector).first()).toBeEnabled();
+    });
+
+    test('RF-002: Should submit generated sample data successfully', async () => {
+      const data = await formPage.fill(formPage.buildSampleData());
+
+      const values = await formPage.getValues();
+      for (const field of definition.fields) {
+        expect(values[field.name]).toEqual(data[field.name]);
+      }
+
+      await formPage.submit();
+      const outcome = await formPage.outcome();
+
+      console.log(`Outcome for ${definition.id}:`, outcome);
+      expect(outcome.status).toBe('success');
+    });
+
+    test('RF-003: Should block submission when required fields are empty', async () => {
+      const requiredFields = definition.fields.filter(field => field.required);
+      test.skip(requiredFields.length === 0, 'Form has no required fields');
+
+      const data = formPage.buildSampleData();
+      requiredFields.forEach(field => { data[field.name] = ''; });
+      await formPage.fill(data);
+
+      await formPage.submit();
+      const outcome = await formPage.outcome();
+
+      expect(['client_validation', 'field_errors']).toContain(outcome.status);
+      for (const field of requiredFields) {
+        expect(outcome.fieldErrors).toHaveProperty(field.name);
+      }
+    });
+  });
+}
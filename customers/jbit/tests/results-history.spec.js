@@ -0,0 +1,164 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const path = require('path');
+const {
+  archiveResults,
+  loadResultsHistory,
+  normalizeFailureReason,
+  aggregateResultsHistory,
+  renderDashboard
+} = require('../../../scripts/results-history');
+const { DURATION_ANNOTATION, getResponseDuration, recordOutcome } = require('../../../tests/utils/submission-outcome');
+
+/**
+ * JBIT Contact Form - Results History
+ *
+ * Every run's Playwright JSON results are archived; `status --history` and the
+ * HTML dashboard aggregate them into pass rates per browser and test over
+ * time, median submission durations, failure reasons and flakiness scores.
+ */
+test.describe('JBIT Contact Form - Results History', { tag: '@jbit-contact-form' }, () => {
+
+  /**
+   * Playwright JSON results of one run
+   * @param {string} startTime - Run start (ISO)
+   * @param {Object} tests - Test status by title and browser, e.g. { 'TC-001': { chromium: 'flaky' } }
+   * @returns {Object} Results
+   */
+  function run(startTime, tests) {
+    const attempt = (status, duration, error) => ({
+      status,
+      duration: 2000,
+      annotations: [
+        { type: 'submission-outcome', description: status === 'passed' ? 'SUCCESS' : 'SERVER_ERROR' },
+        { type: DURATION_ANNOTATION, description: String(duration) }
+      ],
+      ...(error ? { error: { message: error } } : {})
+    });
+    const attempts = {
+      expected: [attempt('passed', 400)],
+      unexpected: [
+        attempt('failed', 900, 'Error: expect(received).toBe(expected)\n\nExpected: "SUCCESS"\nReceived: "SERVER_ERROR"'),
+        attempt('failed', 950, 'Error: expect(received).toBe(expected)\n\nExpected: "SUCCESS"\nReceived: "SERVER_ERROR"')
+      ],
+      flaky: [attempt('timedOut', 30000, 'Test timeout of 30000ms exceeded.'), attempt('passed', 600)]
+    };
+
+    return {
+      stats: { startTime, duration: 60000 },
+      suites: [{
+        title: 'contact-form.spec.js',
+        file: 'contact-form.spec.js',
+        specs: [],
+        suites: [{
+          title: 'JBIT Contact Form',
+          specs: Object.entries(tests).map(([title, browsers]) => ({
+            title,
+            file: 'contact-form.spec.js',
+            tests: Object.entries(browsers).map(([projectName, status]) => ({
+              projectName,
+              status,
+              results: attempts[status]
+            }))
+          }))
+        }]
+      }]
+    };
+  }
+
+  const runs = [
+    run('2026-01-01T10:00:00.000Z', { 'TC-001': { chromium: 'expected', firefox: 'expected' }, 'TC-002': { chromium: 'expected', firefox: 'unexpected' } }),
+    run('2026-01-02T10:00:00.000Z', { 'TC-001': { chromium: 'expected', firefox: 'flaky' }, 'TC-002': { chromium: 'expected', firefox: 'expected' } }),
+    run('2026-01-03T10:00:00.000Z', { 'TC-001': { chromium: 'expected', firefox: 'expected' }, 'TC-002': { chromium: 'expected', firefox: 'unexpected' } })
+  ];
+
+  test('RH-001: Should archive each run once and load the archive in order', () => {
+    const historyDir = test.info().outputPath('results-history');
+    const resultsFile = test.info().outputPath('test-results.json');
+
+    for (const results of [runs[2], runs[0], runs[1]]) {
+      fs.writeFileSync(resultsFile, JSON.stringify(results));
+      archiveResults(resultsFile, historyDir);
+    }
+    expect(path.basename(archiveResults(resultsFile, historyDir))).toBe('2026-01-02T10-00-00-000Z.json');
+    fs.writeFileSync(path.join(historyDir, '2026-01-04T10-00-00-000Z.json'), '{"stats": {"startTime"');
+
+    expect(fs.readdirSync(historyDir)).toHaveLength(4);
+    expect(loadResultsHistory(historyDir).map(results => results.stats.startTime))
+      .toEqual(['2026-01-01T10:00:00.000Z', '2026-01-02T10:00:00.000Z', '2026-01-03T10:00:00.000Z']);
+    expect(loadResultsHistory(historyDir, { limit: 1 })[0].stats.startTime).toBe('2026-01-03T10:00:00.000Z');
+
+    archiveResults(resultsFile, historyDir, 2);
+    expect(fs.readdirSync(historyDir).sort()).toEqual(['2026-01-03T10-00-00-000Z.json', '2026-01-04T10-00-00-000Z.json']);
+    expect(archiveResults(test.info().outputPath('missing.json'), historyDir)).toBeNull();
+  });
+
+  test('RH-002: Should report pass rates per browser and test over time', () => {
+    const history = aggregateResultsHistory(runs);
+
+    expect(history.browsers).toEqual(['chromium', 'firefox']);
+    expect(history.runs.map(summary => summary.browsers.firefox.passRate)).toEqual([50, 100, 50]);
+    expect(history.runs.map(summary => summary.browsers.chromium.passRate)).toEqual([100, 100, 100]);
+    expect(history.runs[1]).toMatchObject({ passed: 3, flaky: 1, failed: 0, total: 4, passRate: 100 });
+    expect(history.passRate).toBe(83.3);
+
+    const [least] = history.tests;
+    expect(least).toMatchObject({ title: 'TC-002', browser: 'firefox', runs: 3, passed: 1, failed: 2, passRate: 33.3, lastResult: 'failed' });
+    expect(least.results).toEqual(['failed', 'passed', 'failed']);
+  });
+
+  test('RH-003: Should score flakiness from retries and flipping results', () => {
+    const history = aggregateResultsHistory(runs);
+    const score = (title, browser) => history.tests.find(entry => entry.title === title && entry.browser === browser).flakiness;
+
+    expect(score('TC-002', 'firefox')).toBe(66.7); // failed → passed → failed
+    expect(score('TC-001', 'firefox')).toBe(33.3); // only passed on retry once
+    expect(score('TC-001', 'chromium')).toBe(0);
+    expect(history.tests.map(entry => entry.flakiness)).toEqual([66.7, 33.3, 0, 0]);
+  });
+
+  test('RH-004: Should rank failure reasons and report the median submission duration', () => {
+    const history = aggregateResultsHistory(runs);
+
+    expect(history.failureReasons).toEqual([
+      { reason: '[SERVER_ERROR] Error: expect(received).toBe(expected)', count: 4, tests: 1, lastSeen: '2026-01-03T10:00:00.000Z' },
+      { reason: '[SERVER_ERROR] Test timeout of Nms exceeded.', count: 1, tests: 1, lastSeen: '2026-01-02T10:00:00.000Z' }
+    ]);
+    expect(normalizeFailureReason('\u001b[31mTimeoutError: locator.click: Timeout 5000ms exceeded waiting for "#form-field-email"')).toBe(
+      'TimeoutError: locator.click: Timeout Nms exceeded waiting for "…"'
+    );
+
+    // 9 passing submissions of 400ms, 4 failing of 900/950ms, a timeout of 30s and its retry of 600ms
+    expect(history.medianSubmissionDuration).toBe(400);
+    expect(history.tests.find(entry => entry.title === 'TC-002' && entry.browser === 'firefox').medianSubmissionDuration).toBe(900);
+  });
+
+  test('RH-005: Should render the trends as a static dashboard', () => {
+    const history = aggregateResultsHistory([
+      ...runs,
+      run('2026-01-04T10:00:00.000Z', { '<script>alert(1)</script>': { chromium: 'expected' } })
+    ]);
+    const html = renderDashboard(history, { customer: 'jbit', generatedAt: '2026-01-05T00:00:00.000Z' });
+
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('<h1>Form test trends: jbit</h1>');
+    expect(html).toContain('Pass rate<b>84.6%</b>');
+    expect(html).toContain('Median submission<b>400ms</b>');
+    expect(html).toContain('<td class="bad">50%</td>');
+    expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(html).not.toContain('<script>');
+  });
+
+  test('RH-006: Should record how long a submission took', () => {
+    const response = (responseEnd) => ({ request: () => ({ timing: () => ({ responseEnd }) }) });
+    expect(getResponseDuration(response(812.4))).toBe(812);
+    expect(getResponseDuration(response(-1))).toBeNull();
+    expect(getResponseDuration({})).toBeNull();
+
+    recordOutcome({ type: 'SUCCESS', duration: 812 });
+    recordOutcome({ type: 'NO_REQUEST_SENT', duration: null });
+    expect(test.info().annotations.filter(annotation => annotation.type === DURATION_ANNOTATION))
+      .toEqual([{ type: DURATION_ANNOTATION, description: '812' }]);
+  });
+
+});
@@ -0,0 +1,227 @@
+const { test, expect } = require('@playwright/test');
+const ElementorStandInServer = require('../../../tests/shared/ElementorStandInServer');
+const SmtpSinkServer = require('../../../tests/shared/SmtpSinkServer');
+const MailDeliveryVerifier = require('../../../tests/shared/MailDeliveryVerifier');
+const FormPage = require('../../../tests/shared/FormPage');
+const SecurityProbe = require('../../../tests/shared/SecurityProbe');
+const { createMailbox } = require('../../../tests/shared/mailbox-adapters');
+const { getFormDefinition } = require('../../../tests/utils/form-registry');
+const { getFormActions } = require('../../../tests/utils/form-definition');
+const {
+  CATEGORIES,
+  PROBE_ADDRESS,
+  OVERSIZED_LENGTH,
+  buildSecurityProbes,
+  checkPageState,
+  checkResponse,
+  checkMail,
+  formatProbeReport
+} = require('../../../tests/utils/security-probes');
+
+// Load test data
+const testData = require('../data/test-data.json');
+
+/**
+ * JBIT Contact Form - Security Probing
+ *
+ * Defensive pack for our own form, run against the local Elementor stand-in
+ * with an SMTP sink: XSS, HTML injection, CRLF header injection, oversized
+ * values and SQL metacharacters, seeded from edge_cases.special_characters.
+ * SEC-UI tests type the probes in through FormPage/FormHelper and check the
+ * page after submitting; SEC-API tests post them to admin-ajax.php directly,
+ * including what a browser would not let a visitor type (line breaks in
+ * single-line inputs, markup in the email input). Both check the confirmation
+ * mail of accepted probes for injected headers and altered input. SEC-HDR tests
+ * get CR/LF into the headers the mail builds from input: the Reply-To (with
+ * validation skipped) and a subject rendered from [field id="name"].
+ */
+const definition = getFormDefinition('jbit', 'jbit-contact-form');
+const probes = buildSecurityProbes(definition, testData.test_data_sets.edge_cases.special_characters);
+const recipients = String(getFormActions(definition, 'email')[0]?.to || '').split(',').map(address => address.trim()).filter(Boolean);
+
+test.describe('JBIT Contact Form - Security Probing', { tag: ['@jbit-contact-form', '@security'] }, () => {
+  let sink;
+  let server;
+  let verifier;
+
+  test.beforeAll(async () => {
+    sink = new SmtpSinkServer();
+    const { port } = await sink.start();
+    server = new ElementorStandInServer({ customer: 'jbit', smtp: { port } });
+    await server.start();
+  });
+
+  test.afterAll(async () => {
+    await server.stop();
+    await sink.stop();
+  });
+
+  test.beforeEach(() => {
+    verifier = new MailDeliveryVerifier(createMailbox({ type: 'smtp-sink', sink }), definition, { timeout: 10000, pollInterval: 100 });
+  });
+
+  for (const probe of probes.filter(entry => entry.browser)) {
+    test(`SEC-UI-${probe.id}: Should not reflect ${probe.category} typed into ${probe.field}`, async ({ page }) => {
+      const formPage = new FormPage(page, definition, { baseUrl: server.baseUrl, correlation: true });
+
+      const result = await new SecurityProbe(formPage, { verifier }).run(probe);
+
+      expect(result.outcome).toBe('success');
+      expect(result.findings, formatProbeReport([result])).toEqual([]);
+    });
+  }
+
+  for (const probe of probes) {
+    test(`SEC-API-${probe.id}: Should not reflect ${probe.category} posted in ${probe.field}`, async () => {
+      const token = MailDeliveryVerifier.createToken();
+      const response = await server.submit(definition.id, verifier.withToken(probe.data, token));
+      const findings = checkResponse(probe, response);
+
+      if (response.body?.success) {
+        findings.push(...checkMail(probe, await verifier.waitForMail(token), { recipients }));
+      }
+
+      const result = { probe: probe.id, outcome: response.body?.success ? 'success' : 'rejected', findings };
+      console.log(formatProbeReport([result]));
+      expect(findings, formatProbeReport([result])).toEqual([]);
+
+      // Nothing but an address belongs in the email field
+      if (probe.field === 'email') {
+        expect(response.body?.success).toBe(false);
+        expect(response.body?.data.errors).toHaveProperty('email');
+      }
+    });
+  }
+
+  // Validation stops CR/LF in the email field before it becomes the Reply-To, so skip it here
+  test('SEC-HDR-001: Should keep line breaks in the email field out of the Reply-To header', async () => {
+    const probe = probes.find(entry => entry.id === `${CATEGORIES.HEADER}-email`);
+    const token = MailDeliveryVerifier.createToken();
+
+    const response = await server.submit(definition.id, verifier.withToken(probe.data, token), { mode: ElementorStandInServer.MODES.SUCCESS });
+    expect(response.body.success).toBe(true);
+
+    const message = await verifier.waitForMail(token);
+    const findings = checkMail(probe, message, { recipients });
+    expect(findings, formatProbeReport([{ probe: probe.id, outcome: 'success', findings }])).toEqual([]);
+    expect(message.headers['reply-to']).toContain(`Bcc: ${PROBE_ADDRESS}`);
+  });
+
+  test('SEC-HDR-002: Should keep line breaks in the name out of a subject built from [field id="name"]', async () => {
+    const probe = probes.find(entry => entry.id === `${CATEGORIES.HEADER}-name`);
+    const headerForm = {
+      ...definition,
+      submission: {
+        ...definition.submission,
+        actions: getFormActions(definition).map(action => (action.type === 'email' ? { ...action, subject: 'Bericht van [field id="name"]' } : action))
+      }
+    };
+    const headerServer = new ElementorStandInServer({ forms: [headerForm], smtp: { port: sink.port } });
+    await headerServer.start();
+
+    try {
+      const token = MailDeliveryVerifier.createToken();
+      const response = await headerServer.submit(definition.id, verifier.withToken(probe.data, token));
+      expect(response.body.success).toBe(true);
+
+      const message = await verifier.waitForMail(token);
+      const findings = checkMail(probe, message, { recipients });
+      expect(findings, formatProbeReport([{ probe: probe.id, outcome: 'success', findings }])).toEqual([]);
+      expect(message.subject).toContain(`Bericht van ${probe.payload.split('\r\n')[0]}`);
+    } finally {
+      await headerServer.stop();
+    }
+  });
+
+});
+
+test.describe('JBIT Contact Form - Security Probe Checks', { tag: ['@jbit-contact-form', '@security'] }, () => {
+
+  const probe = (category, field = 'message') => probes.find(entry => entry.id === `${category}-${field}`);
+
+  test('SEC-001: Should seed one probe per category and text field', () => {
+    const seed = testData.test_data_sets.edge_cases.special_characters;
+
+    expect(probes.map(entry => entry.id)).toEqual(expect.arrayContaining([
+      'xss-name', 'html-injection-phone', 'header-injection-email', 'sql-meta-message', 'oversized-message'
+    ]));
+    expect(probes.find(entry => entry.id === 'oversized-email')).toBeUndefined();
+    expect(probes.some(entry => entry.field === 'interesse')).toBe(false);
+
+    // The seed's accents stay in every probe; its invalid address is replaced so probes reach the mail action
+    expect(probe(CATEGORIES.XSS).data.bericht.startsWith(seed.bericht)).toBe(true);
+    expect(probe(CATEGORIES.XSS).data.naam).toBe(seed.naam);
+    expect(probe(CATEGORIES.XSS).data.email).toBe('security.probe@example.com');
+    expect(probe(CATEGORIES.OVERSIZED).payload).toHaveLength(OVERSIZED_LENGTH);
+    expect(probe(CATEGORIES.OVERSIZED).payload.startsWith(seed.bericht)).toBe(true);
+
+    expect(probe(CATEGORIES.HEADER, 'name').browser).toBe(false);
+    expect(probe(CATEGORIES.HEADER, 'message').browser).toBe(true);
+    expect(probe(CATEGORIES.SQL, 'email').browser).toBe(false);
+    expect(probe(CATEGORIES.SQL, 'phone').browser).toBe(true);
+  });
+
+  test('SEC-002: Should report scripts, markup and errors that come back', () => {
+    const xss = probe(CATEGORIES.XSS);
+
+    expect(checkPageState(xss, { executed: null, injected: [], dialogs: [] })).toEqual([]);
+    expect(checkPageState(xss, {
+      executed: 'img',
+      injected: ['<img src="x" data-security-probe="">'],
+      dialogs: ['__securityProbe']
+    }).map(entry => entry.message)).toEqual([
+      "Injected script ran (__securityProbe = 'img')",
+      "Injected script opened a dialog: '__securityProbe'",
+      'Injected markup rendered: <img src="x" data-security-probe="">'
+    ]);
+
+    expect(checkResponse(xss, { status: 200, body: { success: true, data: { message: 'Bedankt voor uw bericht' } } })).toEqual([]);
+    const html = probe(CATEGORIES.HTML);
+    expect(checkResponse(html, { status: 200, body: { success: true, data: { message: `Bedankt ${html.payload}` } } })[0])
+      .toMatchObject({ probe: 'html-injection-message', where: 'response', message: 'Payload returned unescaped: <b data-security-probe>E2E</b>' });
+    expect(checkResponse(probe(CATEGORIES.SQL), { status: 500, body: 'WordPress database error You have an error in your SQL syntax' })
+      .map(entry => entry.message)).toEqual([
+      'Server error 500 instead of accepting or rejecting the input',
+      "Database error leaked ('WordPress database error')"
+    ]);
+  });
+
+  test('SEC-003: Should report injected mail headers, recipients and altered input', () => {
+    const header = probe(CATEGORIES.HEADER, 'email');
+    const mail = (overrides = {}) => ({
+      to: ['info@jbit.be'],
+      cc: [],
+      envelope: { to: ['info@jbit.be'] },
+      headers: { 'reply-to': 'security.probe@example.com' },
+      text: 'Bericht: test',
+      html: null,
+      ...overrides
+    });
+
+    expect(checkMail(header, mail(), { recipients: ['info@jbit.be'] })).toEqual([]);
+    expect(checkMail(header, mail({
+      headers: { bcc: PROBE_ADDRESS, 'x-security-probe': 'injected' },
+      envelope: { to: ['info@jbit.be', PROBE_ADDRESS] }
+    }), { recipients: ['info@jbit.be'] }).map(entry => entry.message)).toEqual([
+      `Injected header bcc: ${PROBE_ADDRESS}`,
+      'Injected header x-security-probe: injected',
+      `Mail also went to ${PROBE_ADDRESS}`
+    ]);
+    // Addresses compare case-insensitively in every recipient list
+    expect(checkMail(header, mail({ to: ['Info@JBIT.be'], cc: ['Security-Probe@Example.com'] }), { recipients: ['info@jbit.be'] })
+      .map(entry => entry.message)).toEqual([`Mail also went to ${PROBE_ADDRESS}`]);
+
+    const xss = probe(CATEGORIES.XSS);
+    expect(checkMail(xss, mail({ text: xss.payload }))).toEqual([]);
+    expect(checkMail(xss, mail({ html: `<p>${xss.payload}</p>` })).map(entry => entry.where)).toEqual(['mail', 'mail', 'mail', 'mail']);
+
+    const sql = probe(CATEGORIES.SQL);
+    expect(checkMail(sql, mail({ text: `Bericht: ${sql.payload}\n\nRef: E2E-1` }))).toEqual([]);
+    expect(checkMail(sql, mail({ text: `Bericht: ${sql.payload.replace(/'/g, "\\'")}` }))[0].message)
+      .toBe('SQL metacharacters were altered (added slashes or stripped) on the way to the mail');
+
+    expect(formatProbeReport([{ probe: 'xss-name', outcome: 'success', findings: [] }])).toBe('✅ xss-name  success');
+    expect(formatProbeReport([])).toBe('No security probes run');
+  });
+
+});
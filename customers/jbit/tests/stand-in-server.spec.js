@@ -0,0 +1,99 @@
+const { test, expect } = require('@playwright/test');
+const ElementorStandInServer = require('../../../tests/shared/ElementorStandInServer');
+const ContactFormPage = require('./ContactFormPage');
+const FormValidationHelper = require('./utils/form-validation-helper');
+
+// Load test data
+const testData = require('../data/test-data.json');
+
+/**
+ * JBIT Contact Form - Local Elementor Stand-in
+ *
+ * Verifies the bundled stand-in server renders the JBIT form with Elementor Pro
+ * markup and answers admin-ajax.php like Elementor Pro does, so the rest of the
+ * suite can run offline with JBIT_BASE_URL (or STAND_IN=true).
+ */
+test.describe('JBIT Contact Form - Local Elementor Stand-in', { tag: '@jbit-contact-form' }, () => {
+  let server;
+
+  test.beforeAll(async () => {
+    server = new ElementorStandInServer({ customer: 'jbit' });
+    await server.start();
+  });
+
+  test.afterAll(async () => {
+    await server.stop();
+  });
+
+  test.beforeEach(() => {
+    server.setMode(ElementorStandInServer.MODES.AUTO);
+    server.clearSubmissions();
+  });
+
+  test('SI-001: Should render the form with Elementor Pro field names', async ({ request }) => {
+    const response = await request.get(server.getFormUrl('jbit-contact-form'));
+    expect(response.status()).toBe(200);
+
+    const html = await response.text();
+    expect(html).toContain('class="elementor-form"');
+    expect(html).toContain('name="form_fields[name]"');
+    expect(html).toContain('name="form_fields[email]"');
+    expect(html).toContain('name="form_fields[message]"');
+    expect(html).toContain('name="form_fields[field_a3f7052][]"');
+    expect(html).toContain('value="Gepersonaliseerde Webhosting"');
+  });
+
+  test('SI-002: Should accept a valid submission and record it', async () => {
+    const data = testData.test_data_sets.valid_data.happy_path_comprehensive;
+    const response = await server.submit('jbit-contact-form', data);
+
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+    expect(response.body.data.message).toContain('Bedankt voor uw bericht');
+
+    const [submission] = server.getSubmissions();
+    expect(submission.formId).toBe('jbit-contact-form');
+    expect(submission.formFields.email).toBe(data.email);
+    expect(submission.formFields.field_a3f7052).toEqual(data.interesse);
+  });
+
+  test('SI-003: Should report field errors keyed by Elementor field id', async () => {
+    const { body } = await server.submit('jbit-contact-form', { name: 'Test User', email: 'test@domain', message: 'Test bericht' });
+
+    expect(body.success).toBe(false);
+    expect(body.data.errors).toEqual({ email: 'Voer een geldig emailadres in' });
+  });
+
+  test('SI-004: Should honour forced validation-error and server-error modes', async () => {
+    const valid = { name: 'Test User', email: 'test@example.com', message: 'Test bericht' };
+
+    server.setMode(ElementorStandInServer.MODES.VALIDATION_ERROR);
+    const validationResponse = await server.submit('jbit-contact-form', valid);
+    expect(validationResponse.body.data.errors).toHaveProperty('email', 'Dit veld is verplicht');
+
+    // Per-request override wins over the server mode
+    const serverErrorResponse = await server.submit('jbit-contact-form', valid, { mode: ElementorStandInServer.MODES.SERVER_ERROR });
+    expect(serverErrorResponse.status).toBe(500);
+    expect(serverErrorResponse.body.data.message).toBe('Er is een fout opgetreden');
+  });
+
+  test('SI-005: Should submit through ContactFormPage and FormValidationHelper', async ({ page }) => {
+    const contactPage = new ContactFormPage(page);
+    contactPage.url = server.getFormUrl('jbit-contact-form');
+
+    const validationHelper = new FormValidationHelper(page);
+    const tracking = validationHelper.setupNetworkMonitoring();
+
+    await contactPage.navigate();
+    await contactPage.fillContactForm(testData.test_data_sets.valid_data.happy_path_basic);
+    await contactPage.submitForm();
+
+    const results = await validationHelper.validateFormSubmission({ waitTime: 500, takeScreenshots: false });
+    validationHelper.assertSubmissionSuccess(results);
+
+    expect(results.hasSuccessMessage).toBe(true);
+    expect(tracking.responses.some(r => r.url.includes('admin-ajax.php') && r.status === 200)).toBe(true);
+    expect(server.getSubmissions()).toHaveLength(1);
+  });
+
+});
@@ -0,0 +1,114 @@
+const { test, expect } = require('@playwright/test');
+const ElementorStandInServer = require('../../../tests/shared/ElementorStandInServer');
+const { createSubmissionStore, createSubmissionStoreFromEnv } = require('../../../tests/shared/submission-stores');
+const { cleanupSubmissions } = require('../../../scripts/cleanup-submissions');
+const { getFormDefinition } = require('../../../tests/utils/form-registry');
+const { getCorrelationField } = require('../../../tests/utils/form-definition');
+const { createCorrelationId, stampCorrelationId } = require('../../../tests/utils/correlation-id');
+
+// Load test data
+const testData = require('../data/test-data.json');
+
+/**
+ * JBIT Contact Form - Submission Cleanup
+ *
+ * Test submissions are removed from the site's submission storage by their
+ * correlation IDs. Runs against the stand-in's copy of Elementor's
+ * form-submissions REST API, including application-password authentication.
+ */
+test.describe('JBIT Contact Form - Submission Cleanup', { tag: '@jbit-contact-form' }, () => {
+  const definition = getFormDefinition('jbit', 'jbit-contact-form');
+  const auth = { user: 'e2e-cleanup', password: 'abcd efgh ijkl mnop' };
+  let server;
+  let store;
+
+  test.beforeEach(async () => {
+    server = new ElementorStandInServer({ customer: 'jbit', restAuth: auth });
+    await server.start();
+    store = createSubmissionStore({ type: 'wp-rest', url: server.baseUrl, ...auth });
+  });
+
+  test.afterEach(async () => {
+    await server.stop();
+  });
+
+  /**
+   * Post a valid submission carrying a correlation ID
+   * @param {string} id - Correlation ID
+   */
+  async function submit(id) {
+    const data = stampCorrelationId(testData.test_data_sets.valid_data.happy_path_basic, id, getCorrelationField(definition));
+    expect((await server.submit(definition.id, data)).body.success).toBe(true);
+  }
+
+  test('SC-001: Should list stored submissions through the REST API', async ({ request }) => {
+    const id = createCorrelationId();
+    await submit(id);
+    await submit(createCorrelationId());
+
+    const unauthorized = await request.get(`${server.baseUrl}/wp-json/elementor/v1/form-submissions`);
+    expect(unauthorized.status()).toBe(401);
+
+    const found = await store.find(id);
+    expect(found).toHaveLength(1);
+    expect(found[0]).toMatchObject({ formId: definition.id, isRead: false });
+    expect(found[0].values.message).toContain(`Ref: ${id}`);
+  });
+
+  test('SC-002: Should only report matches in a dry run', async () => {
+    const id = createCorrelationId();
+    await submit(id);
+
+    const report = await cleanupSubmissions(store, [id, 'E2E-never-sent'], { dryRun: true });
+
+    expect(report).toMatchObject({ store: 'wp-rest', mode: 'delete', dryRun: true, removed: [], failed: [] });
+    expect(report.matched).toEqual([expect.objectContaining({ marker: id, id: 1, formId: definition.id })]);
+    expect(report.unmatched).toEqual(['E2E-never-sent']);
+    expect(await store.find(id)).toHaveLength(1);
+  });
+
+  test('SC-003: Should delete only the submissions of the run', async () => {
+    const [first, second, other] = [createCorrelationId(), createCorrelationId(), createCorrelationId()];
+    await submit(first);
+    await submit(other);
+    await submit(second);
+
+    const report = await cleanupSubmissions(store, [first, second]);
+
+    expect(report.removed.map(entry => entry.id)).toEqual([1, 3]);
+    expect(server.getSubmissions().map(submission => submission.id)).toEqual([2]);
+    expect(await store.find(other)).toHaveLength(1);
+
+    // A later submission does not take over a deleted one's id
+    const later = createCorrelationId();
+    await submit(later);
+    expect((await store.find(later)).map(entry => entry.id)).toEqual([4]);
+    expect((await cleanupSubmissions(store, [first])).unmatched).toEqual([first]);
+  });
+
+  test('SC-004: Should mark submissions as read instead of deleting them', async () => {
+    const id = createCorrelationId();
+    await submit(id);
+
+    const report = await cleanupSubmissions(store, [id], { mode: 'mark-read' });
+
+    expect(report.removed).toHaveLength(1);
+    expect(await store.find(id)).toEqual([expect.objectContaining({ isRead: true })]);
+  });
+
+  test('SC-005: Should report failures and configure stores from the environment', async () => {
+    const id = createCorrelationId();
+    await submit(id);
+
+    const denied = createSubmissionStore({ type: 'wp-rest', url: server.baseUrl, user: auth.user, password: 'wrong' });
+    const report = await cleanupSubmissions(denied, [id]);
+    expect(report.failed).toEqual([{ marker: id, error: expect.stringContaining('401') }]);
+    expect(server.getSubmissions()).toHaveLength(1);
+
+    expect(createSubmissionStoreFromEnv({})).toBeNull();
+    expect(createSubmissionStoreFromEnv({ SUBMISSION_STORE: 'wp-rest' }, server.baseUrl).type).toBe('wp-rest');
+    expect(() => createSubmissionStoreFromEnv({ SUBMISSION_STORE: 'flamingo' }))
+      .toThrow(/Unknown submission store 'flamingo'/);
+  });
+
+});
@@ -0,0 +1,135 @@
+const { test, expect } = require('@playwright/test');
+const ElementorStandInServer = require('../../../tests/shared/ElementorStandInServer');
+const FormPage = require('../../../tests/shared/FormPage');
+const { getFormDefinition } = require('../../../tests/utils/form-registry');
+const { parseSubmissionResponse } = require('../../../tests/utils/submission-payload');
+const { OUTCOMES, classifyResponse, crossCheckDom } = require('../../../tests/utils/submission-outcome');
+const ContactFormPage = require('./ContactFormPage');
+
+/**
+ * JBIT Contact Form - Submission Outcome
+ *
+ * Classifies the admin-ajax answer (success, field errors, server error, CAPTCHA
+ * rejection, rate limiting, nothing sent) and checks that the page shows the
+ * same thing the server said.
+ */
+test.describe('JBIT Contact Form - Submission Outcome', { tag: '@jbit-contact-form' }, () => {
+  const definition = getFormDefinition('jbit', 'jbit-contact-form');
+
+  test('SO-001: Should classify Elementor Pro admin-ajax responses', () => {
+    const classify = (status, json) => classifyResponse(parseSubmissionResponse(status, json), definition).type;
+
+    expect(classify(200, { success: true, data: { message: 'Bedankt voor uw bericht', data: [] } })).toBe(OUTCOMES.SUCCESS);
+    expect(classify(200, { success: false, data: { message: 'Er is een fout opgetreden', errors: { email: 'Dit veld is verplicht' } } }))
+      .toBe(OUTCOMES.FIELD_ERRORS);
+    expect(classify(500, { success: false, data: { message: 'Er is een fout opgetreden', errors: [] } })).toBe(OUTCOMES.SERVER_ERROR);
+    expect(classify(200, { success: false, data: { message: 'Your submission failed because of an error.', errors: [] } }))
+      .toBe(OUTCOMES.SERVER_ERROR);
+    expect(classify(400, null)).toBe(OUTCOMES.SERVER_ERROR);
+    expect(classify(200, { success: false, data: { message: 'Er is een fout opgetreden', errors: { recaptcha_v3: 'Invalid form, reCAPTCHA validation failed.' } } }))
+      .toBe(OUTCOMES.CAPTCHA_REJECTED);
+    expect(classify(200, { success: false, data: { message: 'Please verify that you are human.', errors: [] } }))
+      .toBe(OUTCOMES.CAPTCHA_REJECTED);
+    expect(classify(429, null)).toBe(OUTCOMES.RATE_LIMITED);
+    expect(classifyResponse(null).type).toBe(OUTCOMES.NO_REQUEST_SENT);
+
+    // Field errors are keyed by field name, not Elementor id
+    expect(classifyResponse(parseSubmissionResponse(200, {
+      success: false,
+      data: { message: 'Er is een fout opgetreden', errors: { field_a3f7052: 'Dit veld is verplicht' } }
+    }), definition).fieldErrors).toEqual({ interesse: 'Dit veld is verplicht' });
+  });
+
+  test('SO-002: Should classify every stand-in response mode', async () => {
+    const server = new ElementorStandInServer({ customer: 'jbit' });
+    const captchaServer = new ElementorStandInServer({ customer: 'jbit', captcha: true });
+    await server.start();
+    await captchaServer.start();
+
+    const submit = async (target, data, mode) => {
+      const response = await target.submit(definition.id, data, { mode });
+      return classifyResponse(parseSubmissionResponse(response.status, response.body), definition);
+    };
+
+    try {
+      const valid = { email: 'test@example.com' };
+      const { MODES } = ElementorStandInServer;
+
+      expect((await submit(server, valid)).type).toBe(OUTCOMES.SUCCESS);
+      expect(await submit(server, { email: 'test@' })).toMatchObject({
+        type: OUTCOMES.FIELD_ERRORS,
+        fieldErrors: { email: 'Voer een geldig emailadres in' }
+      });
+      expect((await submit(server, valid, MODES.SERVER_ERROR)).type).toBe(OUTCOMES.SERVER_ERROR);
+      expect(await submit(server, valid, MODES.RATE_LIMITED)).toMatchObject({ type: OUTCOMES.RATE_LIMITED, status: 429 });
+      expect((await submit(captchaServer, valid)).type).toBe(OUTCOMES.CAPTCHA_REJECTED);
+    } finally {
+      await server.stop();
+      await captchaServer.stop();
+    }
+  });
+
+  test('SO-003: Should report where the page disagrees with the response', () => {
+    const success = { type: OUTCOMES.SUCCESS, message: 'Bedankt voor uw bericht', fieldErrors: {} };
+    const fieldErrors = { type: OUTCOMES.FIELD_ERRORS, message: 'Er is een fout opgetreden', fieldErrors: { email: 'Dit veld is verplicht' } };
+
+    expect(crossCheckDom(success, { successMessage: 'Bedankt voor uw bericht', errorMessage: null, fieldErrors: {} })).toEqual([]);
+    expect(crossCheckDom(success, { successMessage: null, errorMessage: null, fieldErrors: {} }))
+      .toEqual(['server accepted the submission but no success message is shown']);
+    expect(crossCheckDom(fieldErrors, {
+      successMessage: null,
+      errorMessage: 'Er is een fout opgetreden',
+      fieldErrors: { email: 'Dit veld is verplicht' }
+    })).toEqual([]);
+    expect(crossCheckDom(fieldErrors, { successMessage: null, errorMessage: 'Er is een fout opgetreden', fieldErrors: {} }))
+      .toEqual(['server rejected email ("Dit veld is verplicht") but the field shows no error']);
+  });
+
+  test('SO-004: Should agree with the page for each server outcome', async ({ page }) => {
+    const server = new ElementorStandInServer({ customer: 'jbit' });
+    const baseUrl = await server.start();
+    const { MODES } = ElementorStandInServer;
+
+    try {
+      const cases = [
+        [MODES.AUTO, { email: 'test@example.com' }, OUTCOMES.SUCCESS],
+        [MODES.VALIDATION_ERROR, { email: 'test@example.com' }, OUTCOMES.FIELD_ERRORS],
+        [MODES.SERVER_ERROR, { email: 'test@example.com' }, OUTCOMES.SERVER_ERROR],
+        [MODES.RATE_LIMITED, { email: 'test@example.com' }, OUTCOMES.RATE_LIMITED]
+      ];
+
+      for (const [mode, data, expected] of cases) {
+        server.setMode(mode);
+        const formPage = new FormPage(page, definition, { baseUrl });
+        await formPage.navigate();
+        await formPage.fill(data);
+        await formPage.submit();
+
+        const outcome = await formPage.classify();
+        expect(outcome.type, mode).toBe(expected);
+        expect(outcome.issues, mode).toEqual([]);
+      }
+    } finally {
+      await server.stop();
+    }
+  });
+
+  test('SO-005: Should report NO_REQUEST_SENT when client-side validation blocks the form', async ({ page }) => {
+    const server = new ElementorStandInServer({ customer: 'jbit' });
+    await server.start();
+
+    try {
+      const contactPage = new ContactFormPage(page);
+      contactPage.url = server.getFormUrl('jbit-contact-form');
+
+      await contactPage.navigate();
+      await contactPage.fillContactForm({ naam: 'Test User', email: '', bericht: 'Test bericht zonder email' });
+
+      expect((await contactPage.submitForm()).type).toBe(OUTCOMES.NO_REQUEST_SENT);
+      expect(server.getSubmissions()).toHaveLength(0);
+    } finally {
+      await server.stop();
+    }
+  });
+
+});
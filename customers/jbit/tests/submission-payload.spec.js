@@ -0,0 +1,139 @@
+const { test, expect } = require('@playwright/test');
+const ElementorStandInServer = require('../../../tests/shared/ElementorStandInServer');
+const FormPage = require('../../../tests/shared/FormPage');
+const { getFormDefinition } = require('../../../tests/utils/form-registry');
+const { TEST_TOKENS } = require('../../../tests/utils/captcha-test-keys');
+const {
+  parseSubmissionRequest,
+  parseSubmissionResponse,
+  compareSubmittedFields
+} = require('../../../tests/utils/submission-payload');
+const ContactFormPage = require('./ContactFormPage');
+const FormValidationHelper = require('./utils/form-validation-helper');
+const RecaptchaHandler = require('./utils/recaptcha-handler');
+
+// Load test data
+const testData = require('../data/test-data.json');
+
+/**
+ * JBIT Contact Form - Submission Payload
+ *
+ * Captures the body posted to admin-ajax.php and the JSON answer, and checks
+ * that the server received exactly what was typed: checkbox arrays, unicode
+ * and the hidden Elementor fields included.
+ */
+test.describe('JBIT Contact Form - Submission Payload', { tag: '@jbit-contact-form' }, () => {
+  const definition = getFormDefinition('jbit', 'jbit-contact-form');
+  const unicode = testData.test_data_sets.edge_cases.unicode_content;
+
+  test('SP-001: Should parse a multipart admin-ajax body and match it against typed data', async () => {
+    const formData = new FormData();
+    formData.append('post_id', '42');
+    formData.append('form_id', 'jbit-contact-form');
+    formData.append('_wpnonce', 'abc123');
+    formData.append('form_fields[name]', unicode.naam);
+    formData.append('form_fields[email]', unicode.email);
+    formData.append('form_fields[phone]', unicode.telefoon);
+    formData.append('form_fields[message]', `${unicode.bericht}\r\nTweede regel`);
+    ['Webdesign', 'Advies op maat'].forEach(option => formData.append('form_fields[field_a3f7052][]', option));
+    formData.append('cf-turnstile-response', TEST_TOKENS.turnstile);
+    formData.append('action', 'elementor_pro_forms_send_form');
+
+    // Let fetch encode the body exactly as a browser would
+    const encoded = new Request('http://localhost/wp-admin/admin-ajax.php', { method: 'POST', body: formData });
+    const request = parseSubmissionRequest(Buffer.from(await encoded.arrayBuffer()), encoded.headers.get('content-type'));
+
+    expect(request).toMatchObject({
+      contentType: 'multipart/form-data',
+      action: 'elementor_pro_forms_send_form',
+      formId: 'jbit-contact-form',
+      postId: '42',
+      nonce: 'abc123',
+      captcha: { turnstile: TEST_TOKENS.turnstile }
+    });
+    expect(request.formFields.name).toBe(unicode.naam);
+    expect(request.formFields.field_a3f7052).toEqual(['Webdesign', 'Advies op maat']);
+
+    const typed = { ...unicode, bericht: `${unicode.bericht}\nTweede regel`, interesse: ['Advies op maat', 'Webdesign'] };
+    expect(compareSubmittedFields(definition, typed, request.formFields)).toEqual([]);
+
+    expect(compareSubmittedFields(definition, { ...typed, naam: 'Zhang Wei', interesse: [] }, request.formFields)).toEqual([
+      { field: 'name', id: 'name', expected: 'Zhang Wei', received: unicode.naam },
+      { field: 'interesse', id: 'field_a3f7052', expected: [], received: ['Advies op maat', 'Webdesign'] }
+    ]);
+  });
+
+  test('SP-002: Should parse success and field-error responses from admin-ajax', async () => {
+    const server = new ElementorStandInServer({ customer: 'jbit' });
+    await server.start();
+
+    try {
+      const submit = async (email) => {
+        const response = await server.submit(definition.id, { email });
+        return parseSubmissionResponse(response.status, response.body);
+      };
+
+      expect(await submit('zhang.wei@example.com')).toMatchObject({ status: 200, success: true, errors: {} });
+      expect((await submit('zhang.wei@example.com')).message).toContain('Bedankt voor uw bericht');
+      expect(await submit('zhang.wei@')).toMatchObject({
+        success: false,
+        errors: { email: 'Voer een geldig emailadres in' }
+      });
+      expect(parseSubmissionResponse(400, null)).toMatchObject({ success: false, message: null, errors: {} });
+    } finally {
+      await server.stop();
+    }
+  });
+
+  test('SP-003: Should post unicode content exactly as typed', async ({ page }) => {
+    const server = new ElementorStandInServer({ customer: 'jbit' });
+    await server.start();
+
+    try {
+      const contactPage = new ContactFormPage(page);
+      contactPage.url = server.getFormUrl('jbit-contact-form');
+
+      const validationHelper = new FormValidationHelper(page);
+      const tracking = validationHelper.setupNetworkMonitoring();
+
+      await contactPage.navigate();
+      const filled = await contactPage.fillContactForm(unicode);
+      await contactPage.submitForm();
+
+      const submission = await validationHelper.assertSubmittedPayload(tracking, filled, definition);
+      expect(submission.request.formFields.message).toBe(`${unicode.bericht}\n\nRef: ${contactPage.correlationId}`);
+      expect(submission.request.nonce).toBeTruthy();
+      expect(submission.response).toMatchObject({ status: 200, success: true });
+
+      // The stand-in saw the same values the browser sent
+      expect(server.getSubmissions()[0].formFields).toEqual(submission.request.formFields);
+    } finally {
+      await server.stop();
+    }
+  });
+
+  test('SP-004: Should post every checked option and the captcha token', async ({ page }) => {
+    const server = new ElementorStandInServer({ customer: 'jbit', captcha: true });
+    const baseUrl = await server.start();
+    const data = testData.test_data_sets.valid_data.happy_path_comprehensive;
+
+    try {
+      const validationHelper = new FormValidationHelper(page);
+      const tracking = validationHelper.setupNetworkMonitoring();
+
+      const securityHandler = new RecaptchaHandler(page, undefined, { testKeys: true });
+      const formPage = new FormPage(page, definition, { baseUrl, securityHandler });
+      await formPage.navigate();
+      const filled = await formPage.fill(data);
+      await formPage.submit();
+
+      const submission = await validationHelper.assertSubmittedPayload(tracking, filled, definition);
+      expect(submission.request.formFields.field_a3f7052).toEqual(data.interesse);
+      expect(submission.request.captcha.turnstile).toBe(TEST_TOKENS.turnstile);
+      expect(submission.response.success).toBe(true);
+    } finally {
+      await server.stop();
+    }
+  });
+
+});
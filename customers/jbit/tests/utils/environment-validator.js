@@ -168,7 +168,8 @@ class EnvironmentValidator {
    */
   async validateRecaptchaSetup() {
     try {
-      const RecaptchaHandler = require('./recaptcha-handler');
+      require('./recaptcha-handler');
+      const { createDefaultRegistry } = require('../../../../tests/shared/AntiBotStrategyRegistry');
       console.log('✅ reCAPTCHA handler module loaded');
 
       // Check environment variables for bypass
@@ -187,14 +188,9 @@ class EnvironmentValidator {
       }
 
       // Validate bypass strategies are available
-      const strategies = [
-        'intercept_network',
-        'mock_response',
-        'disable_scripts',
-        'direct_api'
-      ];
+      const strategies = createDefaultRegistry().list();
 
-      console.log(`✅ ${strategies.length} reCAPTCHA bypass strategies available`);
+      console.log(`✅ ${strategies.length} anti-bot strategies available: ${strategies.join(', ')}`);
 
     } catch (error) {
       this.errors.push(`reCAPTCHA setup validation failed: ${error.message}`);
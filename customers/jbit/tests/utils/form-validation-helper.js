@@ -6,6 +6,16 @@
  * by the server vs forms that are actually processed successfully.
  */
 
+const { getFormDefinition } = require('../../../../tests/utils/form-registry');
+const {
+  parseSubmissionRequest,
+  parseSubmissionResponse,
+  compareSubmittedFields
+} = require('../../../../tests/utils/submission-payload');
+const { OUTCOMES } = require('../../../../tests/utils/submission-outcome');
+const FormPage = require('../../../../tests/shared/FormPage');
+const { config } = require('./test-config');
+
 class FormValidationHelper {
   constructor(page) {
     this.page = page;
@@ -17,13 +27,18 @@ class FormValidationHelper {
    * @param {number} options.waitTime - Time to wait for server processing (default: 6000ms)
    * @param {boolean} options.takeScreenshots - Whether to take debug screenshots
    * @param {string} options.screenshotPrefix - Prefix for screenshot filenames
+   * @param {Object} options.tracking - Tracking object from setupNetworkMonitoring(); when a
+   *   submission was captured its admin-ajax response decides success instead of the page
+   * @param {Object} options.definition - Form definition (default: the JBIT contact form)
    * @returns {Object} Validation results with success/failure status and details
    */
   async validateFormSubmission(options = {}) {
     const {
       waitTime = 6000,
       takeScreenshots = true,
-      screenshotPrefix = 'form-validation'
+      screenshotPrefix = 'form-validation',
+      tracking = null,
+      definition = getFormDefinition(config.customer, config.forms.contact.formId)
     } = options;
 
     console.log(`🔍 Starting comprehensive form submission validation (waiting ${waitTime}ms for server processing)...`);
@@ -46,7 +61,8 @@ class FormValidationHelper {
       urlChanged: false,
       networkRequests: 0,
       errorDetails: null,
-      successDetails: null
+      successDetails: null,
+      outcome: null
     };
 
     try {
@@ -131,8 +147,19 @@ class FormValidationHelper {
       // 5. Determine overall success
       console.log('5️⃣ Determining overall success...');
 
-      // Primary failure condition: explicit error messages
-      if (results.hasErrorMessage) {
+      const submissions = tracking ? await this.getCapturedSubmissions(tracking, 2000) : [];
+      results.networkRequests = submissions.length;
+
+      // Preferred: the server's own answer, cross-checked against the page
+      if (submissions.length > 0) {
+        results.outcome = await this.classifySubmission(submissions[submissions.length - 1], definition);
+        results.success = results.outcome.type === OUTCOMES.SUCCESS && results.outcome.issues.length === 0;
+
+        console.log(`   Server outcome: ${results.outcome.type}${results.outcome.message ? ` - ${results.outcome.message}` : ''}`);
+        results.outcome.issues.forEach(issue => console.log(`   ⚠️ Page disagrees: ${issue}`));
+        console.log(`   Overall success: ${results.success ? '✅' : '❌'}`);
+      } else if (results.hasErrorMessage) {
+        // Primary failure condition: explicit error messages
         results.success = false;
         console.log(`   ❌ FAILURE: Error message detected - ${results.errorDetails}`);
       } else {
@@ -156,6 +183,7 @@ class FormValidationHelper {
       console.log(`   ❌ Error message: ${results.hasErrorMessage}`);
       console.log(`   🧹 Fields cleared: ${results.fieldsCleared}`);
       console.log(`   🔀 URL changed: ${results.urlChanged}`);
+      console.log(`   📨 Server outcome: ${results.outcome ? results.outcome.type : 'not captured'}`);
       console.log(`   🎯 Overall success: ${results.success}`);
       console.log('='.repeat(50));
 
@@ -235,13 +263,18 @@ class FormValidationHelper {
 
   /**
    * Setup network monitoring for form submissions
-   * @returns {Object} Object with request/response tracking arrays
+   * Posts to admin-ajax.php are also captured in full: the parsed body (action,
+   * form_id, post_id, form_fields, nonce, captcha tokens) and the JSON response.
+   * @returns {Object} Object with request/response tracking arrays and captured submissions
    */
   setupNetworkMonitoring() {
     const tracking = {
       requests: [],
-      responses: []
+      responses: [],
+      submissions: [],
+      pending: []
     };
+    const submissionsByRequest = new Map();
 
     this.page.on('request', request => {
       const url = request.url();
@@ -256,6 +289,13 @@ class FormValidationHelper {
         });
         console.log(`📡 Tracking request: ${request.method()} ${url}`);
       }
+
+      if (this.isSubmissionRequest(request)) {
+        const submission = this.captureSubmissionRequest(request);
+        tracking.submissions.push(submission);
+        submissionsByRequest.set(request, submission);
+        console.log(`📨 Captured submission: action=${submission.request.action} form_id=${submission.request.formId}`);
+      }
     });
 
     this.page.on('response', response => {
@@ -271,17 +311,180 @@ class FormValidationHelper {
         });
         console.log(`📡 Response: ${response.status()} ${url}`);
       }
+
+      const submission = submissionsByRequest.get(response.request());
+      if (submission) {
+        tracking.pending.push(
+          response.json()
+            .catch(() => null)
+            .then(json => {
+              submission.response = parseSubmissionResponse(response.status(), json);
+              console.log(`📨 Submission response: ${response.status()} success=${submission.response.success}`);
+            })
+        );
+      }
     });
 
     return tracking;
   }
 
+  /**
+   * Check if a request is an Elementor form post to admin-ajax.php
+   * @param {Request} request - Playwright request
+   * @returns {boolean} True for a form submission
+   */
+  isSubmissionRequest(request) {
+    return request.method() === 'POST' && request.url().includes('wp-admin/admin-ajax.php');
+  }
+
+  /**
+   * Parse the body of a submission request
+   * @param {Request} request - Playwright request
+   * @returns {Object} { url, timestamp, request, response } (response is filled in when it arrives)
+   */
+  captureSubmissionRequest(request) {
+    const submission = {
+      url: request.url(),
+      timestamp: new Date().toISOString(),
+      request: null,
+      response: null
+    };
+
+    try {
+      submission.request = parseSubmissionRequest(
+        request.postDataBuffer() || '',
+        request.headers()['content-type'] || ''
+      );
+    } catch (error) {
+      console.error('Error parsing submission body:', error.message);
+      submission.request = { error: error.message, fields: {}, formFields: {}, captcha: {} };
+    }
+
+    return submission;
+  }
+
+  /**
+   * Wait for captured submissions and their responses
+   * @param {Object} tracking - Tracking object from setupNetworkMonitoring()
+   * @param {number} timeout - Time to wait for a first submission (default: 10000ms)
+   * @returns {Promise<Array>} Captured submissions
+   */
+  async getCapturedSubmissions(tracking, timeout = 10000) {
+    const deadline = Date.now() + timeout;
+    while (tracking.submissions.length === 0 && Date.now() < deadline) {
+      await this.page.waitForTimeout(100);
+    }
+
+    // Responses can still be arriving for the last request
+    while (tracking.submissions.some(s => !s.response) && Date.now() < deadline) {
+      await Promise.all(tracking.pending);
+      await this.page.waitForTimeout(100);
+    }
+    await Promise.all(tracking.pending);
+
+    return tracking.submissions;
+  }
+
+  /**
+   * Assert that the last captured submission carries exactly the typed data
+   * Throws a detailed error listing every field that differs
+   * @param {Object} tracking - Tracking object from setupNetworkMonitoring()
+   * @param {Object} typedData - Data that was typed into the form (keyed by field name or alias)
+   * @param {Object} definition - Form definition (default: the JBIT contact form)
+   * @returns {Promise<Object>} The verified submission
+   */
+  async assertSubmittedPayload(tracking, typedData, definition = getFormDefinition(config.customer, config.forms.contact.formId)) {
+    const submissions = await this.getCapturedSubmissions(tracking);
+    const submission = submissions[submissions.length - 1];
+
+    if (!submission) {
+      throw new Error('❌ NO SUBMISSION CAPTURED: the form never posted to admin-ajax.php.');
+    }
+
+    const { request } = submission;
+    const problems = [];
+
+    if (request.error) {
+      problems.push(`body could not be parsed: ${request.error}`);
+    }
+
+    const expectedAction = definition.submission?.action;
+    if (expectedAction && !String(request.action || '').startsWith(expectedAction)) {
+      problems.push(`action "${request.action}" does not match "${expectedAction}"`);
+    }
+
+    const expectedFormId = definition.form_id || definition.id;
+    if (request.formId !== expectedFormId) {
+      problems.push(`form_id "${request.formId}" does not match "${expectedFormId}"`);
+    }
+
+    if (definition.security_features?.csrf_token && !request.nonce) {
+      problems.push('no nonce was posted');
+    }
+
+    compareSubmittedFields(definition, typedData, request.formFields).forEach(mismatch => {
+      problems.push(`form_fields[${mismatch.id}] expected ${JSON.stringify(mismatch.expected)}, received ${JSON.stringify(mismatch.received)}`);
+    });
+
+    if (problems.length > 0) {
+      throw new Error(
+        `❌ SUBMITTED PAYLOAD MISMATCH: the server did not receive what was typed.\n` +
+        problems.map(problem => `   - ${problem}`).join('\n')
+      );
+    }
+
+    console.log(`✅ Submitted payload matches typed data (${Object.keys(request.formFields).length} form fields)`);
+    return submission;
+  }
+
+  /**
+   * Classify a captured submission and cross-check it against the page
+   * @param {Object} submission - Captured submission from setupNetworkMonitoring()
+   * @param {Object} definition - Form definition
+   * @returns {Promise<Object>} { type, status, message, fieldErrors, dom, issues }
+   */
+  async classifySubmission(submission, definition) {
+    const formPage = new FormPage(this.page, definition);
+
+    // A request without a response (aborted, timed out) is reported as a server error
+    formPage.lastResponse = {
+      status: submission.response?.status ?? 0,
+      json: submission.response?.json ?? null
+    };
+
+    return await formPage.classify();
+  }
+
   /**
    * Validate that form submission was successful
    * Throws detailed error if validation fails
    * @param {Object} validationResults - Results from validateFormSubmission()
    */
   assertSubmissionSuccess(validationResults) {
+    const { outcome } = validationResults;
+
+    if (outcome && outcome.type !== OUTCOMES.SUCCESS) {
+      const fieldErrors = Object.entries(outcome.fieldErrors)
+        .map(([field, message]) => `${field}: ${message}`)
+        .join(', ');
+      throw new Error(
+        `❌ FORM SUBMISSION FAILED: Server answered ${outcome.type} (HTTP ${outcome.status})` +
+        `${outcome.message ? ` - ${outcome.message}` : ''}${fieldErrors ? ` [${fieldErrors}]` : ''}.`
+      );
+    }
+
+    if (outcome && outcome.issues.length > 0) {
+      throw new Error(
+        `❌ FORM SUBMISSION INCONSISTENT: Server accepted the submission but the page disagrees - ` +
+        outcome.issues.join('; ')
+      );
+    }
+
+    if (outcome) {
+      console.log('✅ Form submission validation passed - server processing confirmed');
+      return;
+    }
+
     if (validationResults.hasErrorMessage) {
       throw new Error(
         `❌ FORM SUBMISSION FAILED: Server returned error message - ${validationResults.errorDetails}. ` +
@@ -0,0 +1,187 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const FormPage = require('../../../tests/shared/FormPage');
+const { getFormDefinition } = require('../../../tests/utils/form-registry');
+const { loadScenarios, OUTCOMES } = require('../../../tests/utils/scenario-loader');
+const { getRuleViolations } = require('../../../tests/utils/field-validation');
+const {
+  ANNOTATION_TYPE,
+  CLIENT_LAYERS,
+  SERVER_RESULTS,
+  VERDICTS,
+  buildRuleResults,
+  buildValidationMatrix,
+  formatValidationMatrix
+} = require('../../../tests/utils/validation-matrix');
+const { annotate } = require('../../../tests/utils/test-annotations');
+const { collectValidationRows, writeValidationMatrix } = require('../../../scripts/validation-matrix');
+const RecaptchaHandler = require('./utils/recaptcha-handler');
+const { config } = require('./utils/test-config');
+
+/**
+ * JBIT Contact Form - Client vs Server Validation Matrix
+ *
+ * Every invalid data set of test-data.json is submitted twice: as a visitor
+ * would, and with client validation disabled (novalidate, constraint
+ * attributes and script validation stripped). Per broken rule this shows
+ * whether the browser, the page script or the server rejected it; a rule
+ * only the client enforces fails the test.
+ *
+ * Build the matrix of a run with: npm run validation-matrix
+ */
+const form = getFormDefinition('jbit', 'jbit-contact-form');
+
+// Unknown checkbox options cannot be entered through the form, so only UI-reachable rules are compared
+const scenarios = loadScenarios('jbit', form.id)
+  .filter(scenario => scenario.expected.outcome === OUTCOMES.FIELD_ERROR)
+  .map(scenario => ({ ...scenario, violations: getRuleViolations(form, scenario.data).filter(violation => violation.rule !== 'option') }))
+  .filter(scenario => scenario.violations.length > 0);
+
+test.describe('JBIT Contact Form - Validation Matrix', () => {
+
+  for (const scenario of scenarios) {
+    const label = scenario.title.split(' → ')[0].replace(/^[^:]+: /, '');
+    const rules = scenario.violations.map(violation => `${violation.field} ${violation.rule}`).join(', ');
+
+    test(`VM-${scenario.testCase}: ${label} → ${rules}`, { tag: ['@validation-matrix', `@${scenario.testCase}`, `@${scenario.formId}`] }, async ({ page }) => {
+      const formPage = new FormPage(page, form, {
+        baseUrl: config.baseUrl,
+        securityHandler: new RecaptchaHandler(page)
+      });
+
+      await formPage.navigate();
+      await formPage.fill(scenario.data);
+      await formPage.submit();
+      const clientRun = await formPage.validationState();
+
+      await formPage.navigate();
+      await formPage.fill(scenario.data);
+      await formPage.disableClientValidation();
+      await formPage.submit();
+      const serverRun = await formPage.validationState();
+
+      const rows = buildRuleResults(scenario.violations, clientRun, serverRun, scenario.dataSet);
+      rows.forEach(row => annotate(ANNOTATION_TYPE, JSON.stringify(row)));
+      console.log(`${scenario.dataSet}\n${formatValidationMatrix(buildValidationMatrix(rows))}`);
+
+      for (const row of rows) {
+        expect.soft(row.verdict, `${row.rule}: client ${row.client}, server ${row.server}`).toBe(VERDICTS.ENFORCED);
+      }
+    });
+  }
+
+});
+
+test.describe('JBIT Contact Form - Validation Matrix Report', { tag: ['@jbit-contact-form', '@validation-matrix'] }, () => {
+
+  const violations = [
+    { field: 'email', rule: 'required', message: 'Dit veld is verplicht' },
+    { field: 'phone', rule: 'required', message: 'Dit veld is verplicht' }
+  ];
+
+  test('VM-001: Should tell per rule which layer rejected the input', () => {
+    expect(getRuleViolations(form, { email: 'test@domain' })).toEqual([
+      { field: 'email', rule: 'email', message: 'Voer een geldig emailadres in' }
+    ]);
+    expect(getRuleViolations(form, { email: '', interesse: ['Onbekend'] }).map(violation => violation.rule)).toEqual(['required', 'option']);
+    expect(scenarios.length).toBeGreaterThan(0);
+    expect(scenarios.every(scenario => scenario.violations.every(violation => violation.rule !== 'option'))).toBe(true);
+
+    const blocked = { sent: false, status: 'client_validation', fieldErrors: { email: 'Please fill out this field.' }, nativeInvalid: ['email'] };
+    const scripted = { sent: false, status: 'client_validation', fieldErrors: { email: 'Dit veld is verplicht' }, nativeInvalid: [] };
+    const rejected = { sent: true, status: 'field_errors', fieldErrors: { email: 'Dit veld is verplicht' }, nativeInvalid: [] };
+    const accepted = { sent: true, status: 'success', fieldErrors: {}, nativeInvalid: [] };
+
+    expect(buildRuleResults(violations.slice(0, 1), blocked, rejected, 'invalid_data.missing_individual_required[1]')).toEqual([{
+      rule: 'email:required',
+      field: 'email',
+      type: 'required',
+      dataSet: 'invalid_data.missing_individual_required[1]',
+      client: CLIENT_LAYERS.HTML5,
+      server: SERVER_RESULTS.FIELD,
+      expectedMessage: 'Dit veld is verplicht',
+      serverMessage: 'Dit veld is verplicht',
+      verdict: VERDICTS.ENFORCED
+    }]);
+
+    const rows = buildRuleResults(violations, scripted, accepted, 'set');
+    expect(rows.map(row => [row.rule, row.client, row.server, row.verdict])).toEqual([
+      ['email:required', CLIENT_LAYERS.SCRIPT, SERVER_RESULTS.NONE, VERDICTS.CLIENT_ONLY],
+      ['phone:required', CLIENT_LAYERS.NONE, SERVER_RESULTS.NONE, VERDICTS.NOT_ENFORCED]
+    ]);
+    expect(buildRuleResults(violations.slice(0, 1), blocked, { ...blocked }, 'set')[0].verdict).toBe(VERDICTS.UNKNOWN);
+    expect(buildRuleResults(violations.slice(0, 1), accepted, { sent: true, status: 'error', message: 'Er is een fout opgetreden', fieldErrors: {} }, 'set')[0])
+      .toMatchObject({ server: SERVER_RESULTS.FORM, serverMessage: 'Er is een fout opgetreden', verdict: VERDICTS.ENFORCED });
+  });
+
+  test('VM-002: Should combine data sets and browsers into one verdict per rule', () => {
+    const row = (dataSet, browser, client, server, verdict) => ({
+      rule: 'email:email', field: 'email', type: 'email', dataSet, browser, client, server, serverMessage: null, verdict
+    });
+
+    const matrix = buildValidationMatrix([
+      row('invalid_email_formats[0]', 'chromium', CLIENT_LAYERS.HTML5, SERVER_RESULTS.FIELD, VERDICTS.ENFORCED),
+      row('invalid_email_formats[3]', 'chromium', CLIENT_LAYERS.NONE, SERVER_RESULTS.NONE, VERDICTS.NOT_ENFORCED),
+      row('invalid_email_formats[3]', 'firefox', CLIENT_LAYERS.NONE, SERVER_RESULTS.NONE, VERDICTS.NOT_ENFORCED),
+      { ...row('missing_individual_required[1]', 'chromium', CLIENT_LAYERS.HTML5, SERVER_RESULTS.FIELD, VERDICTS.ENFORCED), rule: 'email:required', type: 'required' }
+    ]);
+
+    expect(matrix).toEqual([
+      {
+        rule: 'email:email',
+        field: 'email',
+        type: 'email',
+        dataSets: ['invalid_email_formats[0]', 'invalid_email_formats[3]'],
+        browsers: ['chromium', 'firefox'],
+        client: ['html5', 'none'],
+        server: ['field', 'none'],
+        serverMessages: [],
+        verdict: VERDICTS.NOT_ENFORCED
+      },
+      expect.objectContaining({ rule: 'email:required', verdict: VERDICTS.ENFORCED, dataSets: ['missing_individual_required[1]'] })
+    ]);
+
+    const text = formatValidationMatrix(matrix);
+    expect(text).toMatch(/❌ email:email\s+html5,none\s+field,none\s+not-enforced \(2 data sets\)/);
+    expect(text).toMatch(/✅ email:required\s+html5\s+field\s+enforced \(1 data set\)/);
+    expect(formatValidationMatrix([])).toBe('No validation rules recorded');
+  });
+
+  test('VM-003: Should build the matrix from the annotations of a run', () => {
+    const row = { rule: 'email:required', field: 'email', type: 'required', dataSet: 'set', client: 'script', server: 'none', verdict: VERDICTS.CLIENT_ONLY };
+    const annotations = [
+      { type: 'correlation-id', description: 'E2E-1' },
+      { type: ANNOTATION_TYPE, description: JSON.stringify(row) }
+    ];
+    const results = {
+      suites: [{
+        title: 'validation-matrix.spec.js',
+        specs: [],
+        suites: [{
+          title: 'JBIT Contact Form - Validation Matrix',
+          specs: [{
+            title: 'VM-TC-003: missing_email → email required',
+            tests: [
+              // Only the last attempt of a retried test counts
+              { projectName: 'chromium', results: [{ status: 'failed', annotations }, { status: 'failed', annotations }] },
+              { projectName: 'webkit', results: [{ status: 'passed', annotations: [] }] }
+            ]
+          }]
+        }]
+      }]
+    };
+
+    expect(collectValidationRows(results)).toEqual([{ ...row, browser: 'chromium' }]);
+
+    const resultsFile = test.info().outputPath('test-results.json');
+    const outputFile = test.info().outputPath('validation-matrix.json');
+    fs.writeFileSync(resultsFile, JSON.stringify(results));
+
+    const { file, matrix, gaps } = writeValidationMatrix('jbit', { resultsFile, outputFile });
+    expect(file).toBe(outputFile);
+    expect(matrix).toHaveLength(1);
+    expect(gaps.map(entry => entry.rule)).toEqual(['email:required']);
+    expect(JSON.parse(fs.readFileSync(outputFile, 'utf8'))).toMatchObject({ customer: 'jbit', matrix, rows: [{ browser: 'chromium' }] });
+  });
+
+});
@@ -0,0 +1,91 @@
+const { test, expect } = require('@playwright/test');
+const FormPage = require('../../../tests/shared/FormPage');
+const { loadFormRegistry } = require('../../../tests/utils/form-registry');
+const {
+  VISUAL_STATES,
+  DYNAMIC_REGIONS,
+  getVisualSettings,
+  getBaselineName
+} = require('../../../tests/utils/visual-regression');
+const RecaptchaHandler = require('./utils/recaptcha-handler');
+const { config } = require('./utils/test-config');
+
+/**
+ * JBIT Visual Regression
+ *
+ * Compares every registered form in its key states (empty, filled, field-error,
+ * success) with the approved baselines of the browser under test, stored in
+ * __screenshots__/<browser>-<platform>/. Captcha widgets and dates are masked.
+ *
+ * A missing or changed baseline fails the test; review the diff in the HTML
+ * report and approve it with `form-tester visual approve`.
+ */
+for (const definition of loadFormRegistry('jbit')) {
+  test.describe(`JBIT Visual Regression: ${definition.id}`, { tag: [`@${definition.id}`, '@visual'] }, () => {
+    let formPage;
+
+    test.beforeEach(async ({ page }) => {
+      // Fixed sample data without a correlation ID, so the filled states are identical between runs
+      formPage = new FormPage(page, definition, {
+        baseUrl: config.baseUrl,
+        securityHandler: new RecaptchaHandler(page),
+        correlation: false
+      });
+      await formPage.navigate();
+    });
+
+    test('VR-001: Should match the empty form baseline', async () => {
+      await formPage.expectVisualState('empty');
+    });
+
+    test('VR-002: Should match the filled form baseline', async () => {
+      await formPage.fill(formPage.buildSampleData());
+      await formPage.expectVisualState('filled');
+    });
+
+    test('VR-003: Should match the field-error baseline', async () => {
+      const requiredFields = definition.fields.filter(field => field.required);
+      test.skip(requiredFields.length === 0, 'Form has no required fields');
+
+      // Skip the browser's validation bubbles so the server's field errors are rendered
+      await formPage.disableClientValidation();
+      await formPage.submit();
+
+      const outcome = await formPage.outcome();
+      expect(outcome.status).toBe('field_errors');
+      await formPage.expectVisualState('field-error');
+    });
+
+    test('VR-004: Should match the success baseline', async () => {
+      await formPage.fill(formPage.buildSampleData());
+      await formPage.submit();
+
+      const outcome = await formPage.outcome();
+      expect(outcome.status).toBe('success');
+      await formPage.expectVisualState('success');
+    });
+  });
+}
+
+test.describe('JBIT Visual Regression - Settings', { tag: ['@jbit-contact-form', '@visual-settings'] }, () => {
+
+  test('VR-005: Should name baselines per state and mask dynamic regions', () => {
+    expect(VISUAL_STATES).toEqual(['empty', 'filled', 'field-error', 'success']);
+    expect(getBaselineName('jbit-contact-form', 'field-error')).toBe('jbit-contact-form-field-error');
+    expect(() => getBaselineName('jbit-contact-form', 'hover')).toThrow(/Unknown visual state 'hover'/);
+
+    const defaults = getVisualSettings({ id: 'jbit-contact-form' });
+    expect(defaults).toEqual({
+      mask: [...DYNAMIC_REGIONS.captcha, ...DYNAMIC_REGIONS.dates],
+      maxDiffPixelRatio: 0.01,
+      threshold: 0.2
+    });
+    expect(defaults.mask).toEqual(expect.arrayContaining(['iframe[src*="recaptcha"]', '.cf-turnstile', 'input[type="date"]']));
+
+    const tuned = getVisualSettings({ visual: { mask: ['.opening-hours'], max_diff_pixel_ratio: 0, threshold: 0.3 } });
+    expect(tuned.mask.at(-1)).toBe('.opening-hours');
+    expect(tuned.maxDiffPixelRatio).toBe(0);
+    expect(tuned.threshold).toBe(0.3);
+  });
+
+});
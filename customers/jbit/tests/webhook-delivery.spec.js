@@ -0,0 +1,137 @@
+const { test, expect } = require('@playwright/test');
+const ElementorStandInServer = require('../../../tests/shared/ElementorStandInServer');
+const WebhookReceiverServer = require('../../../tests/shared/WebhookReceiverServer');
+const WebhookVerifier = require('../../../tests/shared/WebhookVerifier');
+const { getFormDefinition } = require('../../../tests/utils/form-registry');
+const { getCorrelationField, getFieldValuesById } = require('../../../tests/utils/form-definition');
+const { getCorrelationId, stampCorrelationId } = require('../../../tests/utils/correlation-id');
+const { buildWebhookPayload } = require('../../../tests/utils/webhook-payload');
+const { parseSubmissionResponse } = require('../../../tests/utils/submission-payload');
+const { OUTCOMES, classifyResponse } = require('../../../tests/utils/submission-outcome');
+const ContactFormPage = require('./ContactFormPage');
+
+// Load test data
+const testData = require('../data/test-data.json');
+
+/**
+ * JBIT Contact Form - Webhook Delivery
+ *
+ * Proves a form's webhook action (Zapier, n8n, CRM) was called with the mapped
+ * field payload: the stand-in posts to a local receiver, the call is found by
+ * the submission's correlation ID and compared with what Elementor would send.
+ */
+test.describe('JBIT Contact Form - Webhook Delivery', { tag: '@jbit-contact-form' }, () => {
+  const registered = getFormDefinition('jbit', 'jbit-contact-form');
+  const simpleAction = { type: 'webhook', url: 'https://hooks.example.com/jbit/contact' };
+  const advancedAction = { type: 'webhook', url: 'https://crm.example.com/leads', advanced_data: true };
+
+  // The JBIT site has no webhook action; test against a copy that declares two
+  const definition = {
+    ...registered,
+    submission: { ...registered.submission, actions: [simpleAction, advancedAction] }
+  };
+  const unicode = testData.test_data_sets.edge_cases.unicode_content;
+  let receiver;
+  let server;
+
+  test.beforeEach(async () => {
+    receiver = new WebhookReceiverServer();
+    await receiver.start();
+    server = new ElementorStandInServer({ forms: [definition], webhook: receiver.url });
+    await server.start();
+  });
+
+  test.afterEach(async () => {
+    await server.stop();
+    await receiver.stop();
+  });
+
+  /**
+   * Classify the stand-in's answer to a post
+   * @param {Object} response - { status, body } from ElementorStandInServer#submit()
+   * @returns {Object} Classified outcome
+   */
+  const outcomeOf = ({ status, body }) => classifyResponse(parseSubmissionResponse(status, body), definition);
+
+  test('WH-001: Should build simple and advanced Elementor webhook payloads', () => {
+    const values = getFieldValuesById(definition, unicode);
+
+    expect(buildWebhookPayload(definition, values, simpleAction)).toEqual({
+      Naam: unicode.naam,
+      Email: unicode.email,
+      Telefoon: unicode.telefoon,
+      Interesse: unicode.interesse.join(', '),
+      Bericht: unicode.bericht
+    });
+
+    const advanced = buildWebhookPayload(definition, values, advancedAction, { date: { title: 'Date', value: '2026-01-01' } });
+    expect(advanced).toMatchObject({
+      'form[id]': definition.id,
+      'fields[email][type]': 'email',
+      'fields[email][title]': 'Email',
+      'fields[email][value]': unicode.email,
+      'fields[email][required]': '1',
+      'fields[field_a3f7052][value]': unicode.interesse.join(', '),
+      'meta[date][value]': '2026-01-01'
+    });
+  });
+
+  test('WH-002: Should call every webhook with the mapped field payload', async () => {
+    const verifier = new WebhookVerifier(receiver, definition, { timeout: 5000, pollInterval: 100 });
+    const id = getCorrelationId();
+    const data = stampCorrelationId(unicode, id, getCorrelationField(definition));
+
+    expect(outcomeOf(await server.submit(definition.id, data)).type).toBe(OUTCOMES.SUCCESS);
+
+    const call = await verifier.waitForWebhook(id);
+    verifier.assertPayload(call, data);
+    expect(call.path).toBe('/jbit/contact');
+
+    const [crmCall] = receiver.getRequests(id).filter(r => r.path === '/leads');
+    verifier.assertPayload(crmCall, data, advancedAction);
+    expect(crmCall.payload['meta[page_url][title]']).toBe('Page URL');
+
+    expect(() => verifier.assertPayload(call, { ...data, email: 'other@example.com' }))
+      .toThrow(/"Email" is ".+" instead of "other@example.com"/);
+  });
+
+  test('WH-003: Should report a failing webhook as a server error', async () => {
+    receiver.setStatus(500);
+
+    expect(outcomeOf(await server.submit(definition.id, unicode)).type).toBe(OUTCOMES.SERVER_ERROR);
+    expect(server.getSubmissions()[0].actions).toContainEqual(
+      expect.objectContaining({ type: 'webhook', sent: false, error: 'Webhook answered 500' })
+    );
+  });
+
+  test('WH-004: Should fail when the webhook is not called in time', async () => {
+    const quiet = new ElementorStandInServer({ forms: [definition] });
+    await quiet.start();
+
+    try {
+      const id = getCorrelationId();
+      expect(outcomeOf(await quiet.submit(definition.id, stampCorrelationId(unicode, id, getCorrelationField(definition)))).type)
+        .toBe(OUTCOMES.SUCCESS);
+      expect(quiet.getSubmissions()[0].actions[0].skipped).toBe('no webhook receiver configured');
+
+      const verifier = new WebhookVerifier(receiver.url, definition, { timeout: 300, pollInterval: 100 });
+      await expect(verifier.waitForWebhook(id)).rejects.toThrow(/NO WEBHOOK CALL/);
+    } finally {
+      await quiet.stop();
+    }
+  });
+
+  test('WH-005: Should find the webhook call of a browser submission', async ({ page }) => {
+    const contactPage = new ContactFormPage(page);
+    contactPage.url = server.getFormUrl(definition.id);
+
+    const verifier = new WebhookVerifier(receiver, definition, { timeout: 10000 });
+
+    await contactPage.navigate();
+    const data = await contactPage.fillContactForm(testData.test_data_sets.valid_data.happy_path_comprehensive);
+    expect((await contactPage.submitForm()).type).toBe(OUTCOMES.SUCCESS);
+
+    verifier.assertPayload(await verifier.waitForWebhook(contactPage.correlationId), data);
+  });
+
+});
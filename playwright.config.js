@@ -1,6 +1,7 @@
 // @ts-check
 const { defineConfig, devices } = require('@playwright/test');
 const path = require('path');
+const { loadCustomer } = require('./tests/utils/customer-registry');
 
 /**
  * Get customer-specific output directory based on test file path
@@ -22,6 +23,18 @@ function getCustomerOutputDir(testFilePath = '') {
 const currentCustomer = process.env.CUSTOMER || 'jbit';
 const outputDir = path.join('customers', currentCustomer, 'reports');
 
+/**
+ * Local Elementor stand-in server (STAND_IN=true)
+ * Starts tests/shared/ElementorStandInServer.js and points the customer base URL at it,
+ * so the suite can run without network access to the customer site.
+ */
+const useStandIn = process.env.STAND_IN === 'true';
+const standInPort = process.env.STAND_IN_PORT || '8787';
+const standInUrl = `http://127.0.0.1:${standInPort}`;
+if (useStandIn) {
+  process.env[loadCustomer(currentCustomer).baseUrlEnv] = standInUrl;
+}
+
 /**
  * @see https://playwright.dev/docs/test-configuration
  */
@@ -29,6 +42,11 @@ module.exports = defineConfig({
   testDir: './customers',
   /* Configure output directories for customer-specific results */
   outputDir: path.join(outputDir, 'test-artifacts'),
+  /* Visual baselines per browser and platform, versioned next to the specs (see tests/utils/visual-regression.js) */
+  snapshotPathTemplate: '{testDir}/{testFileDir}/__screenshots__/{projectName}-{platform}/{arg}{ext}',
+
+  /* Visual baselines are approved per machine (form-tester visual approve); @visual only runs when asked for */
+  grepInvert: process.env.VISUAL_TESTS === 'true' ? undefined : /@visual(\s|$)/,
 
   /* Run tests in files in parallel */
   fullyParallel: true,
@@ -112,12 +130,12 @@ module.exports = defineConfig({
     // },
   ],
 
-  /* Run your local dev server before starting the tests */
-  // webServer: {
-  //   command: 'npm run start',
-  //   url: 'http://127.0.0.1:3000',
-  //   reuseExistingServer: !process.env.CI,
-  // },
+  /* Run the local Elementor stand-in before starting the tests */
+  webServer: useStandIn ? {
+    command: `node tests/shared/ElementorStandInServer.js --port ${standInPort} --customer ${currentCustomer}`,
+    url: standInUrl,
+    reuseExistingServer: !process.env.CI,
+  } : undefined,
 
   /* Global test timeout */
   timeout: 60000,
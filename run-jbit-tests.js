@@ -3,28 +3,42 @@
 /**
  * JBIT Test Runner
  *
- * Specialized test runner for JBIT customer tests.
+ * Test runner for customer form tests (JBIT by default).
  * Sets up environment, handles reCAPTCHA bypass, and ensures
  * test results go to the correct customer directory.
+ * Any customer registered under customers/<name>/customer.json can be run,
+ * or all of them in sequence with separate reports.
  */
 
 const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs').promises;
+const { statSync } = require('fs');
+const { listCustomers, loadCustomer } = require('./tests/utils/customer-registry');
+const { archiveResults, getResultsHistoryDir } = require('./scripts/results-history');
+const { updateCustomerQuarantine } = require('./scripts/quarantine');
+const { getTestSummary } = require('./scripts/check-status');
 
 class JBITTestRunner {
-  constructor() {
-    this.customer = 'jbit';
+  /**
+   * @param {string} customer - Customer name (default: CUSTOMER env or 'jbit')
+   */
+  constructor(customer = process.env.CUSTOMER || 'jbit') {
+    this.customerDefinition = loadCustomer(customer);
+    this.customer = customer;
+    this.displayName = this.customerDefinition.displayName || customer.toUpperCase();
     this.rootDir = __dirname;
     this.customerDir = path.join(this.rootDir, 'customers', this.customer);
     this.reportsDir = path.join(this.customerDir, 'reports');
+    // Where Playwright output goes; the CLI redirects it to stderr for --json
+    this.stdio = 'inherit';
   }
 
   /**
-   * Setup environment for JBIT tests
+   * Setup environment for the customer's tests
    */
   async setupEnvironment() {
-    console.log('Setting up JBIT test environment...');
+    console.log(`Setting up ${this.displayName} test environment...`);
 
     // Ensure reports directory exists
     try {
@@ -55,13 +69,14 @@ class JBITTestRunner {
   }
 
   /**
-   * Run JBIT tests with proper configuration
+   * Run the customer's tests with proper configuration
    * @param {Array} testArgs - Additional test arguments
+   * @param {Object} env - Extra environment variables for this run only
    */
-  async runTests(testArgs = []) {
+  async runTests(testArgs = [], env = {}) {
     await this.setupEnvironment();
 
-    console.log('\n=== Starting JBIT Form Tests ===\n');
+    console.log(`\n=== Starting ${this.displayName} Form Tests ===\n`);
 
     // Build Playwright command
     const playwrightCmd = 'npx';
@@ -76,18 +91,26 @@ class JBITTestRunner {
 
     console.log(`Running: ${playwrightCmd} ${playwrightArgs.join(' ')}`);
 
+    const startedAt = Date.now();
+
     return new Promise((resolve, reject) => {
       const testProcess = spawn(playwrightCmd, playwrightArgs, {
         cwd: this.rootDir,
-        env: process.env,
-        stdio: 'inherit'
+        env: { ...process.env, ...env },
+        stdio: this.stdio
       });
 
       testProcess.on('close', (code) => {
         console.log(`\n=== Tests completed with code: ${code} ===`);
         console.log(`\nTest results available at: ${this.reportsDir}`);
+        this.archiveResults();
+        this.updateQuarantine();
 
-        if (code === 0) {
+        if (code !== 0 && this.onlyQuarantinedFailures(startedAt)) {
+          console.log('🚧 Only quarantined tests failed; they do not fail the build.');
+          this.showResultsSummary();
+          resolve(0);
+        } else if (code === 0) {
           this.showResultsSummary();
           resolve(code);
         } else {
@@ -104,6 +127,51 @@ class JBITTestRunner {
     });
   }
 
+  /**
+   * Keep a copy of the run's JSON results for the trend dashboard (status --history)
+   */
+  archiveResults() {
+    try {
+      const archived = archiveResults(path.join(this.reportsDir, 'test-results.json'), getResultsHistoryDir(this.customer));
+      if (archived) {
+        console.log(`🗂️  Results archived: ${archived}`);
+      }
+    } catch (error) {
+      console.error(`⚠️  Could not archive the results: ${error.message}`);
+    }
+  }
+
+  /**
+   * Quarantine tests that keep passing only on retry, release those that recovered
+   */
+  updateQuarantine() {
+    try {
+      const { added, released } = updateCustomerQuarantine(this.customer);
+      added.forEach(entry => console.log(`🚧 Quarantined: ${entry.key} (${entry.reason})`));
+      released.forEach(entry => console.log(`✅ Released from quarantine: ${entry.key} (${entry.cleanRuns} clean runs)`));
+    } catch (error) {
+      console.error(`⚠️  Could not update the quarantine: ${error.message}`);
+    }
+  }
+
+  /**
+   * Whether the run's only failures are quarantined tests
+   * @param {number} startedAt - Run start (ms), older results files do not count
+   * @returns {boolean} True when the failing exit code can be ignored
+   */
+  onlyQuarantinedFailures(startedAt) {
+    const resultsFile = path.join(this.reportsDir, 'test-results.json');
+    try {
+      if (statSync(resultsFile).mtimeMs < startedAt) {
+        return false;
+      }
+      const summary = getTestSummary(this.customer, resultsFile);
+      return summary.stats.failed > 0 && summary.success;
+    } catch (error) {
+      return false;
+    }
+  }
+
   /**
    * Show test results summary
    */
@@ -144,25 +212,126 @@ class JBITTestRunner {
   /**
    * Run specific test scenarios
    * @param {string} scenario - Test scenario to run
+   * @param {Array} extraArgs - Additional Playwright arguments (e.g. --headed)
+   * @param {Object} options - Optional filters
+   * @param {string} options.form - Only run tests tagged with this form id
+   * @param {string} options.browser - Only run this Playwright project
    */
-  async runScenario(scenario) {
-    const scenarioTests = {
-      'happy-path': ['--grep', 'TC-001|Should submit.*successfully'],
-      'validation': ['--grep', 'validation|TC-00[2-4]'],
-      'recaptcha': ['--grep', 'submit|TC-001'],
-      'all': []
-    };
-
-    const testArgs = scenarioTests[scenario] || scenarioTests['all'];
+  async runScenario(scenario, extraArgs = [], options = {}) {
+    if (!Object.keys(JBITTestRunner.SCENARIOS).includes(scenario)) {
+      throw new Error(`Unknown scenario '${scenario}'. Available: ${Object.keys(JBITTestRunner.SCENARIOS).join(', ')}`);
+    }
+    const pattern = JBITTestRunner.SCENARIOS[scenario];
+    const testArgs = [];
+
+    if (options.form) {
+      // Tests are tagged with their form id; lookaheads combine it with the scenario filter
+      testArgs.push('--grep', pattern ? `(?=.*@${options.form}\\b)(?=.*(?:${pattern}))` : `@${options.form}\\b`);
+    } else if (pattern) {
+      testArgs.push('--grep', pattern);
+    }
+
+    if (options.browser && options.browser !== 'all') {
+      testArgs.push(`--project=${options.browser}`);
+    }
+
+    // playwright.config.js leaves the screenshot comparisons out of every other run, so only this child gets VISUAL_TESTS
+    const env = scenario === 'visual' ? { VISUAL_TESTS: 'true' } : {};
+
     console.log(`Running ${scenario} scenario...`);
 
-    return await this.runTests(testArgs);
+    return await this.runTests([...testArgs, ...extraArgs], env);
+  }
+
+  /**
+   * Run a scenario for every registered customer, one after another,
+   * each with its own reports directory
+   * @param {string} scenario - Test scenario to run
+   * @param {Array} extraArgs - Additional Playwright arguments
+   * @returns {Promise<number>} Highest exit code of all runs
+   */
+  static async runAllCustomers(scenario = 'all', extraArgs = []) {
+    const customers = listCustomers();
+    const results = [];
+
+    for (const customer of customers) {
+      const runner = new JBITTestRunner(customer);
+      const code = await runner.runScenario(scenario, extraArgs);
+      results.push({ customer, code, reportsDir: runner.reportsDir });
+    }
+
+    console.log('\n📊 All Customers Summary:');
+    results.forEach(({ customer, code, reportsDir }) => {
+      console.log(`   ${code === 0 ? '✅' : '❌'} ${customer} (exit ${code}) → ${reportsDir}`);
+    });
+
+    return Math.max(0, ...results.map(result => result.code));
   }
 }
 
+/**
+ * Test title filters per scenario (null runs everything)
+ */
+JBITTestRunner.SCENARIOS = {
+  'happy-path': 'TC-001|Should submit.*successfully',
+  'validation': 'validation|TC-00[2-4]',
+  'recaptcha': 'submit|TC-001',
+  'visual': '@visual',
+  'accessibility': '@a11y',
+  'keyboard': '@keyboard',
+  'validation-matrix': '@validation-matrix',
+  'security': '@security',
+  'all': null
+};
+
+// Playwright options whose value is the next word (--project chromium); optional values need --option=value
+const PLAYWRIGHT_VALUE_OPTIONS = [
+  '--project', '--grep', '-g', '--grep-invert', '--workers', '-j', '--retries', '--repeat-each',
+  '--max-failures', '--timeout', '--global-timeout', '--reporter', '--output', '--config', '-c',
+  '--browser', '--shard', '--trace', '--tsconfig', '--ui-host', '--ui-port', '--update-source-method'
+];
+
+/**
+ * Split the command line into the runner's own arguments and those for Playwright
+ * @param {Array<string>} args - Arguments without node and script path
+ * @returns {Object} { customer, allCustomers, scenario, playwrightArgs }
+ */
+function parseRunnerArgs(args) {
+  const parsed = { customer: undefined, allCustomers: false, scenario: undefined, playwrightArgs: [] };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--all-customers') {
+      parsed.allCustomers = true;
+    } else if (arg === '--customer' || PLAYWRIGHT_VALUE_OPTIONS.includes(arg)) {
+      const value = args[++i];
+      if (value === undefined || value.startsWith('-')) {
+        throw new Error(`Option ${arg} requires a value`);
+      }
+      if (arg === '--customer') {
+        parsed.customer = value;
+      } else {
+        parsed.playwrightArgs.push(arg, value);
+      }
+    } else if (arg.startsWith('-')) {
+      parsed.playwrightArgs.push(arg);
+    } else if (parsed.scenario === undefined) {
+      // A typo must not fall back to running the whole suite
+      if (!Object.keys(JBITTestRunner.SCENARIOS).includes(arg)) {
+        throw new Error(`Unknown scenario '${arg}'. Available: ${Object.keys(JBITTestRunner.SCENARIOS).join(', ')}`);
+      }
+      parsed.scenario = arg;
+    } else {
+      throw new Error(`Unexpected argument '${arg}' after scenario '${parsed.scenario}'`);
+    }
+  }
+
+  return parsed;
+}
+
 // CLI interface
 async function main() {
-  const runner = new JBITTestRunner();
   const args = process.argv.slice(2);
 
   try {
@@ -173,10 +342,19 @@ JBIT Test Runner
 Usage:
   node run-jbit-tests.js [scenario] [options]
 
+Customers:
+  --customer <name>   Run tests for a registered customer (default: jbit)
+  --all-customers     Run tests for every customer in customers/*/customer.json
+
 Scenarios:
   happy-path    Run basic form submission tests
   validation    Run form validation tests
   recaptcha     Run reCAPTCHA-focused tests
+  visual        Compare form states with the approved screenshot baselines
+  accessibility Audit every registered form for WCAG issues
+  keyboard      Fill and submit the form with the keyboard only
+  validation-matrix  Submit invalid data with and without client validation
+  security      Probe the form on the local stand-in with hostile input
   all          Run all tests (default)
 
 Examples:
@@ -184,6 +362,8 @@ Examples:
   node run-jbit-tests.js happy-path         # Run happy path tests
   node run-jbit-tests.js --headed           # Run with visible browser
   node run-jbit-tests.js --debug            # Run with debugging
+  node run-jbit-tests.js --project chromium # Other options, with their values, go to Playwright
+  node run-jbit-tests.js --all-customers    # Run all customers, separate reports
 
 Environment Variables:
   HEADLESS=false      Show browser during tests
@@ -191,16 +371,25 @@ Environment Variables:
   TEST_TIMEOUT=60000  Set test timeout (ms)
   SCREENSHOTS=false   Disable screenshots
   VIDEOS=true         Enable video recording
+  INPUT_MODE=keyboard Fill and submit forms with Tab/Space/Enter only
 
 The reCAPTCHA bypass is automatically applied for all test scenarios.
       `);
       return 0;
     }
 
-    const scenario = args.find(arg => !arg.startsWith('--')) || 'all';
-    const playwrightArgs = args.filter(arg => arg.startsWith('--'));
+    let parsed;
+    try {
+      parsed = parseRunnerArgs(args);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(2);
+    }
+    const { customer, allCustomers, scenario = 'all', playwrightArgs } = parsed;
 
-    const exitCode = await runner.runScenario(scenario);
+    const exitCode = allCustomers
+      ? await JBITTestRunner.runAllCustomers(scenario, playwrightArgs)
+      : await new JBITTestRunner(customer).runScenario(scenario, playwrightArgs);
     process.exit(exitCode);
 
   } catch (error) {
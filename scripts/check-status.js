@@ -3,14 +3,36 @@
 /**
  * JBIT Form Testing Status Checker
  * Simple script to check test status and generate basic reports
+ *
+ * Usage:
+ *   node scripts/check-status.js                  # JBIT (or CUSTOMER env)
+ *   node scripts/check-status.js --customer acme  # A specific customer
+ *   node scripts/check-status.js --all            # Every registered customer
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { listCustomers } = require('../tests/utils/customer-registry');
+const { getRecordedCorrelationIds } = require('../tests/utils/correlation-id');
+const { getAnnotations } = require('../tests/utils/test-annotations');
+const { ANNOTATION_TYPE: OUTCOME_ANNOTATION } = require('../tests/utils/submission-outcome');
+const { getQuarantineFile, readQuarantine, findQuarantined } = require('./quarantine');
 
-const CUSTOMER = 'jbit';
-const REPORTS_DIR = path.join('customers', CUSTOMER, 'reports');
-const RESULTS_FILE = path.join(REPORTS_DIR, 'test-results.json');
+const CUSTOMER = process.env.CUSTOMER || 'jbit';
+
+/**
+ * Get the report locations for a customer
+ * @param {string} customer - Customer name
+ * @returns {Object} reportsDir and resultsFile paths
+ */
+function getReportPaths(customer) {
+  const reportsDir = path.join('customers', customer, 'reports');
+  return {
+    reportsDir,
+    resultsFile: path.join(reportsDir, 'test-results.json')
+  };
+}
 
 // Colors for console output
 const colors = {
@@ -83,92 +105,219 @@ function getStatusIcon(status) {
   }
 }
 
-function checkTestStatus() {
-  printHeader('JBIT Form Testing Status Check');
+/**
+ * All specs of a report suite, including those in nested describe blocks
+ * @param {Object} suite - Suite from the Playwright JSON report
+ * @returns {Array<Object>} Specs
+ */
+function collectSpecs(suite) {
+  return [
+    ...(suite.specs || []),
+    ...(suite.suites || []).flatMap(collectSpecs)
+  ];
+}
 
-  // Check if results file exists
-  if (!fs.existsSync(RESULTS_FILE)) {
-    console.log(colorize('❌ No test results found!', 'red'));
-    console.log(`   Expected file: ${RESULTS_FILE}`);
-    console.log('   Run tests first: npm run test:smoke');
-    return false;
+/**
+ * Outcome of a test over its retries, as the report's stats count it
+ * @param {Object} test - Test from the Playwright JSON report
+ * @returns {string} 'expected', 'unexpected', 'flaky' or 'skipped'
+ */
+function getTestOutcome(test) {
+  if (test.status) {
+    return test.status;
+  }
+  const final = test.results[test.results.length - 1];
+  if (['failed', 'timedOut'].includes(final?.status)) {
+    return 'unexpected';
   }
+  return final?.status === 'skipped' ? 'skipped' : 'expected';
+}
+
+/**
+ * Read a customer's Playwright JSON results into a plain summary
+ * Failures of quarantined tests are listed under `quarantined` and do not count against `success`.
+ * @param {string} customer - Customer name
+ * @param {string} file - Results file (default: the customer's test-results.json)
+ * @param {Object} quarantine - Quarantine (default: the customer's quarantine.json)
+ * @param {string} form - Only the tests tagged @<form> (default: every test)
+ * @returns {Object} Summary (found=false when no results file exists)
+ */
+function getTestSummary(customer = CUSTOMER, file, quarantine = readQuarantine(getQuarantineFile(customer)), form) {
+  const { reportsDir, resultsFile: defaultFile } = getReportPaths(customer);
+  const resultsFile = file || defaultFile;
+  const summary = { customer, reportsDir, resultsFile, form: form || null, found: fs.existsSync(resultsFile) };
+
+  if (!summary.found) {
+    return summary;
+  }
+
+  const raw = fs.readFileSync(resultsFile, 'utf8');
+  const results = JSON.parse(raw);
+  const inForm = spec => !form || (spec.tags || []).includes(form);
+  // The report's stats cover every test; a form's are counted from its own tests
+  const stats = form
+    ? (results.suites || []).flatMap(collectSpecs).filter(inForm).flatMap(spec => spec.tests).reduce((counts, test) => {
+      const outcome = getTestOutcome(test);
+      return { ...counts, [outcome]: (counts[outcome] || 0) + 1 };
+    }, {})
+    : results.stats || {};
+  const total = (stats.expected || 0) + (stats.unexpected || 0) + (stats.skipped || 0) + (stats.flaky || 0);
+
+  const browsers = {};
+  const failures = [];
+  const quarantined = [];
+  let quarantinedFailures = 0;
+  const antiBot = {};
+  const correlationIds = [];
+  const outcomes = {};
+
+  // Process test results by project (browser), including specs in nested describe blocks
+  (results.suites || []).forEach(suite => {
+    collectSpecs(suite).filter(inForm).forEach(spec => {
+      spec.tests.forEach(test => {
+        const inQuarantine = findQuarantined(quarantine, spec.title, test.projectName || 'unknown');
+        if (inQuarantine && getTestOutcome(test) === 'unexpected') {
+          quarantinedFailures++;
+        }
+
+        test.results.forEach(result => {
+          const annotations = result.annotations || test.annotations || [];
+          const ids = getRecordedCorrelationIds(annotations);
+          const outcome = getAnnotations(annotations, OUTCOME_ANNOTATION).pop() || null;
+          const screenshot = (result.attachments || []).find(attachment => attachment.contentType === 'image/png' && attachment.path);
+          // A result's workerIndex is not a project index; the test knows its project
+          const projectName = test.projectName || 'unknown';
+
+          if (!browsers[projectName]) {
+            browsers[projectName] = {
+              passed: 0,
+              failed: 0,
+              skipped: 0,
+              duration: 0
+            };
+          }
+
+          switch (result.status) {
+            case 'passed':
+              browsers[projectName].passed++;
+              break;
+            case 'failed':
+            case 'timedOut':
+              browsers[projectName].failed++;
+              (inQuarantine ? quarantined : failures).push({
+                title: test.title,
+                file: spec.title,
+                project: projectName,
+                error: result.error?.message || 'Unknown error',
+                duration: result.duration,
+                correlationIds: ids,
+                outcome,
+                screenshot: screenshot?.path || null
+              });
+              break;
+            case 'skipped':
+              browsers[projectName].skipped++;
+              break;
+          }
+
+          browsers[projectName].duration += result.duration || 0;
+
+          // Last classified admin-ajax outcome (SUCCESS, SERVER_ERROR, ...) per test
+          if (outcome) {
+            outcomes[outcome] = (outcomes[outcome] || 0) + 1;
+          }
+
+          // Correlation IDs of the synthetic submissions, to trace leads in mailboxes and CRMs
+          if (ids.length > 0) {
+            correlationIds.push({ title: spec.title, project: projectName, status: result.status, ids });
+          }
+
+          // Anti-bot outcomes recorded by RecaptchaHandler ("turnstile → turnstile_bypass: verified")
+          annotations
+            .filter(annotation => annotation.type === 'anti-bot')
+            .forEach(annotation => {
+              const [, key, state] = annotation.description.match(/^(.+): (\w+)$/) || [];
+              if (!key) return;
+              antiBot[key] = antiBot[key] || { verified: 0, failed: 0 };
+              antiBot[key][state === 'verified' ? 'verified' : 'failed']++;
+            });
+        });
+      });
+    });
+  });
+
+  return {
+    ...summary,
+    testDate: results.config?.metadata?.actualWorkers?.[0]?.workerInfo?.testRunStarted || null,
+    // Tells runs apart: the run's start time, or the report itself when it has none
+    runId: results.stats?.startTime || crypto.createHash('sha1').update(raw).digest('hex'),
+    stats: {
+      total,
+      passed: stats.expected || 0,
+      failed: stats.unexpected || 0,
+      skipped: stats.skipped || 0,
+      flaky: stats.flaky || 0,
+      quarantined: quarantinedFailures,
+      successRate: total > 0 ? Number(((stats.expected || 0) / total * 100).toFixed(1)) : 0
+    },
+    duration: results.config?.metadata?.totalTime || 0,
+    browsers,
+    antiBot,
+    correlationIds,
+    outcomes,
+    failures,
+    quarantined,
+    quarantine: quarantine.tests,
+    success: (stats.unexpected || 0) - quarantinedFailures <= 0
+  };
+}
+
+function checkTestStatus(customer = CUSTOMER) {
+  printHeader(`${customer.toUpperCase()} Form Testing Status Check`);
 
   try {
-    const rawData = fs.readFileSync(RESULTS_FILE, 'utf8');
-    const results = JSON.parse(rawData);
+    const summary = getTestSummary(customer);
+    const { reportsDir: REPORTS_DIR, resultsFile: RESULTS_FILE } = summary;
+
+    // Check if results file exists
+    if (!summary.found) {
+      console.log(colorize('❌ No test results found!', 'red'));
+      console.log(`   Expected file: ${RESULTS_FILE}`);
+      console.log('   Run tests first: npm run test:smoke');
+      return false;
+    }
 
     // Basic information
     printSection('Basic Information');
-    console.log(`Customer: ${colorize(CUSTOMER.toUpperCase(), 'magenta')}`);
-    console.log(`Test Date: ${formatDate(results.config?.metadata?.actualWorkers?.[0]?.workerInfo?.testRunStarted)}`);
+    console.log(`Customer: ${colorize(customer.toUpperCase(), 'magenta')}`);
+    console.log(`Test Date: ${formatDate(summary.testDate)}`);
     console.log(`Results File: ${RESULTS_FILE}`);
 
     // Test Statistics
     printSection('Test Statistics');
-    const stats = results.stats || {};
-    const total = (stats.expected || 0) + (stats.unexpected || 0) + (stats.skipped || 0) + (stats.flaky || 0);
+    const stats = summary.stats;
 
-    console.log(`Total Tests: ${colorize(total, 'white')}`);
-    console.log(`${getStatusIcon('passed')} Passed: ${colorize(stats.expected || 0, 'green')}`);
-    console.log(`${getStatusIcon('failed')} Failed: ${colorize(stats.unexpected || 0, 'red')}`);
-    console.log(`${getStatusIcon('skipped')} Skipped: ${colorize(stats.skipped || 0, 'yellow')}`);
-    console.log(`🔄 Flaky: ${colorize(stats.flaky || 0, 'magenta')}`);
+    console.log(`Total Tests: ${colorize(stats.total, 'white')}`);
+    console.log(`${getStatusIcon('passed')} Passed: ${colorize(stats.passed, 'green')}`);
+    console.log(`${getStatusIcon('failed')} Failed: ${colorize(stats.failed, 'red')}`);
+    console.log(`${getStatusIcon('skipped')} Skipped: ${colorize(stats.skipped, 'yellow')}`);
+    console.log(`🔄 Flaky: ${colorize(stats.flaky, 'magenta')}`);
 
     // Success Rate
-    const successRate = total > 0 ? ((stats.expected || 0) / total * 100).toFixed(1) : 0;
+    const successRate = stats.successRate.toFixed(1);
     const rateColor = successRate == 100 ? 'green' : successRate >= 80 ? 'yellow' : 'red';
     console.log(`Success Rate: ${colorize(successRate + '%', rateColor)}`);
 
     // Duration
     printSection('Execution Time');
-    const duration = results.config?.metadata?.totalTime || 0;
+    const duration = summary.duration;
     console.log(`Total Duration: ${colorize(formatDuration(duration), 'white')}`);
 
     // Browser Results
-    if (results.suites && results.suites.length > 0) {
+    if (Object.keys(summary.browsers).length > 0) {
       printSection('Browser Results');
 
-      const browserResults = {};
-
-      // Process test results by project (browser)
-      results.suites.forEach(suite => {
-        suite.specs.forEach(spec => {
-          spec.tests.forEach(test => {
-            test.results.forEach(result => {
-              const projectName = result.workerIndex !== undefined ?
-                results.config.projects?.[result.workerIndex]?.name || 'unknown' : 'unknown';
-
-              if (!browserResults[projectName]) {
-                browserResults[projectName] = {
-                  passed: 0,
-                  failed: 0,
-                  skipped: 0,
-                  duration: 0
-                };
-              }
-
-              switch (result.status) {
-                case 'passed':
-                  browserResults[projectName].passed++;
-                  break;
-                case 'failed':
-                case 'timedOut':
-                  browserResults[projectName].failed++;
-                  break;
-                case 'skipped':
-                  browserResults[projectName].skipped++;
-                  break;
-              }
-
-              browserResults[projectName].duration += result.duration || 0;
-            });
-          });
-        });
-      });
-
-      // Display browser results
-      Object.entries(browserResults).forEach(([browser, stats]) => {
+      Object.entries(summary.browsers).forEach(([browser, stats]) => {
         const total = stats.passed + stats.failed + stats.skipped;
         const success = total > 0 ? (stats.passed / total * 100).toFixed(1) : 0;
         const statusColor = success == 100 ? 'green' : success >= 80 ? 'yellow' : 'red';
@@ -181,33 +330,51 @@ function checkTestStatus() {
       });
     }
 
-    // Recent Failures
-    if (stats.unexpected > 0) {
-      printSection('Recent Failures');
+    // Anti-bot strategies
+    if (Object.keys(summary.antiBot).length > 0) {
+      printSection('Anti-Bot Strategies');
 
-      const failures = [];
-      results.suites.forEach(suite => {
-        suite.specs.forEach(spec => {
-          spec.tests.forEach(test => {
-            test.results.forEach(result => {
-              if (result.status === 'failed' || result.status === 'timedOut') {
-                failures.push({
-                  title: test.title,
-                  file: spec.title,
-                  error: result.error?.message || 'Unknown error',
-                  duration: result.duration
-                });
-              }
-            });
-          });
-        });
+      Object.entries(summary.antiBot).forEach(([strategy, counts]) => {
+        const icon = counts.failed === 0 ? '✅' : '⚠️ ';
+        console.log(`${icon} ${strategy}: ${counts.verified} verified, ${counts.failed} failed`);
       });
+    }
+
+    // Submission outcomes
+    if (Object.keys(summary.outcomes).length > 0) {
+      printSection('Submission Outcomes');
 
+      Object.entries(summary.outcomes).forEach(([outcome, count]) => {
+        console.log(`${outcome === 'SUCCESS' ? '✅' : '⚠️ '} ${outcome}: ${count}`);
+      });
+    }
+
+    // Correlation IDs
+    if (summary.correlationIds.length > 0) {
+      printSection('Correlation IDs');
+      console.log(`🔖 ${summary.correlationIds.length} submission(s) stamped, e.g. ${summary.correlationIds[0].ids[0]} (${summary.correlationIds[0].title})`);
+      console.log('   Full list: node bin/form-tester.js status --json');
+    }
+
+    // Recent Failures
+    if (summary.failures.length > 0) {
+      printSection('Recent Failures');
+
+      const failures = summary.failures;
       failures.slice(0, 5).forEach((failure, index) => {
         console.log(`\n${index + 1}. ${colorize(failure.title, 'red')}`);
         console.log(`   File: ${failure.file}`);
         console.log(`   Error: ${failure.error.substring(0, 100)}...`);
         console.log(`   Duration: ${formatDuration(failure.duration)}`);
+        if (failure.outcome) {
+          console.log(`   Outcome: ${failure.outcome}`);
+        }
+        if (failure.screenshot) {
+          console.log(`   Screenshot: ${failure.screenshot}`);
+        }
+        if (failure.correlationIds.length > 0) {
+          console.log(`   Correlation ID: ${failure.correlationIds.join(', ')}`);
+        }
       });
 
       if (failures.length > 5) {
@@ -215,12 +382,27 @@ function checkTestStatus() {
       }
     }
 
+    // Quarantined tests run, but their failures do not fail the build
+    if (summary.quarantine.length > 0) {
+      printSection('Quarantined Tests');
+
+      summary.quarantine.forEach(entry => {
+        const failed = summary.quarantined.filter(failure => failure.file === entry.title &&
+          (entry.browser === '*' || failure.project === entry.browser)).length;
+        console.log(`🚧 ${entry.key}: ${failed > 0 ? colorize(`${failed} failed attempt(s)`, 'yellow') : 'no failures'}`);
+      });
+      console.log(`   ${stats.quarantined} quarantined failure(s) not counted. Details: node bin/form-tester.js quarantine`);
+    }
+
     // Recommendations
     printSection('Recommendations');
 
-    if (stats.unexpected === 0) {
+    if (summary.success && stats.quarantined > 0) {
+      console.log(colorize('✅ All tests outside the quarantine are passing', 'green'));
+      console.log('   - Fix the quarantined tests; they are released after enough clean runs');
+    } else if (summary.success) {
       console.log(colorize('✅ All tests are passing! Great job!', 'green'));
-    } else if (stats.unexpected > 0) {
+    } else {
       console.log(colorize('❌ Some tests are failing. Please investigate:', 'red'));
       console.log('   - Check the HTML report for detailed failure information');
       console.log('   - Review recent changes that might have caused failures');
@@ -249,7 +431,7 @@ function checkTestStatus() {
     }
 
     console.log('\n' + colorize('Status check completed!', 'green'));
-    return stats.unexpected === 0; // Return true if all tests passed
+    return summary.success; // Return true if all tests passed
 
   } catch (error) {
     console.error(colorize(`❌ Error reading test results: ${error.message}`, 'red'));
@@ -259,8 +441,14 @@ function checkTestStatus() {
 
 // Run the status check
 if (require.main === module) {
-  const success = checkTestStatus();
-  process.exit(success ? 0 : 1);
+  const args = process.argv.slice(2);
+  const customerIndex = args.indexOf('--customer');
+  const customers = args.includes('--all')
+    ? listCustomers()
+    : [customerIndex !== -1 ? args[customerIndex + 1] : CUSTOMER];
+
+  const results = customers.map(customer => checkTestStatus(customer));
+  process.exit(results.every(Boolean) ? 0 : 1);
 }
 
-module.exports = { checkTestStatus };
\ No newline at end of file
+module.exports = { checkTestStatus, getTestSummary, getReportPaths, collectSpecs };
@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+
+/**
+ * Test Submission Cleanup
+ * Removes the submissions a test run left in the site's submission storage
+ * (Elementor's Submissions table), found by the run's correlation IDs.
+ *
+ * Usage:
+ *   node scripts/cleanup-submissions.js                    # IDs from the last JBIT (or CUSTOMER env) run
+ *   node scripts/cleanup-submissions.js --customer acme    # A specific customer
+ *   node scripts/cleanup-submissions.js --dry-run          # Only report what would be removed
+ *   node scripts/cleanup-submissions.js --mark-read        # Mark as read instead of deleting
+ *   node scripts/cleanup-submissions.js --marker E2E-...   # Clean up one correlation ID
+ *
+ * The store comes from the environment, e.g.
+ *   SUBMISSION_STORE=wp-rest WP_URL=https://staging.example WP_USER=... WP_APP_PASSWORD=...
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getTestSummary, getReportPaths } = require('./check-status');
+const { createSubmissionStoreFromEnv } = require('../tests/shared/submission-stores');
+const CustomerTestConfig = require('../tests/shared/CustomerTestConfig');
+
+const CUSTOMER = process.env.CUSTOMER || 'jbit';
+const MODES = ['delete', 'mark-read'];
+
+/**
+ * Correlation IDs recorded by a customer's last run
+ * @param {string} customer - Customer name
+ * @returns {Array<string>} Unique IDs (empty without results)
+ */
+function getRunMarkers(customer = CUSTOMER) {
+  const summary = getTestSummary(customer);
+  if (!summary.found) {
+    return [];
+  }
+  return [...new Set(summary.correlationIds.flatMap(entry => entry.ids))];
+}
+
+/**
+ * Delete (or mark as read) every stored submission that carries one of the markers
+ * @param {Object} store - Submission store from createSubmissionStore()
+ * @param {Array<string>} markers - Correlation IDs
+ * @param {Object} options - { mode: 'delete' | 'mark-read', dryRun }
+ * @returns {Promise<Object>} Report { store, mode, dryRun, markers, matched, removed, unmatched, failed }
+ */
+async function cleanupSubmissions(store, markers, options = {}) {
+  const mode = options.mode || 'delete';
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown cleanup mode '${mode}'. Use one of: ${MODES.join(', ')}`);
+  }
+
+  const report = {
+    store: store.type,
+    mode,
+    dryRun: !!options.dryRun,
+    startedAt: new Date().toISOString(),
+    markers,
+    matched: [],
+    removed: [],
+    unmatched: [],
+    failed: []
+  };
+  const seen = new Set();
+
+  for (const marker of markers) {
+    let submissions;
+    try {
+      // Stores search loosely; only touch submissions that really carry the marker
+      submissions = (await store.find(marker))
+        .filter(submission => Object.values(submission.values).some(value => String(value).includes(marker)))
+        .filter(submission => !seen.has(submission.id));
+    } catch (error) {
+      report.failed.push({ marker, error: error.message });
+      continue;
+    }
+
+    if (submissions.length === 0) {
+      report.unmatched.push(marker);
+      continue;
+    }
+
+    for (const submission of submissions) {
+      seen.add(submission.id);
+      const entry = { marker, id: submission.id, formId: submission.formId, createdAt: submission.createdAt };
+      report.matched.push(entry);
+
+      if (report.dryRun) continue;
+
+      try {
+        await (mode === 'mark-read' ? store.markRead(submission.id) : store.remove(submission.id));
+        report.removed.push(entry);
+      } catch (error) {
+        report.failed.push({ ...entry, error: error.message });
+      }
+    }
+  }
+
+  report.finishedAt = new Date().toISOString();
+  return report;
+}
+
+/**
+ * Write a cleanup report next to the customer's test results
+ * @param {string} customer - Customer name
+ * @param {Object} report - Report from cleanupSubmissions()
+ * @returns {string} Report file path
+ */
+function writeCleanupReport(customer, report) {
+  const file = path.join(getReportPaths(customer).reportsDir, 'cleanup-report.json');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(report, null, 2));
+  return file;
+}
+
+/**
+ * Print a cleanup report
+ * @param {Object} report - Report from cleanupSubmissions()
+ */
+function printCleanupReport(report) {
+  const verb = report.mode === 'mark-read' ? 'marked as read' : 'deleted';
+
+  console.log(`\n🧹 Submission cleanup (${report.store}, ${report.mode}${report.dryRun ? ', dry run' : ''})`);
+  console.log(`   Correlation IDs: ${report.markers.length}`);
+  console.log(`   Matching submissions: ${report.matched.length}`);
+
+  if (report.dryRun) {
+    report.matched.forEach(entry => console.log(`   • would be ${verb}: #${entry.id} (${entry.formId || 'unknown form'}, ${entry.marker})`));
+  } else {
+    report.removed.forEach(entry => console.log(`   ✅ ${verb}: #${entry.id} (${entry.formId || 'unknown form'}, ${entry.marker})`));
+  }
+
+  if (report.unmatched.length > 0) {
+    console.log(`   ⚪ No submission found for: ${report.unmatched.join(', ')}`);
+  }
+  report.failed.forEach(entry => console.log(`   ❌ ${entry.id ? `#${entry.id}` : entry.marker}: ${entry.error}`));
+}
+
+// CLI interface
+async function main() {
+  const args = process.argv.slice(2);
+  const getArg = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Test Submission Cleanup
+
+Usage:
+  node scripts/cleanup-submissions.js [options]
+
+Options:
+  --customer <name>     Customer whose last run to clean up (default: CUSTOMER env or jbit)
+  --marker <id>         Clean up this correlation ID instead of the last run's
+  --dry-run             Only report what would be removed
+  --mark-read           Mark matching submissions as read instead of deleting them
+
+Environment:
+  SUBMISSION_STORE=wp-rest WP_URL=<site> WP_USER=<user> WP_APP_PASSWORD=<application password>
+    `);
+    return 0;
+  }
+
+  const customer = getArg('customer') || CUSTOMER;
+  const store = createSubmissionStoreFromEnv(process.env, new CustomerTestConfig(customer).baseUrl);
+  if (!store) {
+    console.error('❌ No submission store configured. Set SUBMISSION_STORE (e.g. wp-rest) and WP_USER/WP_APP_PASSWORD.');
+    return 1;
+  }
+
+  const markers = getArg('marker') ? [getArg('marker')] : getRunMarkers(customer);
+  const report = await cleanupSubmissions(store, markers, {
+    mode: args.includes('--mark-read') ? 'mark-read' : 'delete',
+    dryRun: args.includes('--dry-run')
+  });
+
+  printCleanupReport(report);
+  console.log(`\n📋 Report: ${writeCleanupReport(customer, report)}`);
+  return report.failed.length > 0 ? 1 : 0;
+}
+
+// Run if called directly
+if (require.main === module) {
+  main()
+    .then(code => process.exit(code))
+    .catch(error => {
+      console.error('Cleanup failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  cleanupSubmissions,
+  getRunMarkers,
+  writeCleanupReport,
+  printCleanupReport
+};
@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+
+/**
+ * Results Exporter
+ * Converts a customer's Playwright JSON results into formats other CI systems
+ * and dashboards ingest:
+ * - junit:   JUnit XML (junit.xml), one <testsuite> per spec file and browser
+ * - tap:     TAP version 13 (results.tap) with a YAML block per executed test
+ * - summary: compact JSON (summary.json) with totals per form and one entry per test
+ * Every test carries its form (the spec's form tag), its submission outcome class
+ * and the correlation IDs of its submissions. Failures of quarantined tests are
+ * exported as skipped (JUnit) or TODO (TAP) so they do not fail the ingesting build.
+ *
+ * Usage:
+ *   node scripts/export-results.js                          # All formats for JBIT (or CUSTOMER env)
+ *   node scripts/export-results.js --format junit,tap       # Only these formats
+ *   node scripts/export-results.js --output ci-reports      # Write somewhere else than the reports directory
+ *   node scripts/export-results.js --format summary --stdout
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getReportPaths, collectSpecs } = require('./check-status');
+const { getTestResult } = require('./results-history');
+const { getQuarantineFile, readQuarantine, findQuarantined } = require('./quarantine');
+const { getRecordedCorrelationIds } = require('../tests/utils/correlation-id');
+const { getAnnotations } = require('../tests/utils/test-annotations');
+const { ANNOTATION_TYPE: OUTCOME_ANNOTATION } = require('../tests/utils/submission-outcome');
+const { loadFormRegistry } = require('../tests/utils/form-registry');
+const { escapeHtml } = require('../tests/utils/html-escape');
+
+const CUSTOMER = process.env.CUSTOMER || 'jbit';
+
+const EXPORT_FORMATS = {
+  junit: { file: 'junit.xml', render: renderJUnit },
+  tap: { file: 'results.tap', render: renderTap },
+  summary: { file: 'summary.json', render: (summary) => JSON.stringify(summary, null, 2) + '\n' }
+};
+
+/**
+ * Error message without terminal colors and characters XML does not allow
+ * @param {string} message - Playwright error message
+ * @returns {string} Clean message
+ */
+function cleanMessage(message = '') {
+  return String(message)
+    .replace(/\u001b\[[0-9;]*m/g, '')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * Form ids registered for a customer, empty when it has no forms-list.json
+ * @param {string} customer - Customer name
+ * @returns {Array<string>} Form ids
+ */
+function getFormIds(customer) {
+  try {
+    return loadFormRegistry(customer).map(form => form.id);
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * One entry per test and browser, with its form, outcome class and correlation IDs
+ * @param {Object} results - Playwright JSON results
+ * @param {Object} options - { formIds, quarantine }
+ * @returns {Array<Object>} Test cases
+ */
+function collectTestCases(results, { formIds = [], quarantine = { tests: [] } } = {}) {
+  return (results.suites || []).flatMap(fileSuite => collectSpecs(fileSuite).flatMap(spec => spec.tests.map(test => {
+    const attempts = test.results || [];
+    const final = attempts[attempts.length - 1] || {};
+    const annotations = attempts.flatMap(attempt => attempt.annotations || []).concat(test.annotations || []);
+    const tags = (spec.tags || []).map(tag => tag.replace(/^@/, ''));
+    const status = getTestResult(test);
+    const error = attempts.filter(attempt => attempt.error).pop()?.error;
+    const browser = test.projectName || 'unknown';
+
+    return {
+      title: spec.title,
+      file: spec.file || fileSuite.file || fileSuite.title,
+      browser,
+      form: tags.find(tag => formIds.includes(tag)) || null,
+      status,
+      quarantined: !!findQuarantined(quarantine, spec.title, browser),
+      outcome: getAnnotations(final.annotations || [], OUTCOME_ANNOTATION).pop() || getAnnotations(annotations, OUTCOME_ANNOTATION).pop() || null,
+      correlationIds: [...new Set(getRecordedCorrelationIds(annotations))],
+      duration: attempts.reduce((total, attempt) => total + (attempt.duration || 0), 0),
+      retries: Math.max(0, attempts.length - 1),
+      error: status === 'failed' || status === 'flaky' ? cleanMessage(error?.message || 'Unknown error') : null
+    };
+  })));
+}
+
+/**
+ * Compact summary of a run: totals, per-form outcome classes and every test
+ * @param {Object} results - Playwright JSON results
+ * @param {Object} options - { customer, formIds, quarantine, generatedAt }
+ * @returns {Object} Summary
+ */
+function buildExportSummary(results, options = {}) {
+  const tests = collectTestCases(results, options);
+  const stats = { total: tests.length, passed: 0, failed: 0, flaky: 0, skipped: 0, quarantined: 0 };
+  const forms = {};
+
+  tests.forEach(entry => {
+    stats[entry.status]++;
+    if (entry.status === 'failed' && entry.quarantined) {
+      stats.quarantined++;
+    }
+
+    const form = entry.form || 'none';
+    forms[form] = forms[form] || { total: 0, passed: 0, failed: 0, flaky: 0, skipped: 0, outcomes: {}, correlationIds: [] };
+    forms[form].total++;
+    forms[form][entry.status]++;
+    if (entry.outcome) {
+      forms[form].outcomes[entry.outcome] = (forms[form].outcomes[entry.outcome] || 0) + 1;
+    }
+    forms[form].correlationIds.push(...entry.correlationIds);
+  });
+
+  return {
+    customer: options.customer || null,
+    generatedAt: new Date(options.generatedAt || Date.now()).toISOString(),
+    startedAt: results.stats?.startTime || null,
+    duration: results.stats?.duration || 0,
+    success: stats.failed - stats.quarantined === 0,
+    stats,
+    forms,
+    tests
+  };
+}
+
+/**
+ * @param {Object} properties - Property values by name (empty values are left out)
+ * @param {string} indent - Indentation
+ * @returns {string} JUnit <properties> element, empty when there are none
+ */
+function renderProperties(properties, indent) {
+  const entries = Object.entries(properties).filter(([, value]) => value !== null && value !== undefined && value !== '');
+  if (entries.length === 0) {
+    return '';
+  }
+  return `${indent}<properties>\n${entries.map(([name, value]) =>
+    `${indent}  <property name="${escapeHtml(name)}" value="${escapeHtml(value)}"/>`).join('\n')}\n${indent}</properties>\n`;
+}
+
+/**
+ * JUnit XML of an export summary
+ * @param {Object} summary - buildExportSummary()
+ * @returns {string} XML
+ */
+function renderJUnit(summary) {
+  const suites = new Map();
+  summary.tests.forEach(entry => {
+    const name = `${entry.file} [${entry.browser}]`;
+    suites.set(name, [...(suites.get(name) || []), entry]);
+  });
+  const seconds = (ms) => (ms / 1000).toFixed(3);
+  const failed = (entry) => entry.status === 'failed' && !entry.quarantined;
+  const skipped = (entry) => entry.status === 'skipped' || (entry.status === 'failed' && entry.quarantined);
+
+  const testsuites = Array.from(suites.entries()).map(([name, tests]) => {
+    const testcases = tests.map(entry => {
+      const properties = renderProperties({
+        form: entry.form,
+        outcome: entry.outcome,
+        'correlation-id': entry.correlationIds.join(', '),
+        retries: entry.retries || null,
+        flaky: entry.status === 'flaky' ? 'true' : null,
+        quarantined: entry.quarantined ? 'true' : null
+      }, '      ');
+      let body = properties;
+      if (failed(entry)) {
+        body += `      <failure message="${escapeHtml(entry.error.split('\n')[0])}" type="${escapeHtml(entry.outcome || 'failure')}">${escapeHtml(entry.error)}</failure>\n`;
+      } else if (skipped(entry)) {
+        body += entry.status === 'failed'
+          ? `      <skipped message="${escapeHtml(`Quarantined: ${entry.error.split('\n')[0]}`)}"/>\n`
+          : '      <skipped/>\n';
+      }
+      const open = `    <testcase name="${escapeHtml(entry.title)}" classname="${escapeHtml(entry.file)}" time="${seconds(entry.duration)}"`;
+      return body ? `${open}>\n${body}    </testcase>` : `${open}/>`;
+    });
+
+    return `  <testsuite name="${escapeHtml(name)}" tests="${tests.length}" failures="${tests.filter(failed).length}" ` +
+      `skipped="${tests.filter(skipped).length}" errors="0" time="${seconds(tests.reduce((total, entry) => total + entry.duration, 0))}">\n` +
+      `${testcases.join('\n')}\n  </testsuite>`;
+  });
+
+  const { stats } = summary;
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<testsuites name="${escapeHtml(`${summary.customer || 'form'} form tests`)}" tests="${stats.total}" ` +
+    `failures="${stats.failed - stats.quarantined}" skipped="${stats.skipped + stats.quarantined}" errors="0" time="${seconds(summary.duration)}"` +
+    `${summary.startedAt ? ` timestamp="${summary.startedAt}"` : ''}>\n` +
+    testsuites.map(testsuite => `${testsuite}\n`).join('') + '</testsuites>\n';
+}
+
+/**
+ * TAP version 13 of an export summary
+ * @param {Object} summary - buildExportSummary()
+ * @returns {string} TAP
+ */
+function renderTap(summary) {
+  const lines = ['TAP version 13', `1..${summary.tests.length}`];
+
+  summary.tests.forEach((entry, index) => {
+    const ok = entry.status !== 'failed' ? 'ok' : 'not ok';
+    const directive = entry.status === 'skipped' ? ' # SKIP'
+      : entry.status === 'failed' && entry.quarantined ? ' # TODO quarantined'
+        : '';
+    lines.push(`${ok} ${index + 1} - ${entry.title.replace(/#/g, '\\#')} [${entry.browser}]${directive}`);
+
+    if (entry.status === 'skipped') {
+      return;
+    }
+    const yaml = [
+      `browser: ${entry.browser}`,
+      entry.form && `form: ${entry.form}`,
+      entry.outcome && `outcome: ${entry.outcome}`,
+      entry.correlationIds.length > 0 && `correlation_ids: [${entry.correlationIds.map(id => JSON.stringify(id)).join(', ')}]`,
+      `duration_ms: ${entry.duration}`,
+      entry.retries > 0 && `retries: ${entry.retries}`,
+      entry.error && `message: |\n${entry.error.split('\n').map(line => `    ${line}`).join('\n')}`
+    ].filter(Boolean);
+    lines.push('  ---', ...yaml.map(line => `  ${line}`), '  ...');
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Export a customer's last results
+ * @param {string} customer - Customer name
+ * @param {Object} options - { formats, outputDir, resultsFile, quarantine }
+ * @returns {Object} { summary, files: { <format>: path } }
+ */
+function exportResults(customer = CUSTOMER, options = {}) {
+  const { reportsDir, resultsFile: defaultFile } = getReportPaths(customer);
+  const resultsFile = options.resultsFile || defaultFile;
+  const formats = options.formats || Object.keys(EXPORT_FORMATS);
+  const unknown = formats.filter(format => !EXPORT_FORMATS[format]);
+
+  if (unknown.length > 0) {
+    throw new Error(`Unknown export format '${unknown[0]}'. Available: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  if (!fs.existsSync(resultsFile)) {
+    throw new Error(`No test results for ${customer}. Run the tests first (${resultsFile})`);
+  }
+
+  const summary = buildExportSummary(JSON.parse(fs.readFileSync(resultsFile, 'utf8')), {
+    customer,
+    formIds: getFormIds(customer),
+    quarantine: options.quarantine || readQuarantine(getQuarantineFile(customer))
+  });
+  const outputDir = options.outputDir || reportsDir;
+  const files = {};
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  formats.forEach(format => {
+    files[format] = path.join(outputDir, EXPORT_FORMATS[format].file);
+    fs.writeFileSync(files[format], EXPORT_FORMATS[format].render(summary));
+  });
+
+  return { summary, files };
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const getArg = (name) => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Results Exporter
+
+Usage:
+  node scripts/export-results.js [options]
+
+Options:
+  --customer <name>     Customer (default: CUSTOMER env or jbit)
+  --format <list>       ${Object.keys(EXPORT_FORMATS).join(', ')} (comma-separated, default: all)
+  --output <dir>        Output directory (default: customers/<name>/reports)
+  --results <file>      Playwright JSON results (default: the customer's test-results.json)
+  --stdout              Print the export instead of writing files (one format)
+    `);
+    process.exit(0);
+  }
+
+  const customer = getArg('--customer') || CUSTOMER;
+  const formats = getArg('--format') ? getArg('--format').split(',').map(format => format.trim()) : undefined;
+
+  try {
+    if (args.includes('--stdout')) {
+      const format = (formats || ['summary'])[0];
+      const { summary } = exportResults(customer, { formats: [], resultsFile: getArg('--results') });
+      if (!EXPORT_FORMATS[format]) {
+        throw new Error(`Unknown export format '${format}'. Available: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+      }
+      process.stdout.write(EXPORT_FORMATS[format].render(summary));
+    } else {
+      const { files } = exportResults(customer, { formats, outputDir: getArg('--output'), resultsFile: getArg('--results') });
+      Object.entries(files).forEach(([format, file]) => console.log(`📤 ${format}: ${file}`));
+    }
+  } catch (error) {
+    console.error(`❌ Export failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  collectTestCases,
+  buildExportSummary,
+  renderJUnit,
+  renderTap,
+  exportResults
+};
@@ -0,0 +1,104 @@
+/**
+ * Monitor History
+ * Local history store for synthetic monitoring: one JSON line per monitor run
+ * in customers/<name>/reports/monitor-history.jsonl, and the numbers an uptime
+ * check needs from it (success rate, last failure).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getReportPaths } = require('./check-status');
+
+const HISTORY_FILE = 'monitor-history.jsonl';
+
+/**
+ * History file of a customer
+ * @param {string} customer - Customer name
+ * @returns {string} Path
+ */
+function getHistoryFile(customer) {
+  return path.join(getReportPaths(customer).reportsDir, HISTORY_FILE);
+}
+
+/**
+ * Append a run to a history file
+ * A partial last line (a run interrupted while writing) is ended first so the
+ * new entry stays readable.
+ * @param {string} file - History file
+ * @param {Object} entry - Run entry
+ * @returns {Object} The entry
+ */
+function appendHistory(file, entry) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const partial = fs.existsSync(file) && fs.statSync(file).size > 0 && !fs.readFileSync(file, 'utf8').endsWith('\n');
+  fs.appendFileSync(file, (partial ? '\n' : '') + JSON.stringify(entry) + '\n');
+  return entry;
+}
+
+/**
+ * Read runs from a history file, oldest first
+ * Lines that are not valid JSON (e.g. a run interrupted while writing) are skipped.
+ * @param {string} file - History file
+ * @param {Object} options - Filters
+ * @param {string} options.form - Only runs of this form
+ * @param {Date|string} options.since - Only runs at or after this time
+ * @param {number} options.limit - Only the most recent N runs
+ * @returns {Array<Object>} Run entries
+ */
+function readHistory(file, options = {}) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+
+  const since = options.since ? new Date(options.since).getTime() : null;
+  const entries = fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(entry => entry
+      && (!options.form || entry.form === options.form)
+      && (since === null || new Date(entry.timestamp).getTime() >= since));
+
+  return options.limit ? entries.slice(-options.limit) : entries;
+}
+
+/**
+ * Uptime numbers for a list of runs
+ * @param {Array<Object>} entries - Run entries, oldest first
+ * @returns {Object} { runs, passed, failed, successRate, averageDuration, lastRunAt, lastStatus, lastSuccessAt, lastFailureAt, lastFailure }
+ */
+function getHistoryStats(entries) {
+  const passed = entries.filter(entry => entry.status === 'passed');
+  const failures = entries.filter(entry => entry.status !== 'passed');
+  const last = entries[entries.length - 1] || null;
+  const lastFailure = failures[failures.length - 1] || null;
+
+  return {
+    runs: entries.length,
+    passed: passed.length,
+    failed: failures.length,
+    successRate: entries.length > 0 ? Number((passed.length / entries.length * 100).toFixed(1)) : null,
+    averageDuration: entries.length > 0
+      ? Math.round(entries.reduce((sum, entry) => sum + (entry.duration || 0), 0) / entries.length)
+      : 0,
+    lastRunAt: last?.timestamp || null,
+    lastStatus: last?.status || null,
+    lastSuccessAt: passed[passed.length - 1]?.timestamp || null,
+    lastFailureAt: lastFailure?.timestamp || null,
+    lastFailure
+  };
+}
+
+module.exports = {
+  HISTORY_FILE,
+  getHistoryFile,
+  appendHistory,
+  readHistory,
+  getHistoryStats
+};
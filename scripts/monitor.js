@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+
+/**
+ * Synthetic Monitor
+ * Runs a smoke scenario on an interval as an uptime check for the customer's
+ * forms. Every run is appended to the monitor history (see monitor-history.js)
+ * with its status, duration, submission outcome and failure screenshot.
+ *
+ * Usage:
+ *   node scripts/monitor.js                                   # JBIT happy path every 15 minutes
+ *   node scripts/monitor.js --interval 5m --browser chromium  # Another interval (s, m, h) or browser
+ *   node scripts/monitor.js --runs 1                          # One run, e.g. from cron
+ *   node scripts/monitor.js --stats                           # Success rate and last failure only
+ */
+
+const fs = require('fs');
+const JBITTestRunner = require('../run-jbit-tests');
+const { getTestSummary } = require('./check-status');
+const { getHistoryFile, appendHistory, readHistory, getHistoryStats } = require('./monitor-history');
+
+const CUSTOMER = process.env.CUSTOMER || 'jbit';
+const DEFAULT_INTERVAL = 15 * 60 * 1000;
+const UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+/**
+ * Parse an interval such as '30s', '15m', '1h' or a number of milliseconds
+ * @param {string|number} value - Interval
+ * @returns {number} Milliseconds
+ */
+function parseInterval(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_INTERVAL;
+  }
+
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h)?$/);
+  if (!match || Number(match[1]) <= 0) {
+    throw new Error(`Invalid interval '${value}'. Use e.g. 30s, 15m or 1h`);
+  }
+  return Math.round(Number(match[1]) * UNITS[match[2] || 'ms']);
+}
+
+/**
+ * Parse the number of runs
+ * @param {string|number} value - Runs (default: run until stopped)
+ * @returns {number} Positive integer, or Infinity
+ */
+function parseRuns(value) {
+  if (value === undefined || value === null) {
+    return Infinity;
+  }
+
+  const runs = Number(String(value).trim());
+  if (!Number.isInteger(runs) || runs <= 0) {
+    throw new Error(`Option --runs needs a positive number, got '${value}'`);
+  }
+  return runs;
+}
+
+/**
+ * History entry for a finished run
+ * @param {Object} run - { customer, form, scenario, browser, exitCode, startedAt, duration }
+ * @param {Object} summary - Summary from getTestSummary()
+ * @returns {Object} Entry
+ */
+function buildHistoryEntry(run, summary) {
+  const status = !summary.found ? 'error' : run.exitCode === 0 ? 'passed' : 'failed';
+  const failure = summary.failures?.[0] || null;
+  const outcomes = Object.keys(summary.outcomes || {});
+
+  return {
+    timestamp: run.startedAt,
+    customer: run.customer,
+    form: run.form || null,
+    scenario: run.scenario,
+    browser: run.browser,
+    status,
+    exitCode: run.exitCode,
+    duration: run.duration,
+    tests: summary.stats
+      ? { total: summary.stats.total, passed: summary.stats.passed, failed: summary.stats.failed }
+      : null,
+    outcome: failure?.outcome || outcomes.find(outcome => outcome !== 'SUCCESS') || outcomes[0] || null,
+    screenshot: failure?.screenshot || null,
+    error: status === 'error' ? 'No test results written' : failure ? failure.error.split('\n')[0] : null
+  };
+}
+
+/**
+ * Run the scenario once and append the result to the history
+ * @param {Object} options - { customer, scenario, form, browser, historyFile }
+ * @param {Object} deps - Replaceable collaborators { runner, getSummary }
+ * @returns {Promise<Object>} { entry, stats }
+ */
+async function runMonitorCycle(options = {}, deps = {}) {
+  const customer = options.customer || CUSTOMER;
+  const scenario = options.scenario || 'happy-path';
+  const browser = options.browser || 'chromium';
+  const historyFile = options.historyFile || getHistoryFile(customer);
+  const runner = deps.runner || new JBITTestRunner(customer);
+  const getSummary = deps.getSummary || getTestSummary;
+
+  const startedAt = new Date();
+  let exitCode;
+  try {
+    exitCode = await runner.runScenario(scenario, [], { form: options.form, browser });
+  } catch (error) {
+    console.error(`❌ Monitor run could not start: ${error.message}`);
+    exitCode = null;
+  }
+
+  let summary = exitCode === null ? { found: false } : getSummary(customer);
+  // A run that crashed before writing results leaves the previous cycle's file behind
+  if (summary.found && fs.statSync(summary.resultsFile).mtimeMs < startedAt.getTime()) {
+    summary = { found: false, resultsFile: summary.resultsFile };
+  }
+  const entry = appendHistory(historyFile, buildHistoryEntry({
+    customer,
+    form: options.form,
+    scenario,
+    browser,
+    exitCode,
+    startedAt: startedAt.toISOString(),
+    duration: Date.now() - startedAt.getTime()
+  }, summary));
+
+  return { entry, stats: getHistoryStats(readHistory(historyFile, { form: options.form })) };
+}
+
+/**
+ * Print the uptime numbers of a monitor
+ * @param {Object} stats - Stats from getHistoryStats()
+ */
+function printMonitorStats(stats) {
+  if (stats.runs === 0) {
+    console.log('📈 No monitor runs recorded yet');
+    return;
+  }
+
+  console.log(`📈 Success rate: ${stats.successRate}% (${stats.passed}/${stats.runs} runs, avg ${Math.round(stats.averageDuration / 1000)}s)`);
+  console.log(`   Last run: ${stats.lastRunAt} (${stats.lastStatus})`);
+  if (stats.lastFailure) {
+    const { outcome, error, screenshot } = stats.lastFailure;
+    console.log(`   Last failure: ${stats.lastFailureAt}${outcome ? ` - ${outcome}` : ''}${error ? ` - ${error}` : ''}`);
+    if (screenshot) {
+      console.log(`   Screenshot: ${screenshot}`);
+    }
+  } else {
+    console.log('   Last failure: never');
+  }
+}
+
+/**
+ * Run the scenario every interval until stopped or maxRuns is reached
+ * Runs never overlap: the next one is scheduled when the previous finished.
+ * @param {Object} options - { customer, scenario, form, browser, interval, maxRuns, historyFile, signal }
+ * @param {Object} deps - Replaceable collaborators, see runMonitorCycle()
+ * @returns {Promise<Object>} Stats after the last run
+ */
+async function startMonitor(options = {}, deps = {}) {
+  const interval = parseInterval(options.interval);
+  const maxRuns = parseRuns(options.maxRuns);
+  const signal = options.signal;
+  let stats = null;
+
+  console.log(`🩺 Monitoring ${options.customer || CUSTOMER} (${options.scenario || 'happy-path'}) every ${interval / 1000}s` +
+    (maxRuns !== Infinity ? `, ${maxRuns} run(s)` : ''));
+
+  for (let run = 1; run <= maxRuns && !signal?.aborted; run++) {
+    const result = await runMonitorCycle(options, deps);
+    stats = result.stats;
+    console.log(`\n🩺 Monitor run ${run}: ${result.entry.status.toUpperCase()} in ${Math.round(result.entry.duration / 1000)}s`);
+    printMonitorStats(stats);
+
+    if (run < maxRuns) {
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, interval);
+        signal?.addEventListener('abort', () => {
+          clearTimeout(timer);
+          resolve();
+        }, { once: true });
+      });
+    }
+  }
+
+  return stats;
+}
+
+// CLI interface
+async function main() {
+  const args = process.argv.slice(2);
+  const getArg = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Synthetic Monitor
+
+Usage:
+  node scripts/monitor.js [options]
+
+Options:
+  --customer <name>     Customer to monitor (default: CUSTOMER env or jbit)
+  --scenario <name>     ${Object.keys(JBITTestRunner.SCENARIOS).join(' | ')} (default: happy-path)
+  --form <id>           Only this form
+  --browser <name>      Playwright project (default: chromium)
+  --interval <time>     Time between runs: 30s, 15m, 1h (default: 15m)
+  --runs <n>            Stop after n runs (default: run until stopped)
+  --stats               Print success rate and last failure from the history and exit
+    `);
+    return 0;
+  }
+
+  const customer = getArg('customer') || CUSTOMER;
+  if (args.includes('--stats')) {
+    printMonitorStats(getHistoryStats(readHistory(getHistoryFile(customer), { form: getArg('form') })));
+    return 0;
+  }
+
+  let maxRuns;
+  try {
+    parseInterval(getArg('interval') || process.env.MONITOR_INTERVAL);
+    maxRuns = parseRuns(args.includes('--runs') ? getArg('runs') ?? '' : undefined);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 2;
+  }
+
+  const controller = new AbortController();
+  process.on('SIGINT', () => controller.abort());
+  process.on('SIGTERM', () => controller.abort());
+
+  const stats = await startMonitor({
+    customer,
+    scenario: getArg('scenario'),
+    form: getArg('form'),
+    browser: getArg('browser'),
+    interval: getArg('interval') || process.env.MONITOR_INTERVAL,
+    maxRuns,
+    signal: controller.signal
+  });
+  return stats?.lastStatus === 'passed' ? 0 : 1;
+}
+
+// Run if called directly
+if (require.main === module) {
+  main()
+    .then(code => process.exit(code))
+    .catch(error => {
+      console.error('Monitor failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  DEFAULT_INTERVAL,
+  parseInterval,
+  parseRuns,
+  buildHistoryEntry,
+  runMonitorCycle,
+  startMonitor,
+  printMonitorStats
+};
@@ -0,0 +1,131 @@
+/**
+ * Notification Transports
+ *
+ * How the notifier (scripts/notify.js) delivers a rendered message for one of
+ * the channels in config/alerting-config.yml. Every transport implements:
+ *   send(message) → Promise<Object>   delivery result, throws when delivery failed
+ *
+ * The message depends on the channel:
+ * - email:     { to, subject, text }
+ * - slack:     { text, color, channel }
+ * - teams:     { title, text, color }
+ * - pagerduty: { action: 'trigger' | 'resolve', dedupKey, summary, severity, links }
+ * - webhook:   { payload }
+ *
+ * The built-in transports speak SMTP (STARTTLS and AUTH PLAIN when email.smtp
+ * sets tls and username) and HTTP, so tests point them at SmtpSinkServer and
+ * WebhookReceiverServer. Register your own (e.g. a mail API) with
+ * registerTransport('email', options => transport).
+ */
+
+const { sendMail } = require('../tests/utils/smtp-client');
+const { buildMailMessage } = require('../tests/utils/mail-message');
+
+const PAGERDUTY_EVENTS_URL = 'https://events.pagerduty.com/v2/enqueue';
+const COLORS = { danger: 'D00000', good: '2EB67D', warning: 'ECB22E' };
+
+const transportFactories = new Map();
+
+/**
+ * Register (or replace) the transport of a channel
+ * @param {string} channel - Channel name (email, slack, teams, pagerduty, webhook)
+ * @param {Function} factory - (channel config) => transport with send()
+ */
+function registerTransport(channel, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error(`Notification transport '${channel}' needs a factory function`);
+  }
+  transportFactories.set(channel, factory);
+}
+
+/**
+ * Create the transport of a channel
+ * @param {string} channel - Channel name
+ * @param {Object} options - Channel section of the alerting config
+ * @returns {Object} Transport
+ */
+function createTransport(channel, options = {}) {
+  const factory = transportFactories.get(channel);
+  if (!factory) {
+    throw new Error(`Unknown notification transport '${channel}'. Available: ${Array.from(transportFactories.keys()).join(', ')}`);
+  }
+
+  const transport = factory(options);
+  if (typeof transport.send !== 'function') {
+    throw new Error(`Notification transport '${channel}' does not implement send()`);
+  }
+  return { channel, ...transport };
+}
+
+/**
+ * POST a JSON body, failing on anything but a 2xx answer
+ * @param {string} url - Endpoint
+ * @param {Object} body - JSON body
+ * @param {number} timeout - Request timeout (default: 10000ms)
+ * @returns {Promise<Object>} { status }
+ */
+async function postJson(url, body, timeout = 10000) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeout)
+  });
+  if (!response.ok) {
+    throw new Error(`${url} answered ${response.status}`);
+  }
+  return { status: response.status };
+}
+
+registerTransport('email', ({ smtp = {}, from }) => ({
+  send: async ({ to, subject, text }) => {
+    const sender = from || smtp.username || 'form-tests@localhost';
+    const reply = await sendMail({
+      host: smtp.server,
+      port: Number(smtp.port) || 25,
+      starttls: !!smtp.tls,
+      auth: smtp.username ? { user: smtp.username, pass: smtp.password } : undefined,
+      from: sender,
+      to,
+      message: buildMailMessage({ from: sender, to, subject, text })
+    });
+    return { to, reply };
+  }
+}));
+
+registerTransport('slack', ({ webhook_url: url }) => ({
+  send: ({ text, color, channel }) => postJson(url, {
+    ...(channel ? { channel } : {}),
+    attachments: [{ color, text, mrkdwn_in: ['text'] }]
+  })
+}));
+
+registerTransport('teams', ({ webhook_url: url }) => ({
+  send: ({ title, text, color }) => postJson(url, {
+    '@type': 'MessageCard',
+    '@context': 'https://schema.org/extensions',
+    summary: title,
+    themeColor: COLORS[color] || color || COLORS.danger,
+    title,
+    text
+  })
+}));
+
+registerTransport('pagerduty', ({ integration_key: routingKey, events_url: url }) => ({
+  send: ({ action, dedupKey, summary, severity, links = [] }) => postJson(url || PAGERDUTY_EVENTS_URL, {
+    routing_key: routingKey,
+    event_action: action,
+    dedup_key: dedupKey,
+    ...(action === 'trigger' ? { payload: { summary, severity, source: 'form-tests' }, links } : {})
+  })
+}));
+
+registerTransport('webhook', ({ url }) => ({
+  send: ({ payload }) => postJson(url, payload)
+}));
+
+module.exports = {
+  PAGERDUTY_EVENTS_URL,
+  registerTransport,
+  createTransport
+};
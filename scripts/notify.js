@@ -0,0 +1,523 @@
+#!/usr/bin/env node
+
+/**
+ * Test Result Notifier
+ * Sends the alerts described in config/alerting-config.yml for a customer's
+ * last run: renders the channel templates from the Playwright JSON results,
+ * applies rules.triggers and rules.rate_limit, and sends a recovery message
+ * (success_after_failure) when a failing form passes again. What happened in
+ * earlier runs comes from the run state (scripts/run-state.js), which also
+ * flags forms that keep flipping between failing and passing (rules.flapping).
+ * Channels are delivered through scripts/notification-transports.js.
+ *
+ * Usage:
+ *   node scripts/notify.js                             # Last JBIT (or CUSTOMER env) run, event from GITHUB_EVENT_NAME
+ *   node scripts/notify.js --event schedule            # Apply the triggers of another event type
+ *   node scripts/notify.js --environment staging       # Recipients and channel of another environment
+ *   node scripts/notify.js --form jbit-contact-form    # Keep the run state of one form
+ *   node scripts/notify.js --dry-run                   # Render and decide, but send nothing
+ *
+ * Channel secrets come from the environment: SLACK_WEBHOOK_URL, TEAMS_WEBHOOK_URL,
+ * PAGERDUTY_INTEGRATION_KEY, CUSTOM_WEBHOOK_URL.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+const { getTestSummary } = require('./check-status');
+const { createTransport } = require('./notification-transports');
+const {
+  ALL_FORMS,
+  getRunStateFile,
+  readRunState,
+  writeRunState,
+  getFormState,
+  recordRun,
+  isRecordedRun,
+  recordNotification
+} = require('./run-state');
+
+const CUSTOMER = process.env.CUSTOMER || 'jbit';
+const CONFIG_FILE = path.join(__dirname, '..', 'config', 'alerting-config.yml');
+const PAGERDUTY_SEVERITIES = { high: 'critical', medium: 'error', low: 'warning' };
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Load the alerting config, replacing ${VAR} placeholders from the environment
+ * Placeholders of unset variables become empty, which leaves that channel unconfigured.
+ * @param {string} file - YAML file (default: config/alerting-config.yml)
+ * @param {Object} env - Environment (default: process.env)
+ * @returns {Object} Config
+ */
+function loadAlertingConfig(file = CONFIG_FILE, env = process.env) {
+  const substitute = (value) => {
+    if (typeof value === 'string') {
+      return value.replace(/\$\{(\w+)\}/g, (match, name) => env[name] || '');
+    }
+    if (Array.isArray(value)) {
+      return value.map(substitute);
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, substitute(item)]));
+    }
+    return value;
+  };
+
+  return substitute(yaml.load(fs.readFileSync(file, 'utf8')) || {});
+}
+
+/**
+ * Replace {placeholder}s in a template string or object
+ * A string that is exactly one placeholder takes the value as-is (numbers stay numbers);
+ * unknown placeholders are left in place.
+ * @param {string|Object|Array} template - Template
+ * @param {Object} context - Values from buildNotificationContext()
+ * @returns {string|Object|Array} Rendered template
+ */
+function renderTemplate(template, context) {
+  if (typeof template === 'string') {
+    const whole = template.match(/^\{(\w+)\}$/);
+    if (whole && whole[1] in context) {
+      return context[whole[1]];
+    }
+    return template
+      .replace(/\{(\w+)\}/g, (match, key) => (key in context ? String(context[key] ?? '') : match))
+      .trimEnd();
+  }
+  if (Array.isArray(template)) {
+    return template.map(item => renderTemplate(item, context));
+  }
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, item]) => [key, renderTemplate(item, context)]));
+  }
+  return template;
+}
+
+/**
+ * @param {Date|string} date - Date
+ * @returns {string} e.g. '2026-01-01 10:15 UTC'
+ */
+function formatAlertDate(date) {
+  return `${new Date(date).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+/**
+ * Status of a run for the notification rules
+ * @param {Object} summary - Summary from getTestSummary()
+ * @param {Object} previous - Form state before the run
+ * @param {Object} current - Form state after the run (from recordRun())
+ * @returns {string} 'failure', 'recovery' (passing after a failure), 'success',
+ *   or 'flapping' for the run that made the form flap
+ */
+function getRunStatus(summary, previous, current) {
+  if (current?.flapping && !previous.flapping) {
+    return 'flapping';
+  }
+  if (!summary.success) {
+    return 'failure';
+  }
+  return previous.lastStatus === 'failure' ? 'recovery' : 'success';
+}
+
+/**
+ * Placeholder values for the templates
+ * @param {Object} summary - Summary from getTestSummary()
+ * @param {Object} options - { form, previous, current, status, now, env, testType }
+ * @returns {Object} Context
+ */
+function buildNotificationContext(summary, options = {}) {
+  const env = options.env || process.env;
+  const now = options.now || new Date();
+  const previous = options.previous || getFormState({ forms: {} });
+  const current = options.current || recordRun(previous, { status: summary.success ? 'success' : 'failure', at: now });
+  const browsers = Object.keys(summary.browsers || {});
+  const failedBrowsers = browsers.filter(browser => summary.browsers[browser].failed > 0);
+
+  return {
+    customer: summary.customer,
+    form: options.form || ALL_FORMS,
+    status: options.status || getRunStatus(summary, previous, current),
+    test_type: options.testType || env.TEST_TYPE || 'full',
+    run_number: env.GITHUB_RUN_NUMBER || 'local',
+    total_count: summary.stats.total,
+    passed_count: summary.stats.passed,
+    failed_count: summary.stats.failed,
+    skipped_count: summary.stats.skipped,
+    browser: (failedBrowsers.length > 0 ? failedBrowsers : browsers).join(', '),
+    workflow_url: env.GITHUB_SERVER_URL && env.GITHUB_REPOSITORY && env.GITHUB_RUN_ID
+      ? `${env.GITHUB_SERVER_URL}/${env.GITHUB_REPOSITORY}/actions/runs/${env.GITHUB_RUN_ID}`
+      : env.WORKFLOW_URL || '',
+    report_url: env.REPORT_URL || path.join(summary.reportsDir || '', 'html-report', 'index.html'),
+    date: formatAlertDate(now),
+    commit_sha: env.GITHUB_SHA || '',
+    branch: env.GITHUB_REF_NAME || '',
+    consecutive_failures: current.consecutiveFailures,
+    first_failure_date: current.firstFailureAt ? formatAlertDate(current.firstFailureAt) : '',
+    previous_failure_date: previous.firstFailureAt ? formatAlertDate(previous.firstFailureAt) : '',
+    status_changes: current.statusChanges,
+    flap_window: current.recent.length,
+    flapping: current.flapping,
+    all_browsers_failed: browsers.length > 0 && failedBrowsers.length === browsers.length
+  };
+}
+
+/**
+ * Decide from rules.triggers whether a run of this event type notifies
+ * @param {Object} rules - rules section of the config
+ * @param {string} event - Event type (schedule, workflow_dispatch, push, pull_request)
+ * @param {Object} context - Context from buildNotificationContext(); conditions match its keys
+ * @returns {Object} { notify, reason }
+ */
+function evaluateTriggers(rules = {}, event, context) {
+  const trigger = (rules.triggers || []).find(entry => entry.event_type === event);
+  if (!trigger) {
+    return { notify: false, reason: `No trigger for '${event}' runs` };
+  }
+  if (!(trigger.notify_on || []).includes(context.status)) {
+    return { notify: false, reason: `'${event}' runs do not notify on ${context.status}` };
+  }
+
+  const unmet = (trigger.conditions || [])
+    .flatMap(condition => Object.entries(condition))
+    .find(([name, expected]) => context[name] !== expected);
+  if (unmet) {
+    return { notify: false, reason: `Condition ${unmet[0]}: ${unmet[1]} not met` };
+  }
+
+  return { notify: true, reason: `'${event}' runs notify on ${context.status}` };
+}
+
+/**
+ * Key under which similar notifications are grouped: the status and the failing tests
+ * @param {Object} summary - Summary from getTestSummary()
+ * @param {string} status - Run status
+ * @returns {string} Fingerprint
+ */
+function getFingerprint(summary, status) {
+  const titles = [...new Set((summary.failures || []).map(failure => `${failure.file} › ${failure.title}`))].sort();
+  return crypto.createHash('sha1').update([status, ...titles].join('\n')).digest('hex').slice(0, 12);
+}
+
+/**
+ * Apply rules.rate_limit to the notifications sent before
+ * @param {Object} limits - { max_per_hour, group_similar, cooldown (minutes) }
+ * @param {Array<Object>} sent - Earlier notifications { at, status, fingerprint }
+ * @param {string} fingerprint - Fingerprint of this notification
+ * @param {Date} now - Current time
+ * @returns {Object} { allowed, reason }
+ */
+function checkRateLimit(limits = {}, sent = [], fingerprint, now = new Date()) {
+  const lastHour = sent.filter(entry => now - new Date(entry.at) < HOUR);
+  if (limits.max_per_hour && lastHour.length >= limits.max_per_hour) {
+    return { allowed: false, reason: `Rate limit: ${lastHour.length} notifications in the last hour (max ${limits.max_per_hour})` };
+  }
+
+  if (limits.group_similar && limits.cooldown) {
+    const similar = sent.filter(entry => entry.fingerprint === fingerprint && now - new Date(entry.at) < limits.cooldown * 60 * 1000).pop();
+    if (similar) {
+      return { allowed: false, reason: `Same ${similar.status} notified at ${similar.at} (cooldown ${limits.cooldown}m)` };
+    }
+  }
+
+  return { allowed: true, reason: null };
+}
+
+/**
+ * Template of a channel for a run status; recovery falls back to the success template
+ * @param {Object} templates - Channel templates
+ * @param {string} status - Run status
+ * @returns {Object|null} Template
+ */
+function pickTemplate(templates = {}, status) {
+  if (status === 'recovery') {
+    return templates.success_after_failure || templates.recovery || templates.success || null;
+  }
+  return templates[status] || null;
+}
+
+/**
+ * Render the message of every channel
+ * @param {Object} config - Alerting config
+ * @param {Object} context - Context from buildNotificationContext()
+ * @param {Object} settings - environments.<name> section (recipients, channel, severity)
+ * @returns {Object} { messages: [{ channel, message }], skipped: [{ channel, reason }] }
+ */
+function buildMessages(config, context, settings = {}) {
+  const messages = [];
+  const skipped = [];
+  const { status } = context;
+
+  const add = (channel, build) => {
+    try {
+      const message = build(config[channel] || {});
+      messages.push({ channel, message });
+    } catch (error) {
+      skipped.push({ channel, reason: error.message });
+    }
+  };
+  const templateOf = (channel) => {
+    const template = pickTemplate(config[channel]?.templates, status);
+    if (!template) throw new Error(`No ${status} template`);
+    return renderTemplate(template, context);
+  };
+  const requireSetting = (value, name) => {
+    if (!value) throw new Error(`${name} not configured`);
+  };
+
+  add('email', (email) => {
+    const recipients = settings.email?.recipients || [];
+    requireSetting(recipients.length, 'No recipients');
+    // A relay that takes credentials is skipped until they are set
+    if (email.smtp && 'username' in email.smtp) {
+      requireSetting(email.smtp.username, 'smtp.username');
+    }
+    const { subject, body } = templateOf('email');
+    return { to: recipients, subject, text: body };
+  });
+
+  add('slack', (slack) => {
+    requireSetting(slack.webhook_url, 'webhook_url');
+    const { text, color } = templateOf('slack');
+    return { text, color, channel: settings.slack?.channel || slack.channels?.alerts };
+  });
+
+  add('teams', (teams) => {
+    requireSetting(teams.webhook_url, 'webhook_url');
+    const { title, text } = templateOf('teams');
+    return { title, text, color: { failure: 'danger', flapping: 'warning' }[status] || 'good' };
+  });
+
+  add('pagerduty', (pagerduty) => {
+    requireSetting(pagerduty.integration_key, 'integration_key');
+    const escalation = pagerduty.escalation || {};
+    const dedupKey = `${context.customer}-form-tests`;
+
+    if (status === 'failure') {
+      const threshold = escalation.critical_threshold ?? 100;
+      const failedPercent = context.total_count > 0 ? context.failed_count / context.total_count * 100 : 0;
+      if (failedPercent < threshold) {
+        throw new Error(`${Math.round(failedPercent)}% of tests failed, below the ${threshold}% threshold`);
+      }
+      return {
+        action: 'trigger',
+        dedupKey,
+        summary: `${context.customer} form tests failed: ${context.failed_count}/${context.total_count} on ${context.browser}`,
+        severity: PAGERDUTY_SEVERITIES[settings.severity] || 'critical',
+        links: context.workflow_url ? [{ href: context.workflow_url, text: 'View Results' }] : []
+      };
+    }
+    if (status === 'recovery' && escalation.auto_resolve) {
+      return { action: 'resolve', dedupKey };
+    }
+    throw new Error(`Nothing to do on ${status}`);
+  });
+
+  add('webhook', (webhook) => {
+    requireSetting(webhook.url, 'url');
+    return { payload: renderTemplate(webhook.payload || { status: '{status}' }, context) };
+  });
+
+  return { messages, skipped };
+}
+
+/**
+ * Notify about a finished run
+ * @param {Object} runSummary - Summary from getTestSummary(); with a form, only that form's tests count
+ * @param {Object} options - Options
+ * @param {Object} options.config - Alerting config (default: loadAlertingConfig(options.configFile))
+ * @param {string} options.event - Event type (default: GITHUB_EVENT_NAME or workflow_dispatch)
+ * @param {string} options.environment - environments.<name> to use (default: ALERT_ENVIRONMENT or production)
+ * @param {string} options.form - Form the run tested, whose run state to use (default: all forms)
+ * @param {string} options.stateFile - Run state file (default: the customer's reports dir)
+ * @param {Object} options.transports - Transports by channel, replacing createTransport()
+ * @param {boolean} options.dryRun - Decide and render, but send nothing and keep the state
+ * @param {Date} options.now - Current time
+ * @param {Object} options.env - Environment (default: process.env)
+ * @returns {Promise<Object>} Report { customer, form, event, environment, status, notify, reason, sent, failed, skipped, context, state }
+ */
+async function notify(runSummary, options = {}) {
+  if (!runSummary.found) {
+    throw new Error(`No test results for ${runSummary.customer}: ${runSummary.resultsFile}`);
+  }
+
+  const env = options.env || process.env;
+  const config = options.config || loadAlertingConfig(options.configFile, env);
+  const now = options.now || new Date();
+  const event = options.event || env.GITHUB_EVENT_NAME || 'workflow_dispatch';
+  const environment = options.environment || env.ALERT_ENVIRONMENT || 'production';
+  const form = options.form || ALL_FORMS;
+  // A form passes or fails on its own tests (tagged @<form>), not on the whole suite
+  const summary = form === ALL_FORMS || runSummary.form === form
+    ? runSummary
+    : getTestSummary(runSummary.customer, runSummary.resultsFile, undefined, form);
+  if (summary.stats.total === 0) {
+    throw new Error(`No tests tagged @${form} in ${summary.resultsFile}`);
+  }
+  const stateFile = options.stateFile || getRunStateFile(summary.customer);
+  const runState = readRunState(stateFile);
+  const previous = getFormState(runState, form);
+  const recorded = isRecordedRun(previous, summary.runId);
+  let current = recorded
+    ? previous
+    : recordRun(previous, { id: summary.runId, status: summary.success ? 'success' : 'failure', at: now }, config.rules?.flapping);
+
+  const context = buildNotificationContext(summary, { form, previous, current, now, env, testType: options.testType });
+  const fingerprint = getFingerprint(summary, context.status);
+  const report = {
+    customer: summary.customer,
+    form,
+    event,
+    environment,
+    status: context.status,
+    dryRun: !!options.dryRun,
+    ...evaluateTriggers(config.rules, event, context),
+    sent: [],
+    failed: [],
+    skipped: [],
+    context
+  };
+
+  // Reporting the same results again would repeat its alerts
+  if (recorded) {
+    report.notify = false;
+    report.reason = `Run ${summary.runId} was already recorded at ${previous.lastRunAt}`;
+  }
+
+  // A flapping form was reported once when it started; single failures and recoveries are noise until it settles
+  if (report.notify && current.flapping && context.status !== 'flapping') {
+    report.notify = false;
+    report.reason = `Flapping since ${current.flappingSince}: ${current.statusChanges} status changes in the last ${current.recent.length} runs`;
+  }
+
+  if (report.notify) {
+    const limit = checkRateLimit(config.rules?.rate_limit, previous.notifications, fingerprint, now);
+    if (!limit.allowed) {
+      report.notify = false;
+      report.reason = limit.reason;
+    }
+  }
+
+  if (report.notify) {
+    const { messages, skipped } = buildMessages(config, context, config.environments?.[environment]);
+    report.skipped = skipped;
+
+    for (const { channel, message } of messages) {
+      if (report.dryRun) {
+        report.sent.push({ channel, message });
+        continue;
+      }
+      try {
+        const transport = options.transports?.[channel] || createTransport(channel, config[channel]);
+        report.sent.push({ channel, message, result: await transport.send(message) });
+      } catch (error) {
+        report.failed.push({ channel, message, error: error.message });
+      }
+    }
+  }
+
+  if (report.notify && report.sent.length > 0) {
+    // Older notifications no longer count for any limit
+    const keepFor = Math.max(HOUR, (config.rules?.rate_limit?.cooldown || 0) * 60 * 1000);
+    current = recordNotification(current, {
+      at: now,
+      status: context.status,
+      fingerprint,
+      channels: report.sent.map(entry => entry.channel)
+    }, keepFor);
+  }
+
+  if (!report.dryRun) {
+    runState.forms[form] = current;
+    writeRunState(stateFile, runState);
+  }
+
+  report.state = current;
+  return report;
+}
+
+/**
+ * Print a notification report
+ * @param {Object} report - Report from notify()
+ */
+function printNotificationReport(report) {
+  const { state } = report;
+
+  console.log(`\n🔔 Notification (${report.customer}/${report.form}, ${report.event}, ${report.environment}${report.dryRun ? ', dry run' : ''})`);
+  console.log(`   Run: ${report.status} (${report.context.failed_count}/${report.context.total_count} failed on ${report.context.browser || 'no browser'})`);
+  if (state.consecutiveFailures > 0) {
+    console.log(`   Failing since ${state.firstFailureAt} (${state.consecutiveFailures} run(s) in a row)`);
+  }
+  if (state.flapping) {
+    console.log(`   ⚠️  Flapping: ${state.statusChanges} status changes in the last ${state.recent.length} runs`);
+  }
+  console.log(`   ${report.notify ? '📣' : '🔕'} ${report.reason}`);
+
+  report.sent.forEach(entry => console.log(`   ✅ ${entry.channel}${report.dryRun ? ' (not sent)' : ''}`));
+  report.failed.forEach(entry => console.log(`   ❌ ${entry.channel}: ${entry.error}`));
+  report.skipped.forEach(entry => console.log(`   ⚪ ${entry.channel}: ${entry.reason}`));
+}
+
+// CLI interface
+async function main() {
+  const args = process.argv.slice(2);
+  const getArg = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Test Result Notifier
+
+Usage:
+  node scripts/notify.js [options]
+
+Options:
+  --customer <name>       Customer whose last run to report (default: CUSTOMER env or jbit)
+  --event <type>          schedule | workflow_dispatch | push | pull_request (default: GITHUB_EVENT_NAME)
+  --environment <name>    Recipients and channel from environments.<name> (default: ALERT_ENVIRONMENT or production)
+  --form <id>             Form to report, judged by its tests tagged @<id>; failure streaks are kept per form (default: all)
+  --config <file>         Alerting config (default: config/alerting-config.yml)
+  --results <file>        Playwright JSON results (default: the customer's test-results.json)
+  --dry-run               Render and decide, but send nothing
+
+Environment:
+  SLACK_WEBHOOK_URL, TEAMS_WEBHOOK_URL, PAGERDUTY_INTEGRATION_KEY, CUSTOM_WEBHOOK_URL
+    `);
+    return 0;
+  }
+
+  const report = await notify(getTestSummary(getArg('customer') || CUSTOMER, getArg('results')), {
+    event: getArg('event'),
+    environment: getArg('environment'),
+    form: getArg('form'),
+    configFile: getArg('config'),
+    dryRun: args.includes('--dry-run')
+  });
+
+  printNotificationReport(report);
+  return report.failed.length > 0 ? 1 : 0;
+}
+
+// Run if called directly
+if (require.main === module) {
+  main()
+    .then(code => process.exit(code))
+    .catch(error => {
+      console.error('Notification failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  loadAlertingConfig,
+  renderTemplate,
+  getRunStatus,
+  buildNotificationContext,
+  evaluateTriggers,
+  checkRateLimit,
+  buildMessages,
+  notify,
+  printNotificationReport
+};
@@ -0,0 +1,310 @@
+#!/usr/bin/env node
+
+/**
+ * Flaky Test Quarantine
+ * Tests that Playwright marked `flaky` (failed, then passed on a CI retry) in
+ * several recent runs are put in customers/<name>/quarantine.json. Quarantined
+ * tests keep running, but their failures are reported separately and do not
+ * fail the build. After `releaseAfter` clean runs in a row a test is released.
+ *
+ * The quarantine file is versioned with the customer so a quarantine shows up
+ * in review:
+ *   { tests: [{ key, title, browser, since, reason, flakyRuns, cleanRuns, manual }],
+ *     released: [{ key, title, browser, since, releasedAt, cleanRuns }] }
+ * `browser: '*'` quarantines a test in every browser.
+ *
+ * Settings come from customer.json "quarantine": { window, flakyRuns, releaseAfter }.
+ *
+ * Usage:
+ *   node scripts/quarantine.js                              # List the JBIT (or CUSTOMER env) quarantine
+ *   node scripts/quarantine.js --update                     # Update it from the results history
+ *   node scripts/quarantine.js --add "TC-001: ..." [--browser firefox] [--reason "..."]
+ *   node scripts/quarantine.js --remove "TC-001: ..." [--browser firefox]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getCustomerDir, loadCustomer } = require('../tests/utils/customer-registry');
+
+const CUSTOMER = process.env.CUSTOMER || 'jbit';
+const QUARANTINE_FILE = 'quarantine.json';
+const ALL_BROWSERS = '*';
+const DEFAULT_SETTINGS = { window: 10, flakyRuns: 2, releaseAfter: 5 };
+const KEEP_RELEASED = 50;
+
+/**
+ * Quarantine file of a customer
+ * @param {string} customer - Customer name
+ * @returns {string} Path
+ */
+function getQuarantineFile(customer) {
+  return path.join(getCustomerDir(customer), QUARANTINE_FILE);
+}
+
+/**
+ * Quarantine settings of a customer, defaults overridden by customer.json
+ * @param {string} customer - Customer name
+ * @returns {Object} { window, flakyRuns, releaseAfter }
+ */
+function getQuarantineSettings(customer) {
+  return { ...DEFAULT_SETTINGS, ...loadCustomer(customer).quarantine };
+}
+
+/**
+ * @param {string} file - Quarantine file
+ * @returns {Object} { tests: [], released: [] }
+ */
+function readQuarantine(file) {
+  if (!fs.existsSync(file)) {
+    return { tests: [], released: [] };
+  }
+  return { tests: [], released: [], ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+}
+
+/**
+ * @param {string} file - Quarantine file
+ * @param {Object} quarantine - Quarantine
+ */
+function writeQuarantine(file, quarantine) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(quarantine, null, 2) + '\n');
+}
+
+/**
+ * @param {string} title - Test title
+ * @param {string} browser - Playwright project (default: every browser)
+ * @returns {string} Quarantine key, e.g. "TC-001: Should submit [firefox]"
+ */
+function getQuarantineKey(title, browser = ALL_BROWSERS) {
+  return `${title} [${browser}]`;
+}
+
+/**
+ * Quarantine entry covering a test in a browser
+ * @param {Object} quarantine - Quarantine
+ * @param {string} title - Test title
+ * @param {string} browser - Playwright project
+ * @returns {Object|null} Entry, null when the test is not quarantined
+ */
+function findQuarantined(quarantine, title, browser) {
+  return quarantine.tests.find(entry =>
+    entry.title === title && (entry.browser === browser || entry.browser === ALL_BROWSERS)) || null;
+}
+
+/**
+ * Put a test in quarantine by hand
+ * @param {Object} quarantine - Quarantine
+ * @param {Object} test - { title, browser, reason }
+ * @param {Date|string} now - Current time
+ * @returns {Object} New quarantine
+ */
+function addToQuarantine(quarantine, { title, browser = ALL_BROWSERS, reason = 'Quarantined by hand' }, now = new Date()) {
+  const key = getQuarantineKey(title, browser);
+  if (quarantine.tests.some(entry => entry.key === key)) {
+    return quarantine;
+  }
+  const entry = { key, title, browser, since: new Date(now).toISOString(), reason, flakyRuns: 0, cleanRuns: 0, manual: true };
+  return { ...quarantine, tests: [...quarantine.tests, entry] };
+}
+
+/**
+ * Take a test out of quarantine by hand
+ * @param {Object} quarantine - Quarantine
+ * @param {Object} test - { title, browser }
+ * @returns {Object} New quarantine
+ */
+function removeFromQuarantine(quarantine, { title, browser = ALL_BROWSERS }) {
+  const key = getQuarantineKey(title, browser);
+  return { ...quarantine, tests: quarantine.tests.filter(entry => entry.key !== key) };
+}
+
+/**
+ * Number of clean (passed at the first attempt) runs at the end of a test's results
+ * @param {Array<string|null>} results - Results per run, oldest first (skipped and absent runs are ignored)
+ * @returns {number} Clean runs in a row
+ */
+function countCleanRuns(results) {
+  const executed = results.filter(result => result && result !== 'skipped');
+  const lastUnclean = executed.map(result => result === 'passed').lastIndexOf(false);
+  return executed.length - lastUnclean - 1;
+}
+
+/**
+ * Quarantine after the latest runs: tests flaky in `flakyRuns` of the last
+ * `window` runs are added, tests with `releaseAfter` clean runs in a row are released.
+ * Flaky runs from before a test's last release do not count again.
+ * @param {Object} quarantine - Quarantine
+ * @param {Object} history - aggregateResultsHistory() of the recent runs
+ * @param {Object} settings - { window, flakyRuns, releaseAfter }
+ * @param {Date|string} now - Current time
+ * @returns {Object} { quarantine, added, released }
+ */
+function updateQuarantine(quarantine, history, settings = {}, now = new Date()) {
+  const { window, flakyRuns, releaseAfter } = { ...DEFAULT_SETTINGS, ...settings };
+  const at = new Date(now).toISOString();
+  const startedAt = history.runs.map(run => run.startedAt);
+  const added = [];
+  const released = [];
+
+  let tests = quarantine.tests.map(entry => {
+    const trends = history.tests.filter(trend =>
+      trend.title === entry.title && (entry.browser === ALL_BROWSERS || trend.browser === entry.browser));
+    if (trends.length === 0) {
+      return entry;
+    }
+    // Results of runs since the quarantine began
+    const cleanRuns = Math.min(...trends.map(trend =>
+      countCleanRuns(trend.results.filter((result, index) => !startedAt[index] || startedAt[index] >= entry.since))));
+    return { ...entry, cleanRuns };
+  });
+
+  tests = tests.filter(entry => {
+    if (entry.cleanRuns < releaseAfter) {
+      return true;
+    }
+    released.push({ key: entry.key, title: entry.title, browser: entry.browser, since: entry.since, releasedAt: at, cleanRuns: entry.cleanRuns });
+    return false;
+  });
+
+  history.tests.forEach(trend => {
+    if (findQuarantined({ tests }, trend.title, trend.browser)) {
+      return;
+    }
+    const key = getQuarantineKey(trend.title, trend.browser);
+    const lastRelease = [...quarantine.released, ...released].filter(entry => entry.key === key).pop();
+    const recent = trend.results
+      .map((result, index) => ({ result, startedAt: startedAt[index] }))
+      .filter(run => run.result && run.result !== 'skipped')
+      .slice(-window);
+    const flaky = recent.filter(run => run.result === 'flaky' && (!lastRelease || !run.startedAt || run.startedAt > lastRelease.releasedAt));
+
+    if (flaky.length >= flakyRuns) {
+      const entry = {
+        key,
+        title: trend.title,
+        browser: trend.browser,
+        since: flaky[0].startedAt || at,
+        reason: `Flaky in ${flaky.length} of the last ${recent.length} runs`,
+        flakyRuns: flaky.length,
+        cleanRuns: 0
+      };
+      tests.push(entry);
+      added.push(entry);
+    }
+  });
+
+  return {
+    quarantine: {
+      ...quarantine,
+      tests,
+      released: [...quarantine.released, ...released].slice(-KEEP_RELEASED)
+    },
+    added,
+    released
+  };
+}
+
+/**
+ * Update a customer's quarantine file from its results history
+ * @param {string} customer - Customer name
+ * @param {Date|string} now - Current time
+ * @returns {Object} { file, quarantine, added, released }
+ */
+function updateCustomerQuarantine(customer, now = new Date()) {
+  // Loaded here: results-history depends on check-status, which reads the quarantine
+  const { loadResultsHistory, getResultsHistoryDir, aggregateResultsHistory } = require('./results-history');
+  const settings = getQuarantineSettings(customer);
+  const file = getQuarantineFile(customer);
+  const runs = loadResultsHistory(getResultsHistoryDir(customer), { limit: Math.max(settings.window, settings.releaseAfter) });
+  const quarantine = readQuarantine(file);
+  const result = updateQuarantine(quarantine, aggregateResultsHistory(runs), settings, now);
+
+  if (JSON.stringify(result.quarantine) !== JSON.stringify(quarantine)) {
+    writeQuarantine(file, result.quarantine);
+  }
+  return { file, ...result };
+}
+
+/**
+ * Print a quarantine
+ * @param {string} customer - Customer name
+ * @param {Object} quarantine - Quarantine
+ * @param {Object} settings - { window, flakyRuns, releaseAfter }
+ */
+function printQuarantine(customer, quarantine, settings = DEFAULT_SETTINGS) {
+  console.log(`\n🚧 Quarantine: ${customer} (flaky in ${settings.flakyRuns} of ${settings.window} runs, released after ${settings.releaseAfter} clean runs)`);
+
+  if (quarantine.tests.length === 0) {
+    console.log('   No quarantined tests');
+    return;
+  }
+  quarantine.tests.forEach(entry => {
+    console.log(`   🚧 ${entry.key}`);
+    console.log(`      Since: ${entry.since} · ${entry.reason}`);
+    console.log(`      Clean runs: ${entry.cleanRuns}/${settings.releaseAfter}`);
+  });
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const getArg = (name) => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Flaky Test Quarantine
+
+Usage:
+  node scripts/quarantine.js [options]
+
+Options:
+  --customer <name>   Customer (default: CUSTOMER env or jbit)
+  --update            Update the quarantine from the results history
+  --add <title>       Quarantine a test by hand
+  --remove <title>    Release a test by hand
+  --browser <name>    Browser of --add/--remove (default: every browser)
+  --reason <text>     Why a test is quarantined by hand
+    `);
+    process.exit(0);
+  }
+
+  const customer = getArg('--customer') || CUSTOMER;
+  const file = getQuarantineFile(customer);
+  const settings = getQuarantineSettings(customer);
+
+  try {
+    if (args.includes('--update')) {
+      const { added, released } = updateCustomerQuarantine(customer);
+      added.forEach(entry => console.log(`🚧 Quarantined: ${entry.key} (${entry.reason})`));
+      released.forEach(entry => console.log(`✅ Released: ${entry.key} (${entry.cleanRuns} clean runs)`));
+    } else if (getArg('--add')) {
+      writeQuarantine(file, addToQuarantine(readQuarantine(file), { title: getArg('--add'), browser: getArg('--browser'), reason: getArg('--reason') }));
+    } else if (getArg('--remove')) {
+      writeQuarantine(file, removeFromQuarantine(readQuarantine(file), { title: getArg('--remove'), browser: getArg('--browser') }));
+    }
+    printQuarantine(customer, readQuarantine(file), settings);
+  } catch (error) {
+    console.error(`❌ Quarantine failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  QUARANTINE_FILE,
+  ALL_BROWSERS,
+  DEFAULT_SETTINGS,
+  getQuarantineFile,
+  getQuarantineSettings,
+  readQuarantine,
+  writeQuarantine,
+  getQuarantineKey,
+  findQuarantined,
+  addToQuarantine,
+  removeFromQuarantine,
+  countCleanRuns,
+  updateQuarantine,
+  updateCustomerQuarantine,
+  printQuarantine
+};
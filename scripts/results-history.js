@@ -0,0 +1,481 @@
+#!/usr/bin/env node
+
+/**
+ * Results History
+ * Keeps a copy of every run's Playwright JSON results in
+ * customers/<name>/reports/results-history/ and aggregates them into trends:
+ * pass rate per browser and per test over time, median submission duration,
+ * the most common failure reasons and a flakiness score per test. The trends
+ * are printed by `status --history` and written as a static HTML dashboard.
+ *
+ * Usage:
+ *   node scripts/results-history.js                   # Trends of the JBIT (or CUSTOMER env) runs
+ *   node scripts/results-history.js --archive         # Archive the last test-results.json first
+ *   node scripts/results-history.js --limit 20        # Only the 20 most recent runs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getReportPaths, collectSpecs } = require('./check-status');
+const { getAnnotations } = require('../tests/utils/test-annotations');
+const { ANNOTATION_TYPE: OUTCOME_ANNOTATION, DURATION_ANNOTATION } = require('../tests/utils/submission-outcome');
+const { escapeHtml } = require('../tests/utils/html-escape');
+
+const CUSTOMER = process.env.CUSTOMER || 'jbit';
+const HISTORY_DIR = 'results-history';
+const DASHBOARD_FILE = 'dashboard.html';
+const DEFAULT_KEEP = 200;
+
+/**
+ * Archive directory of a customer
+ * @param {string} customer - Customer name
+ * @returns {string} Path
+ */
+function getResultsHistoryDir(customer) {
+  return path.join(getReportPaths(customer).reportsDir, HISTORY_DIR);
+}
+
+/**
+ * Copy a results file into the archive, named after the run's start time
+ * Archiving the same run twice keeps one copy; beyond `keep` runs the oldest are removed.
+ * @param {string} resultsFile - Playwright JSON results
+ * @param {string} historyDir - Archive directory
+ * @param {number} keep - Runs to keep (default: 200)
+ * @returns {string|null} Archived file, null when there were no results
+ */
+function archiveResults(resultsFile, historyDir, keep = DEFAULT_KEEP) {
+  if (!fs.existsSync(resultsFile)) {
+    return null;
+  }
+
+  const results = JSON.parse(fs.readFileSync(resultsFile, 'utf8'));
+  const startedAt = results.stats?.startTime || fs.statSync(resultsFile).mtime.toISOString();
+  const target = path.join(historyDir, `${startedAt.replace(/[:.]/g, '-')}.json`);
+
+  fs.mkdirSync(historyDir, { recursive: true });
+  fs.copyFileSync(resultsFile, target);
+
+  const archived = fs.readdirSync(historyDir).filter(file => file.endsWith('.json')).sort();
+  archived.slice(0, Math.max(0, archived.length - keep)).forEach(file => fs.unlinkSync(path.join(historyDir, file)));
+
+  return target;
+}
+
+/**
+ * Archived results, oldest first
+ * Files that are not valid JSON (e.g. a run killed while writing) are skipped.
+ * @param {string} historyDir - Archive directory
+ * @param {Object} options - { limit: only the N most recent runs }
+ * @returns {Array<Object>} Playwright JSON results
+ */
+function loadResultsHistory(historyDir, options = {}) {
+  if (!fs.existsSync(historyDir)) {
+    return [];
+  }
+
+  const runs = fs.readdirSync(historyDir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(historyDir, file), 'utf8'));
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+  return options.limit ? runs.slice(-options.limit) : runs;
+}
+
+/**
+ * @param {Array<number>} values - Numbers
+ * @returns {number|null} Median, null without values
+ */
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+/**
+ * @param {number} part - Count
+ * @param {number} total - Total
+ * @returns {number|null} Percentage with one decimal, null when total is 0
+ */
+function percent(part, total) {
+  return total > 0 ? Number((part / total * 100).toFixed(1)) : null;
+}
+
+/**
+ * Group a failure message with others of the same kind: first line, without
+ * colors, numbers and quoted values
+ * @param {string} message - Error message
+ * @param {string} outcome - Submission outcome of the attempt (optional)
+ * @returns {string} Reason
+ */
+function normalizeFailureReason(message = '', outcome = null) {
+  const line = message
+    .replace(/\u001b\[[0-9;]*m/g, '')
+    .split('\n')
+    .map(text => text.trim())
+    .find(Boolean) || 'Unknown error';
+
+  const reason = line
+    .replace(/(["'`]).*?\1/g, '"…"')
+    .replace(/\d+(\.\d+)?/g, 'N')
+    .slice(0, 160);
+
+  return outcome && outcome !== 'SUCCESS' ? `[${outcome}] ${reason}` : reason;
+}
+
+/**
+ * Final result of a test in a run: Playwright's test status with a passing
+ * retry reported as 'flaky'
+ * @param {Object} test - Test from the Playwright JSON report
+ * @returns {string} 'passed', 'failed', 'flaky' or 'skipped'
+ */
+function getTestResult(test) {
+  switch (test.status) {
+    case 'expected':
+      return 'passed';
+    case 'unexpected':
+      return 'failed';
+    case 'flaky':
+      return 'flaky';
+    case 'skipped':
+      return 'skipped';
+    default: {
+      const last = test.results?.[test.results.length - 1]?.status;
+      return last === 'passed' ? 'passed' : last === 'skipped' ? 'skipped' : 'failed';
+    }
+  }
+}
+
+/**
+ * Aggregate runs into trends
+ *
+ * A test counts as passing in a run when its final attempt passed, so flaky
+ * runs count toward the pass rate. The flakiness score is the share of a
+ * test's runs (per browser) that only passed on retry or whose result differs
+ * from the run before.
+ *
+ * @param {Array<Object>} runs - Playwright JSON results, oldest first
+ * @returns {Object} { runs, browsers, tests, failureReasons, medianSubmissionDuration }
+ */
+function aggregateResultsHistory(runs) {
+  const runSummaries = [];
+  const tests = new Map();
+  const reasons = new Map();
+  const submissionDurations = [];
+
+  runs.forEach((results, runIndex) => {
+    const startedAt = results.stats?.startTime || null;
+    const run = { startedAt, duration: results.stats?.duration || 0, passed: 0, failed: 0, flaky: 0, skipped: 0, browsers: {} };
+
+    (results.suites || []).forEach(fileSuite => {
+      collectSpecs(fileSuite).forEach(spec => {
+        spec.tests.forEach(test => {
+          const browser = test.projectName || 'unknown';
+          const result = getTestResult(test);
+          const key = `${spec.file || fileSuite.file || fileSuite.title} › ${spec.title} [${browser}]`;
+
+          run[result]++;
+          run.browsers[browser] = run.browsers[browser] || { passed: 0, failed: 0, flaky: 0, skipped: 0 };
+          run.browsers[browser][result]++;
+
+          if (!tests.has(key)) {
+            tests.set(key, {
+              title: spec.title,
+              file: spec.file || fileSuite.file || fileSuite.title,
+              browser,
+              results: new Array(runs.length).fill(null),
+              durations: [],
+              submissionDurations: []
+            });
+          }
+          const entry = tests.get(key);
+          entry.results[runIndex] = result;
+
+          (test.results || []).forEach(attempt => {
+            const annotations = attempt.annotations || test.annotations || [];
+            const durations = getAnnotations(annotations, DURATION_ANNOTATION).map(Number).filter(Number.isFinite);
+            entry.submissionDurations.push(...durations);
+            submissionDurations.push(...durations);
+
+            if (attempt.status === 'failed' || attempt.status === 'timedOut') {
+              const reason = normalizeFailureReason(attempt.error?.message, getAnnotations(annotations, OUTCOME_ANNOTATION).pop());
+              const counted = reasons.get(reason) || { reason, count: 0, tests: new Set(), lastSeen: null };
+              counted.count++;
+              counted.tests.add(`${spec.title} [${browser}]`);
+              counted.lastSeen = startedAt || counted.lastSeen;
+              reasons.set(reason, counted);
+            }
+          });
+
+          if (result !== 'skipped') {
+            const final = test.results?.[test.results.length - 1];
+            if (final?.duration) entry.durations.push(final.duration);
+          }
+        });
+      });
+    });
+
+    const executed = run.passed + run.failed + run.flaky;
+    run.total = executed + run.skipped;
+    run.passRate = percent(run.passed + run.flaky, executed);
+    Object.values(run.browsers).forEach(browser => {
+      browser.passRate = percent(browser.passed + browser.flaky, browser.passed + browser.failed + browser.flaky);
+    });
+    runSummaries.push(run);
+  });
+
+  const testTrends = Array.from(tests.values()).map(entry => {
+    const executed = entry.results.filter(result => result && result !== 'skipped');
+    const passed = executed.filter(result => result !== 'failed').length;
+    const flaky = executed.filter(result => result === 'flaky').length;
+    const unstable = executed.filter((result, index) =>
+      result === 'flaky' || (index > 0 && (result === 'failed') !== (executed[index - 1] === 'failed'))).length;
+
+    return {
+      title: entry.title,
+      file: entry.file,
+      browser: entry.browser,
+      runs: executed.length,
+      passed,
+      failed: executed.length - passed,
+      flaky,
+      passRate: percent(passed, executed.length),
+      flakiness: percent(unstable, executed.length) ?? 0,
+      medianDuration: median(entry.durations),
+      medianSubmissionDuration: median(entry.submissionDurations),
+      lastResult: executed[executed.length - 1] || null,
+      results: entry.results
+    };
+  }).sort((a, b) => b.flakiness - a.flakiness || (a.passRate ?? 100) - (b.passRate ?? 100) || a.title.localeCompare(b.title));
+
+  const browsers = [...new Set(runSummaries.flatMap(run => Object.keys(run.browsers)))].sort();
+
+  return {
+    runs: runSummaries,
+    browsers,
+    tests: testTrends,
+    failureReasons: Array.from(reasons.values())
+      .map(({ reason, count, tests: failing, lastSeen }) => ({ reason, count, tests: failing.size, lastSeen }))
+      .sort((a, b) => b.count - a.count),
+    medianSubmissionDuration: median(submissionDurations),
+    passRate: percent(
+      runSummaries.reduce((sum, run) => sum + run.passed + run.flaky, 0),
+      runSummaries.reduce((sum, run) => sum + run.passed + run.failed + run.flaky, 0)
+    )
+  };
+}
+
+/**
+ * @param {number|null} ms - Milliseconds
+ * @returns {string} e.g. '850ms', '2.4s' or '-'
+ */
+function formatMs(ms) {
+  if (ms === null || ms === undefined) return '-';
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Print the trends for `status --history`
+ * @param {Object} history - Result of aggregateResultsHistory()
+ * @param {Object} options - { top: rows per list (default: 10) }
+ */
+function printResultsHistory(history, options = {}) {
+  const top = options.top || 10;
+
+  if (history.runs.length === 0) {
+    console.log('📈 No archived runs yet. Runs are archived by the test runner (or --archive).');
+    return;
+  }
+
+  const first = history.runs[0].startedAt;
+  const last = history.runs[history.runs.length - 1].startedAt;
+  console.log(`\n📈 ${history.runs.length} run(s) from ${first || '?'} to ${last || '?'}`);
+  console.log(`   Pass rate: ${history.passRate ?? '-'}% | Median submission duration: ${formatMs(history.medianSubmissionDuration)}`);
+
+  console.log('\n🌐 Pass rate per browser (oldest → newest)');
+  history.browsers.forEach(browser => {
+    const rates = history.runs.map(run => run.browsers[browser]?.passRate ?? '-');
+    console.log(`   ${browser.padEnd(10)} ${rates.map(rate => String(rate).padStart(5)).join(' ')}`);
+  });
+
+  const unstable = history.tests.filter(test => test.flakiness > 0 || test.failed > 0).slice(0, top);
+  console.log('\n🎲 Least stable tests');
+  if (unstable.length === 0) {
+    console.log('   none, every test passed in every run');
+  }
+  unstable.forEach(test => {
+    console.log(`   ${String(test.flakiness).padStart(5)}% flaky | ${String(test.passRate).padStart(5)}% pass | ${test.title} [${test.browser}]`);
+  });
+
+  console.log('\n❌ Most common failure reasons');
+  if (history.failureReasons.length === 0) {
+    console.log('   none');
+  }
+  history.failureReasons.slice(0, top).forEach(reason => {
+    console.log(`   ${String(reason.count).padStart(4)}x (${reason.tests} test(s)) ${reason.reason}`);
+  });
+}
+
+/**
+ * Render the trends as a self-contained HTML page
+ * @param {Object} history - Result of aggregateResultsHistory()
+ * @param {Object} options - { customer, generatedAt }
+ * @returns {string} HTML
+ */
+function renderDashboard(history, options = {}) {
+  const customer = escapeHtml(options.customer || CUSTOMER);
+  const generatedAt = escapeHtml(options.generatedAt || new Date().toISOString());
+  const rateClass = (rate) => rate === null || rate === undefined ? 'none' : rate >= 95 ? 'good' : rate >= 80 ? 'warn' : 'bad';
+  const runHeader = history.runs
+    .map((run, index) => `<th title="${escapeHtml(run.startedAt || '')}">#${index + 1}<br>${escapeHtml((run.startedAt || '').slice(5, 16).replace('T', ' '))}</th>`)
+    .join('');
+
+  const browserRows = history.browsers.map(browser => `<tr><th>${escapeHtml(browser)}</th>${history.runs.map(run => {
+    const rate = run.browsers[browser]?.passRate ?? null;
+    return `<td class="${rateClass(rate)}">${rate === null ? '' : `${rate}%`}</td>`;
+  }).join('')}</tr>`).join('\n');
+
+  const testRows = history.tests.map(test => `<tr>
+  <td>${escapeHtml(test.title)}<div class="file">${escapeHtml(test.file)}</div></td>
+  <td>${escapeHtml(test.browser)}</td>
+  <td class="${rateClass(test.passRate)}">${test.passRate ?? '-'}%</td>
+  <td class="${test.flakiness > 0 ? 'warn' : ''}">${test.flakiness}%</td>
+  <td>${formatMs(test.medianDuration)}</td>
+  <td>${formatMs(test.medianSubmissionDuration)}</td>
+  <td class="strip">${test.results.map(result => `<span class="r ${result || 'none'}" title="${result || 'not run'}"></span>`).join('')}</td>
+</tr>`).join('\n');
+
+  const reasonRows = history.failureReasons.slice(0, 20).map(reason => `<tr>
+  <td>${reason.count}</td><td>${reason.tests}</td><td><code>${escapeHtml(reason.reason)}</code></td><td>${escapeHtml(reason.lastSeen || '')}</td>
+</tr>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Form test trends - ${customer}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+  h1 { margin-bottom: 0.2rem; }
+  .meta { color: #666; margin-bottom: 1.5rem; }
+  .cards { display: flex; gap: 1rem; margin-bottom: 2rem; }
+  .card { border: 1px solid #ddd; border-radius: 6px; padding: 0.8rem 1.2rem; }
+  .card b { display: block; font-size: 1.6rem; }
+  table { border-collapse: collapse; margin-bottom: 2rem; font-size: 0.9rem; }
+  th, td { border: 1px solid #ddd; padding: 0.3rem 0.5rem; text-align: left; vertical-align: top; }
+  th { background: #f5f5f5; font-weight: 600; }
+  .file { color: #888; font-size: 0.8rem; }
+  .good { background: #d9f2e1; } .warn { background: #fff1c2; } .bad { background: #f8d0d0; }
+  .strip { white-space: nowrap; }
+  .r { display: inline-block; width: 10px; height: 14px; margin-right: 1px; background: #eee; }
+  .r.passed { background: #2eb67d; } .r.failed { background: #d00000; } .r.flaky { background: #ecb22e; } .r.skipped { background: #bbb; }
+</style>
+</head>
+<body>
+<h1>Form test trends: ${customer}</h1>
+<div class="meta">${history.runs.length} run(s), generated ${generatedAt}</div>
+
+<div class="cards">
+  <div class="card">Runs<b>${history.runs.length}</b></div>
+  <div class="card">Pass rate<b>${history.passRate ?? '-'}%</b></div>
+  <div class="card">Median submission<b>${formatMs(history.medianSubmissionDuration)}</b></div>
+  <div class="card">Flaky tests<b>${history.tests.filter(test => test.flakiness > 0).length}</b></div>
+</div>
+
+<h2>Pass rate per browser</h2>
+<table>
+<tr><th>Browser</th>${runHeader}</tr>
+${browserRows}
+</table>
+
+<h2>Tests</h2>
+<table>
+<tr><th>Test</th><th>Browser</th><th>Pass rate</th><th>Flakiness</th><th>Median duration</th><th>Median submission</th><th>Runs (oldest → newest)</th></tr>
+${testRows}
+</table>
+
+<h2>Most common failure reasons</h2>
+<table>
+<tr><th>Count</th><th>Tests</th><th>Reason</th><th>Last seen</th></tr>
+${reasonRows || '<tr><td colspan="4">No failures</td></tr>'}
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write the dashboard next to the customer's reports
+ * @param {string} customer - Customer name
+ * @param {Object} history - Result of aggregateResultsHistory()
+ * @returns {string} Dashboard file path
+ */
+function writeDashboard(customer, history) {
+  const file = path.join(getReportPaths(customer).reportsDir, DASHBOARD_FILE);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, renderDashboard(history, { customer }));
+  return file;
+}
+
+// CLI interface
+function main() {
+  const args = process.argv.slice(2);
+  const getArg = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Results History
+
+Usage:
+  node scripts/results-history.js [options]
+
+Options:
+  --customer <name>     Customer (default: CUSTOMER env or jbit)
+  --archive             Archive the last test-results.json before aggregating
+  --limit <n>           Only the n most recent runs
+    `);
+    return 0;
+  }
+
+  const customer = getArg('customer') || CUSTOMER;
+  const historyDir = getResultsHistoryDir(customer);
+  if (args.includes('--archive')) {
+    const archived = archiveResults(getReportPaths(customer).resultsFile, historyDir);
+    console.log(archived ? `🗂️  Archived ${archived}` : '⚠️  No test-results.json to archive');
+  }
+
+  const history = aggregateResultsHistory(loadResultsHistory(historyDir, { limit: parseInt(getArg('limit'), 10) || undefined }));
+  printResultsHistory(history);
+  console.log(`\n📊 Dashboard: ${writeDashboard(customer, history)}`);
+  return 0;
+}
+
+// Run if called directly
+if (require.main === module) {
+  process.exit(main());
+}
+
+module.exports = {
+  HISTORY_DIR,
+  getResultsHistoryDir,
+  archiveResults,
+  loadResultsHistory,
+  normalizeFailureReason,
+  getTestResult,
+  aggregateResultsHistory,
+  printResultsHistory,
+  renderDashboard,
+  writeDashboard
+};
@@ -0,0 +1,154 @@
+/**
+ * Run State
+ * What the notifier remembers between runs, per customer and form, in
+ * customers/<name>/reports/run-state.json: the current failure streak, the
+ * notifications sent recently and the last statuses for flap detection.
+ *
+ * A form's state is
+ *   { lastRunId, lastStatus, lastRunAt, lastSuccessAt, consecutiveFailures, firstFailureAt,
+ *     recent: [{ at, status }], statusChanges, flapping, flappingSince,
+ *     lastNotification, notifications: [{ at, status, fingerprint, channels }] }
+ * Runs without a form (the whole suite) are kept under ALL_FORMS.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getReportPaths } = require('./check-status');
+
+const STATE_FILE = 'run-state.json';
+const ALL_FORMS = 'all';
+const DEFAULT_FLAPPING = { window: 10, threshold: 4 };
+
+/**
+ * Run state file of a customer
+ * @param {string} customer - Customer name
+ * @returns {string} Path
+ */
+function getRunStateFile(customer) {
+  return path.join(getReportPaths(customer).reportsDir, STATE_FILE);
+}
+
+/**
+ * @param {string} file - Run state file
+ * @returns {Object} { forms: { <form>: state } }
+ */
+function readRunState(file) {
+  if (!fs.existsSync(file)) {
+    return { forms: {} };
+  }
+  return { forms: {}, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+}
+
+/**
+ * @param {string} file - Run state file
+ * @param {Object} state - Run state
+ */
+function writeRunState(file, state) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(state, null, 2));
+}
+
+/**
+ * State of one form, empty when it never ran
+ * @param {Object} state - Run state
+ * @param {string} form - Form id (default: ALL_FORMS)
+ * @returns {Object} Form state
+ */
+function getFormState(state, form = ALL_FORMS) {
+  return {
+    lastRunId: null,
+    lastStatus: null,
+    lastRunAt: null,
+    lastSuccessAt: null,
+    consecutiveFailures: 0,
+    firstFailureAt: null,
+    recent: [],
+    statusChanges: 0,
+    flapping: false,
+    flappingSince: null,
+    lastNotification: null,
+    notifications: [],
+    ...state.forms[form]
+  };
+}
+
+/**
+ * Number of times the status changed between consecutive runs
+ * @param {Array<Object>} recent - Runs { status }, oldest first
+ * @returns {number} Changes
+ */
+function countStatusChanges(recent) {
+  return recent.slice(1).filter((run, index) => run.status !== recent[index].status).length;
+}
+
+/**
+ * Form state after a run
+ * @param {Object} previous - Form state before the run
+ * @param {Object} run - { id, status: 'failure' | 'success', at }
+ * @param {Object} flapping - rules.flapping { window, threshold }
+ * @returns {Object} New form state
+ */
+function recordRun(previous, run, flapping = {}) {
+  const { window, threshold } = { ...DEFAULT_FLAPPING, ...flapping };
+  const at = new Date(run.at).toISOString();
+  const failed = run.status === 'failure';
+  const recent = [...previous.recent, { at, status: run.status }].slice(-window);
+  const statusChanges = countStatusChanges(recent);
+  const isFlapping = statusChanges >= threshold;
+
+  return {
+    ...previous,
+    lastRunId: run.id || null,
+    lastStatus: run.status,
+    lastRunAt: at,
+    lastSuccessAt: failed ? previous.lastSuccessAt : at,
+    consecutiveFailures: failed ? previous.consecutiveFailures + 1 : 0,
+    firstFailureAt: failed ? previous.firstFailureAt || at : null,
+    recent,
+    statusChanges,
+    flapping: isFlapping,
+    flappingSince: isFlapping ? previous.flappingSince || at : null
+  };
+}
+
+/**
+ * Whether a run was already recorded for a form, so notifying about it again
+ * does not lengthen the failure streak or count as a status change
+ * @param {Object} state - Form state
+ * @param {string} runId - runId from getTestSummary()
+ * @returns {boolean} True when it is the form's last recorded run
+ */
+function isRecordedRun(state, runId) {
+  return !!runId && state.lastRunId === runId;
+}
+
+/**
+ * Form state after a notification, forgetting notifications older than keepFor
+ * @param {Object} previous - Form state
+ * @param {Object} notification - { at, status, fingerprint, channels }
+ * @param {number} keepFor - How long notifications count for rate limits (ms)
+ * @returns {Object} New form state
+ */
+function recordNotification(previous, notification, keepFor) {
+  const at = new Date(notification.at);
+  const entry = { ...notification, at: at.toISOString() };
+
+  return {
+    ...previous,
+    lastNotification: entry,
+    notifications: [...previous.notifications, entry].filter(item => at - new Date(item.at) < keepFor)
+  };
+}
+
+module.exports = {
+  STATE_FILE,
+  ALL_FORMS,
+  getRunStateFile,
+  readRunState,
+  writeRunState,
+  getFormState,
+  countStatusChanges,
+  recordRun,
+  isRecordedRun,
+  recordNotification
+};
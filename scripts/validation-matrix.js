@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/**
+ * Validation Matrix Report
+ * Builds the client vs server validation matrix from the 'validation-rule'
+ * annotations of a run (validation-matrix.spec.js): per rule of the form, the
+ * layers that rejected the invalid data sets and whether the server enforces it.
+ * Written to customers/<name>/reports/validation-matrix.json.
+ *
+ * Usage:
+ *   npx playwright test --grep @validation-matrix && node scripts/validation-matrix.js
+ *   node scripts/validation-matrix.js --customer jbit --results path/to/test-results.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getReportPaths, collectSpecs } = require('./check-status');
+const { getAnnotations } = require('../tests/utils/test-annotations');
+const {
+  ANNOTATION_TYPE,
+  VERDICTS,
+  buildValidationMatrix,
+  formatValidationMatrix
+} = require('../tests/utils/validation-matrix');
+
+const CUSTOMER = process.env.CUSTOMER || 'jbit';
+const MATRIX_FILE = 'validation-matrix.json';
+
+/**
+ * Matrix rows recorded in a run, from the last attempt of every test
+ * @param {Object} results - Playwright JSON results
+ * @returns {Array<Object>} Rows with the browser they ran in
+ */
+function collectValidationRows(results) {
+  return (results.suites || []).flatMap(fileSuite => collectSpecs(fileSuite).flatMap(spec => spec.tests.flatMap(test => {
+    const final = (test.results || [])[test.results.length - 1];
+    return getAnnotations(final?.annotations || [], ANNOTATION_TYPE)
+      .map(description => ({ ...JSON.parse(description), browser: test.projectName || 'unknown' }));
+  })));
+}
+
+/**
+ * Build and write a customer's validation matrix
+ * @param {string} customer - Customer name
+ * @param {Object} options - { resultsFile, outputFile }
+ * @returns {Object} { file, matrix, gaps } where gaps are the rules the server does not enforce
+ */
+function writeValidationMatrix(customer = CUSTOMER, options = {}) {
+  const { reportsDir, resultsFile: defaultFile } = getReportPaths(customer);
+  const resultsFile = options.resultsFile || defaultFile;
+
+  if (!fs.existsSync(resultsFile)) {
+    throw new Error(`No test results for ${customer}. Run the tests first (${resultsFile})`);
+  }
+
+  const rows = collectValidationRows(JSON.parse(fs.readFileSync(resultsFile, 'utf8')));
+  const matrix = buildValidationMatrix(rows);
+  const gaps = matrix.filter(entry => entry.verdict === VERDICTS.CLIENT_ONLY || entry.verdict === VERDICTS.NOT_ENFORCED);
+  const file = options.outputFile || path.join(reportsDir, MATRIX_FILE);
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ customer, generatedAt: new Date().toISOString(), matrix, rows }, null, 2) + '\n');
+
+  return { file, matrix, gaps };
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const getArg = (name) => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Validation Matrix Report
+
+Usage:
+  node scripts/validation-matrix.js [options]
+
+Options:
+  --customer <name>     Customer (default: CUSTOMER env or jbit)
+  --results <file>      Playwright JSON results (default: the customer's test-results.json)
+  --output <file>       Matrix file (default: customers/<name>/reports/${MATRIX_FILE})
+
+Exits with 1 when a rule is enforced on the client only, or not at all.
+    `);
+    process.exit(0);
+  }
+
+  const customer = getArg('--customer') || CUSTOMER;
+
+  try {
+    const { file, matrix, gaps } = writeValidationMatrix(customer, { resultsFile: getArg('--results'), outputFile: getArg('--output') });
+
+    console.log(`\n🧮 ${customer.toUpperCase()} client vs server validation`);
+    console.log(formatValidationMatrix(matrix));
+    gaps.forEach(entry => console.log(`\n⚠️  ${entry.rule} is not enforced by the server (${entry.dataSets.join(', ')})`));
+    console.log(`\n📋 Matrix: ${file}`);
+
+    process.exit(gaps.length > 0 ? 1 : 0);
+  } catch (error) {
+    console.error(`❌ Validation matrix failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  MATRIX_FILE,
+  collectValidationRows,
+  writeValidationMatrix
+};
@@ -8,8 +8,6 @@
 const fs = require('fs');
 const path = require('path');
 
-console.log('🚀 Setting up JBIT End-to-End Form Testing...\n');
-
 /**
  * Create necessary directories
  */
@@ -56,14 +54,15 @@ function createEnvFile() {
 
 /**
  * Verify test data files exist
+ * @param {string} customer - Customer name (default: jbit)
  */
-function verifyTestData() {
+function verifyTestData(customer = 'jbit') {
   console.log('\n📋 Verifying test data...');
 
   const requiredFiles = [
-    'customers/jbit/forms/forms-list.json',
-    'customers/jbit/forms/test-cases.md',
-    'customers/jbit/data/test-data.json'
+    `customers/${customer}/forms/forms-list.json`,
+    `customers/${customer}/forms/test-cases.md`,
+    `customers/${customer}/data/test-data.json`
   ];
 
   let allFilesExist = true;
@@ -123,6 +122,8 @@ function displayNextSteps() {
  * Main setup function
  */
 function main() {
+  console.log('🚀 Setting up JBIT End-to-End Form Testing...\n');
+
   try {
     createDirectories();
     createEnvFile();
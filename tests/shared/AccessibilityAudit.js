@@ -0,0 +1,163 @@
+const { currentTestInfo } = require('../utils/test-annotations');
+const {
+  SUBMIT_STOP,
+  FORM_STOP,
+  violation,
+  checkFieldAccessibility,
+  checkErrorAccessibility,
+  checkFocusOrder,
+  groupViolationsByField,
+  formatAuditReport
+} = require('../utils/accessibility-audit');
+
+/**
+ * AccessibilityAudit - WCAG pass over a registered form
+ *
+ * Uses the BasePage probes of a FormPage to check every field of the form's
+ * definition: an associated label, the announced required state, the Tab order
+ * up to the submit button, submitting with the keyboard only, and, on the
+ * errors that submission renders, the aria-describedby link and the colour
+ * contrast of the error text. Violations are reported per field.
+ *
+ *   await formPage.navigate();
+ *   const report = await new AccessibilityAudit(formPage).run();
+ *   expect(report.violations).toEqual([]);
+ *
+ * The audit submits the empty form once, so run it on a freshly loaded form.
+ */
+class AccessibilityAudit {
+  /**
+   * @param {FormPage} formPage - Form to audit, already navigated
+   * @param {TestInfo} testInfo - Test to attach the report to (default: the running test)
+   */
+  constructor(formPage, testInfo = currentTestInfo()) {
+    this.formPage = formPage;
+    this.page = formPage.page;
+    this.testInfo = testInfo;
+  }
+
+  /**
+   * Run every check
+   * @returns {Promise<Object>} { form, url, violations, byField, tabOrder, notes }
+   */
+  async run() {
+    const { definition, fields } = this.formPage;
+    const violations = [];
+    const notes = [];
+
+    for (const field of fields) {
+      const controls = await this.formPage.getAccessibilityInfo(this.formPage.getFieldSelector(field));
+      violations.push(...checkFieldAccessibility(field, controls));
+    }
+
+    const tabOrder = await this.formPage.getTabOrder(this.formPage.getFieldSelector(fields[0]), {
+      within: this.formPage.formSelector,
+      stops: {
+        ...Object.fromEntries(fields.map(field => [field.name, this.formPage.getFieldSelector(field)])),
+        [SUBMIT_STOP]: definition.submit_button.selector
+      }
+    });
+    violations.push(...checkFocusOrder([...fields.map(field => field.name), SUBMIT_STOP], tabOrder));
+
+    const submitSteps = tabOrder.findIndex(entry => entry.stop === SUBMIT_STOP);
+    if (submitSteps !== -1) {
+      if (await this.submitWithKeyboard(submitSteps)) {
+        violations.push(...await this.checkErrors(notes));
+      } else {
+        violations.push(violation(SUBMIT_STOP, 'keyboard', 'Enter on the focused submit button did not send the form'));
+      }
+    }
+
+    const report = {
+      form: definition.id,
+      url: this.formPage.url,
+      violations,
+      byField: groupViolationsByField(violations, [...fields.map(field => field.name), SUBMIT_STOP, FORM_STOP]),
+      tabOrder: tabOrder.map(entry => entry.stop || entry.name || entry.tag),
+      notes
+    };
+
+    console.log(formatAuditReport(report));
+    if (this.testInfo) {
+      await this.testInfo.attach('accessibility', { body: JSON.stringify(report, null, 2), contentType: 'application/json' });
+    }
+    return report;
+  }
+
+  /**
+   * Tab from the first field to the submit button and press Enter
+   * Browser validation is switched off so the server's field errors are rendered.
+   * @param {number} steps - Tab presses from the first field to the submit button
+   * @returns {Promise<boolean>} Whether the form was sent
+   */
+  async submitWithKeyboard(steps) {
+    const { formSelector } = this.formPage;
+    const submitButton = this.page.locator(this.formPage.definition.submit_button.selector).first();
+    const endpointPath = this.formPage.getEndpointPath();
+
+    await this.page.locator(formSelector).first().evaluate(form => form.setAttribute('novalidate', ''));
+    await this.page.locator(this.formPage.getFieldSelector(this.formPage.fields[0])).first().focus();
+    for (let step = 0; step < steps; step++) {
+      await this.page.keyboard.press('Tab');
+    }
+    if (!(await submitButton.evaluate(button => button === document.activeElement))) {
+      return false;
+    }
+
+    const responsePromise = this.page.waitForResponse(
+      response => response.request().method() === 'POST' && response.url().includes(endpointPath),
+      { timeout: this.formPage.submitTimeout }
+    ).catch(() => null);
+    await this.page.keyboard.press('Enter');
+
+    if (!(await responsePromise)) {
+      return false;
+    }
+    await this.page.locator(`${formSelector} .elementor-message`).first()
+      .waitFor({ state: 'visible', timeout: 5000 })
+      .catch(() => {});
+    return true;
+  }
+
+  /**
+   * Check the error messages rendered after the empty submission
+   * @param {Array<string>} notes - Receives what could not be checked
+   * @returns {Promise<Array<Object>>} Violations
+   */
+  async checkErrors(notes) {
+    const violations = [];
+    let fieldErrors = 0;
+
+    for (const field of this.formPage.fields) {
+      const errorSelector = this.formPage.getFieldErrorSelector(field);
+      const colors = await this.formPage.getTextColors(errorSelector);
+      if (!colors) {
+        continue;
+      }
+      fieldErrors++;
+
+      const text = (await this.page.locator(errorSelector).first().textContent() || '').trim();
+      const controls = await this.formPage.getAccessibilityInfo(this.formPage.getFieldSelector(field));
+      // Checkbox/radio groups may link the error on any option
+      const control = {
+        description: controls.map(entry => entry.description).join(' '),
+        ariaInvalid: controls.some(entry => entry.ariaInvalid)
+      };
+      violations.push(...checkErrorAccessibility(field.name, { text, colors }, control));
+    }
+
+    const formErrorSelector = `${this.formPage.formSelector} .elementor-message-danger:not(.elementor-help-inline)`;
+    const formColors = await this.formPage.getTextColors(formErrorSelector);
+    if (formColors) {
+      const text = (await this.page.locator(formErrorSelector).first().textContent() || '').trim();
+      violations.push(...checkErrorAccessibility(FORM_STOP, { text, colors: formColors }));
+    }
+
+    if (fieldErrors === 0) {
+      notes.push('The empty submission rendered no field errors, so their links and contrast were not checked');
+    }
+    return violations;
+  }
+}
+
+module.exports = AccessibilityAudit;
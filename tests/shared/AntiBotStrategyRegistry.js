@@ -0,0 +1,190 @@
+const { PROTECTIONS, BUILT_IN_STRATEGIES } = require('./anti-bot-strategies');
+
+const STRATEGY_METHODS = ['applies', 'install', 'verify'];
+
+/**
+ * AntiBotStrategyRegistry - Named bot-protection strategies, selectable per form
+ *
+ * Forms declare their protections in forms-list.json:
+ *   "security_features": {
+ *     "bot_protection": [
+ *       { "type": "turnstile", "strategy": "turnstile_bypass" },
+ *       { "type": "recaptcha_v2", "strategy": "intercept_network", "fallbacks": ["mock_response"] }
+ *     ]
+ *   }
+ * Without bot_protection the legacy recaptcha/honeypot flags are used and the
+ * first registered strategy for each protection type is chosen.
+ */
+class AntiBotStrategyRegistry {
+  /**
+   * @param {Array<Object>} strategies - Strategies to register
+   */
+  constructor(strategies = []) {
+    this.strategies = new Map();
+    strategies.forEach(strategy => this.register(strategy));
+  }
+
+  /**
+   * Register (or replace) a strategy
+   * @param {Object} strategy - { name, protections, applies, install, verify }
+   * @returns {AntiBotStrategyRegistry} this, for chaining
+   */
+  register(strategy) {
+    if (!strategy?.name) {
+      throw new Error('Anti-bot strategy needs a name');
+    }
+
+    const missing = STRATEGY_METHODS.filter(method => typeof strategy[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Anti-bot strategy '${strategy.name}' is missing: ${missing.join(', ')}`);
+    }
+
+    this.strategies.set(strategy.name, { protections: [], ...strategy });
+    return this;
+  }
+
+  /**
+   * @param {string} name - Strategy name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.strategies.has(name);
+  }
+
+  /**
+   * @param {string} name - Strategy name
+   * @returns {Object} Strategy
+   */
+  get(name) {
+    const strategy = this.strategies.get(name);
+    if (!strategy) {
+      throw new Error(`Unknown anti-bot strategy '${name}'. Available: ${this.list().join(', ')}`);
+    }
+    return strategy;
+  }
+
+  /**
+   * @returns {Array<string>} Registered strategy names
+   */
+  list() {
+    return Array.from(this.strategies.keys());
+  }
+
+  /**
+   * Strategies that can handle a protection type, in registration order
+   * @param {string} type - Protection type (see PROTECTIONS)
+   * @returns {Array<Object>}
+   */
+  forProtection(type) {
+    return Array.from(this.strategies.values()).filter(strategy => strategy.protections.includes(type));
+  }
+
+  /**
+   * Work out which protections a form uses and which strategies to try
+   * @param {Object} definition - Form definition from forms-list.json
+   * @returns {Array<Object>} [{ type, strategy, fallbacks }]
+   */
+  resolveProtections(definition) {
+    const features = definition.security_features || {};
+    let protections = features.bot_protection;
+
+    if (!protections) {
+      protections = [];
+      if (features.recaptcha || features.captcha) {
+        const v3 = String(features.recaptcha_type || '').startsWith('v3');
+        protections.push({ type: v3 ? PROTECTIONS.RECAPTCHA_V3 : PROTECTIONS.RECAPTCHA_V2 });
+      }
+      if (features.honeypot) {
+        protections.push({ type: PROTECTIONS.HONEYPOT });
+      }
+    }
+
+    return protections.map(protection => {
+      if (!Object.values(PROTECTIONS).includes(protection.type)) {
+        throw new Error(`Form ${definition.id}: unknown bot protection '${protection.type}'. Known: ${Object.values(PROTECTIONS).join(', ')}`);
+      }
+
+      const strategy = protection.strategy || this.forProtection(protection.type)[0]?.name;
+      if (!strategy) {
+        throw new Error(`Form ${definition.id}: no strategy registered for '${protection.type}'`);
+      }
+
+      return {
+        type: protection.type,
+        strategy,
+        fallbacks: protection.fallbacks || []
+      };
+    });
+  }
+
+  /**
+   * Install the first applicable strategy for a protection (before navigation)
+   * @param {Page} page - Playwright page
+   * @param {Object} protection - Entry from resolveProtections()
+   * @param {Object} context - { definition }
+   * @returns {Promise<Object>} Outcome { type, strategy, installed, verified, attempts }
+   */
+  async protect(page, protection, context = {}) {
+    const outcome = { type: protection.type, strategy: null, installed: false, verified: null, attempts: [] };
+
+    for (const name of [protection.strategy, ...protection.fallbacks]) {
+      const strategy = this.get(name);
+      const strategyContext = { ...context, protection };
+
+      try {
+        if (!(await strategy.applies(page, strategyContext))) {
+          outcome.attempts.push({ strategy: name, applied: false, reason: 'not applicable' });
+          continue;
+        }
+
+        await strategy.install(page, strategyContext);
+        outcome.attempts.push({ strategy: name, applied: true });
+        outcome.strategy = name;
+        outcome.installed = true;
+        return outcome;
+
+      } catch (error) {
+        outcome.attempts.push({ strategy: name, applied: false, reason: error.message });
+      }
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Check whether an installed strategy worked (after navigation)
+   * @param {Page} page - Playwright page
+   * @param {Object} outcome - Outcome from protect(); updated in place
+   * @param {Object} context - { definition }
+   * @returns {Promise<Object>} The outcome
+   */
+  async verify(page, outcome, context = {}) {
+    if (!outcome.installed) {
+      outcome.verified = false;
+      return outcome;
+    }
+
+    try {
+      outcome.verified = !!(await this.get(outcome.strategy).verify(page, { ...context, protection: outcome }));
+    } catch (error) {
+      outcome.verified = false;
+      outcome.error = error.message;
+    }
+
+    return outcome;
+  }
+}
+
+/**
+ * Registry with all built-in strategies
+ * @returns {AntiBotStrategyRegistry}
+ */
+function createDefaultRegistry() {
+  return new AntiBotStrategyRegistry(BUILT_IN_STRATEGIES);
+}
+
+module.exports = {
+  AntiBotStrategyRegistry,
+  createDefaultRegistry,
+  PROTECTIONS
+};
@@ -164,10 +164,32 @@ class BasePage {
   }
 
   /**
-   * Take screenshot for debugging
+   * Take screenshot for debugging, or compare it with the approved baseline
    * @param {string} name - Screenshot name
+   * @param {Object} options - Screenshot options
+   * @param {boolean} options.baseline - Assert that it matches the baseline `<name>.png` of this
+   *   browser (toHaveScreenshot) instead of saving it to screenshots/
+   * @param {string} options.selector - Only capture this element (default: the full page)
+   * @param {Array<string>} options.mask - Selectors of dynamic regions to paint over
+   * @param {number} options.maxDiffPixelRatio - Share of pixels allowed to differ
+   * @param {number} options.threshold - Perceptual color distance per pixel (0-1)
    */
-  async takeScreenshot(name) {
+  async takeScreenshot(name, options = {}) {
+    if (options.baseline) {
+      const { expect } = require('@playwright/test');
+      const target = options.selector ? this.page.locator(options.selector).first() : this.page;
+
+      await expect(target).toHaveScreenshot(`${name}.png`, {
+        ...(options.selector ? {} : { fullPage: true }),
+        mask: (options.mask || []).map(selector => this.page.locator(selector)),
+        maxDiffPixelRatio: options.maxDiffPixelRatio,
+        threshold: options.threshold,
+        animations: 'disabled',
+        caret: 'hide'
+      });
+      return;
+    }
+
     await this.page.screenshot({
       path: `screenshots/${name}-${Date.now()}.png`,
       fullPage: true
@@ -229,6 +251,123 @@ class BasePage {
     }
     return false;
   }
+
+  /**
+   * Read what assistive technology gets from form controls
+   * The accessible name follows aria-labelledby, aria-label, label elements and title;
+   * a placeholder does not count.
+   * @param {string} selector - Control selector
+   * @returns {Promise<Array<Object>>} Per matching element: { tag, type, id, name, value, accessibleName,
+   *   required, ariaRequired, ariaInvalid, description, groupName, groupRequired, tabIndex }
+   */
+  async getAccessibilityInfo(selector) {
+    return await this.page.locator(selector).evaluateAll(elements => {
+      const textOf = ids => (ids || '').split(/\s+/).filter(Boolean)
+        .map(id => (document.getElementById(id)?.textContent || '').trim())
+        .filter(Boolean)
+        .join(' ');
+
+      return elements.map(el => {
+        const labels = Array.from(el.labels || []).map(label => label.textContent.trim()).filter(Boolean).join(' ');
+        const group = el.closest('fieldset, [role="group"], [role="radiogroup"]');
+        const legend = group?.tagName === 'FIELDSET' ? (group.querySelector('legend')?.textContent || '').trim() : '';
+
+        return {
+          tag: el.tagName.toLowerCase(),
+          type: el.getAttribute('type'),
+          id: el.id || null,
+          name: el.getAttribute('name'),
+          value: el.value ?? null,
+          accessibleName: textOf(el.getAttribute('aria-labelledby')) || (el.getAttribute('aria-label') || '').trim() ||
+            labels || (el.getAttribute('title') || '').trim(),
+          required: el.required === true,
+          ariaRequired: el.getAttribute('aria-required') === 'true',
+          ariaInvalid: el.getAttribute('aria-invalid') === 'true',
+          description: [textOf(el.getAttribute('aria-describedby')), textOf(el.getAttribute('aria-errormessage'))].filter(Boolean).join(' '),
+          groupName: group ? (textOf(group.getAttribute('aria-labelledby')) || (group.getAttribute('aria-label') || '').trim() || legend) : '',
+          groupRequired: group?.getAttribute('aria-required') === 'true',
+          tabIndex: el.tabIndex
+        };
+      });
+    });
+  }
+
+  /**
+   * Walk the focus order with the Tab key
+   * @param {string} startSelector - Element to focus first
+   * @param {Object} options - Walk options
+   * @param {string} options.within - Stop once focus leaves this container
+   * @param {Object} options.stops - Names for focused elements: { name: Playwright selector }
+   * @param {number} options.maxSteps - Maximum number of Tab presses (default: 50)
+   * @returns {Promise<Array<Object>>} Focused elements in order: { tag, type, name, id, tabIndex, stop }
+   */
+  async getTabOrder(startSelector, options = {}) {
+    const { within = null, stops = {}, maxSteps = 50 } = options;
+    const order = [];
+
+    // Mark the named elements, the selectors may use Playwright-only syntax (e.g. :has-text)
+    for (const [stop, selector] of Object.entries(stops)) {
+      await this.page.locator(selector).evaluateAll((elements, stop) => {
+        elements.forEach(el => el.hasAttribute('data-tab-stop') || el.setAttribute('data-tab-stop', stop));
+      }, stop);
+    }
+    await this.page.locator(startSelector).first().focus();
+
+    for (let step = 0; step <= maxSteps; step++) {
+      const entry = await this.page.evaluate(within => {
+        const el = document.activeElement;
+        if (!el || el === document.body || (within && !el.closest(within))) {
+          return null;
+        }
+        return {
+          tag: el.tagName.toLowerCase(),
+          type: el.getAttribute('type'),
+          name: el.getAttribute('name'),
+          id: el.id || null,
+          tabIndex: el.tabIndex,
+          stop: el.getAttribute('data-tab-stop')
+        };
+      }, within);
+
+      if (!entry) {
+        break;
+      }
+      order.push(entry);
+      await this.page.keyboard.press('Tab');
+    }
+
+    await this.page.evaluate(() => {
+      document.querySelectorAll('[data-tab-stop]').forEach(el => el.removeAttribute('data-tab-stop'));
+    });
+    return order;
+  }
+
+  /**
+   * Text colour, size and the background colours behind an element
+   * @param {string} selector - Element selector
+   * @returns {Promise<Object|null>} { color, fontSize, fontWeight, backgrounds (innermost first) },
+   *   or null when the element is not visible
+   */
+  async getTextColors(selector) {
+    const element = this.page.locator(selector).first();
+    if (!(await element.isVisible().catch(() => false))) {
+      return null;
+    }
+
+    return await element.evaluate(el => {
+      const style = getComputedStyle(el);
+      const backgrounds = [];
+      for (let node = el; node; node = node.parentElement) {
+        backgrounds.push(getComputedStyle(node).backgroundColor);
+      }
+      return {
+        color: style.color,
+        fontSize: parseFloat(style.fontSize),
+        fontWeight: parseInt(style.fontWeight, 10) || 400,
+        backgrounds
+      };
+    });
+  }
 }
 
 module.exports = BasePage;
\ No newline at end of file
@@ -0,0 +1,222 @@
+/**
+ * Customer Test Configuration
+ *
+ * Generic per-customer configuration built from customers/<name>/customer.json
+ * and the customer's forms registry. Handles environment settings, security
+ * (reCAPTCHA/Turnstile) configuration, output paths and Playwright overrides.
+ */
+
+const path = require('path');
+const { getCustomerDir, loadCustomer } = require('../utils/customer-registry');
+const { getFormDefinition } = require('../utils/form-registry');
+
+class CustomerTestConfig {
+  /**
+   * @param {string} customer - Customer name (directory under customers/)
+   */
+  constructor(customer) {
+    this.definition = loadCustomer(customer);
+    this.customer = this.definition.name;
+    this.environment = process.env.NODE_ENV || 'test';
+
+    // Base URL can be pointed at a stand-in server through the customer's env variable
+    this.baseUrlEnv = this.definition.baseUrlEnv;
+    this.baseUrl = process.env[this.baseUrlEnv] || this.definition.baseUrl;
+    this.locale = this.definition.locale;
+
+    // Customer-specific paths
+    const customerDir = getCustomerDir(this.customer);
+    this.paths = {
+      reports: path.join(customerDir, 'reports'),
+      screenshots: path.join(customerDir, 'reports', 'screenshots'),
+      testData: path.join(customerDir, 'data'),
+      forms: path.join(customerDir, 'forms'),
+      tests: path.join(customerDir, 'tests')
+    };
+
+    // Security configuration
+    this.security = this.definition.security;
+    this.recaptcha = {
+      enabled: false,
+      bypassStrategies: [],
+      testMode: { enabled: false, parameters: {} },
+      ...(this.security.recaptcha || {})
+    };
+
+    // Form configurations, enriched from forms-list.json
+    this.forms = {};
+    for (const [key, formConfig] of Object.entries(this.definition.forms)) {
+      const form = getFormDefinition(this.customer, formConfig.formId);
+      const formUrl = new URL(form.url);
+      this.forms[key] = {
+        url: `${formUrl.pathname}${formUrl.search}`,
+        language: form.language || this.locale,
+        hasRecaptcha: !!form.security_features?.captcha,
+        correlationField: form.correlation_field || null,
+        timeout: 30000,
+        retries: 0,
+        ...formConfig
+      };
+    }
+
+    // Correlation IDs stamped on synthetic submissions (CORRELATION_IDS=false turns them off)
+    this.correlation = {
+      enabled: true,
+      prefix: 'E2E',
+      ...(this.definition.correlation || {})
+    };
+    if (process.env.CORRELATION_IDS === 'false') {
+      this.correlation.enabled = false;
+    }
+
+    // Test environment settings
+    this.testSettings = {
+      headless: process.env.HEADLESS !== 'false',
+      slowMo: parseInt(process.env.SLOW_MO) || 0,
+      timeout: parseInt(process.env.TEST_TIMEOUT) || 60000,
+      retries: parseInt(process.env.TEST_RETRIES) || 2,
+      workers: parseInt(process.env.TEST_WORKERS) || 1,
+      screenshots: process.env.SCREENSHOTS !== 'false',
+      videos: process.env.VIDEOS === 'true'
+    };
+
+    // Expected messages in the customer's locale
+    this.messages = this.definition.messages;
+  }
+
+  /**
+   * Get full URL for a form
+   * @param {string} formPath - Form path (e.g., '/contact-nl/')
+   * @returns {string} - Complete URL
+   */
+  getFormUrl(formPath) {
+    return `${this.baseUrl.replace(/\/$/, '')}${formPath}`;
+  }
+
+  /**
+   * Get test environment configuration
+   * @returns {Object} - Environment-specific settings
+   */
+  getEnvironmentConfig() {
+    return {
+      customer: this.customer,
+      environment: this.environment,
+      isTestMode: this.environment === 'test',
+      baseUrl: this.baseUrl,
+      ...this.testSettings
+    };
+  }
+
+  /**
+   * Get reCAPTCHA configuration for tests
+   * @returns {Object} - reCAPTCHA settings and bypass options
+   */
+  getRecaptchaConfig() {
+    return {
+      ...this.recaptcha,
+      strategy: this.security.strategy,
+      shouldBypass: this.environment === 'test' || process.env.BYPASS_RECAPTCHA === 'true',
+      testParameters: this.recaptcha.testMode.enabled ? this.recaptcha.testMode.parameters : {}
+    };
+  }
+
+  /**
+   * Get customer-specific output directories
+   * @returns {Object} - Directory paths for test artifacts
+   */
+  getOutputPaths() {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+    return {
+      ...this.paths,
+      currentRun: path.join(this.paths.reports, timestamp),
+      screenshots: path.join(this.paths.screenshots, timestamp),
+      htmlReports: path.join(this.paths.reports, 'html-report'),
+      jsonReport: path.join(this.paths.reports, 'test-results.json')
+    };
+  }
+
+  /**
+   * Get form-specific configuration
+   * @param {string} formName - Name of the form (key in customer.json forms)
+   * @returns {Object} - Form configuration
+   */
+  getFormConfig(formName) {
+    const formConfig = this.forms[formName];
+    if (!formConfig) {
+      throw new Error(`Unknown form for ${this.customer}: ${formName}`);
+    }
+
+    return {
+      ...formConfig,
+      fullUrl: this.getFormUrl(formConfig.url),
+      recaptchaConfig: formConfig.hasRecaptcha ? this.getRecaptchaConfig() : null
+    };
+  }
+
+  /**
+   * Check if we're in a test environment that should bypass security
+   * @returns {boolean} - True if security should be bypassed
+   */
+  shouldBypassSecurity() {
+    return this.environment === 'test' ||
+           process.env.BYPASS_SECURITY === 'true' ||
+           process.env.CI === 'true' ||
+           this.baseUrl.includes('test') ||
+           this.baseUrl.includes('staging');
+  }
+
+  /**
+   * Get Playwright configuration overrides for this customer
+   * @returns {Object} - Playwright config overrides
+   */
+  getPlaywrightConfig() {
+    const outputPaths = this.getOutputPaths();
+
+    return {
+      use: {
+        baseURL: this.baseUrl,
+        screenshot: this.testSettings.screenshots ? 'only-on-failure' : 'off',
+        video: this.testSettings.videos ? 'retain-on-failure' : 'off',
+        actionTimeout: this.testSettings.timeout / 6, // 1/6 of total timeout
+        navigationTimeout: this.testSettings.timeout / 2, // 1/2 of total timeout
+        trace: 'retain-on-failure'
+      },
+      timeout: this.testSettings.timeout,
+      retries: this.testSettings.retries,
+      workers: this.testSettings.workers,
+      outputDir: outputPaths.currentRun,
+      reporter: [
+        ['html', {
+          open: 'never',
+          outputFolder: outputPaths.htmlReports
+        }],
+        ['json', {
+          outputFile: outputPaths.jsonReport
+        }],
+        ['list']
+      ]
+    };
+  }
+
+  /**
+   * Get test data configuration
+   * @returns {Object} - Test data paths and settings
+   */
+  getTestDataConfig() {
+    const rules = this.definition.validationRules || {};
+
+    return {
+      dataPath: this.paths.testData,
+      language: this.locale,
+      encoding: 'utf8',
+      validationRules: {
+        email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+        phone: rules.phone ? new RegExp(rules.phone) : null,
+        required: rules.required || []
+      }
+    };
+  }
+}
+
+module.exports = CustomerTestConfig;
@@ -0,0 +1,980 @@
+#!/usr/bin/env node
+
+/**
+ * ElementorStandInServer - Local stand-in for an Elementor Pro form site
+ *
+ * Renders the forms from a customer's forms-list.json with Elementor Pro markup
+ * (same `form_fields[...]` names, `.elementor-message-success/danger` messages)
+ * and implements the `admin-ajax.php` form action, so the suite can run offline
+ * or in a sandboxed CI by pointing the customer base URL at this server.
+ *
+ * Response modes:
+ * - auto:             validate against the form definition (default)
+ * - success:          always accept the submission
+ * - validation-error: reject every required field
+ * - server-error:     answer with HTTP 500
+ * - rate-limited:     answer with HTTP 429, as a rate-limiting plugin or WAF would
+ *
+ * The mode can be set per server (constructor, setMode(), PUT /__stand-in/mode)
+ * or per request with the `X-Stand-In-Mode` header.
+ *
+ * With the `captcha` option the form's declared reCAPTCHA v2/Turnstile protections
+ * are rendered as fake widgets (see stand-in-captcha.js) and submissions are
+ * rejected unless they carry the token of an always-pass test key.
+ *
+ * With the `smtp` option accepted submissions run the form's email actions
+ * (submission.actions in forms-list.json) and deliver the notification mail to
+ * that SMTP server, e.g. SmtpSinkServer. With the `webhook` option their webhook
+ * actions post Elementor's webhook payload to that URL (e.g. WebhookReceiverServer)
+ * instead of the real Zapier/n8n/CRM endpoint.
+ *
+ * Accepted submissions are listed, marked read and deleted through Elementor's
+ * form-submissions REST API (see stand-in-rest.js), optionally behind
+ * application-password authentication (`restAuth`).
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const { parseFormBody, getElementorFields } = require('../utils/form-body-parser');
+const { getFormsFile } = require('../utils/form-registry');
+const { getFieldErrorTexts, validateElementorFields } = require('../utils/field-validation');
+const {
+  getElementorFieldId,
+  getFieldInputName,
+  getFieldDomId,
+  getFormPath,
+  getFormActions,
+  getFieldValuesById,
+  renderFieldShortcodes
+} = require('../utils/form-definition');
+const { escapeHtml } = require('../utils/html-escape');
+const { buildMailMessage } = require('../utils/mail-message');
+const { sendMail } = require('../utils/smtp-client');
+const { buildWebhookPayload } = require('../utils/webhook-payload');
+const {
+  SCRIPT_PATH,
+  ANCHOR_PATH,
+  getCaptchaWidgets,
+  renderCaptchaWidget,
+  verifyCaptchaTokens,
+  renderCaptchaScript,
+  renderRecaptchaAnchor
+} = require('./stand-in-captcha');
+const {
+  SUBMISSIONS_PATH,
+  isAuthorized,
+  restError,
+  toRestSubmission,
+  listSubmissions
+} = require('./stand-in-rest');
+
+const MODES = {
+  AUTO: 'auto',
+  SUCCESS: 'success',
+  VALIDATION_ERROR: 'validation-error',
+  SERVER_ERROR: 'server-error',
+  RATE_LIMITED: 'rate-limited'
+};
+
+const AJAX_PATH = '/wp-admin/admin-ajax.php';
+const CONTROL_PREFIX = '/__stand-in';
+const MAX_BODY_SIZE = 5 * 1024 * 1024;
+
+const DEFAULT_MESSAGES = {
+  success: 'Bedankt voor uw bericht',
+  error: 'Er is een fout opgetreden',
+  rateLimited: 'Te veel verzoeken. Probeer het later opnieuw.'
+};
+
+class ElementorStandInServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {string} options.customer - Customer whose forms-list.json is served (default: 'jbit')
+   * @param {string} options.formsFile - Explicit path to a forms-list.json
+   * @param {Array} options.forms - Form definitions to serve instead of a file
+   * @param {number} options.port - Port to listen on (default: 0, any free port)
+   * @param {string} options.host - Host to bind (default: 127.0.0.1)
+   * @param {string} options.mode - Initial response mode (default: 'auto')
+   * @param {boolean|Object} options.captcha - Render fake CAPTCHA widgets; true for the
+   *   always-pass test keys or { recaptcha, turnstile } site keys (default: off)
+   * @param {Object|string} options.smtp - SMTP server for email actions, { host, port } or 'host:port' (default: off)
+   * @param {string} options.webhook - URL every webhook action posts to instead of its own (default: off)
+   * @param {Object|string} options.restAuth - Require this { user, password } (or 'user:password') on the
+   *   submissions REST API (default: open)
+   */
+  constructor(options = {}) {
+    this.customer = options.customer || 'jbit';
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port || 0;
+    this.mode = options.mode || MODES.AUTO;
+    this.captcha = options.captcha === true ? {} : (options.captcha || null);
+    this.smtp = typeof options.smtp === 'string' ? ElementorStandInServer.parseHostPort(options.smtp) : (options.smtp || null);
+    this.webhook = options.webhook || null;
+    this.restAuth = typeof options.restAuth === 'string'
+      ? { user: options.restAuth.split(':')[0], password: options.restAuth.split(':').slice(1).join(':') }
+      : (options.restAuth || null);
+    this.forms = options.forms || this.loadForms(
+      options.formsFile || getFormsFile(this.customer)
+    );
+
+    this.nonce = crypto.randomBytes(5).toString('hex');
+    this.submissions = [];
+    // Ids only increase, so a deleted or cleared submission's id is never handed out again
+    this.lastSubmissionId = 0;
+    this.server = null;
+    this.baseUrl = null;
+
+    this.assertMode(this.mode);
+  }
+
+  /**
+   * Load form definitions from a forms-list.json file
+   * @param {string} formsFile - Path to forms-list.json
+   * @returns {Array} Form definitions
+   */
+  loadForms(formsFile) {
+    const formsList = JSON.parse(fs.readFileSync(formsFile, 'utf8'));
+    return formsList.forms || [];
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} Base URL of the running server
+   */
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        console.error('Stand-in request failed:', error);
+        this.sendJson(res, 500, { success: false, data: { message: error.message } });
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    this.port = this.server.address().port;
+    this.baseUrl = `http://${this.host}:${this.port}`;
+    console.log(`🧪 Elementor stand-in server running at ${this.baseUrl}`);
+
+    return this.baseUrl;
+  }
+
+  /**
+   * Stop listening
+   */
+  async stop() {
+    if (!this.server) return;
+
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * Change the response mode for subsequent submissions
+   * @param {string} mode - One of ElementorStandInServer.MODES
+   */
+  setMode(mode) {
+    this.assertMode(mode);
+    this.mode = mode;
+  }
+
+  /**
+   * Throw for unknown response modes
+   * @param {string} mode - Mode to check
+   */
+  assertMode(mode) {
+    if (!Object.values(MODES).includes(mode)) {
+      throw new Error(`Unknown stand-in mode: ${mode}. Use one of: ${Object.values(MODES).join(', ')}`);
+    }
+  }
+
+  /**
+   * Get the stand-in URL for a form
+   * @param {string} formId - Form id from forms-list.json (default: first form)
+   * @returns {string} Full URL of the form page on this server
+   */
+  getFormUrl(formId) {
+    const form = formId ? this.forms.find(f => f.id === formId) : this.forms[0];
+    if (!form) {
+      throw new Error(`Unknown form: ${formId}`);
+    }
+    return `${this.baseUrl}${getFormPath(form)}`;
+  }
+
+  /**
+   * Post form data to admin-ajax.php like the Elementor front-end does
+   * The hidden inputs (form and post id, nonce) are read from the rendered form first.
+   * @param {string} formId - Form id from forms-list.json (default: first form)
+   * @param {Object} data - Form data keyed by field name or alias
+   * @param {Object} options - Post options
+   * @param {string} options.mode - Response mode for this post only (X-Stand-In-Mode)
+   * @param {Object} options.extra - More parameters posted as they are, e.g. CAPTCHA tokens
+   * @returns {Promise<Object>} { status, body } with body the parsed JSON (null when it is not JSON)
+   */
+  async submit(formId, data = {}, options = {}) {
+    const html = await (await fetch(this.getFormUrl(formId))).text();
+    const form = formId ? this.forms.find(f => f.id === formId) : this.forms[0];
+
+    const body = new URLSearchParams(Object.fromEntries(
+      Array.from(html.matchAll(/<input type="hidden" name="([^"]+)" value="([^"]*)"/g), m => [m[1], m[2]])
+    ));
+    body.append('action', form.submission?.action || 'elementor_pro_forms_send_form');
+
+    const values = getFieldValuesById(form, data);
+    for (const field of form.fields) {
+      [].concat(values[getElementorFieldId(field)] ?? []).forEach(value => body.append(getFieldInputName(field), value));
+    }
+    Object.entries(options.extra || {}).forEach(([name, value]) => body.set(name, value));
+
+    const response = await fetch(`${this.baseUrl}/wp-admin/admin-ajax.php`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        ...(options.mode ? { 'X-Stand-In-Mode': options.mode } : {})
+      },
+      body: body.toString()
+    });
+    return { status: response.status, body: await response.json().catch(() => null) };
+  }
+
+  /**
+   * Get recorded submissions
+   * @returns {Array} Submissions received so far
+   */
+  getSubmissions() {
+    return this.submissions;
+  }
+
+  /**
+   * Forget recorded submissions
+   */
+  clearSubmissions() {
+    this.submissions = [];
+  }
+
+  /**
+   * Route an incoming request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || this.host}`);
+
+    if (url.pathname.startsWith(CONTROL_PREFIX)) {
+      return this.handleControlRequest(req, res, url);
+    }
+
+    if (url.pathname === AJAX_PATH && req.method === 'POST') {
+      return this.handleAjaxSubmission(req, res);
+    }
+
+    if (url.pathname === SUBMISSIONS_PATH || url.pathname.startsWith(`${SUBMISSIONS_PATH}/`)) {
+      return this.handleRestRequest(req, res, url);
+    }
+
+    if (req.method === 'GET' && url.pathname === '/') {
+      return this.sendHtml(res, 200, this.renderIndex());
+    }
+
+    const form = this.forms.find(f => getFormPath(f) === url.pathname);
+    if (req.method === 'GET' && form) {
+      return this.sendHtml(res, 200, this.renderFormPage(form));
+    }
+
+    this.sendHtml(res, 404, '<!DOCTYPE html><html><body><h1>404 Not Found</h1></body></html>');
+  }
+
+  /**
+   * Handle /__stand-in/* control endpoints used by out-of-process test workers
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {URL} url - Parsed request URL
+   */
+  async handleControlRequest(req, res, url) {
+    const route = url.pathname.slice(CONTROL_PREFIX.length);
+
+    if (route === SCRIPT_PATH && req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'application/javascript; charset=UTF-8' });
+      return res.end(renderCaptchaScript());
+    }
+
+    if (route === ANCHOR_PATH && req.method === 'GET') {
+      return this.sendHtml(res, 200, renderRecaptchaAnchor(url));
+    }
+
+    if (route === '/submissions' && req.method === 'GET') {
+      return this.sendJson(res, 200, this.submissions);
+    }
+
+    if (route === '/submissions' && req.method === 'DELETE') {
+      this.clearSubmissions();
+      return this.sendJson(res, 200, { cleared: true });
+    }
+
+    if (route === '/mode' && req.method === 'GET') {
+      return this.sendJson(res, 200, { mode: this.mode });
+    }
+
+    if (route === '/mode' && (req.method === 'PUT' || req.method === 'POST')) {
+      const body = JSON.parse((await this.readBody(req)).toString('utf8') || '{}');
+      try {
+        this.setMode(body.mode);
+      } catch (error) {
+        return this.sendJson(res, 400, { error: error.message });
+      }
+      return this.sendJson(res, 200, { mode: this.mode });
+    }
+
+    this.sendJson(res, 404, { error: `Unknown control endpoint: ${route}` });
+  }
+
+  /**
+   * Handle Elementor's form-submissions REST API over the accepted submissions
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {URL} url - Parsed request URL
+   */
+  async handleRestRequest(req, res, url) {
+    if (!isAuthorized(req.headers.authorization, this.restAuth)) {
+      return this.sendJson(res, 401, restError('rest_forbidden', 'Sorry, you are not allowed to do that.', 401));
+    }
+
+    const stored = this.submissions.filter(submission => submission.response?.body.success);
+    const toRest = submission => toRestSubmission(submission, this.forms.find(f => (f.form_id || f.id) === submission.formId));
+
+    if (url.pathname === SUBMISSIONS_PATH && req.method === 'GET') {
+      return this.sendJson(res, 200, listSubmissions(stored.map(toRest), url.searchParams));
+    }
+
+    const id = parseInt(url.pathname.slice(SUBMISSIONS_PATH.length + 1), 10);
+    const submission = stored.find(s => s.id === id);
+    if (!submission) {
+      return this.sendJson(res, 404, restError('rest_not_found', 'Submission not found.', 404));
+    }
+
+    if (req.method === 'GET') {
+      return this.sendJson(res, 200, { data: toRest(submission) });
+    }
+
+    if (req.method === 'PUT' || req.method === 'PATCH') {
+      const body = JSON.parse((await this.readBody(req)).toString('utf8') || '{}');
+      if (body.is_read !== undefined) {
+        submission.isRead = !!body.is_read;
+      }
+      return this.sendJson(res, 200, { data: toRest(submission) });
+    }
+
+    if (req.method === 'DELETE') {
+      const force = ['true', '1'].includes(url.searchParams.get('force'));
+      if (force) {
+        this.submissions = this.submissions.filter(s => s !== submission);
+      } else {
+        submission.status = 'trash';
+      }
+      console.log(`🗑️  Stand-in ${force ? 'deleted' : 'trashed'} submission #${submission.id}`);
+      return this.sendJson(res, 200, { data: { ...toRest(submission), deleted: force } });
+    }
+
+    this.sendJson(res, 405, restError('rest_no_route', 'No route was found matching the URL and request method.', 405));
+  }
+
+  /**
+   * Handle an Elementor Pro form submission posted to admin-ajax.php
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handleAjaxSubmission(req, res) {
+    const body = await this.readBody(req);
+    const fields = parseFormBody(body, req.headers['content-type']);
+
+    const form = this.forms.find(f => (f.form_id || f.id) === fields.form_id);
+    const expectedAction = form?.submission?.action || 'elementor_pro_forms';
+
+    // WordPress answers unknown ajax actions with a bare "0"
+    if (!fields.action || !fields.action.startsWith(expectedAction)) {
+      res.writeHead(400, { 'Content-Type': 'text/html; charset=UTF-8' });
+      return res.end('0');
+    }
+
+    const mode = req.headers['x-stand-in-mode'] || this.mode;
+    const submission = {
+      id: ++this.lastSubmissionId,
+      receivedAt: new Date().toISOString(),
+      action: fields.action,
+      formId: fields.form_id,
+      postId: fields.post_id,
+      mode,
+      fields,
+      formFields: getElementorFields(fields),
+      captcha: null,
+      actions: [],
+      response: null,
+      status: 'new',
+      isRead: false
+    };
+
+    let response = form
+      ? this.buildResponse(form, submission, mode)
+      : { status: 200, body: this.errorBody(DEFAULT_MESSAGES.error) };
+
+    // Elementor runs the after-submit actions before answering and reports their failure
+    if (form && response.body.success) {
+      submission.actions = await this.runActions(form, submission);
+      if (submission.actions.some(action => action.error)) {
+        response = { status: 200, body: this.errorBody(this.getMessages(form).error) };
+      }
+    }
+
+    submission.response = response;
+    this.submissions.push(submission);
+
+    console.log(`📨 Stand-in received submission #${submission.id} for ${submission.formId} (${mode}) → ${response.status}`);
+    this.sendJson(res, response.status, response.body);
+  }
+
+  /**
+   * Build the admin-ajax response for a submission
+   * @param {Object} form - Form definition
+   * @param {Object} submission - Recorded submission
+   * @param {string} mode - Response mode
+   * @returns {Object} Response status and JSON body
+   */
+  buildResponse(form, submission, mode) {
+    const messages = this.getMessages(form);
+
+    // Rate limiting kicks in before WordPress looks at the submission
+    if (mode === MODES.RATE_LIMITED) {
+      return { status: 429, body: this.errorBody(DEFAULT_MESSAGES.rateLimited) };
+    }
+
+    if (form.security_features?.csrf_token && submission.fields._wpnonce !== this.nonce) {
+      return { status: 403, body: this.errorBody(messages.error) };
+    }
+
+    if (this.captcha) {
+      submission.captcha = verifyCaptchaTokens(getCaptchaWidgets(form, this.captcha), submission.fields);
+      const rejected = submission.captcha.find(result => !result.valid);
+      if (rejected) {
+        return { status: 200, body: this.errorBody(rejected.message) };
+      }
+    }
+
+    switch (mode) {
+      case MODES.SUCCESS:
+        return { status: 200, body: this.successBody(messages.success) };
+      case MODES.SERVER_ERROR:
+        return { status: 500, body: this.errorBody(messages.error) };
+      case MODES.VALIDATION_ERROR: {
+        const required = form.fields.filter(field => field.required);
+        const errors = {};
+        (required.length > 0 ? required : form.fields.slice(0, 1)).forEach(field => {
+          errors[getElementorFieldId(field)] = messages.required;
+        });
+        return { status: 200, body: this.errorBody(messages.error, errors) };
+      }
+      default: {
+        const errors = validateElementorFields(form, submission.formFields);
+        if (Object.keys(errors).length > 0) {
+          return { status: 200, body: this.errorBody(messages.error, errors) };
+        }
+        return { status: 200, body: this.successBody(messages.success) };
+      }
+    }
+  }
+
+  /**
+   * Run the after-submit actions of an accepted submission
+   * @param {Object} form - Form definition
+   * @param {Object} submission - Recorded submission
+   * @returns {Promise<Array>} [{ type, ...result }] per action
+   */
+  async runActions(form, submission) {
+    const results = [];
+
+    for (const action of getFormActions(form)) {
+      switch (action.type) {
+        case 'email':
+          results.push(await this.runEmailAction(form, action, submission));
+          break;
+        case 'webhook':
+          results.push(await this.runWebhookAction(form, action, submission));
+          break;
+        default:
+          results.push({ type: action.type, skipped: 'not supported by the stand-in' });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Deliver the notification mail of an email action
+   * @param {Object} form - Form definition
+   * @param {Object} action - Email action
+   * @param {Object} submission - Recorded submission
+   * @returns {Promise<Object>} Action result
+   */
+  async runEmailAction(form, action, submission) {
+    if (!this.smtp) {
+      return { type: 'email', to: action.to, skipped: 'no SMTP server configured' };
+    }
+
+    const to = String(action.to || '').split(',').map(address => address.trim()).filter(Boolean);
+    const subject = renderFieldShortcodes(action.subject || `New message from "${form.purpose || form.id}"`, form, submission.formFields);
+
+    try {
+      await sendMail({
+        ...this.smtp,
+        from: action.from || 'wordpress@localhost',
+        to,
+        message: buildMailMessage({
+          from: action.from || 'wordpress@localhost',
+          fromName: action.from_name,
+          to,
+          subject,
+          text: this.renderMailBody(form, action, submission),
+          headers: submission.formFields.email ? { 'Reply-To': submission.formFields.email } : {}
+        })
+      });
+      console.log(`✉️  Stand-in mailed submission #${submission.id} to ${to.join(', ')}`);
+      return { type: 'email', to, subject, sent: true };
+    } catch (error) {
+      console.error(`✉️  Stand-in could not mail submission #${submission.id}: ${error.message}`);
+      return { type: 'email', to, subject, sent: false, error: error.message };
+    }
+  }
+
+  /**
+   * Post the payload of a webhook action, failing like Elementor on anything but 200
+   * @param {Object} form - Form definition
+   * @param {Object} action - Webhook action
+   * @param {Object} submission - Recorded submission
+   * @returns {Promise<Object>} Action result
+   */
+  async runWebhookAction(form, action, submission) {
+    if (!this.webhook) {
+      return { type: 'webhook', url: action.url, skipped: 'no webhook receiver configured' };
+    }
+
+    const url = new URL(new URL(action.url || '/', 'http://localhost').pathname, this.webhook).href;
+    const payload = buildWebhookPayload(form, submission.formFields, action, {
+      date: { title: 'Date', value: submission.receivedAt.slice(0, 10) },
+      time: { title: 'Time', value: submission.receivedAt.slice(11, 19) },
+      page_url: { title: 'Page URL', value: submission.fields.referrer || getFormPath(form) },
+      credit: { title: 'Powered by', value: 'Elementor (stand-in)' }
+    });
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams(payload).toString(),
+        signal: AbortSignal.timeout(10000)
+      });
+      if (response.status !== 200) {
+        throw new Error(`Webhook answered ${response.status}`);
+      }
+      console.log(`🪝 Stand-in posted submission #${submission.id} to ${url}`);
+      return { type: 'webhook', url, status: response.status, sent: true };
+    } catch (error) {
+      console.error(`🪝 Stand-in webhook for submission #${submission.id} failed: ${error.message}`);
+      return { type: 'webhook', url, sent: false, error: error.message };
+    }
+  }
+
+  /**
+   * Body of an email action, with Elementor's metadata footer
+   * @param {Object} form - Form definition
+   * @param {Object} action - Email action
+   * @param {Object} submission - Recorded submission
+   * @returns {string} Plain text body
+   */
+  renderMailBody(form, action, submission) {
+    const content = renderFieldShortcodes(action.content || '[all-fields]', form, submission.formFields);
+    const footer = [
+      '---',
+      `Date: ${submission.receivedAt.slice(0, 10)}`,
+      `Time: ${submission.receivedAt.slice(11, 19)}`,
+      `Page URL: ${submission.fields.referrer || getFormPath(form)}`,
+      'Powered by: Elementor (stand-in)'
+    ];
+
+    return `${content}\n\n${footer.join('\n')}`;
+  }
+
+  /**
+   * Resolve the messages for a form, preferring the texts in its definition
+   * @param {Object} form - Form definition
+   * @returns {Object} Message texts
+   */
+  getMessages(form) {
+    const messages = form.messages || {};
+    return {
+      ...getFieldErrorTexts(form),
+      success: messages.success?.expected_text || DEFAULT_MESSAGES.success,
+      error: messages.error?.expected_text || DEFAULT_MESSAGES.error
+    };
+  }
+
+  /**
+   * Elementor Pro success payload
+   * @param {string} message - Success message
+   */
+  successBody(message) {
+    return { success: true, data: { message, data: [] } };
+  }
+
+  /**
+   * Elementor Pro error payload
+   * @param {string} message - General error message
+   * @param {Object} errors - Field errors keyed by Elementor field id
+   */
+  errorBody(message, errors = []) {
+    return { success: false, data: { message, errors, data: [] } };
+  }
+
+  /**
+   * Read a request body into a Buffer
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Promise<Buffer>} Body
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+          reject(new Error('Request body too large'));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks)));
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Send a JSON response
+   */
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Send an HTML response
+   */
+  sendHtml(res, status, html) {
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=UTF-8' });
+    res.end(html);
+  }
+
+  /**
+   * Render the index page linking to every served form
+   * @returns {string} HTML
+   */
+  renderIndex() {
+    const links = this.forms
+      .map(form => `<li><a href="${escapeHtml(getFormPath(form))}">${escapeHtml(form.id)}</a> - ${escapeHtml(form.purpose || '')}</li>`)
+      .join('\n');
+
+    return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Elementor stand-in - ${escapeHtml(this.customer)}</title></head>
+<body>
+<h1>Elementor stand-in: ${escapeHtml(this.customer)}</h1>
+<ul>
+${links}
+</ul>
+</body>
+</html>`;
+  }
+
+  /**
+   * Render a form page with Elementor Pro markup and front-end behaviour
+   * @param {Object} form - Form definition
+   * @returns {string} HTML
+   */
+  renderFormPage(form) {
+    const formId = form.form_id || form.id;
+    const postId = form.post_id || '1';
+    const buttonText = form.submit_button?.text || 'Send';
+    const nonceInput = form.security_features?.csrf_token
+      ? `<input type="hidden" name="_wpnonce" value="${this.nonce}">`
+      : '';
+    const captchaWidgets = this.captcha ? getCaptchaWidgets(form, this.captcha) : [];
+    const captchaScript = captchaWidgets.length > 0
+      ? `<script src="${CONTROL_PREFIX}${SCRIPT_PATH}"></script>`
+      : '';
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(form.language || 'en')}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(form.purpose || form.id)} (stand-in)</title>
+<style>
+  body { font-family: sans-serif; max-width: 640px; margin: 40px auto; color: #222; }
+  .elementor-field-group { margin-bottom: 16px; }
+  .elementor-field-label { display: block; font-weight: bold; margin-bottom: 4px; }
+  .elementor-field-textual { width: 100%; padding: 8px; box-sizing: border-box; }
+  .elementor-field-option { display: block; }
+  .elementor-error .elementor-field-textual { border-color: #d9534f; }
+  .elementor-message { margin-top: 12px; }
+  .elementor-message-success { color: #2e7d32; }
+  .elementor-message-danger { color: #b71c1c; }
+  .elementor-form-waiting .elementor-button { opacity: 0.5; }
+</style>
+</head>
+<body>
+<div class="elementor-widget-form">
+<form class="elementor-form" method="post" name="${escapeHtml(form.id)}">
+<input type="hidden" name="post_id" value="${escapeHtml(postId)}">
+<input type="hidden" name="form_id" value="${escapeHtml(formId)}">
+<input type="hidden" name="referer_title" value="${escapeHtml(form.purpose || '')}">
+<input type="hidden" name="queried_id" value="${escapeHtml(postId)}">
+${nonceInput}
+<div class="elementor-form-fields-wrapper elementor-labels-above">
+${form.fields.map(field => this.renderField(field)).join('\n')}
+${captchaWidgets.map(widget => renderCaptchaWidget(widget, escapeHtml)).join('\n')}
+<div class="elementor-field-group elementor-column elementor-field-type-submit elementor-col-100 e-form__buttons">
+<button type="submit" class="elementor-button elementor-size-sm">
+<span><span class="elementor-button-text">${escapeHtml(buttonText)}</span></span>
+</button>
+</div>
+</div>
+</form>
+</div>
+${captchaScript}
+<script>
+${this.renderClientScript(form)}
+</script>
+</body>
+</html>`;
+  }
+
+  /**
+   * Render one field group
+   * @param {Object} field - Field definition
+   * @returns {string} HTML
+   */
+  renderField(field) {
+    const id = getElementorFieldId(field);
+    const name = getFieldInputName(field);
+    const domId = getFieldDomId(field);
+    const requiredAttrs = field.required ? ' required="required" aria-required="true"' : '';
+    const groupClasses = [
+      `elementor-field-type-${field.type}`,
+      'elementor-field-group',
+      'elementor-column',
+      `elementor-field-group-${id}`,
+      'elementor-col-100',
+      field.required ? 'elementor-field-required elementor-mark-required' : ''
+    ].filter(Boolean).join(' ');
+
+    let control;
+    switch (field.type) {
+      case 'textarea':
+        control = `<textarea class="elementor-field elementor-field-textual elementor-size-sm" name="${name}" id="${domId}" rows="4" placeholder="${escapeHtml(field.label)}"${requiredAttrs}></textarea>`;
+        break;
+      case 'checkbox':
+      case 'radio':
+        control = `<div class="elementor-field-subgroup" role="group" aria-labelledby="${domId}-label"${field.required ? ' aria-required="true"' : ''}>\n${(field.options || []).map((option, index) => {
+          const optionId = getFieldDomId(field, index);
+          const optionName = field.type === 'checkbox' ? name : `form_fields[${id}]`;
+          return `<span class="elementor-field-option"><input type="${field.type}" value="${escapeHtml(option)}" id="${optionId}" name="${optionName}"> <label for="${optionId}">${escapeHtml(option)}</label></span>`;
+        }).join('\n')}\n</div>`;
+        break;
+      case 'select':
+        control = `<div class="elementor-field elementor-select-wrapper"><select name="${name}" id="${domId}" class="elementor-field-textual elementor-size-sm"${requiredAttrs}>\n${(field.options || []).map(option => `<option value="${escapeHtml(option)}">${escapeHtml(option)}</option>`).join('\n')}\n</select></div>`;
+        break;
+      default:
+        control = `<input size="1" type="${escapeHtml(field.type)}" name="${name}" id="${domId}" class="elementor-field elementor-size-sm elementor-field-textual" placeholder="${escapeHtml(field.label)}"${requiredAttrs}>`;
+    }
+
+    const labelFor = field.type === 'checkbox' || field.type === 'radio' ? '' : ` for="${domId}"`;
+    return `<div class="${groupClasses}">
+<label${labelFor} id="${domId}-label" class="elementor-field-label">${escapeHtml(field.label)}</label>
+${control}
+</div>`;
+  }
+
+  /**
+   * Front-end script mirroring Elementor Pro's form handler
+   * @param {Object} form - Form definition
+   * @returns {string} JavaScript source
+   */
+  renderClientScript(form) {
+    const action = form.submission?.action || 'elementor_pro_forms';
+    const errorText = this.getMessages(form).error;
+
+    return `(function () {
+  var form = document.querySelector('form.elementor-form');
+  var ajaxUrl = ${JSON.stringify(AJAX_PATH)};
+
+  function clearMessages() {
+    form.querySelectorAll('.elementor-message').forEach(function (el) { el.remove(); });
+    form.querySelectorAll('.elementor-error').forEach(function (el) { el.classList.remove('elementor-error'); });
+    form.querySelectorAll('[aria-invalid]').forEach(function (el) {
+      el.removeAttribute('aria-invalid');
+      el.removeAttribute('aria-describedby');
+    });
+  }
+
+  function addMessage(text, type) {
+    var div = document.createElement('div');
+    div.className = 'elementor-message elementor-message-' + type;
+    div.setAttribute('role', 'alert');
+    div.textContent = text;
+    form.appendChild(div);
+  }
+
+  function addFieldErrors(errors) {
+    Object.keys(errors || {}).forEach(function (id) {
+      var group = form.querySelector('.elementor-field-group-' + id);
+      if (!group) return;
+      group.classList.add('elementor-error');
+      var span = document.createElement('span');
+      span.className = 'elementor-message elementor-message-danger elementor-help-inline elementor-form-help-inline';
+      span.id = 'form-field-' + id + '-error';
+      span.setAttribute('role', 'alert');
+      span.textContent = errors[id];
+      group.appendChild(span);
+      // Link the error to the field so screen readers announce it with the field
+      group.querySelectorAll('input, textarea, select').forEach(function (control) {
+        control.setAttribute('aria-invalid', 'true');
+        control.setAttribute('aria-describedby', span.id);
+      });
+    });
+  }
+
+  form.addEventListener('submit', function (event) {
+    event.preventDefault();
+    clearMessages();
+
+    var button = form.querySelector('[type="submit"]');
+    form.classList.add('elementor-form-waiting');
+    button.disabled = true;
+
+    // Invisible reCAPTCHA is executed on submit, like Elementor Pro does
+    if (form.querySelector('.elementor-g-recaptcha[data-size="invisible"]') && window.grecaptcha && !window.grecaptcha.getResponse()) {
+      window.grecaptcha.execute();
+    }
+
+    var data = new FormData(form);
+    data.append('action', ${JSON.stringify(action)});
+    data.append('referrer', location.toString());
+
+    fetch(ajaxUrl, { method: 'POST', body: data, credentials: 'same-origin' })
+      .then(function (response) {
+        return response.json().catch(function () { return null; });
+      })
+      .then(function (json) {
+        if (json && json.success) {
+          form.reset();
+          addMessage(json.data.message, 'success');
+          return;
+        }
+        var data = (json && json.data) || {};
+        addFieldErrors(Array.isArray(data.errors) ? {} : data.errors);
+        addMessage(data.message || ${JSON.stringify(errorText)}, 'danger');
+      })
+      .catch(function () {
+        addMessage(${JSON.stringify(errorText)}, 'danger');
+      })
+      .then(function () {
+        form.classList.remove('elementor-form-waiting');
+        button.disabled = false;
+      });
+  });
+})();`;
+  }
+}
+
+ElementorStandInServer.MODES = MODES;
+
+/**
+ * Parse 'host:port' (or just a port) into { host, port }
+ * @param {string} value - Address
+ * @returns {Object} { host, port }
+ */
+ElementorStandInServer.parseHostPort = function (value) {
+  const [host, port] = String(value).includes(':') ? String(value).split(':') : ['127.0.0.1', value];
+  return { host: host || '127.0.0.1', port: parseInt(port, 10) };
+};
+
+// CLI interface
+async function main() {
+  const args = process.argv.slice(2);
+  const getArg = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Elementor Stand-in Server
+
+Usage:
+  node tests/shared/ElementorStandInServer.js [options]
+
+Options:
+  --port <port>         Port to listen on (default: 8787)
+  --host <host>         Host to bind (default: 127.0.0.1)
+  --customer <name>     Customer whose forms-list.json to serve (default: jbit)
+  --mode <mode>         auto | success | validation-error | server-error | rate-limited (default: auto)
+  --captcha             Render fake reCAPTCHA/Turnstile widgets with the official test keys
+  --site-key <p>=<key>  Use another site key for a provider, e.g. turnstile=0x4AAA... (implies --captcha)
+  --smtp <host:port>    Deliver the forms' email actions to this SMTP server, e.g. the SMTP sink
+  --webhook <url>       Post the forms' webhook actions to this URL, e.g. the webhook receiver
+  --rest-auth <u:p>     Require this user and application password on the submissions REST API
+
+Point the suite at it with:
+  JBIT_BASE_URL=http://127.0.0.1:8787 npm test
+    `);
+    return;
+  }
+
+  const siteKey = getArg('site-key');
+  const captcha = siteKey
+    ? { [siteKey.split('=')[0]]: siteKey.split('=').slice(1).join('=') }
+    : args.includes('--captcha') || process.env.STAND_IN_CAPTCHA === 'true';
+
+  const server = new ElementorStandInServer({
+    port: parseInt(getArg('port') || process.env.STAND_IN_PORT || '8787', 10),
+    host: getArg('host'),
+    customer: getArg('customer') || process.env.CUSTOMER,
+    mode: getArg('mode'),
+    captcha,
+    smtp: getArg('smtp') || process.env.STAND_IN_SMTP,
+    webhook: getArg('webhook') || process.env.STAND_IN_WEBHOOK,
+    restAuth: getArg('rest-auth') || process.env.STAND_IN_REST_AUTH
+  });
+
+  await server.start();
+  server.forms.forEach(form => console.log(`   ${form.id}: ${server.getFormUrl(form.id)}`));
+
+  const shutdown = async () => {
+    await server.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Stand-in server failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = ElementorStandInServer;
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const { currentTestInfo, getAnnotations } = require('../utils/test-annotations');
+const { getRecordedCorrelationIds } = require('../utils/correlation-id');
+const { ANNOTATION_TYPE: OUTCOME_ANNOTATION } = require('../utils/submission-outcome');
+const { renderEvidenceReport } = require('../utils/evidence-report');
+
+/**
+ * EvidenceCollector - Gathers a test's evidence into one shareable HTML file
+ *
+ * Screenshots are numbered in the order they were taken and written to the
+ * test's output directory, attached to the run's report, and embedded in
+ * evidence.html together with the form values, the captured admin-ajax
+ * submissions, console errors and the final outcome.
+ *
+ *   const evidence = new EvidenceCollector(page).start();
+ *   evidence.trackSubmissions(validationHelper.setupNetworkMonitoring());
+ *   await evidence.screenshot('initial form state');
+ *   evidence.recordFieldValues(await validationHelper.getFormFieldValues(), 'Filled values');
+ *   test.afterEach(() => evidence.writeReport());
+ */
+class EvidenceCollector {
+  /**
+   * @param {Page} page - Playwright page
+   * @param {TestInfo} testInfo - Test the evidence belongs to (default: the running test)
+   * @param {Object} options - Collector options
+   * @param {string} options.customer - Customer shown in the report (default: CUSTOMER env)
+   */
+  constructor(page, testInfo = currentTestInfo(), options = {}) {
+    this.page = page;
+    this.testInfo = testInfo;
+    this.customer = options.customer || process.env.CUSTOMER || 'jbit';
+    this.startedAt = new Date().toISOString();
+    this.screenshots = [];
+    this.fieldValues = [];
+    this.consoleErrors = [];
+    this.trackings = [];
+    this.outcome = null;
+  }
+
+  /**
+   * Record console errors and uncaught page errors from now on
+   * @returns {EvidenceCollector} this
+   */
+  start() {
+    this.page.on('console', message => {
+      if (message.type() === 'error') {
+        const { url, lineNumber } = message.location() || {};
+        this.consoleErrors.push({
+          type: 'console',
+          text: message.text(),
+          location: url ? `${url}:${lineNumber}` : null,
+          at: new Date().toISOString()
+        });
+      }
+    });
+    this.page.on('pageerror', error => {
+      this.consoleErrors.push({ type: 'pageerror', text: error.message, location: null, at: new Date().toISOString() });
+    });
+    return this;
+  }
+
+  /**
+   * Output path of a file for this test
+   * @param {string} name - File name
+   * @returns {string} Path
+   */
+  outputPath(name) {
+    return this.testInfo ? this.testInfo.outputPath(name) : path.join('test-artifacts', name);
+  }
+
+  /**
+   * Take the next screenshot of the evidence
+   * @param {string} name - What the screenshot shows, e.g. 'form filled'
+   * @returns {Promise<string>} Screenshot file, e.g. evidence-02-form-filled.png
+   */
+  async screenshot(name) {
+    const step = this.screenshots.length + 1;
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const file = this.outputPath(`evidence-${String(step).padStart(2, '0')}-${slug}.png`);
+
+    await this.page.screenshot({ path: file, fullPage: true });
+    this.screenshots.push({ step, name, path: file, capturedAt: new Date().toISOString() });
+
+    if (this.testInfo) {
+      await this.testInfo.attach(`${String(step).padStart(2, '0')} ${name}`, { path: file, contentType: 'image/png' });
+    }
+    return file;
+  }
+
+  /**
+   * Record the values in the form at this point, e.g. from getFormFieldValues()
+   * @param {Object} values - Values by field
+   * @param {string} label - When they were read (default: 'Form values')
+   */
+  recordFieldValues(values, label = 'Form values') {
+    this.fieldValues.push({ label, at: new Date().toISOString(), values: { ...values } });
+  }
+
+  /**
+   * Include the submissions captured by setupNetworkMonitoring()
+   * @param {Object} tracking - Tracking object
+   * @returns {Object} The tracking object
+   */
+  trackSubmissions(tracking) {
+    this.trackings.push(tracking);
+    return tracking;
+  }
+
+  /**
+   * Set the final outcome when it is not recorded as a submission-outcome annotation
+   * @param {Object|string} outcome - Outcome from FormPage#outcome() or its type
+   */
+  setOutcome(outcome) {
+    this.outcome = typeof outcome === 'string' ? outcome : outcome?.type || null;
+  }
+
+  /**
+   * Everything collected so far, with the test's status when it has finished
+   * @returns {Object} Evidence for renderEvidenceReport()
+   */
+  getEvidence() {
+    const annotations = this.testInfo?.annotations || [];
+    const error = this.testInfo?.errors?.[0]?.message || this.testInfo?.error?.message || null;
+
+    return {
+      title: this.testInfo?.title || 'Form test',
+      project: this.testInfo?.project?.name || null,
+      file: this.testInfo?.file ? path.basename(this.testInfo.file) : null,
+      customer: this.customer,
+      status: this.testInfo?.status || 'unknown',
+      outcome: this.outcome || getAnnotations(annotations, OUTCOME_ANNOTATION).pop() || null,
+      correlationIds: [...new Set(getRecordedCorrelationIds(annotations))],
+      error: error ? error.replace(/\u001b\[[0-9;]*m/g, '') : null,
+      startedAt: this.startedAt,
+      screenshots: this.screenshots,
+      fieldValues: this.fieldValues,
+      submissions: this.trackings.flatMap(tracking => tracking.submissions || []),
+      consoleErrors: this.consoleErrors
+    };
+  }
+
+  /**
+   * Write evidence.html for the test and attach it to the run's report
+   * Call it from afterEach so the report shows whether the test passed.
+   * @returns {Promise<string>} Report file
+   */
+  async writeReport() {
+    await Promise.all(this.trackings.flatMap(tracking => tracking.pending || []));
+    const evidence = this.getEvidence();
+    const file = this.outputPath('evidence.html');
+
+    // Screenshots are embedded so the file can be sent on its own
+    evidence.screenshots = evidence.screenshots
+      .filter(shot => fs.existsSync(shot.path))
+      .map(shot => ({ ...shot, data: fs.readFileSync(shot.path).toString('base64') }));
+    evidence.generatedAt = new Date().toISOString();
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, renderEvidenceReport(evidence));
+
+    if (this.testInfo) {
+      await this.testInfo.attach('evidence', { path: file, contentType: 'text/html' });
+    }
+    console.log(`🧾 Evidence report: ${file}`);
+    return file;
+  }
+}
+
+module.exports = EvidenceCollector;
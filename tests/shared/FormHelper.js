@@ -1,19 +1,64 @@
+const { parseSubmissionResponse } = require('../utils/submission-payload');
+const { classifyResponse, getResponseDuration, recordOutcome } = require('../utils/submission-outcome');
+const { getCorrelationId, stampCorrelationId } = require('../utils/correlation-id');
+
+const AJAX_ENDPOINT = '/wp-admin/admin-ajax.php';
+
+const INPUT_MODES = ['pointer', 'keyboard'];
+
+// Roles and aria-live values that make screen readers announce content changes
+const LIVE_REGION_ROLES = ['alert', 'status', 'log'];
+const LIVE_REGION_VALUES = ['polite', 'assertive'];
+
 /**
  * FormHelper - Utility class for common form operations
  * Provides methods for form filling, validation checking, and interaction patterns
+ *
+ * In keyboard input mode (`inputMode: 'keyboard'` or INPUT_MODE=keyboard) fields are
+ * reached with Tab/Shift+Tab only, text is typed, checkboxes are toggled with Space,
+ * radios are picked with the arrow keys and buttons are pressed with Enter, the way a
+ * keyboard or screen-reader user fills the form.
  */
 class FormHelper {
-  constructor(page) {
+  /**
+   * @param {Page} page - Playwright page
+   * @param {Object} options - Helper options
+   * @param {string} options.inputMode - 'pointer' or 'keyboard' (default: INPUT_MODE env or pointer)
+   */
+  constructor(page, options = {}) {
     this.page = page;
     this.timeout = 10000;
+    this.inputMode = options.inputMode || process.env.INPUT_MODE || 'pointer';
+
+    if (!INPUT_MODES.includes(this.inputMode)) {
+      throw new Error(`Unknown input mode '${this.inputMode}'. Available: ${INPUT_MODES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Whether fields are filled and submitted with the keyboard only
+   * @returns {boolean}
+   */
+  get keyboardOnly() {
+    return this.inputMode === 'keyboard';
   }
 
   /**
    * Fill form with data object
    * @param {object} formData - Object containing form field values
    * @param {object} selectors - Object containing field selectors
+   * @param {object} options - Fill options
+   * @param {object} options.correlationField - Field definition that carries the correlation ID
+   *   (a hidden field is filled through selectors[field.name])
+   * @param {string|boolean} options.correlationId - ID to stamp, false to skip (default: the test's ID)
+   * @returns {Promise<object>} The data as filled
    */
-  async fillForm(formData, selectors) {
+  async fillForm(formData, selectors, options = {}) {
+    const correlationField = options.correlationField;
+    if (correlationField && options.correlationId !== false) {
+      formData = stampCorrelationId(formData, options.correlationId || getCorrelationId(), correlationField);
+    }
+
     // Fill text inputs
     if (formData.naam && selectors.naam) {
       await this.fillTextField(selectors.naam, formData.naam);
@@ -35,6 +80,21 @@ class FormHelper {
     if (formData.interesse && Array.isArray(formData.interesse) && selectors.interesse) {
       await this.selectCheckboxOptions(selectors.interesse, formData.interesse);
     }
+
+    if (correlationField?.type === 'hidden' && selectors[correlationField.name] && formData[correlationField.name]) {
+      await this.setHiddenValue(selectors[correlationField.name], formData[correlationField.name]);
+    }
+
+    return formData;
+  }
+
+  /**
+   * Set the value of a hidden input (it cannot be typed into)
+   * @param {string} selector - Field selector
+   * @param {string} value - Value to set
+   */
+  async setHiddenValue(selector, value) {
+    await this.page.locator(selector).first().evaluate((el, v) => { el.value = v; }, String(value));
   }
 
   /**
@@ -43,6 +103,10 @@ class FormHelper {
    * @param {string} value - Value to fill
    */
   async fillTextField(selector, value) {
+    if (this.keyboardOnly) {
+      await this.typeWithKeyboard(selector, value);
+      return;
+    }
     if (!value) return;
 
     await this.page.waitForSelector(selector, { state: 'visible' });
@@ -67,6 +131,10 @@ class FormHelper {
    * @param {string} value - Value to fill
    */
   async fillTextArea(selector, value) {
+    if (this.keyboardOnly) {
+      await this.typeWithKeyboard(selector, value);
+      return;
+    }
     if (!value) return;
 
     await this.page.waitForSelector(selector, { state: 'visible' });
@@ -87,6 +155,13 @@ class FormHelper {
   async selectCheckboxOptions(baseSelector, options) {
     if (!options || options.length === 0) return;
 
+    if (this.keyboardOnly) {
+      for (const option of options) {
+        await this.setCheckedWithKeyboard(`${baseSelector}[value="${option}"]`, true);
+      }
+      return;
+    }
+
     for (const option of options) {
       try {
         // Try different patterns for checkbox selection
@@ -122,8 +197,11 @@ class FormHelper {
 
   /**
    * Submit form and wait for response
+   * The admin-ajax answer is classified (see tests/utils/submission-outcome.js); forms
+   * that do not post to admin-ajax fall back to watching the page for a message.
    * @param {string} submitSelector - Submit button selector
    * @param {number} timeout - Timeout for submission
+   * @returns {Promise<Object>} Classification { type, status, message, fieldErrors }
    */
   async submitForm(submitSelector, timeout = 30000) {
     // Wait for submit button to be available
@@ -132,11 +210,223 @@ class FormHelper {
     // Ensure form is ready for submission
     await this.waitForFormReady();
 
-    // Click submit button
-    await this.page.click(submitSelector);
+    const responsePromise = this.page.waitForResponse(
+      response => response.request().method() === 'POST' && response.url().includes(AJAX_ENDPOINT),
+      { timeout }
+    ).catch(() => null);
+
+    // Checked before the click: a fast success resets the form and would empty required fields
+    const blocked = await this.isBlockedByValidation(submitSelector);
+
+    // Click submit button (Enter in keyboard mode)
+    await this.pressButton(submitSelector);
 
     // Wait for form processing (either success or error response)
-    await this.waitForSubmissionResponse(timeout);
+    return recordOutcome(await this.waitForSubmissionOutcome(responsePromise, blocked));
+  }
+
+  /**
+   * Whether the browser's constraint validation will block submitting the form
+   * @param {string} submitSelector - Submit button selector (locates the form)
+   * @returns {Promise<boolean>} True when the form is invalid and validates
+   */
+  async isBlockedByValidation(submitSelector) {
+    return await this.page.locator(submitSelector).first().evaluate(button => {
+      const form = button.closest('form');
+      return !!form && !form.noValidate && !form.checkValidity();
+    }).catch(() => false);
+  }
+
+  /**
+   * Activate a button: a click, or Enter once it has keyboard focus in keyboard mode
+   * @param {string} selector - Button selector
+   */
+  async pressButton(selector) {
+    if (this.keyboardOnly) {
+      await this.focusWithKeyboard(selector);
+      await this.page.keyboard.press('Enter');
+      return;
+    }
+    await this.page.locator(selector).first().click();
+  }
+
+  /**
+   * Move focus to an element with Tab, or Shift+Tab when it comes before the focused element
+   * @param {string} selector - Element selector; focus on any of its matches counts
+   *   (e.g. every radio of a group, only one of which is a Tab stop)
+   * @param {number} maxSteps - Maximum number of key presses
+   * @returns {Promise<number>} Key presses needed
+   */
+  async focusWithKeyboard(selector, maxSteps = 50) {
+    const target = this.page.locator(selector);
+    await target.first().waitFor({ state: 'visible', timeout: this.timeout });
+
+    for (let step = 0; step <= maxSteps; step++) {
+      const position = await target.evaluateAll(elements => {
+        const active = document.activeElement;
+        if (elements.includes(active)) {
+          return 'focused';
+        }
+        if (!active || active === document.body) {
+          return 'after';
+        }
+        return active.compareDocumentPosition(elements[0]) & Node.DOCUMENT_POSITION_FOLLOWING ? 'after' : 'before';
+      });
+
+      if (position === 'focused') {
+        return step;
+      }
+      await this.page.keyboard.press(position === 'after' ? 'Tab' : 'Shift+Tab');
+    }
+
+    throw new Error(`Could not reach ${selector} with Tab/Shift+Tab in ${maxSteps} steps`);
+  }
+
+  /**
+   * Reach a text field with the keyboard, clear it and type the value
+   * @param {string} selector - Field selector
+   * @param {string} value - Value to type ('' only clears)
+   */
+  async typeWithKeyboard(selector, value) {
+    await this.focusWithKeyboard(selector);
+
+    const field = this.page.locator(selector).first();
+    if (await field.inputValue()) {
+      // ControlOrMeta (Playwright 1.45+) selects all on every platform
+      await this.page.keyboard.press('ControlOrMeta+A');
+      await this.page.keyboard.press('Backspace');
+    }
+    if (value) {
+      await this.page.keyboard.type(String(value));
+    }
+
+    const actualValue = await field.inputValue();
+    if (actualValue !== String(value ?? '')) {
+      throw new Error(`Failed to type into ${selector}. Expected: '${value}', got: '${actualValue}'`);
+    }
+  }
+
+  /**
+   * Reach a checkbox with the keyboard and toggle it with Space when needed
+   * @param {string} selector - Checkbox selector
+   * @param {boolean} checked - Desired state
+   */
+  async setCheckedWithKeyboard(selector, checked) {
+    await this.focusWithKeyboard(selector);
+
+    const checkbox = this.page.locator(selector).first();
+    if (await checkbox.isChecked() !== checked) {
+      await this.page.keyboard.press('Space');
+    }
+    if (await checkbox.isChecked() !== checked) {
+      throw new Error(`Space did not ${checked ? 'check' : 'uncheck'} ${selector}`);
+    }
+  }
+
+  /**
+   * Pick a radio option with the keyboard: Tab into the group, then arrow keys
+   * @param {string} groupSelector - Selector matching every radio of the group
+   * @param {string} optionSelector - Radio to select
+   */
+  async checkRadioWithKeyboard(groupSelector, optionSelector) {
+    await this.focusWithKeyboard(groupSelector);
+
+    const radio = this.page.locator(optionSelector).first();
+    const count = await this.page.locator(groupSelector).count();
+    // Space selects the focused radio when the group has no selection yet
+    await this.page.keyboard.press('Space');
+    for (let step = 0; step < count && !(await radio.isChecked()); step++) {
+      await this.page.keyboard.press('ArrowDown');
+    }
+    if (!(await radio.isChecked())) {
+      throw new Error(`Could not select ${optionSelector} with the arrow keys`);
+    }
+  }
+
+  /**
+   * Reach a select with the keyboard and pick an option by typing its text
+   * @param {string} selector - Select selector
+   * @param {string} value - Option value
+   */
+  async selectWithKeyboard(selector, value) {
+    await this.focusWithKeyboard(selector);
+
+    const select = this.page.locator(selector).first();
+    const label = await select.evaluate((el, v) => {
+      const option = Array.from(el.options).find(candidate => candidate.value === v);
+      return option ? option.text : null;
+    }, String(value));
+    if (label === null) {
+      throw new Error(`Unknown option '${value}' for ${selector}`);
+    }
+
+    await this.page.keyboard.type(label);
+    if (await select.inputValue() !== String(value)) {
+      throw new Error(`Typing '${label}' did not select '${value}' in ${selector}`);
+    }
+  }
+
+  /**
+   * How a message is brought to a screen-reader user's attention
+   * @param {string} messageSelector - Message selector (default: Elementor's form messages)
+   * @returns {Promise<Object>} { found, text, focused, liveRegion, announced }; liveRegion is the
+   *   role or aria-live value of the message or an ancestor, announced is focused || liveRegion
+   */
+  async getMessageAnnouncement(messageSelector = '.elementor-message') {
+    const message = this.page.locator(messageSelector).first();
+    if (!(await message.isVisible().catch(() => false))) {
+      return { found: false, text: null, focused: false, liveRegion: null, announced: false };
+    }
+
+    const announcement = await message.evaluate((el, { roles, values }) => {
+      const active = document.activeElement;
+      let liveRegion = null;
+      for (let node = el; node && !liveRegion; node = node.parentElement) {
+        const role = node.getAttribute('role');
+        const live = node.getAttribute('aria-live');
+        liveRegion = roles.includes(role) ? role : values.includes(live) ? `aria-live=${live}` : null;
+      }
+      return {
+        text: el.textContent.trim(),
+        focused: !!active && (active === el || el.contains(active)),
+        liveRegion
+      };
+    }, { roles: LIVE_REGION_ROLES, values: LIVE_REGION_VALUES });
+
+    return { found: true, ...announcement, announced: announcement.focused || !!announcement.liveRegion };
+  }
+
+  /**
+   * Wait for the admin-ajax response of a submission and classify it
+   * @param {Promise<Response|null>} responsePromise - Pending waitForResponse() for the endpoint
+   * @param {boolean} blocked - isBlockedByValidation() from before the submit
+   * @returns {Promise<Object>} Classification { type, status, message, fieldErrors, duration }
+   */
+  async waitForSubmissionOutcome(responsePromise, blocked = false) {
+    // Client-side validation blocks the request entirely; don't wait for the timeout then
+    if (blocked) {
+      console.log('Submission blocked by client-side validation');
+      return classifyResponse(null);
+    }
+
+    const response = await responsePromise;
+    if (!response) {
+      await this.waitForSubmissionResponse(5000);
+      return classifyResponse(null);
+    }
+
+    const outcome = {
+      ...classifyResponse(parseSubmissionResponse(response.status(), await response.json().catch(() => null))),
+      duration: getResponseDuration(response)
+    };
+
+    // Give the front-end a moment to render the message for the response
+    await this.page.locator('.elementor-message').first()
+      .waitFor({ state: 'visible', timeout: 5000 })
+      .catch(() => {});
+
+    console.log(`Submission outcome: ${outcome.type}${outcome.message ? ` - ${outcome.message}` : ''}`);
+    return outcome;
   }
 
   /**
@@ -165,6 +455,7 @@ class FormHelper {
 
   /**
    * Wait for form submission response (success or error)
+   * Used for forms that do not submit through admin-ajax.php
    * @param {number} timeout - Wait timeout
    */
   async waitForSubmissionResponse(timeout = 30000) {
@@ -369,4 +660,6 @@ class FormHelper {
   }
 }
 
+FormHelper.INPUT_MODES = INPUT_MODES;
+
 module.exports = FormHelper;
\ No newline at end of file
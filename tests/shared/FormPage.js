@@ -0,0 +1,541 @@
+const BasePage = require('./BasePage');
+const FormHelper = require('./FormHelper');
+const { getFormDefinition } = require('../utils/form-registry');
+const {
+  getElementorFieldId,
+  getFieldInputName,
+  getCorrelationField
+} = require('../utils/form-definition');
+const { parseSubmissionResponse } = require('../utils/submission-payload');
+const { classifyResponse, crossCheckDom, getResponseDuration, recordOutcome } = require('../utils/submission-outcome');
+const { getCorrelationId, stampCorrelationId } = require('../utils/correlation-id');
+const { getVisualSettings, getBaselineName } = require('../utils/visual-regression');
+
+/**
+ * FormPage - Generic page object driven by a forms-list.json definition
+ * Works for any registered form: fields, options, submit button, messages and
+ * security features all come from the definition instead of a hand-written class.
+ */
+class FormPage extends BasePage {
+  /**
+   * @param {Page} page - Playwright page
+   * @param {Object} definition - Form definition from forms-list.json
+   * @param {Object} options - Page options
+   * @param {string} options.baseUrl - Replace the origin of the definition URL (e.g. a stand-in server)
+   * @param {Object} options.securityHandler - RecaptchaHandler; installs the form's bot_protection strategies before navigation
+   * @param {number} options.submitTimeout - Timeout for the submission response (default: 30000)
+   * @param {boolean} options.correlation - Stamp the test's correlation ID into the form's
+   *   correlation_field (default: on unless CORRELATION_IDS=false)
+   * @param {string} options.inputMode - 'keyboard' to fill and submit with the keyboard only
+   *   (default: INPUT_MODE env or pointer, see FormHelper)
+   */
+  constructor(page, definition, options = {}) {
+    super(page);
+    this.formHelper = new FormHelper(page, { inputMode: options.inputMode });
+    this.definition = definition;
+    this.baseUrl = options.baseUrl;
+    this.securityHandler = options.securityHandler || null;
+    this.submitTimeout = options.submitTimeout || 30000;
+    this.correlation = options.correlation ?? process.env.CORRELATION_IDS !== 'false';
+
+    this.formSelector = definition.form_selector || '.elementor-form';
+    this.fields = definition.fields || [];
+    this.lastResponse = null;
+    this.correlationId = null;
+  }
+
+  /**
+   * Create a FormPage for a form in a customer's registry
+   * @param {Page} page - Playwright page
+   * @param {string} customer - Customer name
+   * @param {string} formId - Form id from forms-list.json
+   * @param {Object} options - Page options (see constructor)
+   * @returns {FormPage}
+   */
+  static fromRegistry(page, customer, formId, options = {}) {
+    return new FormPage(page, getFormDefinition(customer, formId), options);
+  }
+
+  /**
+   * Form URL, honouring a base URL override
+   * @returns {string} URL to navigate to
+   */
+  get url() {
+    if (!this.baseUrl) {
+      return this.definition.url;
+    }
+
+    const formUrl = new URL(this.definition.url);
+    return `${this.baseUrl.replace(/\/$/, '')}${formUrl.pathname}${formUrl.search}`;
+  }
+
+  /**
+   * Navigate to the form and wait until every defined field is visible
+   */
+  async navigate() {
+    console.log(`Navigating to form ${this.definition.id}: ${this.url}`);
+
+    if (this.securityHandler) {
+      await this.securityHandler.protectForm(this.definition);
+    }
+
+    await this.goto(this.url);
+    await this.waitForFormLoad();
+
+    if (this.securityHandler) {
+      await this.securityHandler.verifyProtection();
+    }
+  }
+
+  /**
+   * Wait for the form container, the fields and the submit button
+   */
+  async waitForFormLoad() {
+    await this.waitForElement(this.formSelector, 15000);
+
+    for (const field of this.fields) {
+      await this.page.locator(this.getFieldSelector(field)).first().waitFor({ state: 'visible', timeout: 10000 });
+    }
+
+    await this.page.locator(this.definition.submit_button.selector).first().waitFor({ state: 'visible', timeout: 10000 });
+    console.log(`Form ${this.definition.id} loaded successfully`);
+  }
+
+  /**
+   * Get a field definition by name or alias
+   * @param {string} key - Field name or alias (e.g. 'name' or 'naam')
+   * @returns {Object|undefined} Field definition
+   */
+  getField(key) {
+    return this.fields.find(field => field.name === key || (field.aliases || []).includes(key));
+  }
+
+  /**
+   * Selector for a field (for checkbox/radio fields this matches every option)
+   * @param {Object} field - Field definition
+   * @returns {string} Selector
+   */
+  getFieldSelector(field) {
+    return field.selector || `[name="${getFieldInputName(field)}"]`;
+  }
+
+  /**
+   * Selector for a single option of a checkbox/radio field
+   * @param {Object} field - Field definition
+   * @param {string} option - Option value
+   * @returns {string} Selector
+   */
+  getOptionSelector(field, option) {
+    const name = field.type === 'radio' ? `form_fields[${getElementorFieldId(field)}]` : getFieldInputName(field);
+    return `input[name="${name}"][value="${option.replace(/"/g, '\\"')}"]`;
+  }
+
+  /**
+   * Selector for the inline error Elementor shows at a field
+   * @param {Object} field - Field definition
+   * @returns {string} Selector
+   */
+  getFieldErrorSelector(field) {
+    return `.elementor-field-group-${getElementorFieldId(field)} .elementor-message-danger`;
+  }
+
+  /**
+   * Resolve the value for a field from a data object (field name first, then aliases)
+   * @param {Object} field - Field definition
+   * @param {Object} data - Form data
+   * @returns {*} Value or undefined
+   */
+  getValueFor(field, data) {
+    for (const key of [field.name, ...(field.aliases || [])]) {
+      if (data[key] !== undefined) {
+        return data[key];
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Fill the form from a data object keyed by field name or alias
+   * Fields missing from the data are left untouched, empty strings clear the field.
+   * The test's correlation ID is stamped into the form's correlation_field first.
+   * @param {Object} data - Form data
+   * @returns {Promise<Object>} The data as filled (including the correlation ID)
+   */
+  async fill(data) {
+    const correlationField = this.correlation && getCorrelationField(this.definition);
+    if (correlationField) {
+      this.correlationId = getCorrelationId();
+      data = stampCorrelationId(data, this.correlationId, correlationField);
+    }
+
+    console.log(`Filling form ${this.definition.id} with data:`, data);
+
+    for (const field of this.fields) {
+      const value = this.getValueFor(field, data);
+      if (value === undefined) continue;
+
+      await this.fillField(field, value);
+    }
+
+    console.log('Form filled successfully');
+    return data;
+  }
+
+  /**
+   * Fill a single field according to its type
+   * @param {Object} field - Field definition
+   * @param {*} value - Value (array of options for checkbox fields)
+   */
+  async fillField(field, value) {
+    const selector = this.getFieldSelector(field);
+
+    switch (field.type) {
+      case 'checkbox':
+        await this.setOptions(field, [].concat(value));
+        break;
+      case 'radio':
+        if (value) {
+          await this.setOptions(field, [value]);
+        }
+        break;
+      case 'select':
+        if (this.formHelper.keyboardOnly) {
+          await this.formHelper.selectWithKeyboard(selector, value);
+        } else {
+          await this.page.selectOption(selector, value);
+        }
+        break;
+      case 'hidden':
+        await this.formHelper.setHiddenValue(selector, value);
+        break;
+      case 'textarea':
+        if (value === '' && !this.formHelper.keyboardOnly) {
+          await this.page.fill(selector, '');
+        } else {
+          await this.formHelper.fillTextArea(selector, value);
+        }
+        break;
+      default:
+        if (value === '' && !this.formHelper.keyboardOnly) {
+          await this.page.fill(selector, '');
+        } else {
+          await this.formHelper.fillTextField(selector, value);
+        }
+    }
+  }
+
+  /**
+   * Check exactly the given options of a checkbox/radio field
+   * @param {Object} field - Field definition
+   * @param {Array} options - Option values to check
+   */
+  async setOptions(field, options) {
+    for (const option of field.options || []) {
+      const optionSelector = this.getOptionSelector(field, option);
+      const checkbox = this.page.locator(optionSelector);
+      if (this.formHelper.keyboardOnly) {
+        if (field.type === 'radio' && options.includes(option)) {
+          await this.formHelper.checkRadioWithKeyboard(this.getFieldSelector(field), optionSelector);
+        } else if (field.type === 'checkbox') {
+          await this.formHelper.setCheckedWithKeyboard(optionSelector, options.includes(option));
+        }
+      } else if (options.includes(option)) {
+        await checkbox.check();
+      } else if (field.type === 'checkbox' && await checkbox.isChecked()) {
+        await checkbox.uncheck();
+      }
+    }
+
+    const unknown = options.filter(option => !(field.options || []).includes(option));
+    unknown.forEach(option => console.warn(`Unknown option for ${field.name}: ${option}`));
+  }
+
+  /**
+   * Build plausible valid data for every field, useful for smoke runs of any registered form
+   * @returns {Object} Data keyed by field name
+   */
+  buildSampleData() {
+    const samples = {
+      email: 'e2e.test@example.com',
+      tel: '+32 470 12 34 56',
+      url: 'https://example.com',
+      number: '1',
+      textarea: `E2E test submission for ${this.definition.id}.`
+    };
+
+    const data = {};
+    for (const field of this.fields) {
+      if (field.type === 'checkbox') {
+        data[field.name] = (field.options || []).slice(0, 1);
+      } else if (field.type === 'radio' || field.type === 'select') {
+        data[field.name] = (field.options || [])[0];
+      } else {
+        data[field.name] = samples[field.type] || `E2E ${field.label || field.name}`;
+      }
+    }
+    return data;
+  }
+
+  /**
+   * Submit the form and wait for the server (or client-side validation) to respond
+   * @returns {Promise<Object|null>} Parsed AJAX response or null when nothing was sent
+   */
+  async submit() {
+    console.log(`Submitting form ${this.definition.id}`);
+    this.lastResponse = null;
+
+    const submitButton = this.page.locator(this.definition.submit_button.selector).first();
+    await submitButton.scrollIntoViewIfNeeded();
+
+    const endpointPath = this.getEndpointPath();
+    const responsePromise = this.page.waitForResponse(
+      response => response.request().method() === 'POST' && response.url().includes(endpointPath),
+      { timeout: this.submitTimeout }
+    ).catch(() => null);
+
+    // Client-side validation blocks the request entirely; don't wait for the timeout then.
+    // Checked before the click: a fast success resets the form and would empty required fields.
+    const blocked = await this.page.evaluate(
+      (formSelector) => {
+        const form = document.querySelector(formSelector);
+        return !!form && !form.noValidate && typeof form.checkValidity === 'function' && !form.checkValidity();
+      },
+      this.formSelector
+    );
+
+    await this.formHelper.pressButton(this.definition.submit_button.selector);
+
+    const response = blocked ? null : await responsePromise;
+    if (response) {
+      this.lastResponse = {
+        status: response.status(),
+        json: await response.json().catch(() => null),
+        duration: getResponseDuration(response)
+      };
+      await this.page.locator(`${this.formSelector} .elementor-message`).first()
+        .waitFor({ state: 'visible', timeout: 5000 })
+        .catch(() => {});
+    }
+
+    console.log(blocked ? 'Submission blocked by client-side validation' : 'Form submitted, response received');
+    return this.lastResponse;
+  }
+
+  /**
+   * Path of the submission endpoint (e.g. /wp-admin/admin-ajax.php)
+   * @returns {string} Endpoint path
+   */
+  getEndpointPath() {
+    const endpoint = this.definition.submission?.endpoint;
+    return endpoint ? new URL(endpoint).pathname : '/wp-admin/admin-ajax.php';
+  }
+
+  /**
+   * Describe the result of the last submission from the page state
+   * @returns {Promise<Object>} { status, message, fieldErrors, response }
+   *   status is one of 'success', 'field_errors', 'error', 'client_validation', 'none'
+   */
+  async outcome() {
+    const fieldErrors = await this.getFieldErrors();
+    const successMessage = await this.findMessage(this.definition.messages?.success, 'success');
+    const errorMessage = await this.findMessage(this.definition.messages?.error, 'danger');
+
+    let status = 'none';
+    if (successMessage) {
+      status = 'success';
+    } else if (Object.keys(fieldErrors).length > 0) {
+      status = this.lastResponse ? 'field_errors' : 'client_validation';
+    } else if (errorMessage) {
+      status = 'error';
+    }
+
+    return {
+      status,
+      message: successMessage || errorMessage || null,
+      fieldErrors,
+      response: this.lastResponse
+    };
+  }
+
+  /**
+   * Switch off client-side validation so only the server can reject the input:
+   * novalidate, no constraint attributes, typed inputs as plain text, and script
+   * validation built on checkValidity()/reportValidity() or 'invalid' events neutralised.
+   * Call it after fill(); a reload restores the page.
+   */
+  async disableClientValidation() {
+    await this.page.locator(this.formSelector).first().evaluate(form => {
+      form.setAttribute('novalidate', '');
+      form.querySelectorAll('input, textarea, select').forEach(control => {
+        ['required', 'pattern', 'minlength', 'maxlength', 'min', 'max'].forEach(attribute => control.removeAttribute(attribute));
+        if (['email', 'url', 'number', 'tel'].includes(control.type)) {
+          control.type = 'text';
+        }
+      });
+
+      [HTMLFormElement, HTMLInputElement, HTMLTextAreaElement, HTMLSelectElement].forEach(type => {
+        type.prototype.checkValidity = () => true;
+        type.prototype.reportValidity = () => true;
+      });
+      form.addEventListener('invalid', event => event.stopImmediatePropagation(), true);
+    });
+    console.log(`Client-side validation disabled for ${this.definition.id}`);
+  }
+
+  /**
+   * Fields whose current value fails the browser's constraint validation
+   * @returns {Promise<Array<string>>} Field names
+   */
+  async getNativeInvalidFields() {
+    const invalid = [];
+
+    for (const field of this.fields) {
+      const failing = await this.page.locator(this.getFieldSelector(field)).first()
+        .evaluate(el => !!el.willValidate && !el.validity.valid)
+        .catch(() => false);
+      if (failing) {
+        invalid.push(field.name);
+      }
+    }
+
+    return invalid;
+  }
+
+  /**
+   * Which layer answered the last submission, for the validation matrix
+   * @returns {Promise<Object>} { sent, status, message, fieldErrors, nativeInvalid }
+   */
+  async validationState() {
+    const outcome = await this.outcome();
+    return {
+      sent: !!this.lastResponse,
+      status: outcome.status,
+      message: outcome.message,
+      fieldErrors: outcome.fieldErrors,
+      nativeInvalid: await this.getNativeInvalidFields()
+    };
+  }
+
+  /**
+   * How the success or error message of the last submission reaches screen-reader users
+   * @returns {Promise<Object>} { found, text, focused, liveRegion, announced }, see FormHelper#getMessageAnnouncement()
+   */
+  async announcement() {
+    return await this.formHelper.getMessageAnnouncement(`${this.formSelector} .elementor-message:not(.elementor-help-inline)`);
+  }
+
+  /**
+   * Classify the last submission from the server response and cross-check the page
+   * @returns {Promise<Object>} { type, status, message, fieldErrors, duration, dom, issues }
+   *   type is one of OUTCOMES (see tests/utils/submission-outcome.js); issues lists
+   *   where the page disagrees with the response
+   */
+  async classify() {
+    const response = this.lastResponse
+      ? parseSubmissionResponse(this.lastResponse.status, this.lastResponse.json)
+      : null;
+    const classification = recordOutcome({
+      ...classifyResponse(response, this.definition),
+      duration: this.lastResponse?.duration ?? null
+    });
+
+    const dom = {
+      successMessage: await this.findMessage(this.definition.messages?.success, 'success'),
+      errorMessage: await this.findMessage(this.definition.messages?.error, 'danger'),
+      fieldErrors: await this.getFieldErrors()
+    };
+
+    return { ...classification, dom, issues: crossCheckDom(classification, dom) };
+  }
+
+  /**
+   * Find a visible message matching a message definition
+   * @param {Object} messageDefinition - { selector, expected_text }
+   * @param {string} type - Elementor message type ('success' or 'danger')
+   * @returns {Promise<string|null>} Message text
+   */
+  async findMessage(messageDefinition, type) {
+    const selector = messageDefinition?.selector || `.elementor-message-${type}`;
+    const messages = this.page.locator(selector);
+
+    for (let i = 0; i < await messages.count(); i++) {
+      const message = messages.nth(i);
+      if (!await message.isVisible()) continue;
+
+      // Definitions share generic selectors, so confirm by Elementor class or expected text
+      const className = await message.getAttribute('class') || '';
+      if (className.includes('elementor-help-inline')) continue; // field error, see getFieldErrors()
+      const text = (await message.textContent() || '').trim();
+      const expected = messageDefinition?.expected_text;
+      if (className.includes(`elementor-message-${type}`) || (expected && text.includes(expected))) {
+        return text;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Collect field errors from Elementor inline messages and browser validation
+   * @returns {Promise<Object>} Error text keyed by field name
+   */
+  async getFieldErrors() {
+    const errors = {};
+
+    for (const field of this.fields) {
+      const inline = this.page.locator(this.getFieldErrorSelector(field)).first();
+
+      if (await inline.isVisible().catch(() => false)) {
+        errors[field.name] = (await inline.textContent() || '').trim();
+        continue;
+      }
+
+      const validationMessage = await this.page.locator(this.getFieldSelector(field)).first()
+        .evaluate(el => (el.willValidate && !el.validity.valid) ? el.validationMessage : '')
+        .catch(() => '');
+      if (validationMessage) {
+        errors[field.name] = validationMessage;
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Get current values of every defined field
+   * @returns {Promise<Object>} Values keyed by field name (checked options for checkboxes)
+   */
+  async getValues() {
+    const values = {};
+
+    for (const field of this.fields) {
+      if (field.type === 'checkbox' || field.type === 'radio') {
+        values[field.name] = [];
+        for (const option of field.options || []) {
+          if (await this.page.locator(this.getOptionSelector(field, option)).isChecked()) {
+            values[field.name].push(option);
+          }
+        }
+      } else {
+        values[field.name] = await this.page.locator(this.getFieldSelector(field)).first().inputValue();
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Compare the form with its approved baseline for a state
+   * Captcha widgets, dates and the definition's visual.mask regions are masked.
+   * @param {string} state - 'empty', 'filled', 'field-error' or 'success'
+   */
+  async expectVisualState(state) {
+    await this.takeScreenshot(getBaselineName(this.definition.id, state), {
+      ...getVisualSettings(this.definition),
+      baseline: true,
+      selector: this.formSelector
+    });
+  }
+}
+
+module.exports = FormPage;
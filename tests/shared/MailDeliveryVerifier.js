@@ -0,0 +1,151 @@
+const { createCorrelationId } = require('../utils/correlation-id');
+const {
+  getElementorFieldId,
+  getFieldValuesById,
+  getFormActions,
+  renderFieldShortcodes
+} = require('../utils/form-definition');
+
+/**
+ * MailDeliveryVerifier - Proves a submission produced the form's notification mail
+ *
+ * A unique correlation token is put in the form's message field, the mailbox
+ * (see mailbox-adapters.js) is searched for it, and the mail found is checked
+ * against the form's email action: recipient, subject and every submitted value
+ * in the body.
+ */
+class MailDeliveryVerifier {
+  /**
+   * @param {Object} mailbox - Mailbox adapter from createMailbox()
+   * @param {Object} definition - Form definition from forms-list.json
+   * @param {Object} options - Verifier options
+   * @param {number} options.timeout - Time to wait for the mail (default: 60000ms)
+   * @param {number} options.pollInterval - Time between mailbox searches (default: 1000ms)
+   */
+  constructor(mailbox, definition, options = {}) {
+    this.mailbox = mailbox;
+    this.definition = definition;
+    this.timeout = options.timeout || 60000;
+    this.pollInterval = options.pollInterval || 1000;
+  }
+
+  /**
+   * Create a token that is unique enough to find one mail in a shared mailbox
+   * Inside a test prefer the test's correlation ID (correlation-id.js).
+   * @param {string} prefix - Token prefix (default: 'E2E')
+   * @returns {string} e.g. 'E2E-m1x2y3z4-9f86d0'
+   */
+  static createToken(prefix = 'E2E') {
+    return createCorrelationId(prefix);
+  }
+
+  /**
+   * Copy of the form data with the token appended to the message (textarea) field
+   * @param {Object} data - Form data keyed by field name or alias
+   * @param {string} token - Correlation token
+   * @returns {Object} Form data carrying the token
+   */
+  withToken(data, token) {
+    const field = this.definition.fields.find(f => f.type === 'textarea');
+    if (!field) {
+      throw new Error(`Form ${this.definition.id} has no message field to carry the correlation token`);
+    }
+
+    // Keep the key the data already uses (name or alias) so fillers pick it up
+    const key = [field.name, ...(field.aliases || [])].find(k => data[k] !== undefined) || field.name;
+    const message = data[key] ? `${data[key]}\n\nRef: ${token}` : `Ref: ${token}`;
+    return { ...data, [key]: message };
+  }
+
+  /**
+   * Poll the mailbox until a mail mentioning the token arrives
+   * @param {string} token - Correlation token
+   * @param {number} timeout - Timeout (default: the verifier timeout)
+   * @returns {Promise<Object>} Parsed message
+   */
+  async waitForMail(token, timeout = this.timeout) {
+    const deadline = Date.now() + timeout;
+    console.log(`📬 Waiting up to ${timeout}ms for mail with ${token} (${this.mailbox.type})...`);
+
+    while (true) {
+      const [message] = await this.mailbox.search(token);
+      if (message) {
+        console.log(`📬 Mail found: "${message.subject}" to ${message.to.join(', ')}`);
+        return message;
+      }
+
+      if (Date.now() >= deadline) {
+        throw new Error(`❌ NO MAIL DELIVERED: no mail containing ${token} arrived within ${timeout}ms. ` +
+          `The submission was accepted but the form's email action did not produce a mail.`);
+      }
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+    }
+  }
+
+  /**
+   * Assert a mail matches the form's email action and carries every submitted value
+   * @param {Object} message - Parsed message from waitForMail()
+   * @param {Object} data - Submitted form data keyed by field name or alias
+   * @param {Object} action - Email action to check against (default: the form's first email action)
+   * @returns {Object} The message
+   */
+  assertDelivered(message, data, action = getFormActions(this.definition, 'email')[0]) {
+    if (!action) {
+      throw new Error(`Form ${this.definition.id} has no email action in submission.actions`);
+    }
+
+    const values = this.getValuesById(data);
+    const problems = [];
+
+    const recipients = [...message.to, ...message.cc, ...(message.envelope?.to || []).map(a => a.toLowerCase())];
+    String(action.to || '').split(',').map(address => address.trim().toLowerCase()).filter(Boolean)
+      .filter(address => !recipients.includes(address))
+      .forEach(address => problems.push(`recipient ${address} missing (to: ${message.to.join(', ') || 'none'})`));
+
+    if (action.subject) {
+      const expectedSubject = renderFieldShortcodes(action.subject, this.definition, values);
+      if (message.subject !== expectedSubject) {
+        problems.push(`subject "${message.subject}" instead of "${expectedSubject}"`);
+      }
+    }
+
+    const body = this.normalise(message.text);
+    for (const field of this.definition.fields) {
+      for (const value of [].concat(values[getElementorFieldId(field)] ?? [])) {
+        if (value !== '' && !body.includes(this.normalise(value))) {
+          problems.push(`${field.name} value "${value}" not found in the body`);
+        }
+      }
+    }
+
+    if (problems.length > 0) {
+      throw new Error(
+        `❌ MAIL CONTENT MISMATCH for "${message.subject}":\n` +
+        problems.map(problem => `   - ${problem}`).join('\n')
+      );
+    }
+
+    console.log(`✅ Mail delivered to ${message.to.join(', ')} with every submitted value`);
+    return message;
+  }
+
+  /**
+   * Submitted values keyed by Elementor field id
+   * @param {Object} data - Form data keyed by field name or alias
+   * @returns {Object} Values keyed by field id
+   */
+  getValuesById(data) {
+    return getFieldValuesById(this.definition, data);
+  }
+
+  /**
+   * Collapse whitespace so wrapped or CRLF bodies compare equal
+   * @param {string} text - Text
+   * @returns {string} Normalised text
+   */
+  normalise(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+  }
+}
+
+module.exports = MailDeliveryVerifier;
@@ -0,0 +1,95 @@
+const { currentTestInfo } = require('../utils/test-annotations');
+const { getFormActions } = require('../utils/form-definition');
+const {
+  PROBE_ATTRIBUTE,
+  PROBE_GLOBAL,
+  checkPageState,
+  checkResponse,
+  checkMail,
+  formatProbeReport
+} = require('../utils/security-probes');
+
+/**
+ * SecurityProbe - Submits hostile input through a form and looks for it coming back
+ *
+ * Fills a probe from buildSecurityProbes() in through the FormPage (and so its
+ * FormHelper), submits it and checks that nothing the probe carried ran or
+ * rendered on the page, that the admin-ajax answer holds no server or database
+ * error, and, with a MailDeliveryVerifier, that the notification mail has no
+ * injected headers or recipients and shows the input as written.
+ *
+ *   const probe = new SecurityProbe(formPage, { verifier });
+ *   const result = await probe.run(probes[0]);
+ *   expect(result.findings).toEqual([]);
+ *
+ * Accepted probes send mail, so run them against the local stand-in.
+ */
+class SecurityProbe {
+  /**
+   * @param {FormPage} formPage - Form to probe
+   * @param {Object} options - Probe options
+   * @param {MailDeliveryVerifier} options.verifier - Find the notification mail of accepted probes (default: off)
+   * @param {TestInfo} options.testInfo - Test to attach the results to (default: the running test)
+   */
+  constructor(formPage, options = {}) {
+    this.formPage = formPage;
+    this.page = formPage.page;
+    this.verifier = options.verifier || null;
+    this.testInfo = options.testInfo === undefined ? currentTestInfo() : options.testInfo;
+    this.dialogs = [];
+
+    this.page.on('dialog', dialog => {
+      this.dialogs.push(dialog.message());
+      dialog.dismiss().catch(() => {});
+    });
+  }
+
+  /**
+   * Submit a probe on a freshly loaded form and check what came back
+   * @param {Object} probe - Probe from buildSecurityProbes()
+   * @returns {Promise<Object>} { probe, outcome, findings }
+   */
+  async run(probe) {
+    this.dialogs = [];
+    console.log(`🛡️  Probing ${this.formPage.definition.id}: ${probe.category} in ${probe.field}`);
+
+    await this.formPage.navigate();
+    await this.formPage.fill(probe.data);
+    const response = await this.formPage.submit();
+    const outcome = await this.formPage.outcome();
+
+    const findings = [...checkPageState(probe, await this.inspectPage())];
+    if (response) {
+      findings.push(...checkResponse(probe, { status: response.status, body: response.json }));
+    }
+
+    if (this.verifier && outcome.status === 'success' && this.formPage.correlationId) {
+      const message = await this.verifier.waitForMail(this.formPage.correlationId);
+      const recipients = String(getFormActions(this.formPage.definition, 'email')[0]?.to || '')
+        .split(',').map(address => address.trim()).filter(Boolean);
+      findings.push(...checkMail(probe, message, { recipients }));
+    }
+
+    const result = { probe: probe.id, outcome: outcome.status, findings };
+    console.log(formatProbeReport([result]));
+    if (this.testInfo) {
+      await this.testInfo.attach('security-probe', { body: JSON.stringify(result, null, 2), contentType: 'application/json' });
+    }
+    return result;
+  }
+
+  /**
+   * What the probe left on the page: script side effects, dialogs and rendered markup
+   * @returns {Promise<Object>} { executed, injected, dialogs }, see checkPageState()
+   */
+  async inspectPage() {
+    const state = await this.page.evaluate(({ attribute, global }) => ({
+      executed: window[global] ?? null,
+      injected: Array.from(document.querySelectorAll(`[${attribute}]`)).map(element => element.outerHTML.slice(0, 160))
+    }), { attribute: PROBE_ATTRIBUTE, global: PROBE_GLOBAL });
+
+    return { ...state, dialogs: [...this.dialogs] };
+  }
+}
+
+module.exports = SecurityProbe;
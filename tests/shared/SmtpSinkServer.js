@@ -0,0 +1,360 @@
+#!/usr/bin/env node
+
+/**
+ * SmtpSinkServer - Local SMTP server that captures every message it receives
+ *
+ * Point the site's (or the stand-in's) outgoing mail at it to prove a submission
+ * really produced the form's notification mail. Nothing is relayed. Accepts any
+ * sender, recipient and AUTH credentials; no TLS.
+ *
+ * Captured messages are parsed (see tests/utils/mail-message.js) and can be
+ * queried in-process or, with `httpPort`, over a small JSON API:
+ * - GET    /messages?token=<token>   captured messages, optionally filtered by token
+ * - DELETE /messages                 forget all messages
+ */
+
+const net = require('net');
+const http = require('http');
+const { parseMailMessage, messageContains } = require('../utils/mail-message');
+
+const MAX_MESSAGE_SIZE = 10 * 1024 * 1024;
+
+class SmtpSinkServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {number} options.port - SMTP port (default: 0, any free port)
+   * @param {string} options.host - Host to bind (default: 127.0.0.1)
+   * @param {number} options.httpPort - Also serve the JSON API on this port (default: off)
+   * @param {string} options.hostname - Name announced in the greeting (default: 'smtp-sink.local')
+   */
+  constructor(options = {}) {
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port || 0;
+    this.httpPort = options.httpPort ?? null;
+    this.hostname = options.hostname || 'smtp-sink.local';
+
+    this.messages = [];
+    this.server = null;
+    this.httpServer = null;
+    this.sockets = new Set();
+    this.waiters = [];
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<Object>} { host, port, httpUrl }
+   */
+  async start() {
+    this.server = net.createServer(socket => this.handleConnection(socket));
+    await this.listen(this.server, this.port);
+    this.port = this.server.address().port;
+    console.log(`📬 SMTP sink listening on ${this.host}:${this.port}`);
+
+    if (this.httpPort !== null) {
+      this.httpServer = http.createServer((req, res) => this.handleHttp(req, res));
+      await this.listen(this.httpServer, this.httpPort);
+      this.httpPort = this.httpServer.address().port;
+      console.log(`📬 SMTP sink API at ${this.httpUrl}`);
+    }
+
+    return { host: this.host, port: this.port, httpUrl: this.httpUrl };
+  }
+
+  /**
+   * Stop listening and drop open connections
+   */
+  async stop() {
+    this.sockets.forEach(socket => socket.destroy());
+    this.sockets.clear();
+
+    for (const server of [this.server, this.httpServer]) {
+      if (server) {
+        await new Promise(resolve => server.close(resolve));
+      }
+    }
+    this.server = null;
+    this.httpServer = null;
+  }
+
+  /**
+   * URL of the JSON API, null when it is not served
+   */
+  get httpUrl() {
+    return this.httpServer ? `http://${this.host}:${this.httpPort}` : null;
+  }
+
+  /**
+   * @param {net.Server|http.Server} server - Server to start
+   * @param {number} port - Port
+   */
+  listen(server, port) {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, this.host, resolve);
+    });
+  }
+
+  /**
+   * Captured messages, optionally only those mentioning a token
+   * @param {string} token - Correlation token (optional)
+   * @returns {Array<Object>} Parsed messages with envelope and receivedAt
+   */
+  getMessages(token) {
+    return token ? this.messages.filter(message => messageContains(message, token)) : [...this.messages];
+  }
+
+  /**
+   * Forget all captured messages
+   */
+  clearMessages() {
+    this.messages = [];
+  }
+
+  /**
+   * Wait until a message mentioning the token arrives
+   * @param {string} token - Correlation token
+   * @param {number} timeout - Timeout (default: 10000ms)
+   * @returns {Promise<Object>} The first matching message
+   */
+  waitForMessage(token, timeout = 10000) {
+    const [existing] = this.getMessages(token);
+    if (existing) {
+      return Promise.resolve(existing);
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { token, resolve };
+      const timer = setTimeout(() => {
+        this.waiters = this.waiters.filter(w => w !== waiter);
+        reject(new Error(`No mail containing ${token} arrived within ${timeout}ms`));
+      }, timeout);
+      waiter.resolve = (message) => {
+        clearTimeout(timer);
+        resolve(message);
+      };
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Store a received message and wake up waiters
+   * @param {Object} envelope - { from, to }
+   * @param {Buffer} raw - Message data
+   * @returns {Object} Stored message
+   */
+  store(envelope, raw) {
+    const message = {
+      id: this.messages.length + 1,
+      receivedAt: new Date().toISOString(),
+      envelope,
+      ...parseMailMessage(raw),
+      raw: raw.toString('utf8')
+    };
+    this.messages.push(message);
+    console.log(`📬 SMTP sink received #${message.id} for ${envelope.to.join(', ')}: ${message.subject}`);
+
+    this.waiters = this.waiters.filter(waiter => {
+      if (!messageContains(message, waiter.token)) return true;
+      waiter.resolve(message);
+      return false;
+    });
+
+    return message;
+  }
+
+  /**
+   * Speak SMTP on a client connection
+   * @param {net.Socket} socket - Client socket
+   */
+  handleConnection(socket) {
+    this.sockets.add(socket);
+    socket.on('close', () => this.sockets.delete(socket));
+    socket.on('error', () => {});
+
+    const session = { from: null, to: [], data: null, dataSize: 0, auth: null };
+    let buffer = Buffer.alloc(0);
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+    const reset = () => {
+      session.from = null;
+      session.to = [];
+      session.data = null;
+      session.dataSize = 0;
+    };
+
+    reply(`220 ${this.hostname} ESMTP SmtpSinkServer`);
+
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const lineBuffer = buffer.subarray(0, newline + 1);
+        buffer = buffer.subarray(newline + 1);
+
+        if (session.data) {
+          const line = lineBuffer.toString('latin1').replace(/\r?\n$/, '');
+          if (line === '.') {
+            this.store({ from: session.from, to: session.to }, Buffer.concat(session.data));
+            reply(`250 OK queued as ${this.messages.length}`);
+            reset();
+          } else if ((session.dataSize += lineBuffer.length) > MAX_MESSAGE_SIZE) {
+            reply('552 Message size exceeds fixed limit');
+            reset();
+          } else {
+            // Undo dot-stuffing
+            session.data.push(line.startsWith('..') ? lineBuffer.subarray(1) : lineBuffer);
+          }
+          continue;
+        }
+
+        this.handleCommand(lineBuffer.toString('utf8').trim(), session, reply, reset, socket);
+      }
+    });
+  }
+
+  /**
+   * Answer a single SMTP command
+   * @param {string} line - Command line
+   * @param {Object} session - Connection state
+   * @param {Function} reply - Write a reply line
+   * @param {Function} reset - Reset the transaction
+   * @param {net.Socket} socket - Client socket
+   */
+  handleCommand(line, session, reply, reset, socket) {
+    // AUTH LOGIN continuation lines: accept any credentials
+    if (session.auth === 'username') {
+      session.auth = 'password';
+      return reply('334 UGFzc3dvcmQ6');
+    }
+    if (session.auth === 'password') {
+      session.auth = null;
+      return reply('235 2.7.0 Authentication successful');
+    }
+
+    const [command] = line.split(/\s+/);
+    const argument = line.slice(command.length).trim();
+
+    switch (command.toUpperCase()) {
+      case 'EHLO':
+        socket.write(`250-${this.hostname}\r\n250-8BITMIME\r\n250-SMTPUTF8\r\n250-SIZE ${MAX_MESSAGE_SIZE}\r\n250 AUTH PLAIN LOGIN\r\n`);
+        return;
+      case 'HELO':
+        return reply(`250 ${this.hostname}`);
+      case 'AUTH':
+        if (/^LOGIN$/i.test(argument)) {
+          session.auth = 'username';
+          return reply('334 VXNlcm5hbWU6');
+        }
+        return reply('235 2.7.0 Authentication successful');
+      case 'MAIL': {
+        const match = argument.match(/^FROM:\s*<([^>]*)>/i);
+        if (!match) return reply('501 Syntax: MAIL FROM:<address>');
+        reset();
+        session.from = match[1];
+        return reply('250 OK');
+      }
+      case 'RCPT': {
+        const match = argument.match(/^TO:\s*<([^>]+)>/i);
+        if (!match) return reply('501 Syntax: RCPT TO:<address>');
+        if (session.from === null) return reply('503 Need MAIL command first');
+        session.to.push(match[1]);
+        return reply('250 OK');
+      }
+      case 'DATA':
+        if (session.to.length === 0) return reply('503 Need RCPT command first');
+        session.data = [];
+        return reply('354 End data with <CR><LF>.<CR><LF>');
+      case 'RSET':
+        reset();
+        return reply('250 OK');
+      case 'NOOP':
+        return reply('250 OK');
+      case 'QUIT':
+        reply(`221 ${this.hostname} closing connection`);
+        return socket.end();
+      case '':
+        return;
+      default:
+        return reply(`502 Command not implemented: ${command}`);
+    }
+  }
+
+  /**
+   * JSON API for out-of-process tests
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  handleHttp(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json; charset=UTF-8' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (url.pathname !== '/messages') {
+      return send(404, { error: `Unknown route ${url.pathname}` });
+    }
+    if (req.method === 'GET') {
+      return send(200, { messages: this.getMessages(url.searchParams.get('token') || undefined) });
+    }
+    if (req.method === 'DELETE') {
+      this.clearMessages();
+      return send(200, { messages: [] });
+    }
+    return send(405, { error: `Method ${req.method} not allowed` });
+  }
+}
+
+// CLI interface
+async function main() {
+  const args = process.argv.slice(2);
+  const getArg = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+SMTP Sink Server
+
+Usage:
+  node tests/shared/SmtpSinkServer.js [options]
+
+Options:
+  --port <port>         SMTP port (default: 2525)
+  --http-port <port>    JSON API port (default: 8025)
+  --host <host>         Host to bind (default: 127.0.0.1)
+
+Send the stand-in's form mails to it and query it from the tests with:
+  STAND_IN_SMTP=127.0.0.1:2525 npm run stand-in
+  MAILBOX=sink-http MAIL_SINK_URL=http://127.0.0.1:8025 npm test
+    `);
+    return;
+  }
+
+  const sink = new SmtpSinkServer({
+    port: parseInt(getArg('port') || process.env.SMTP_SINK_PORT || '2525', 10),
+    httpPort: parseInt(getArg('http-port') || process.env.SMTP_SINK_HTTP_PORT || '8025', 10),
+    host: getArg('host')
+  });
+
+  await sink.start();
+
+  const shutdown = async () => {
+    await sink.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(error => {
+    console.error('SMTP sink failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = SmtpSinkServer;
@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+
+/**
+ * WebhookReceiverServer - Local HTTP endpoint that records every webhook call
+ *
+ * Stands in for the Zapier/n8n/CRM URL of a form's webhook action: point the
+ * stand-in (or a staging site) at it to prove a submission called the webhook
+ * with the mapped field payload. Any path except /__webhooks is a webhook URL.
+ *
+ * Recorded calls can be queried in-process or over a small JSON API:
+ * - GET    /__webhooks/requests?token=<token>   recorded calls, optionally filtered by token
+ * - DELETE /__webhooks/requests                 forget all calls
+ * - PUT    /__webhooks/status                   { "status": 500 } answer webhooks with this status
+ */
+
+const http = require('http');
+const { parseWebhookPayload } = require('../utils/webhook-payload');
+
+const API_PREFIX = '/__webhooks';
+const MAX_BODY_SIZE = 5 * 1024 * 1024;
+
+class WebhookReceiverServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {number} options.port - Port (default: 0, any free port)
+   * @param {string} options.host - Host to bind (default: 127.0.0.1)
+   * @param {number} options.status - Status to answer webhook calls with (default: 200)
+   */
+  constructor(options = {}) {
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port || 0;
+    this.status = options.status || 200;
+
+    this.requests = [];
+    this.server = null;
+    this.waiters = [];
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} Base URL
+   */
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        console.error('Webhook receiver error:', error);
+        this.sendJson(res, 500, { error: error.message });
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+    this.port = this.server.address().port;
+    console.log(`🪝 Webhook receiver listening on ${this.url}`);
+    return this.url;
+  }
+
+  /**
+   * Stop listening
+   */
+  async stop() {
+    if (this.server) {
+      this.server.closeAllConnections();
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+
+  /**
+   * Base URL, e.g. http://127.0.0.1:8090
+   */
+  get url() {
+    return `http://${this.host}:${this.port}`;
+  }
+
+  /**
+   * Answer webhook calls with another status, e.g. 500 to simulate a failing CRM
+   * @param {number} status - HTTP status
+   */
+  setStatus(status) {
+    this.status = status;
+  }
+
+  /**
+   * Recorded calls, optionally only those mentioning a token
+   * @param {string} token - Correlation token (optional)
+   * @returns {Array<Object>} Calls { id, receivedAt, method, path, headers, contentType, body, payload }
+   */
+  getRequests(token) {
+    return token ? this.requests.filter(request => request.body.includes(token) ||
+      JSON.stringify(request.payload).includes(token)) : [...this.requests];
+  }
+
+  /**
+   * Forget all recorded calls
+   */
+  clearRequests() {
+    this.requests = [];
+  }
+
+  /**
+   * Wait until a call mentioning the token arrives
+   * @param {string} token - Correlation token
+   * @param {number} timeout - Timeout (default: 10000ms)
+   * @returns {Promise<Object>} The first matching call
+   */
+  waitForRequest(token, timeout = 10000) {
+    const [existing] = this.getRequests(token);
+    if (existing) {
+      return Promise.resolve(existing);
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { token, resolve };
+      const timer = setTimeout(() => {
+        this.waiters = this.waiters.filter(w => w !== waiter);
+        reject(new Error(`No webhook call containing ${token} arrived within ${timeout}ms`));
+      }, timeout);
+      waiter.resolve = (request) => {
+        clearTimeout(timer);
+        resolve(request);
+      };
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Record a webhook call and wake up waiters
+   * @param {Object} request - Recorded call
+   */
+  store(request) {
+    this.requests.push(request);
+    console.log(`🪝 Webhook call #${request.id} ${request.method} ${request.path} (${request.body.length} bytes)`);
+
+    this.waiters = this.waiters.filter(waiter => {
+      if (this.getRequests(waiter.token).includes(request)) {
+        waiter.resolve(request);
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Handle a webhook call or an API request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const body = await this.readBody(req);
+
+    if (url.pathname.startsWith(API_PREFIX)) {
+      return this.handleApiRequest(req, res, url, body);
+    }
+
+    const contentType = req.headers['content-type'] || '';
+    this.store({
+      id: this.requests.length + 1,
+      receivedAt: new Date().toISOString(),
+      method: req.method,
+      path: url.pathname,
+      headers: req.headers,
+      contentType,
+      body: body.toString('utf8'),
+      payload: parseWebhookPayload(body, contentType)
+    });
+
+    this.sendJson(res, this.status, { received: this.status < 400 });
+  }
+
+  /**
+   * JSON API for out-of-process tests
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {URL} url - Parsed request URL
+   * @param {Buffer} body - Request body
+   */
+  handleApiRequest(req, res, url, body) {
+    const route = url.pathname.slice(API_PREFIX.length);
+
+    if (route === '/requests' && req.method === 'GET') {
+      return this.sendJson(res, 200, { requests: this.getRequests(url.searchParams.get('token') || undefined) });
+    }
+    if (route === '/requests' && req.method === 'DELETE') {
+      this.clearRequests();
+      return this.sendJson(res, 200, { requests: [] });
+    }
+    if (route === '/status' && req.method === 'PUT') {
+      const { status } = JSON.parse(body.toString('utf8') || '{}');
+      if (!Number.isInteger(status) || status < 100 || status > 599) {
+        return this.sendJson(res, 400, { error: `Invalid status: ${status}` });
+      }
+      this.setStatus(status);
+      return this.sendJson(res, 200, { status });
+    }
+
+    this.sendJson(res, 404, { error: `Unknown route ${url.pathname}` });
+  }
+
+  /**
+   * Read a request body into a Buffer
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Promise<Buffer>} Body
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+          reject(new Error('Request body too large'));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks)));
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Send a JSON response
+   */
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=UTF-8' });
+    res.end(JSON.stringify(body));
+  }
+}
+
+// CLI interface
+async function main() {
+  const args = process.argv.slice(2);
+  const getArg = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Webhook Receiver Server
+
+Usage:
+  node tests/shared/WebhookReceiverServer.js [options]
+
+Options:
+  --port <port>         Port (default: 8090)
+  --host <host>         Host to bind (default: 127.0.0.1)
+  --status <status>     Answer webhook calls with this status (default: 200)
+
+Send the stand-in's webhook actions to it and query it from the tests with:
+  STAND_IN_WEBHOOK=http://127.0.0.1:8090 npm run stand-in
+  WEBHOOK_RECEIVER_URL=http://127.0.0.1:8090 npm test
+    `);
+    return;
+  }
+
+  const receiver = new WebhookReceiverServer({
+    port: parseInt(getArg('port') || process.env.WEBHOOK_RECEIVER_PORT || '8090', 10),
+    host: getArg('host'),
+    status: parseInt(getArg('status') || '200', 10)
+  });
+
+  await receiver.start();
+
+  const shutdown = async () => {
+    await receiver.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Webhook receiver failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = WebhookReceiverServer;
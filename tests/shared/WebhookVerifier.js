@@ -0,0 +1,113 @@
+const { getFieldValuesById, getFormActions } = require('../utils/form-definition');
+const { compareWebhookPayload } = require('../utils/webhook-payload');
+
+/**
+ * WebhookVerifier - Proves a submission called the form's webhook action
+ *
+ * The receiver (an in-process WebhookReceiverServer, or the URL of one started
+ * elsewhere) is searched for the submission's correlation ID, and the call found
+ * is checked against the payload the webhook action should have sent.
+ */
+class WebhookVerifier {
+  /**
+   * @param {WebhookReceiverServer|string} receiver - Receiver instance or its base URL
+   * @param {Object} definition - Form definition from forms-list.json
+   * @param {Object} options - Verifier options
+   * @param {number} options.timeout - Time to wait for the call (default: 30000ms)
+   * @param {number} options.pollInterval - Time between receiver queries (default: 500ms)
+   */
+  constructor(receiver, definition, options = {}) {
+    this.receiver = receiver;
+    this.definition = definition;
+    this.timeout = options.timeout || 30000;
+    this.pollInterval = options.pollInterval || 500;
+  }
+
+  /**
+   * Create a verifier for the receiver configured through the environment, if any
+   *   WEBHOOK_RECEIVER_URL=http://127.0.0.1:8090
+   * @param {Object} definition - Form definition
+   * @param {Object} env - Environment (default: process.env)
+   * @returns {WebhookVerifier|null} Verifier, null when WEBHOOK_RECEIVER_URL is not set
+   */
+  static fromEnv(definition, env = process.env) {
+    return env.WEBHOOK_RECEIVER_URL ? new WebhookVerifier(env.WEBHOOK_RECEIVER_URL, definition) : null;
+  }
+
+  /**
+   * Recorded calls mentioning the token
+   * @param {string} token - Correlation token
+   * @returns {Promise<Array<Object>>} Calls
+   */
+  async getRequests(token) {
+    if (typeof this.receiver !== 'string') {
+      return this.receiver.getRequests(token);
+    }
+
+    const response = await fetch(`${this.receiver.replace(/\/$/, '')}/__webhooks/requests?token=${encodeURIComponent(token)}`);
+    if (!response.ok) {
+      throw new Error(`Webhook receiver API answered ${response.status}`);
+    }
+    return (await response.json()).requests;
+  }
+
+  /**
+   * Poll the receiver until a call mentioning the token arrives
+   * @param {string} token - Correlation token
+   * @param {number} timeout - Timeout (default: the verifier timeout)
+   * @returns {Promise<Object>} Recorded call
+   */
+  async waitForWebhook(token, timeout = this.timeout) {
+    const deadline = Date.now() + timeout;
+    console.log(`🪝 Waiting up to ${timeout}ms for a webhook call with ${token}...`);
+
+    while (true) {
+      const [request] = await this.getRequests(token);
+      if (request) {
+        console.log(`🪝 Webhook called: ${request.method} ${request.path}`);
+        return request;
+      }
+
+      if (Date.now() >= deadline) {
+        throw new Error(`❌ NO WEBHOOK CALL: no call containing ${token} arrived within ${timeout}ms. ` +
+          `The submission was accepted but the form's webhook action did not fire.`);
+      }
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+    }
+  }
+
+  /**
+   * Assert a call carries the payload the webhook action should have sent
+   * @param {Object} request - Recorded call from waitForWebhook()
+   * @param {Object} data - Submitted form data keyed by field name or alias
+   * @param {Object} action - Webhook action to check against (default: the form's first webhook action)
+   * @returns {Object} The call
+   */
+  assertPayload(request, data, action = getFormActions(this.definition, 'webhook')[0]) {
+    if (!action) {
+      throw new Error(`Form ${this.definition.id} has no webhook action in submission.actions`);
+    }
+
+    const problems = [];
+    if (request.method !== 'POST') {
+      problems.push(`method ${request.method} instead of POST`);
+    }
+
+    compareWebhookPayload(this.definition, action, getFieldValuesById(this.definition, data), request.payload)
+      .forEach(({ key, expected, received }) => problems.push(
+        received === undefined ? `"${key}" missing (expected "${expected}")` : `"${key}" is "${received}" instead of "${expected}"`
+      ));
+
+    if (problems.length > 0) {
+      throw new Error(
+        `❌ WEBHOOK PAYLOAD MISMATCH for ${request.path}:\n` +
+        problems.map(problem => `   - ${problem}`).join('\n')
+      );
+    }
+
+    console.log(`✅ Webhook ${request.path} received every mapped field`);
+    return request;
+  }
+}
+
+module.exports = WebhookVerifier;
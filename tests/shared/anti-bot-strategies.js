@@ -0,0 +1,574 @@
+/**
+ * Built-in Anti-Bot Strategies
+ *
+ * Every strategy implements the same interface so it can be registered in an
+ * AntiBotStrategyRegistry and selected per form from forms-list.json:
+ *   applies(page, context)  - can this strategy be used here? (before navigation)
+ *   install(page, context)  - set up routes/init scripts (before navigation)
+ *   verify(page, context)   - did the protection get out of the way? (after load)
+ * `context` holds the form definition and the protection entry being handled.
+ */
+
+const {
+  RESPONSE_FIELDS,
+  inferProvider,
+  assertTestSiteKey
+} = require('../utils/captcha-test-keys');
+
+const PROTECTIONS = {
+  RECAPTCHA_V2: 'recaptcha_v2',
+  RECAPTCHA_V3: 'recaptcha_v3',
+  TURNSTILE: 'turnstile',
+  HCAPTCHA: 'hcaptcha',
+  HONEYPOT: 'honeypot'
+};
+
+const RECAPTCHA = [PROTECTIONS.RECAPTCHA_V2, PROTECTIONS.RECAPTCHA_V3];
+
+/**
+ * CAPTCHA provider behind each protection type
+ */
+const PROVIDERS = {
+  [PROTECTIONS.RECAPTCHA_V2]: 'recaptcha',
+  [PROTECTIONS.RECAPTCHA_V3]: 'recaptcha',
+  [PROTECTIONS.TURNSTILE]: 'turnstile',
+  [PROTECTIONS.HCAPTCHA]: 'hcaptcha'
+};
+
+/**
+ * Check that no reCAPTCHA challenge is visible on the page
+ * @param {Page} page - Playwright page
+ * @returns {Promise<boolean>}
+ */
+async function noVisibleRecaptchaChallenge(page) {
+  return page.evaluate(() => {
+    const challenges = document.querySelectorAll('.g-recaptcha:not([style*="display: none"]), iframe[src*="recaptcha/api2/bframe"]');
+    return Array.from(challenges).every(el => el.offsetParent === null);
+  });
+}
+
+/**
+ * Find the CAPTCHA widgets on the page and their site keys
+ * @param {Page} page - Playwright page
+ * @returns {Promise<Array>} [{ provider, siteKey, invisible }]
+ */
+async function detectCaptchaWidgets(page) {
+  const widgets = await page.evaluate(() => {
+    const found = [];
+
+    document.querySelectorAll('[data-sitekey]').forEach(el => {
+      const className = String(el.className);
+      const provider = /cf-turnstile/.test(className) ? 'turnstile'
+        : /h-captcha/.test(className) ? 'hcaptcha'
+        : /recaptcha/.test(className) ? 'recaptcha'
+        : null;
+
+      found.push({
+        provider,
+        siteKey: el.getAttribute('data-sitekey'),
+        invisible: el.getAttribute('data-size') === 'invisible'
+      });
+    });
+
+    // reCAPTCHA v3 has no widget element, the key is the render parameter of api.js
+    document.querySelectorAll('script[src*="recaptcha/api.js"]').forEach(script => {
+      const key = new URL(script.src, location.href).searchParams.get('render');
+      if (key && key !== 'explicit') {
+        found.push({ provider: 'recaptcha', siteKey: key, invisible: true });
+      }
+    });
+
+    return found;
+  });
+
+  return widgets.map(widget => ({ ...widget, provider: widget.provider || inferProvider(widget.siteKey) }));
+}
+
+/**
+ * Drive a test-key widget to its success callback and return the response token
+ * @param {Page} page - Playwright page
+ * @param {Object} widget - Widget from detectCaptchaWidgets()
+ * @param {number} timeout - Time to wait for the token (default: 10000)
+ * @returns {Promise<string>} Response token
+ */
+async function completeTestChallenge(page, widget, timeout = 10000) {
+  if (widget.provider === 'recaptcha') {
+    if (widget.invisible) {
+      await page.evaluate(() => window.grecaptcha.execute());
+    } else {
+      // Test keys pass on the first click of the "I'm not a robot" checkbox
+      await page.frameLocator('iframe[src*="recaptcha/api2/anchor"]').first().locator('#recaptcha-anchor').click();
+    }
+  } else if (widget.provider === 'hcaptcha') {
+    await page.frameLocator('iframe[src*="hcaptcha"][src*="frame=checkbox"]').first().locator('#checkbox').click();
+  }
+  // Turnstile test keys solve themselves once rendered
+
+  const field = RESPONSE_FIELDS[widget.provider];
+  const token = await page.waitForFunction(
+    name => document.querySelector(`[name="${name}"]`)?.value || null,
+    field,
+    { timeout }
+  );
+
+  return token.jsonValue();
+}
+
+const disableScripts = {
+  name: 'disable_scripts',
+  description: 'Block Google reCAPTCHA scripts before they can initialize',
+  protections: RECAPTCHA,
+
+  async applies() {
+    return true;
+  },
+
+  async install(page) {
+    await page.route('**/*recaptcha*', route => {
+      console.log('Blocking reCAPTCHA script:', route.request().url());
+      route.abort();
+    });
+
+    await page.route('**/*gstatic.com/recaptcha*', route => {
+      console.log('Blocking reCAPTCHA resource:', route.request().url());
+      route.abort();
+    });
+
+    await page.route('**/*google.com/recaptcha*', route => {
+      console.log('Blocking reCAPTCHA API:', route.request().url());
+      route.abort();
+    });
+  },
+
+  async verify(page) {
+    return page.evaluate(() => !document.querySelector('iframe[src*="recaptcha"]'));
+  }
+};
+
+const mockResponse = {
+  name: 'mock_response',
+  description: 'Inject a grecaptcha object that always returns a token',
+  protections: RECAPTCHA,
+
+  async applies() {
+    return true;
+  },
+
+  async install(page) {
+    await page.addInitScript(() => {
+      // Mock the grecaptcha object
+      window.grecaptcha = {
+        ready: (callback) => {
+          if (typeof callback === 'function') {
+            setTimeout(callback, 100);
+          }
+        },
+        execute: () => {
+          return Promise.resolve('mock_recaptcha_token_for_testing');
+        },
+        render: () => {
+          return 'mock_widget_id';
+        },
+        getResponse: () => {
+          return 'mock_recaptcha_response_for_testing';
+        },
+        reset: () => {
+          // Mock reset function
+        }
+      };
+
+      // Also handle reCAPTCHA callback if present
+      if (window.onRecaptchaCallback) {
+        setTimeout(() => {
+          window.onRecaptchaCallback('mock_recaptcha_token_for_testing');
+        }, 500);
+      }
+    });
+  },
+
+  async verify(page) {
+    return page.evaluate(async () => {
+      if (!window.grecaptcha?.execute) return false;
+      return !!(await window.grecaptcha.execute());
+    });
+  }
+};
+
+const interceptNetwork = {
+  name: 'intercept_network',
+  description: 'Answer reCAPTCHA verification, reload and script requests with mocks',
+  protections: RECAPTCHA,
+
+  async applies() {
+    return true;
+  },
+
+  async install(page) {
+    // Intercept reCAPTCHA verification requests
+    await page.route('**/recaptcha/api/siteverify*', route => {
+      console.log('Intercepting reCAPTCHA verification request');
+      route.fulfill({
+        status: 200,
+        contentType: 'application/json',
+        body: JSON.stringify({
+          success: true,
+          challenge_ts: new Date().toISOString(),
+          hostname: new URL(page.url()).hostname,
+          'error-codes': []
+        })
+      });
+    });
+
+    // Intercept reCAPTCHA token requests
+    await page.route('**/recaptcha/api2/reload*', route => {
+      console.log('Intercepting reCAPTCHA reload request');
+      route.fulfill({
+        status: 200,
+        contentType: 'text/html',
+        body: 'mock_recaptcha_response_for_testing'
+      });
+    });
+
+    // Mock the reCAPTCHA script loading
+    await page.route('**/recaptcha/releases/*/recaptcha__*.js', route => {
+      console.log('Mocking reCAPTCHA script');
+      route.fulfill({
+        status: 200,
+        contentType: 'application/javascript',
+        body: `
+          window.grecaptcha = {
+            ready: function(callback) {
+              if(callback) setTimeout(callback, 100);
+            },
+            execute: function() {
+              return Promise.resolve('mock_token_for_testing');
+            },
+            render: function() {
+              return 'mock_widget';
+            },
+            getResponse: function() {
+              return 'mock_response_for_testing';
+            }
+          };
+        `
+      });
+    });
+  },
+
+  async verify(page) {
+    return noVisibleRecaptchaChallenge(page);
+  }
+};
+
+const environmentBypass = {
+  name: 'environment_bypass',
+  description: 'Flag test mode to sites that skip bot protection for test submissions',
+  protections: [...RECAPTCHA, PROTECTIONS.TURNSTILE, PROTECTIONS.HCAPTCHA],
+
+  async applies(page, context = {}) {
+    const url = context.definition?.url || page.url();
+    const isTestEnvironment = process.env.NODE_ENV === 'test' ||
+                              process.env.TESTING === 'true' ||
+                              url.includes('test') ||
+                              url.includes('staging');
+
+    if (!isTestEnvironment) {
+      console.log('Not in test environment, cannot apply environment bypass');
+    }
+    return isTestEnvironment;
+  },
+
+  async install(page) {
+    console.log('Test environment detected, applying reCAPTCHA bypass');
+
+    // Add test parameter to disable reCAPTCHA if the site supports it
+    await page.addInitScript(() => {
+      // Set test mode flags
+      window.testMode = true;
+      window.skipRecaptcha = true;
+
+      // Add test parameter to forms if they check for it
+      document.addEventListener('DOMContentLoaded', () => {
+        const forms = document.querySelectorAll('form');
+        forms.forEach(form => {
+          const testInput = document.createElement('input');
+          testInput.type = 'hidden';
+          testInput.name = 'test_mode';
+          testInput.value = 'true';
+          form.appendChild(testInput);
+        });
+      });
+    });
+  },
+
+  async verify(page) {
+    return page.evaluate(() => Array.from(document.querySelectorAll('form'))
+      .every(form => form.querySelector('input[name="test_mode"]')));
+  }
+};
+
+const directApi = {
+  name: 'direct_api',
+  description: 'Remove reCAPTCHA elements so the form submits straight to the backend',
+  protections: RECAPTCHA,
+
+  async applies() {
+    return true;
+  },
+
+  async install(page) {
+    console.log('Attempting direct API submission (bypasses frontend reCAPTCHA)');
+
+    // This strategy would require knowledge of the backend API
+    // For now, we'll just mock it by removing reCAPTCHA elements once the DOM exists
+    await page.addInitScript(() => {
+      document.addEventListener('DOMContentLoaded', () => {
+        // Remove reCAPTCHA elements from the DOM
+        const recaptchaElements = document.querySelectorAll('[class*="recaptcha"], [id*="recaptcha"], .g-recaptcha');
+        recaptchaElements.forEach(el => el.remove());
+      });
+    });
+  },
+
+  async verify(page) {
+    return page.evaluate(() => !document.querySelector('.g-recaptcha, [id*="recaptcha"]'));
+  }
+};
+
+const turnstileBypass = {
+  name: 'turnstile_bypass',
+  description: 'Block Cloudflare Turnstile and mock the turnstile API and response field',
+  protections: [PROTECTIONS.TURNSTILE],
+
+  async applies() {
+    return true;
+  },
+
+  async install(page) {
+    console.log('Setting up Enhanced Cloudflare Turnstile bypass...');
+
+    // Block ALL Cloudflare and Turnstile related requests
+    const turnstilePatterns = [
+      '**/*challenges.cloudflare.com*',
+      '**/*cf-turnstile*',
+      '**/*turnstile*',
+      '**/*cloudflareinsights*',
+      '**/*cloudflare.com/cdn-cgi*',
+      '**/*cdnjs.cloudflare.com/ajax/libs/turnstile*'
+    ];
+
+    for (const pattern of turnstilePatterns) {
+      await page.route(pattern, route => {
+        console.log('Blocking Turnstile/Cloudflare:', route.request().url());
+        route.abort();
+      });
+    }
+
+    // Set aggressive user agent and headers bypass
+    await page.setExtraHTTPHeaders({
+      'CF-RAY': 'mocked-cf-ray',
+      'CF-IPCountry': 'BE',
+      'CF-Visitor': '{"scheme":"https"}',
+      'X-Forwarded-For': '127.0.0.1',
+      'X-Forwarded-Proto': 'https'
+    });
+
+    // Enhanced Turnstile mocking with multiple fallback strategies
+    await page.addInitScript(() => {
+      // Completely disable Turnstile before it loads
+      Object.defineProperty(window, 'turnstile', {
+        value: {
+          render: () => {
+            console.log('Turnstile render intercepted and mocked');
+            return 'mock-widget-' + Date.now();
+          },
+          getResponse: () => {
+            console.log('Turnstile getResponse intercepted and mocked');
+            return 'MOCK.TURNSTILE.RESPONSE.' + Date.now();
+          },
+          reset: () => console.log('Turnstile reset mocked'),
+          remove: () => console.log('Turnstile remove mocked'),
+          ready: (callback) => {
+            if (callback) setTimeout(callback, 10);
+          }
+        },
+        writable: false,
+        configurable: false
+      });
+
+      // Mock Cloudflare challenge bypassed flag
+      window.__CF = {
+        challenge_passed: true,
+        turnstile_bypassed: true
+      };
+
+      // Mock any callback functions
+      ['onTurnstileCallback', 'turnstileCallback', 'cfCallback'].forEach(callbackName => {
+        if (window[callbackName]) {
+          setTimeout(() => window[callbackName]('MOCK.RESPONSE.' + Date.now()), 50);
+        }
+      });
+    });
+
+    // Inject script to handle Turnstile widgets after page load
+    await page.addInitScript(() => {
+      // Handle Turnstile widgets that might be rendered
+      const observer = new MutationObserver((mutations) => {
+        mutations.forEach((mutation) => {
+          mutation.addedNodes.forEach((node) => {
+            if (node.nodeType === 1) {
+              // Look for Turnstile containers
+              const turnstileContainers = node.querySelectorAll
+                ? node.querySelectorAll('[data-sitekey], .cf-turnstile, iframe[src*="cloudflare"]')
+                : [];
+
+              turnstileContainers.forEach((container) => {
+                console.log('Found Turnstile container, hiding it');
+                container.style.display = 'none';
+
+                // Create hidden input with mock response
+                const hiddenInput = document.createElement('input');
+                hiddenInput.type = 'hidden';
+                hiddenInput.name = 'cf-turnstile-response';
+                hiddenInput.value = 'mocked-turnstile-response';
+                container.parentNode.insertBefore(hiddenInput, container);
+              });
+            }
+          });
+        });
+      });
+
+      observer.observe(document.documentElement, { childList: true, subtree: true });
+    });
+
+    console.log('Turnstile bypass configured successfully');
+  },
+
+  async verify(page) {
+    return page.evaluate(() => {
+      const widgetsVisible = Array.from(document.querySelectorAll('.cf-turnstile, iframe[src*="challenges.cloudflare.com"]'))
+        .some(el => el.offsetParent !== null);
+      return !widgetsVisible && !!window.__CF?.turnstile_bypassed;
+    });
+  }
+};
+
+const hcaptchaBypass = {
+  name: 'hcaptcha_bypass',
+  description: 'Block hCaptcha and mock the hcaptcha API and response field',
+  protections: [PROTECTIONS.HCAPTCHA],
+
+  async applies() {
+    return true;
+  },
+
+  async install(page) {
+    await page.route('**/*hcaptcha.com*', route => {
+      console.log('Blocking hCaptcha:', route.request().url());
+      route.abort();
+    });
+
+    await page.addInitScript(() => {
+      const token = 'mock_hcaptcha_response_for_testing';
+
+      window.hcaptcha = {
+        render: () => 'mock_hcaptcha_widget',
+        execute: () => Promise.resolve({ response: token }),
+        getResponse: () => token,
+        reset: () => {},
+        remove: () => {}
+      };
+
+      // hCaptcha posts its token in both h-captcha-response and g-recaptcha-response
+      document.addEventListener('DOMContentLoaded', () => {
+        document.querySelectorAll('.h-captcha, [data-hcaptcha-widget-id]').forEach(container => {
+          ['h-captcha-response', 'g-recaptcha-response'].forEach(name => {
+            const response = document.createElement('textarea');
+            response.name = name;
+            response.style.display = 'none';
+            response.value = token;
+            container.appendChild(response);
+          });
+        });
+      });
+    });
+  },
+
+  async verify(page) {
+    return page.evaluate(() => !!window.hcaptcha?.getResponse());
+  }
+};
+
+const honeypotGuard = {
+  name: 'honeypot_guard',
+  description: 'Keep honeypot fields empty so submissions are not flagged as spam',
+  protections: [PROTECTIONS.HONEYPOT],
+
+  async applies() {
+    return true;
+  },
+
+  async install(page) {
+    await page.addInitScript(() => {
+      const honeypots = '.elementor-field-type-honeypot input, input[name*="honeypot"], input[name*="hp_"]';
+
+      // Autofill or over-eager fill helpers must not leave a value behind
+      document.addEventListener('submit', (event) => {
+        event.target.querySelectorAll(honeypots).forEach(input => { input.value = ''; });
+      }, true);
+
+      window.__honeypotSelector = honeypots;
+    });
+  },
+
+  async verify(page) {
+    return page.evaluate(() => Array.from(document.querySelectorAll(window.__honeypotSelector || 'input[name*="honeypot"]'))
+      .every(input => input.value === ''));
+  }
+};
+
+const officialTestKeys = {
+  name: 'official_test_keys',
+  description: 'Use the provider\'s published always-pass test site key and solve the real widget',
+  protections: [PROTECTIONS.RECAPTCHA_V2, PROTECTIONS.TURNSTILE, PROTECTIONS.HCAPTCHA],
+
+  async applies() {
+    return process.env.NODE_ENV !== 'production';
+  },
+
+  async install() {
+    // Nothing to intercept: the widget must load and run against the test key
+    console.log('Using published CAPTCHA test site keys, no interception installed');
+  },
+
+  async verify(page, context = {}) {
+    const provider = PROVIDERS[context.protection?.type];
+    const widgets = await detectCaptchaWidgets(page);
+    const widget = widgets.find(w => !provider || w.provider === provider) || null;
+
+    assertTestSiteKey(widget);
+    const token = await completeTestChallenge(page, widget);
+    console.log(`${widget.provider} test key ${widget.siteKey} solved`);
+    return !!token;
+  }
+};
+
+const BUILT_IN_STRATEGIES = [
+  turnstileBypass,
+  interceptNetwork,
+  mockResponse,
+  disableScripts,
+  directApi,
+  environmentBypass,
+  hcaptchaBypass,
+  honeypotGuard,
+  officialTestKeys
+];
+
+module.exports = {
+  PROTECTIONS,
+  PROVIDERS,
+  BUILT_IN_STRATEGIES,
+  detectCaptchaWidgets,
+  completeTestChallenge
+};
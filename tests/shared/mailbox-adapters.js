@@ -0,0 +1,160 @@
+/**
+ * Mailbox Adapters
+ *
+ * Where the mail-delivery checks look for the notification mail of a submission.
+ * Every adapter implements:
+ *   search(token) → Promise<Array<message>>   messages mentioning the token (parsed, see mail-message.js)
+ *   close()       → Promise<void>
+ *
+ * Built in:
+ * - smtp-sink: an in-process SmtpSinkServer
+ * - sink-http: a SmtpSinkServer started elsewhere (`npm run mail-sink`), queried over its JSON API
+ * - imap:      a real mailbox over IMAP (needs the optional `imapflow` package)
+ *
+ * Register your own with registerMailboxAdapter('name', options => adapter).
+ */
+
+const { parseMailMessage, messageContains } = require('../utils/mail-message');
+
+const adapterFactories = new Map();
+
+/**
+ * Register (or replace) a mailbox adapter type
+ * @param {string} type - Adapter type
+ * @param {Function} factory - (options) => adapter with search() and close()
+ */
+function registerMailboxAdapter(type, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error(`Mailbox adapter '${type}' needs a factory function`);
+  }
+  adapterFactories.set(type, factory);
+}
+
+/**
+ * Create a mailbox adapter
+ * @param {Object} options - { type, ...adapter options }
+ * @returns {Object} Adapter
+ */
+function createMailbox(options = {}) {
+  const factory = adapterFactories.get(options.type);
+  if (!factory) {
+    throw new Error(`Unknown mailbox adapter '${options.type}'. Available: ${Array.from(adapterFactories.keys()).join(', ')}`);
+  }
+
+  const adapter = factory(options);
+  if (typeof adapter.search !== 'function') {
+    throw new Error(`Mailbox adapter '${options.type}' does not implement search()`);
+  }
+
+  return { type: options.type, close: async () => {}, ...adapter };
+}
+
+/**
+ * Create the mailbox configured through the environment, if any
+ *   MAILBOX=sink-http MAIL_SINK_URL=http://127.0.0.1:8025
+ *   MAILBOX=imap IMAP_HOST=... IMAP_PORT=993 IMAP_USER=... IMAP_PASSWORD=... [IMAP_TLS=false] [IMAP_MAILBOX=INBOX]
+ * @param {Object} env - Environment (default: process.env)
+ * @returns {Object|null} Adapter, null when MAILBOX is not set
+ */
+function createMailboxFromEnv(env = process.env) {
+  switch (env.MAILBOX) {
+    case undefined:
+    case '':
+      return null;
+    case 'sink-http':
+      return createMailbox({ type: 'sink-http', url: env.MAIL_SINK_URL || 'http://127.0.0.1:8025' });
+    case 'imap':
+      return createMailbox({
+        type: 'imap',
+        host: env.IMAP_HOST,
+        port: parseInt(env.IMAP_PORT || '993', 10),
+        secure: env.IMAP_TLS !== 'false',
+        user: env.IMAP_USER,
+        password: env.IMAP_PASSWORD,
+        mailbox: env.IMAP_MAILBOX || 'INBOX'
+      });
+    default:
+      return createMailbox({ type: env.MAILBOX });
+  }
+}
+
+registerMailboxAdapter('smtp-sink', ({ sink }) => {
+  if (!sink) {
+    throw new Error("Mailbox adapter 'smtp-sink' needs a running SmtpSinkServer as { sink }");
+  }
+  return {
+    search: async (token) => sink.getMessages(token)
+  };
+});
+
+registerMailboxAdapter('sink-http', ({ url = 'http://127.0.0.1:8025' }) => ({
+  search: async (token) => {
+    const response = await fetch(`${url.replace(/\/$/, '')}/messages?token=${encodeURIComponent(token)}`);
+    if (!response.ok) {
+      throw new Error(`SMTP sink API answered ${response.status}`);
+    }
+    return (await response.json()).messages;
+  }
+}));
+
+registerMailboxAdapter('imap', (options) => {
+  let ImapFlow;
+  try {
+    ({ ImapFlow } = require('imapflow'));
+  } catch (error) {
+    throw new Error("Mailbox adapter 'imap' needs the imapflow package: npm install --save-dev imapflow");
+  }
+
+  if (!options.host || !options.user) {
+    throw new Error("Mailbox adapter 'imap' needs IMAP_HOST and IMAP_USER");
+  }
+
+  let client = null;
+  const connect = async () => {
+    if (!client) {
+      client = new ImapFlow({
+        host: options.host,
+        port: options.port || 993,
+        secure: options.secure !== false,
+        auth: { user: options.user, pass: options.password },
+        logger: false
+      });
+      await client.connect();
+    }
+    return client;
+  };
+
+  return {
+    search: async (token) => {
+      const imap = await connect();
+      const lock = await imap.getMailboxLock(options.mailbox || 'INBOX');
+
+      try {
+        const uids = await imap.search({ body: token }, { uid: true }) || [];
+        const messages = [];
+        for (const uid of uids) {
+          const { source } = await imap.fetchOne(uid, { source: true }, { uid: true });
+          const message = parseMailMessage(source);
+          if (messageContains(message, token)) {
+            messages.push(message);
+          }
+        }
+        return messages;
+      } finally {
+        lock.release();
+      }
+    },
+    close: async () => {
+      if (client) {
+        await client.logout().catch(() => {});
+        client = null;
+      }
+    }
+  };
+});
+
+module.exports = {
+  registerMailboxAdapter,
+  createMailbox,
+  createMailboxFromEnv
+};
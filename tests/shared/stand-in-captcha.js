@@ -0,0 +1,216 @@
+/**
+ * Stand-in CAPTCHA widgets
+ *
+ * Fake reCAPTCHA v2 and Turnstile widgets for ElementorStandInServer that honour
+ * the same contract as the real ones: a `data-sitekey` element, the `grecaptcha` /
+ * `turnstile` JS API, an "I'm not a robot" checkbox in a `recaptcha/api2/anchor`
+ * iframe, data-callback on success and the token in the usual response field.
+ * Only the published test keys pass, so RecaptchaHandler's test-key mode can be
+ * exercised offline exactly as against a staging site.
+ */
+
+const { createDefaultRegistry, PROTECTIONS } = require('./AntiBotStrategyRegistry');
+const {
+  TEST_SITE_KEYS,
+  TEST_TOKENS,
+  RESPONSE_FIELDS,
+  getTestKeyBehaviour,
+  getDefaultTestSiteKey
+} = require('../utils/captcha-test-keys');
+
+const SCRIPT_PATH = '/captcha/api.js';
+const ANCHOR_PATH = '/recaptcha/api2/anchor';
+
+const TOKENS = {
+  recaptcha: 'stand-in-recaptcha-test-token',
+  turnstile: TEST_TOKENS.turnstile
+};
+
+const FAILURE_MESSAGES = {
+  recaptcha: 'Invalid form, reCAPTCHA validation failed.',
+  turnstile: 'Please verify that you are human.'
+};
+
+/**
+ * Widgets to render for a form, from its declared bot protections
+ * @param {Object} form - Form definition
+ * @param {Object} siteKeys - Site key per provider (default: always-pass test keys)
+ * @returns {Array} [{ provider, siteKey, invisible }]
+ */
+function getCaptchaWidgets(form, siteKeys = {}) {
+  const registry = createDefaultRegistry();
+  const invisible = String(form.security_features?.recaptcha_type || '').includes('invisible');
+
+  return registry.resolveProtections(form)
+    .map(protection => protection.type)
+    .filter(type => type === PROTECTIONS.RECAPTCHA_V2 || type === PROTECTIONS.TURNSTILE)
+    .map(type => {
+      const provider = type === PROTECTIONS.TURNSTILE ? 'turnstile' : 'recaptcha';
+      return {
+        provider,
+        siteKey: siteKeys[provider] || getDefaultTestSiteKey(provider),
+        invisible: provider === 'recaptcha' && invisible
+      };
+    });
+}
+
+/**
+ * Render a widget placeholder the fake API picks up
+ * @param {Object} widget - Widget from getCaptchaWidgets()
+ * @param {Function} escapeHtml - HTML escaper
+ * @returns {string} HTML
+ */
+function renderCaptchaWidget(widget, escapeHtml) {
+  const className = widget.provider === 'turnstile' ? 'cf-turnstile' : 'elementor-g-recaptcha';
+  const size = widget.invisible ? ' data-size="invisible"' : '';
+
+  return `<div class="elementor-field-group elementor-column elementor-field-type-${widget.provider} elementor-col-100">
+<div class="${className}" data-sitekey="${escapeHtml(widget.siteKey)}"${size}></div>
+</div>`;
+}
+
+/**
+ * Check the response tokens of a submission
+ * @param {Array} widgets - Widgets rendered for the form
+ * @param {Object} fields - Parsed submission fields
+ * @returns {Array} [{ provider, siteKey, valid, message }]
+ */
+function verifyCaptchaTokens(widgets, fields) {
+  return widgets.map(widget => {
+    const token = fields[RESPONSE_FIELDS[widget.provider]];
+    const valid = getTestKeyBehaviour(widget.provider, widget.siteKey) === 'pass' && token === TOKENS[widget.provider];
+
+    return {
+      provider: widget.provider,
+      siteKey: widget.siteKey,
+      valid,
+      message: valid ? null : FAILURE_MESSAGES[widget.provider]
+    };
+  });
+}
+
+/**
+ * Fake grecaptcha/turnstile API (served at /__stand-in/captcha/api.js)
+ * @returns {string} JavaScript source
+ */
+function renderCaptchaScript() {
+  return `(function () {
+  var TEST_KEYS = ${JSON.stringify(TEST_SITE_KEYS)};
+  var TOKENS = ${JSON.stringify(TOKENS)};
+  var FIELDS = ${JSON.stringify(RESPONSE_FIELDS)};
+  var widgets = [];
+
+  function invoke(name, arg) {
+    if (name && typeof window[name] === 'function') window[name](arg);
+  }
+
+  function solve(widget) {
+    if (!widget || widget.response) return;
+    if (TEST_KEYS[widget.provider][widget.siteKey] !== 'pass') {
+      invoke(widget.el.getAttribute('data-error-callback'), 'failed');
+      return;
+    }
+    widget.response = TOKENS[widget.provider];
+    widget.field.value = widget.response;
+    invoke(widget.el.getAttribute('data-callback'), widget.response);
+  }
+
+  function render(el, provider) {
+    if (typeof el === 'string') el = document.querySelector(el) || document.getElementById(el);
+    var widget = { id: widgets.length, el: el, provider: provider, siteKey: el.getAttribute('data-sitekey'), response: '' };
+
+    var field = document.createElement(provider === 'recaptcha' ? 'textarea' : 'input');
+    field.name = FIELDS[provider];
+    if (provider === 'recaptcha') field.style.display = 'none'; else field.type = 'hidden';
+    el.appendChild(field);
+    widget.field = field;
+    widgets.push(widget);
+
+    if (provider === 'recaptcha' && el.getAttribute('data-size') !== 'invisible') {
+      var frame = document.createElement('iframe');
+      frame.title = 'reCAPTCHA';
+      frame.width = '304';
+      frame.height = '78';
+      frame.style.border = '0';
+      frame.src = '/__stand-in${ANCHOR_PATH}?k=' + encodeURIComponent(widget.siteKey) + '&id=' + widget.id;
+      el.appendChild(frame);
+    } else if (provider === 'turnstile') {
+      // Turnstile runs its challenge on render
+      setTimeout(function () { solve(widget); }, 50);
+    }
+    return widget.id;
+  }
+
+  function pick(provider, id) {
+    if (id !== undefined) return widgets[id];
+    return widgets.filter(function (w) { return w.provider === provider; })[0];
+  }
+
+  function api(provider) {
+    return {
+      ready: function (callback) { setTimeout(callback, 0); },
+      render: function (el) { return render(el, provider); },
+      execute: function (id) {
+        var widget = pick(provider, id);
+        solve(widget);
+        return Promise.resolve(widget ? widget.response : '');
+      },
+      getResponse: function (id) {
+        var widget = pick(provider, id);
+        return widget ? widget.response : '';
+      },
+      reset: function (id) {
+        var widget = pick(provider, id);
+        if (!widget) return;
+        widget.response = '';
+        widget.field.value = '';
+      }
+    };
+  }
+
+  window.addEventListener('message', function (event) {
+    if (event.data && event.data.standInCaptcha === 'checked') solve(widgets[event.data.id]);
+  });
+
+  window.grecaptcha = api('recaptcha');
+  window.turnstile = api('turnstile');
+
+  document.querySelectorAll('.elementor-g-recaptcha[data-sitekey]').forEach(function (el) { render(el, 'recaptcha'); });
+  document.querySelectorAll('.cf-turnstile[data-sitekey]').forEach(function (el) { render(el, 'turnstile'); });
+})();`;
+}
+
+/**
+ * reCAPTCHA v2 checkbox frame (served at /__stand-in/recaptcha/api2/anchor)
+ * @param {URL} url - Request URL with k (site key) and id (widget id)
+ * @returns {string} HTML
+ */
+function renderRecaptchaAnchor(url) {
+  const id = parseInt(url.searchParams.get('id'), 10) || 0;
+  const testKey = getTestKeyBehaviour('recaptcha', url.searchParams.get('k')) !== null;
+
+  return `<!DOCTYPE html>
+<html>
+<body style="margin:0;font-family:sans-serif;font-size:14px">
+<div id="recaptcha-anchor" role="checkbox" aria-checked="false" tabindex="0" style="padding:24px 12px;border:1px solid #d3d3d3;cursor:pointer">I'm not a robot</div>
+${testKey ? '<div style="color:#d00;font-size:10px">This reCAPTCHA is for testing purposes only.</div>' : ''}
+<script>
+  var anchor = document.getElementById('recaptcha-anchor');
+  anchor.addEventListener('click', function () {
+    anchor.setAttribute('aria-checked', 'true');
+    parent.postMessage({ standInCaptcha: 'checked', id: ${id} }, '*');
+  });
+</script>
+</body>
+</html>`;
+}
+
+module.exports = {
+  SCRIPT_PATH,
+  ANCHOR_PATH,
+  getCaptchaWidgets,
+  renderCaptchaWidget,
+  verifyCaptchaTokens,
+  renderCaptchaScript,
+  renderRecaptchaAnchor
+};
@@ -0,0 +1,112 @@
+/**
+ * Stand-in Submissions REST API
+ *
+ * The part of Elementor Pro's `elementor/v1/form-submissions` REST API that the
+ * cleanup step uses, served by ElementorStandInServer from the submissions it
+ * accepted, so cleanup can be exercised offline exactly as against WordPress:
+ * - GET    /wp-json/elementor/v1/form-submissions?search=&status=&page=&per_page=
+ * - PUT    /wp-json/elementor/v1/form-submissions/<id>            { "is_read": true }
+ * - DELETE /wp-json/elementor/v1/form-submissions/<id>[?force=true]  trash, or delete for good
+ */
+
+const { getElementorFieldId } = require('../utils/form-definition');
+
+const SUBMISSIONS_PATH = '/wp-json/elementor/v1/form-submissions';
+
+/**
+ * Check WordPress application-password (Basic) authentication
+ * @param {string} header - Authorization header
+ * @param {Object|null} auth - Expected { user, password }, null for an open API
+ * @returns {boolean} Whether the request may proceed
+ */
+function isAuthorized(header, auth) {
+  if (!auth) {
+    return true;
+  }
+
+  const [scheme, encoded] = String(header || '').split(' ');
+  if (scheme !== 'Basic' || !encoded) {
+    return false;
+  }
+
+  const [user, ...password] = Buffer.from(encoded, 'base64').toString('utf8').split(':');
+  // WordPress accepts application passwords with or without their spaces
+  return user === auth.user && password.join(':').replace(/\s/g, '') === String(auth.password).replace(/\s/g, '');
+}
+
+/**
+ * WordPress REST error body
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @returns {Object} Error body
+ */
+function restError(code, message, status) {
+  return { code, message, data: { status } };
+}
+
+/**
+ * A recorded submission as the REST API lists it
+ * @param {Object} submission - Submission recorded by the stand-in
+ * @param {Object} form - Its form definition (optional)
+ * @returns {Object} REST submission
+ */
+function toRestSubmission(submission, form) {
+  const labels = {};
+  (form?.fields || []).forEach(field => { labels[getElementorFieldId(field)] = field.label || field.name; });
+
+  return {
+    id: submission.id,
+    type: 'submission',
+    post: { id: submission.postId || null },
+    form: { name: form?.name || submission.formId, element_id: submission.formId },
+    status: submission.status,
+    is_read: submission.isRead,
+    created_at_gmt: submission.receivedAt,
+    values: Object.entries(submission.formFields).map(([key, value]) => ({
+      key,
+      label: labels[key] || key,
+      value: [].concat(value).join(', ')
+    }))
+  };
+}
+
+/**
+ * Filter and page REST submissions like Elementor's list endpoint
+ * @param {Array<Object>} submissions - REST submissions
+ * @param {URLSearchParams} query - search, status (all | unread | read | trash), page, per_page
+ * @returns {Object} { data, meta: { pagination } }
+ */
+function listSubmissions(submissions, query) {
+  const search = (query.get('search') || '').toLowerCase();
+  const status = query.get('status') || 'all';
+  const perPage = Math.min(parseInt(query.get('per_page') || '10', 10), 100);
+  const page = Math.max(parseInt(query.get('page') || '1', 10), 1);
+
+  const matching = submissions.filter(submission => {
+    if (status === 'trash' ? submission.status !== 'trash' : submission.status === 'trash') return false;
+    if (status === 'read' && !submission.is_read) return false;
+    if (status === 'unread' && submission.is_read) return false;
+    return !search || submission.values.some(value => value.value.toLowerCase().includes(search));
+  });
+
+  return {
+    data: matching.slice((page - 1) * perPage, page * perPage),
+    meta: {
+      pagination: {
+        total: matching.length,
+        per_page: perPage,
+        current_page: page,
+        total_pages: Math.max(Math.ceil(matching.length / perPage), 1)
+      }
+    }
+  };
+}
+
+module.exports = {
+  SUBMISSIONS_PATH,
+  isAuthorized,
+  restError,
+  toRestSubmission,
+  listSubmissions
+};
@@ -0,0 +1,127 @@
+/**
+ * Submission Stores
+ *
+ * Where a site keeps the form submissions the cleanup step removes again.
+ * Every store implements:
+ *   find(marker)   → Promise<Array<submission>>   stored submissions mentioning the marker
+ *   remove(id)     → Promise<void>                 delete a submission
+ *   markRead(id)   → Promise<void>                 mark a submission as read
+ *
+ * A submission is { id, formId, createdAt, isRead, values: { key: value } }.
+ *
+ * Built in:
+ * - wp-rest: Elementor Pro's form-submissions REST API, authenticated with a
+ *   WordPress application password (also served by the stand-in)
+ *
+ * Register your own (e.g. Flamingo, a CRM) with registerSubmissionStore('name', options => store).
+ */
+
+const storeFactories = new Map();
+
+/**
+ * Register (or replace) a submission store type
+ * @param {string} type - Store type
+ * @param {Function} factory - (options) => store with find(), remove() and markRead()
+ */
+function registerSubmissionStore(type, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error(`Submission store '${type}' needs a factory function`);
+  }
+  storeFactories.set(type, factory);
+}
+
+/**
+ * Create a submission store
+ * @param {Object} options - { type, ...store options }
+ * @returns {Object} Store
+ */
+function createSubmissionStore(options = {}) {
+  const factory = storeFactories.get(options.type);
+  if (!factory) {
+    throw new Error(`Unknown submission store '${options.type}'. Available: ${Array.from(storeFactories.keys()).join(', ')}`);
+  }
+
+  const store = factory(options);
+  for (const method of ['find', 'remove', 'markRead']) {
+    if (typeof store[method] !== 'function') {
+      throw new Error(`Submission store '${options.type}' does not implement ${method}()`);
+    }
+  }
+
+  return { type: options.type, ...store };
+}
+
+/**
+ * Create the submission store configured through the environment, if any
+ *   SUBMISSION_STORE=wp-rest WP_URL=https://staging.example WP_USER=... WP_APP_PASSWORD=...
+ * @param {Object} env - Environment (default: process.env)
+ * @param {string} defaultUrl - Site URL when WP_URL is not set (e.g. the customer's base URL)
+ * @returns {Object|null} Store, null when SUBMISSION_STORE is not set
+ */
+function createSubmissionStoreFromEnv(env = process.env, defaultUrl) {
+  switch (env.SUBMISSION_STORE) {
+    case undefined:
+    case '':
+      return null;
+    case 'wp-rest':
+      return createSubmissionStore({
+        type: 'wp-rest',
+        url: env.WP_URL || defaultUrl,
+        user: env.WP_USER,
+        password: env.WP_APP_PASSWORD
+      });
+    default:
+      return createSubmissionStore({ type: env.SUBMISSION_STORE });
+  }
+}
+
+registerSubmissionStore('wp-rest', ({ url, user, password, perPage = 100 }) => {
+  if (!url) {
+    throw new Error("Submission store 'wp-rest' needs the site URL (WP_URL)");
+  }
+
+  const endpoint = `${url.replace(/\/$/, '')}/wp-json/elementor/v1/form-submissions`;
+  const headers = { 'Content-Type': 'application/json' };
+  if (user) {
+    headers.Authorization = `Basic ${Buffer.from(`${user}:${password || ''}`).toString('base64')}`;
+  }
+
+  const request = async (path, init = {}) => {
+    const response = await fetch(`${endpoint}${path}`, { ...init, headers });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`WordPress REST API answered ${response.status}${body.message ? `: ${body.message}` : ''}`);
+    }
+    return body;
+  };
+
+  return {
+    find: async (marker) => {
+      const submissions = [];
+      for (let page = 1, pages = 1; page <= pages; page++) {
+        const { data = [], meta } = await request(`?search=${encodeURIComponent(marker)}&per_page=${perPage}&page=${page}`);
+        pages = meta?.pagination?.total_pages || 1;
+        submissions.push(...data.map(item => ({
+          id: item.id,
+          formId: item.form?.element_id || null,
+          createdAt: item.created_at_gmt || item.created_at || null,
+          isRead: !!item.is_read,
+          values: Object.fromEntries((item.values || []).map(value => [value.key, value.value]))
+        })));
+      }
+      return submissions;
+    },
+    remove: async (id) => {
+      await request(`/${id}?force=true`, { method: 'DELETE' });
+    },
+    markRead: async (id) => {
+      await request(`/${id}`, { method: 'PUT', body: JSON.stringify({ is_read: true }) });
+    }
+  };
+});
+
+module.exports = {
+  registerSubmissionStore,
+  createSubmissionStore,
+  createSubmissionStoreFromEnv
+};
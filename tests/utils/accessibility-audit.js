@@ -0,0 +1,282 @@
+/**
+ * Accessibility Audit
+ *
+ * WCAG checks for a form's fields, evaluated on what BasePage reads from the
+ * page (getAccessibilityInfo, getTabOrder, getTextColors). AccessibilityAudit
+ * runs them against a live form; the checks themselves are pure so they can be
+ * tested without a browser.
+ *
+ * Every violation is { field, rule, wcag, message }; field is the field name
+ * from forms-list.json, SUBMIT_STOP for the submit button or FORM_STOP for the
+ * form-level message.
+ */
+
+const RULES = {
+  'label': { wcag: '1.3.1, 4.1.2', description: 'Field has an associated label' },
+  'aria-required': { wcag: '3.3.2', description: 'Required state is announced' },
+  'error-description': { wcag: '3.3.1', description: 'Error message is linked to its field' },
+  'focus-order': { wcag: '2.4.3', description: 'Tab order follows the form' },
+  'keyboard': { wcag: '2.1.1', description: 'Form can be submitted with the keyboard only' },
+  'error-contrast': { wcag: '1.4.3', description: 'Error text has enough colour contrast' }
+};
+
+const SUBMIT_STOP = '(submit)';
+const FORM_STOP = '(form)';
+
+const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+
+/**
+ * Build a violation
+ * @param {string} field - Field name
+ * @param {string} rule - Key of RULES
+ * @param {string} message - What is wrong
+ * @returns {Object} Violation
+ */
+function violation(field, rule, message) {
+  return { field, rule, wcag: RULES[rule].wcag, message };
+}
+
+/**
+ * Parse a computed CSS colour ('rgb(…)', 'rgba(…)' or '#rrggbb')
+ * @param {string} value - Colour
+ * @returns {Object|null} { r, g, b, a } or null when it can't be read
+ */
+function parseColor(value) {
+  const text = String(value || '').trim().toLowerCase();
+
+  const hex = text.match(/^#([0-9a-f]{6})$/);
+  if (hex) {
+    const number = parseInt(hex[1], 16);
+    return { r: number >> 16, g: (number >> 8) & 255, b: number & 255, a: 1 };
+  }
+
+  const rgb = text.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+%?))?\s*\)$/);
+  if (!rgb) {
+    return null;
+  }
+  const alpha = rgb[4] === undefined ? 1 : rgb[4].endsWith('%') ? parseFloat(rgb[4]) / 100 : parseFloat(rgb[4]);
+  return { r: Number(rgb[1]), g: Number(rgb[2]), b: Number(rgb[3]), a: alpha };
+}
+
+/**
+ * Paint a (possibly translucent) colour over an opaque one
+ * @param {Object} top - { r, g, b, a }
+ * @param {Object} bottom - Opaque { r, g, b }
+ * @returns {Object} Opaque { r, g, b, a: 1 }
+ */
+function blend(top, bottom) {
+  const mix = channel => top[channel] * top.a + bottom[channel] * (1 - top.a);
+  return { r: mix('r'), g: mix('g'), b: mix('b'), a: 1 };
+}
+
+/**
+ * Effective background from the background colours of an element and its ancestors
+ * @param {Array<string>} layers - Computed background colours, innermost first
+ * @returns {Object} Opaque { r, g, b, a: 1 } (white below the page)
+ */
+function resolveBackground(layers) {
+  return layers
+    .map(parseColor)
+    .filter(color => color && color.a > 0)
+    .reduceRight((below, color) => blend(color, below), WHITE);
+}
+
+/**
+ * WCAG relative luminance
+ * @param {Object} color - { r, g, b }
+ * @returns {number} 0 (black) to 1 (white)
+ */
+function relativeLuminance({ r, g, b }) {
+  const linear = channel => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+/**
+ * WCAG contrast ratio of text over a background
+ * @param {Object} foreground - Text colour { r, g, b, a }
+ * @param {Object} background - Opaque background colour
+ * @returns {number} 1 to 21
+ */
+function contrastRatio(foreground, background) {
+  const text = foreground.a < 1 ? blend(foreground, background) : foreground;
+  const [light, dark] = [relativeLuminance(text), relativeLuminance(background)].sort((a, b) => b - a);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+/**
+ * Minimum contrast for text: 3:1 for large text (24px, or 18.66px bold), 4.5:1 otherwise
+ * @param {number} fontSize - Font size in px
+ * @param {number} fontWeight - Numeric font weight
+ * @returns {number} Required ratio
+ */
+function minimumContrast(fontSize, fontWeight = 400) {
+  const large = fontSize >= 24 || (fontSize >= 18.66 && fontWeight >= 700);
+  return large ? 3 : 4.5;
+}
+
+/**
+ * @param {Object} color - { r, g, b }
+ * @returns {string} '#rrggbb'
+ */
+function toHex({ r, g, b }) {
+  return `#${[r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Label and required-state checks for one field
+ * @param {Object} field - Field definition
+ * @param {Array<Object>} controls - BasePage#getAccessibilityInfo() of the field's selector
+ *   (one entry, or one per option for checkbox/radio fields)
+ * @returns {Array<Object>} Violations
+ */
+function checkFieldAccessibility(field, controls) {
+  if (controls.length === 0) {
+    return [violation(field.name, 'label', 'Field not found on the page')];
+  }
+
+  const violations = [];
+  const isGroup = field.type === 'checkbox' || field.type === 'radio';
+
+  if (isGroup) {
+    controls.filter(control => !control.accessibleName).forEach(control => {
+      violations.push(violation(field.name, 'label', `Option '${control.value}' has no label`));
+    });
+    if (!controls[0].groupName) {
+      violations.push(violation(field.name, 'label',
+        'Options are not grouped under the field label (fieldset with legend, or role="group" with aria-labelledby)'));
+    }
+  } else if (!controls[0].accessibleName) {
+    violations.push(violation(field.name, 'label',
+      'No associated label (label[for], aria-label or aria-labelledby; a placeholder does not count)'));
+  }
+
+  const announced = isGroup
+    ? controls[0].groupRequired || controls.some(control => control.required || control.ariaRequired)
+    : controls[0].required || controls[0].ariaRequired;
+  if (field.required && !announced) {
+    violations.push(violation(field.name, 'aria-required', 'Required, but not announced: add aria-required="true" (or required)'));
+  } else if (!field.required && announced) {
+    violations.push(violation(field.name, 'aria-required', 'Optional, but announced as required'));
+  }
+
+  return violations;
+}
+
+/**
+ * Link and contrast checks for the error message shown at a field
+ * @param {string} name - Field name, or FORM_STOP for the form-level message
+ * @param {Object} error - { text, colors } with colors from BasePage#getTextColors()
+ * @param {Object} control - BasePage#getAccessibilityInfo() of the field (not for FORM_STOP)
+ * @returns {Array<Object>} Violations
+ */
+function checkErrorAccessibility(name, error, control = null) {
+  const violations = [];
+
+  if (control) {
+    if (!control.description.includes(error.text)) {
+      violations.push(violation(name, 'error-description',
+        `Error '${error.text}' is not linked to the field with aria-describedby (or aria-errormessage)`));
+    }
+    if (!control.ariaInvalid) {
+      violations.push(violation(name, 'error-description', 'Field with an error is not marked aria-invalid="true"'));
+    }
+  }
+
+  const foreground = parseColor(error.colors?.color);
+  if (foreground) {
+    const background = resolveBackground(error.colors.backgrounds || []);
+    const ratio = contrastRatio(foreground, background);
+    const required = minimumContrast(error.colors.fontSize, error.colors.fontWeight);
+    if (ratio < required) {
+      violations.push(violation(name, 'error-contrast',
+        `Error text contrast ${ratio.toFixed(2)}:1 (${toHex(blend(foreground, background))} on ${toHex(background)}), needs ${required}:1`));
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Focus order checks
+ * @param {Array<string>} expected - Stops in form order: field names, then SUBMIT_STOP
+ * @param {Array<Object>} tabOrder - BasePage#getTabOrder() entries { stop, tabIndex }
+ * @returns {Array<Object>} Violations
+ */
+function checkFocusOrder(expected, tabOrder) {
+  const violations = [];
+  const reached = tabOrder.map(entry => entry.stop);
+  let previous = null;
+
+  for (const stop of expected) {
+    const position = reached.indexOf(stop);
+    if (position === -1) {
+      violations.push(stop === SUBMIT_STOP
+        ? violation(stop, 'keyboard', 'Submit button cannot be reached with Tab')
+        : violation(stop, 'focus-order', 'Cannot be reached with Tab'));
+      continue;
+    }
+    if (previous && position < previous.position) {
+      violations.push(violation(stop, 'focus-order', `Receives focus before '${previous.stop}'`));
+    }
+    previous = { stop, position };
+  }
+
+  const positive = new Map();
+  tabOrder.filter(entry => entry.stop && entry.tabIndex > 0 && !positive.has(entry.stop))
+    .forEach(entry => positive.set(entry.stop, entry.tabIndex));
+  positive.forEach((tabIndex, stop) => {
+    violations.push(violation(stop, 'focus-order', `Positive tabindex ${tabIndex} overrides the page order`));
+  });
+
+  return violations;
+}
+
+/**
+ * Group violations by field, in the order given
+ * @param {Array<Object>} violations - Violations
+ * @param {Array<string>} fields - Field names (fields without violations get an empty list)
+ * @returns {Object} Violations keyed by field
+ */
+function groupViolationsByField(violations, fields = []) {
+  const byField = Object.fromEntries(fields.map(field => [field, []]));
+  violations.forEach(entry => {
+    (byField[entry.field] = byField[entry.field] || []).push(entry);
+  });
+  return byField;
+}
+
+/**
+ * Readable audit result, one line per field
+ * @param {Object} report - AccessibilityAudit#run() result
+ * @returns {string} Text
+ */
+function formatAuditReport(report) {
+  const lines = [`♿ Accessibility audit of ${report.form}: ${report.violations.length} violation(s)`];
+
+  Object.entries(report.byField).forEach(([field, violations]) => {
+    lines.push(`   ${violations.length === 0 ? '✅' : '❌'} ${field}`);
+    violations.forEach(entry => lines.push(`      - [${entry.rule}, WCAG ${entry.wcag}] ${entry.message}`));
+  });
+  (report.notes || []).forEach(note => lines.push(`   ℹ️  ${note}`));
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  RULES,
+  SUBMIT_STOP,
+  FORM_STOP,
+  violation,
+  parseColor,
+  resolveBackground,
+  contrastRatio,
+  minimumContrast,
+  checkFieldAccessibility,
+  checkErrorAccessibility,
+  checkFocusOrder,
+  groupViolationsByField,
+  formatAuditReport
+};
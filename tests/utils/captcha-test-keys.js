@@ -0,0 +1,132 @@
+/**
+ * CAPTCHA Test Keys
+ *
+ * Site keys published by Google, Cloudflare and hCaptcha for automated tests.
+ * Configure the customer's staging site with an always-pass key (and the matching
+ * test secret) instead of bypassing the widget.
+ *
+ * - reCAPTCHA: https://developers.google.com/recaptcha/docs/faq#id-like-to-run-automated-tests-with-recaptcha.-what-should-i-do
+ * - Turnstile: https://developers.cloudflare.com/turnstile/troubleshooting/testing/
+ * - hCaptcha:  https://docs.hcaptcha.com/#integration-testing-test-keys
+ */
+
+const CAPTCHA_PROVIDERS = {
+  RECAPTCHA: 'recaptcha',
+  TURNSTILE: 'turnstile',
+  HCAPTCHA: 'hcaptcha'
+};
+
+/**
+ * Behaviour per published test site key: pass, block or interactive (challenge shown)
+ */
+const TEST_SITE_KEYS = {
+  recaptcha: {
+    '6LeIxAcTAAAAAJcZVRqyHh71UMIEGNQ_MXjiZKhI': 'pass'
+  },
+  turnstile: {
+    '1x00000000000000000000AA': 'pass',
+    '1x00000000000000000000BB': 'pass',
+    '2x00000000000000000000AB': 'block',
+    '2x00000000000000000000BB': 'block',
+    '3x00000000000000000000FF': 'interactive'
+  },
+  hcaptcha: {
+    '10000000-ffff-ffff-ffff-000000000001': 'pass'
+  }
+};
+
+/**
+ * Response tokens produced by the test keys (reCAPTCHA's token is opaque)
+ */
+const TEST_TOKENS = {
+  turnstile: 'XXXX.DUMMY.TOKEN.XXXX',
+  hcaptcha: '10000000-aaaa-bbbb-cccc-000000000001'
+};
+
+/**
+ * Form field the widget writes its response token to
+ */
+const RESPONSE_FIELDS = {
+  recaptcha: 'g-recaptcha-response',
+  turnstile: 'cf-turnstile-response',
+  hcaptcha: 'h-captcha-response'
+};
+
+/**
+ * Guess the provider from the shape of a site key
+ * @param {string} siteKey - Site key
+ * @returns {string|null} Provider (see CAPTCHA_PROVIDERS)
+ */
+function inferProvider(siteKey) {
+  if (/^[0-3]x[0-9A-Za-z_-]{20,}$/.test(siteKey)) return CAPTCHA_PROVIDERS.TURNSTILE;
+  if (/^6L[0-9A-Za-z_-]{38}$/.test(siteKey)) return CAPTCHA_PROVIDERS.RECAPTCHA;
+  if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(siteKey)) return CAPTCHA_PROVIDERS.HCAPTCHA;
+  return null;
+}
+
+/**
+ * @param {string} provider - Provider
+ * @param {string} siteKey - Site key
+ * @returns {string|null} 'pass', 'block', 'interactive' or null for a real key
+ */
+function getTestKeyBehaviour(provider, siteKey) {
+  return TEST_SITE_KEYS[provider]?.[siteKey] || null;
+}
+
+/**
+ * @param {string} provider - Provider
+ * @param {string} siteKey - Site key
+ * @returns {boolean} True for any published test key
+ */
+function isTestSiteKey(provider, siteKey) {
+  return getTestKeyBehaviour(provider, siteKey) !== null;
+}
+
+/**
+ * First always-pass test key of a provider
+ * @param {string} provider - Provider
+ * @returns {string} Site key
+ */
+function getDefaultTestSiteKey(provider) {
+  const entry = Object.entries(TEST_SITE_KEYS[provider] || {}).find(([, behaviour]) => behaviour === 'pass');
+  if (!entry) {
+    throw new Error(`No test site key known for CAPTCHA provider '${provider}'`);
+  }
+  return entry[0];
+}
+
+/**
+ * Throw unless a detected widget uses a published test key. Skipped in production,
+ * where the real key is expected.
+ * @param {Object|null} widget - { provider, siteKey } as detected on the page
+ * @param {string} environment - Environment name (default: NODE_ENV or 'test')
+ * @returns {boolean} True when a test key was asserted, false in production
+ */
+function assertTestSiteKey(widget, environment = process.env.NODE_ENV || 'test') {
+  if (environment === 'production') {
+    return false;
+  }
+
+  if (!widget?.siteKey) {
+    throw new Error('No CAPTCHA widget with a data-sitekey found on the page');
+  }
+
+  if (!isTestSiteKey(widget.provider, widget.siteKey)) {
+    throw new Error(`Site key ${widget.siteKey} is not a published ${widget.provider || 'CAPTCHA'} test key. ` +
+      `Configure the ${environment} site with ${getDefaultTestSiteKey(widget.provider || CAPTCHA_PROVIDERS.RECAPTCHA)}.`);
+  }
+
+  return true;
+}
+
+module.exports = {
+  CAPTCHA_PROVIDERS,
+  TEST_SITE_KEYS,
+  TEST_TOKENS,
+  RESPONSE_FIELDS,
+  inferProvider,
+  getTestKeyBehaviour,
+  isTestSiteKey,
+  getDefaultTestSiteKey,
+  assertTestSiteKey
+};
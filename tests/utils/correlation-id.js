@@ -0,0 +1,103 @@
+/**
+ * Correlation IDs
+ *
+ * Every synthetic submission carries an ID that ties it to the test (and run)
+ * that produced it, so test leads in a real inbox, CRM or the WordPress
+ * submissions list can be traced back, verified and cleaned up.
+ *
+ * The ID is created once per test, recorded as a `correlation-id` annotation
+ * (and so in the JSON report) and stamped into the customer's correlation field:
+ * appended to a non-empty message, or written into a hidden field.
+ */
+
+const crypto = require('crypto');
+const { currentTestInfo, annotate, getAnnotations } = require('./test-annotations');
+
+const ANNOTATION_TYPE = 'correlation-id';
+const DEFAULT_PREFIX = 'E2E';
+
+const idsByTest = new WeakMap();
+let processId = null;
+
+/**
+ * Create a new correlation ID
+ * @param {string} prefix - ID prefix (default: 'E2E')
+ * @returns {string} e.g. 'E2E-m1x2y3z4-9f86d0'
+ */
+function createCorrelationId(prefix = DEFAULT_PREFIX) {
+  return `${prefix}-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Correlation ID of the running test, created and recorded on first use
+ * Outside a test (scripts, setup) one ID per process is used.
+ * @param {Object} options - { prefix, testInfo }
+ * @returns {string} Correlation ID
+ */
+function getCorrelationId(options = {}) {
+  const testInfo = options.testInfo || currentTestInfo();
+
+  if (!testInfo) {
+    processId = processId || createCorrelationId(options.prefix);
+    return processId;
+  }
+
+  if (!idsByTest.has(testInfo)) {
+    const id = createCorrelationId(options.prefix);
+    idsByTest.set(testInfo, id);
+    annotate(ANNOTATION_TYPE, id, testInfo);
+    console.log(`🔖 Correlation ID for "${testInfo.title}": ${id}`);
+  }
+
+  return idsByTest.get(testInfo);
+}
+
+/**
+ * Correlation IDs recorded on a test result (annotations from the JSON report)
+ * @param {Array<Object>} annotations - Result or test annotations
+ * @returns {Array<string>} IDs
+ */
+function getRecordedCorrelationIds(annotations = []) {
+  return getAnnotations(annotations, ANNOTATION_TYPE);
+}
+
+/**
+ * Copy of form data with the correlation ID stamped into the target field
+ * Text fields only get the ID when they already have a value, so tests for
+ * empty required fields keep testing an empty field.
+ * @param {Object} data - Form data keyed by field name or alias
+ * @param {string} id - Correlation ID
+ * @param {Object} field - Target field definition ({ name, aliases, type })
+ * @returns {Object} Form data carrying the ID (unchanged when nothing was stamped)
+ */
+function stampCorrelationId(data, id, field) {
+  if (!id || !field) {
+    return data;
+  }
+
+  // Stamp every key the data uses for the field (name and aliases) so all fillers agree
+  const keys = [field.name, ...(field.aliases || [])].filter(key => data[key] !== undefined);
+
+  if (field.type === 'hidden') {
+    const stamped = { ...data };
+    (keys.length > 0 ? keys : [field.name]).forEach(key => { stamped[key] = id; });
+    return stamped;
+  }
+
+  const stamped = { ...data };
+  for (const key of keys) {
+    const value = data[key];
+    if (typeof value === 'string' && value !== '' && !value.includes(id)) {
+      stamped[key] = `${value}\n\nRef: ${id}`;
+    }
+  }
+  return stamped;
+}
+
+module.exports = {
+  ANNOTATION_TYPE,
+  createCorrelationId,
+  getCorrelationId,
+  getRecordedCorrelationIds,
+  stampCorrelationId
+};
@@ -0,0 +1,67 @@
+/**
+ * Customer Registry
+ *
+ * Every directory under customers/ with a customer.json is a customer.
+ * Onboarding a new agency client means dropping in a folder with
+ * customer.json, forms/forms-list.json, data/test-data.json and tests/.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CUSTOMERS_DIR = path.join(__dirname, '../../customers');
+
+/**
+ * Get a customer's directory
+ * @param {string} customer - Customer name
+ * @returns {string} Absolute path
+ */
+function getCustomerDir(customer) {
+  return path.join(CUSTOMERS_DIR, customer);
+}
+
+/**
+ * List all registered customers
+ * @returns {Array<string>} Customer names, sorted
+ */
+function listCustomers() {
+  if (!fs.existsSync(CUSTOMERS_DIR)) {
+    return [];
+  }
+
+  return fs.readdirSync(CUSTOMERS_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .filter(name => fs.existsSync(path.join(CUSTOMERS_DIR, name, 'customer.json')))
+    .sort();
+}
+
+/**
+ * Load a customer's customer.json
+ * @param {string} customer - Customer name
+ * @returns {Object} Customer definition
+ */
+function loadCustomer(customer) {
+  const file = path.join(getCustomerDir(customer), 'customer.json');
+  if (!fs.existsSync(file)) {
+    throw new Error(`Unknown customer '${customer}': ${file} not found. Registered: ${listCustomers().join(', ') || 'none'}`);
+  }
+
+  const definition = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return {
+    name: customer,
+    baseUrlEnv: `${customer.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_BASE_URL`,
+    locale: 'en',
+    forms: {},
+    messages: {},
+    security: {},
+    ...definition
+  };
+}
+
+module.exports = {
+  CUSTOMERS_DIR,
+  getCustomerDir,
+  listCustomers,
+  loadCustomer
+};
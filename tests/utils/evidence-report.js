@@ -0,0 +1,138 @@
+/**
+ * Evidence Report
+ *
+ * Renders the evidence EvidenceCollector gathered for one test as a single
+ * HTML file without external assets, to send to a customer: the screenshots
+ * in order (embedded as data URIs), the values in the form, the admin-ajax
+ * requests and responses, console errors and the final outcome.
+ * Nonces and captcha tokens are never rendered.
+ */
+
+const { escapeHtml } = require('./html-escape');
+
+const STATUS_CLASSES = { passed: 'good', failed: 'bad', timedOut: 'bad', interrupted: 'bad', skipped: 'none' };
+
+/**
+ * @param {Object} values - Values by field
+ * @returns {string} Table rows
+ */
+function renderValueRows(values) {
+  return Object.entries(values || {}).map(([field, value]) =>
+    `<tr><th>${escapeHtml(field)}</th><td>${escapeHtml(Array.isArray(value) ? value.join(', ') : value ?? '')}</td></tr>`).join('\n');
+}
+
+/**
+ * A captured submission without its nonce and captcha tokens
+ * @param {Object} submission - { url, timestamp, request, response } from setupNetworkMonitoring()
+ * @param {number} index - Position in the test
+ * @returns {string} HTML
+ */
+function renderSubmission(submission, index) {
+  const request = submission.request || {};
+  const response = submission.response;
+  const captcha = Object.keys(request.captcha || {});
+  const errors = Object.entries(response?.errors || {});
+
+  return `<section class="submission">
+<h3>Submission ${index + 1} <span class="meta">${escapeHtml(submission.timestamp || '')} · POST ${escapeHtml(submission.url || '')}</span></h3>
+<table>
+<tr><th>action</th><td>${escapeHtml(request.action ?? '')}</td></tr>
+<tr><th>form_id</th><td>${escapeHtml(request.formId ?? '')}</td></tr>
+<tr><th>post_id</th><td>${escapeHtml(request.postId ?? '')}</td></tr>
+<tr><th>nonce</th><td>${request.nonce ? 'sent (hidden)' : 'not sent'}</td></tr>
+<tr><th>captcha</th><td>${captcha.length > 0 ? `${escapeHtml(captcha.join(', '))} (tokens hidden)` : 'none'}</td></tr>
+${renderValueRows(request.formFields)}
+</table>
+${request.error ? `<p class="bad">Body could not be parsed: ${escapeHtml(request.error)}</p>` : ''}
+<h4>Response</h4>
+${response ? `<table>
+<tr><th>HTTP status</th><td class="${response.status >= 200 && response.status < 300 ? 'good' : 'bad'}">${escapeHtml(response.status)}</td></tr>
+<tr><th>success</th><td>${escapeHtml(response.success)}</td></tr>
+<tr><th>message</th><td>${escapeHtml(response.message ?? '')}</td></tr>
+${errors.map(([field, message]) => `<tr><th>error: ${escapeHtml(field)}</th><td>${escapeHtml(message)}</td></tr>`).join('\n')}
+</table>
+<details><summary>Response body</summary><pre>${escapeHtml(JSON.stringify(response.json, null, 2))}</pre></details>` : '<p class="bad">No response received</p>'}
+</section>`;
+}
+
+/**
+ * HTML evidence report of one test
+ * @param {Object} evidence - { title, project, customer, file, status, outcome, error, correlationIds,
+ *   startedAt, generatedAt, screenshots: [{ step, name, capturedAt, data (base64 PNG) }],
+ *   fieldValues: [{ label, at, values }], submissions, consoleErrors: [{ type, text, location, at }] }
+ * @returns {string} HTML
+ */
+function renderEvidenceReport(evidence) {
+  const status = evidence.status || 'unknown';
+  const title = escapeHtml(evidence.title || 'Form test');
+  const screenshots = evidence.screenshots || [];
+  const fieldValues = evidence.fieldValues || [];
+  const submissions = evidence.submissions || [];
+  const consoleErrors = evidence.consoleErrors || [];
+
+  const screenshotFigures = screenshots.map(shot => `<figure>
+<figcaption>${escapeHtml(shot.step)}. ${escapeHtml(shot.name)} <span class="meta">${escapeHtml(shot.capturedAt || '')}</span></figcaption>
+<img src="data:image/png;base64,${shot.data}" alt="${escapeHtml(shot.name)}">
+</figure>`).join('\n');
+
+  const valueTables = fieldValues.map(entry => `<h3>${escapeHtml(entry.label)} <span class="meta">${escapeHtml(entry.at || '')}</span></h3>
+<table>
+${renderValueRows(entry.values) || '<tr><td>No fields found</td></tr>'}
+</table>`).join('\n');
+
+  const consoleRows = consoleErrors.map(entry => `<tr>
+  <td>${escapeHtml(entry.at || '')}</td><td>${escapeHtml(entry.type)}</td><td><code>${escapeHtml(entry.text)}</code></td><td>${escapeHtml(entry.location || '')}</td>
+</tr>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Test evidence - ${title}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; max-width: 1100px; }
+  h1 { margin-bottom: 0.2rem; }
+  .meta { color: #666; font-size: 0.85rem; font-weight: normal; }
+  .cards { display: flex; flex-wrap: wrap; gap: 1rem; margin: 1.5rem 0 2rem; }
+  .card { border: 1px solid #ddd; border-radius: 6px; padding: 0.8rem 1.2rem; }
+  .card b { display: block; font-size: 1.3rem; }
+  table { border-collapse: collapse; margin-bottom: 1.5rem; font-size: 0.9rem; }
+  th, td { border: 1px solid #ddd; padding: 0.3rem 0.5rem; text-align: left; vertical-align: top; }
+  th { background: #f5f5f5; font-weight: 600; }
+  .good { background: #d9f2e1; } .bad { background: #f8d0d0; } .none { background: #eee; }
+  figure { margin: 0 0 2rem; } figcaption { font-weight: 600; margin-bottom: 0.4rem; }
+  img { max-width: 100%; border: 1px solid #ddd; }
+  pre { background: #f5f5f5; padding: 0.8rem; overflow-x: auto; white-space: pre-wrap; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<div class="meta">${escapeHtml([evidence.customer, evidence.file, evidence.project].filter(Boolean).join(' · '))}${evidence.startedAt ? ` · started ${escapeHtml(evidence.startedAt)}` : ''}</div>
+
+<div class="cards">
+  <div class="card ${STATUS_CLASSES[status] || 'none'}">Result<b>${escapeHtml(status)}</b></div>
+  <div class="card ${evidence.outcome ? (evidence.outcome === 'SUCCESS' ? 'good' : 'bad') : 'none'}">Submission outcome<b>${escapeHtml(evidence.outcome || 'not captured')}</b></div>
+  <div class="card">Correlation ID<b>${escapeHtml((evidence.correlationIds || []).join(', ') || '-')}</b></div>
+  <div class="card ${consoleErrors.length > 0 ? 'bad' : ''}">Console errors<b>${consoleErrors.length}</b></div>
+</div>
+${evidence.error ? `<h2>Error</h2>\n<pre>${escapeHtml(evidence.error)}</pre>` : ''}
+
+<h2>Screenshots</h2>
+${screenshotFigures || '<p>No screenshots</p>'}
+
+<h2>Form values</h2>
+${valueTables || '<p>No form values recorded</p>'}
+
+<h2>Submissions</h2>
+${submissions.map(renderSubmission).join('\n') || '<p>No submission captured</p>'}
+
+<h2>Console errors</h2>
+${consoleRows ? `<table>\n<tr><th>Time</th><th>Type</th><th>Message</th><th>Location</th></tr>\n${consoleRows}\n</table>` : '<p>No console errors</p>'}
+
+<div class="meta">Generated ${escapeHtml(evidence.generatedAt || new Date().toISOString())}</div>
+</body>
+</html>
+`;
+}
+
+module.exports = { renderEvidenceReport };
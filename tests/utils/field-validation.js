@@ -0,0 +1,117 @@
+/**
+ * Field Validation Rules
+ *
+ * The validation rules a WordPress/Elementor Pro form applies server-side,
+ * derived from a forms-list.json definition. Shared by the local stand-in
+ * server (to answer like the real site) and the scenario loader (to predict
+ * the expected outcome of a data set).
+ */
+
+const { getElementorFieldId } = require('./form-definition');
+
+// WHATWG email syntax (what type="email" accepts) ...
+const HTML5_EMAIL_PATTERN = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
+// ... plus WordPress' is_email() requirement of a dotted domain
+const DOTTED_DOMAIN_PATTERN = /@[^@]+\.[^@.]+$/;
+
+/**
+ * Check an email address the way WordPress' is_email() does
+ * @param {string} value - Email address
+ * @returns {boolean} True if valid
+ */
+function isValidEmail(value) {
+  return HTML5_EMAIL_PATTERN.test(value) && DOTTED_DOMAIN_PATTERN.test(value);
+}
+
+/**
+ * Check if a submitted value is empty
+ * @param {*} value - String or array of options
+ * @returns {boolean} True if empty
+ */
+function isEmptyValue(value) {
+  if (Array.isArray(value)) return value.length === 0;
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Get the field error texts for a form, preferring the texts in its definition
+ * @param {Object} form - Form definition
+ * @returns {Object} { required, invalidEmail, invalidOption }
+ */
+function getFieldErrorTexts(form) {
+  const fieldErrors = form.messages?.field_errors || {};
+  return {
+    required: fieldErrors.required_text || 'Dit veld is verplicht',
+    invalidEmail: fieldErrors.invalid_email_text || 'Voer een geldig emailadres in',
+    invalidOption: form.messages?.error?.expected_text || 'Er is een fout opgetreden'
+  };
+}
+
+/**
+ * The validation rules a set of values breaks, at most one per field
+ * (required before email syntax before allowed options)
+ * @param {Object} form - Form definition
+ * @param {Object} values - Values keyed by field name
+ * @returns {Array<Object>} { field, rule: 'required' | 'email' | 'option', message }
+ */
+function getRuleViolations(form, values) {
+  const texts = getFieldErrorTexts(form);
+  const violations = [];
+
+  for (const field of form.fields || []) {
+    const value = values[field.name];
+    const empty = isEmptyValue(value);
+
+    if (field.required && empty) {
+      violations.push({ field: field.name, rule: 'required', message: texts.required });
+    } else if (field.type === 'email' && !empty && !isValidEmail(String(value))) {
+      violations.push({ field: field.name, rule: 'email', message: texts.invalidEmail });
+    } else if (field.options && !empty) {
+      const unknown = [].concat(value).filter(option => !field.options.includes(option));
+      if (unknown.length > 0) {
+        violations.push({ field: field.name, rule: 'option', message: texts.invalidOption });
+      }
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Validate values against a form definition
+ * @param {Object} form - Form definition
+ * @param {Object} values - Values keyed by field name
+ * @returns {Object} Error texts keyed by field name (empty when valid)
+ */
+function validateFormData(form, values) {
+  return Object.fromEntries(getRuleViolations(form, values).map(violation => [violation.field, violation.message]));
+}
+
+/**
+ * Validate values keyed by Elementor field id (as posted to admin-ajax.php)
+ * @param {Object} form - Form definition
+ * @param {Object} formFields - Values keyed by Elementor field id
+ * @returns {Object} Error texts keyed by Elementor field id
+ */
+function validateElementorFields(form, formFields) {
+  const values = {};
+  (form.fields || []).forEach(field => {
+    values[field.name] = formFields[getElementorFieldId(field)];
+  });
+
+  const errors = {};
+  for (const [name, message] of Object.entries(validateFormData(form, values))) {
+    const field = form.fields.find(f => f.name === name);
+    errors[getElementorFieldId(field)] = message;
+  }
+  return errors;
+}
+
+module.exports = {
+  isValidEmail,
+  isEmptyValue,
+  getFieldErrorTexts,
+  getRuleViolations,
+  validateFormData,
+  validateElementorFields
+};
@@ -0,0 +1,111 @@
+/**
+ * Form Body Parser
+ *
+ * Parses urlencoded and multipart/form-data bodies as posted by Elementor Pro
+ * forms to admin-ajax.php. Used by the local stand-in server and by network
+ * capture in the browser-side helpers, so both sides read payloads the same way.
+ */
+
+/**
+ * Add a value to the parsed fields, collecting repeated and `[]` names into arrays
+ * @param {Object} fields - Parsed fields object
+ * @param {string} name - Field name
+ * @param {string} value - Field value
+ */
+function addField(fields, name, value) {
+  if (name.endsWith('[]')) {
+    fields[name] = fields[name] || [];
+    fields[name].push(value);
+  } else if (fields[name] !== undefined) {
+    fields[name] = [].concat(fields[name], value);
+  } else {
+    fields[name] = value;
+  }
+}
+
+/**
+ * Parse an application/x-www-form-urlencoded body
+ * @param {string} body - Raw body
+ * @returns {Object} Parsed fields
+ */
+function parseUrlEncoded(body) {
+  const fields = {};
+  for (const [name, value] of new URLSearchParams(body)) {
+    addField(fields, name, value);
+  }
+  return fields;
+}
+
+/**
+ * Parse a multipart/form-data body
+ * @param {string} body - Raw body (decoded as UTF-8)
+ * @param {string} boundary - Multipart boundary from the Content-Type header
+ * @returns {Object} Parsed fields (file parts are recorded by filename)
+ */
+function parseMultipart(body, boundary) {
+  const fields = {};
+  const parts = body.split(`--${boundary}`);
+
+  for (const part of parts) {
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd === -1) continue;
+
+    const headers = part.slice(0, headerEnd);
+    const nameMatch = headers.match(/name="([^"]*)"/i);
+    if (!nameMatch) continue;
+
+    // Strip the CRLF that precedes the next boundary
+    let value = part.slice(headerEnd + 4);
+    if (value.endsWith('\r\n')) {
+      value = value.slice(0, -2);
+    }
+
+    const filenameMatch = headers.match(/filename="([^"]*)"/i);
+    addField(fields, nameMatch[1], filenameMatch ? filenameMatch[1] : value);
+  }
+
+  return fields;
+}
+
+/**
+ * Parse a posted form body based on its content type
+ * @param {string|Buffer} body - Raw request body
+ * @param {string} contentType - Content-Type header value
+ * @returns {Object} Parsed fields keyed by input name
+ */
+function parseFormBody(body, contentType = '') {
+  const text = Buffer.isBuffer(body) ? body.toString('utf8') : (body || '');
+
+  if (contentType.includes('multipart/form-data')) {
+    const boundaryMatch = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+    if (!boundaryMatch) {
+      throw new Error(`Multipart body without boundary: ${contentType}`);
+    }
+    return parseMultipart(text, boundaryMatch[1] || boundaryMatch[2]);
+  }
+
+  return parseUrlEncoded(text);
+}
+
+/**
+ * Extract the Elementor `form_fields[...]` entries from parsed fields
+ * @param {Object} fields - Parsed fields from parseFormBody()
+ * @returns {Object} Values keyed by Elementor field id (checkbox values as arrays)
+ */
+function getElementorFields(fields) {
+  const formFields = {};
+
+  for (const [name, value] of Object.entries(fields)) {
+    const match = name.match(/^form_fields\[([^\]]+)\](\[\])?$/);
+    if (match) {
+      formFields[match[1]] = value;
+    }
+  }
+
+  return formFields;
+}
+
+module.exports = {
+  parseFormBody,
+  getElementorFields
+};
@@ -0,0 +1,124 @@
+/**
+ * Form Definition Utilities
+ *
+ * Helpers for reading the Elementor-specific details out of a form definition
+ * from a customer's forms-list.json (field ids, input names, DOM ids).
+ */
+
+/**
+ * Derive the Elementor field id from a field definition.
+ * Elementor names inputs `form_fields[<id>]`, so the id is taken from the
+ * selector when present and falls back to the logical field name.
+ * @param {Object} field - Field definition from forms-list.json
+ * @returns {string} Elementor field id (e.g. 'email', 'field_a3f7052')
+ */
+function getElementorFieldId(field) {
+  if (field.field_id) {
+    return field.field_id;
+  }
+
+  const match = (field.selector || '').match(/form_fields\[([^\]]+)\]/);
+  return match ? match[1] : field.name;
+}
+
+/**
+ * Get the HTML input name Elementor posts for a field
+ * @param {Object} field - Field definition from forms-list.json
+ * @returns {string} Input name (e.g. 'form_fields[email]' or 'form_fields[field_a3f7052][]')
+ */
+function getFieldInputName(field) {
+  const suffix = field.type === 'checkbox' ? '[]' : '';
+  return `form_fields[${getElementorFieldId(field)}]${suffix}`;
+}
+
+/**
+ * Get the DOM id Elementor renders for a field (or for one of its options)
+ * @param {Object} field - Field definition from forms-list.json
+ * @param {number} [optionIndex] - Option index for checkbox/radio fields
+ * @returns {string} DOM id (e.g. 'form-field-email' or 'form-field-field_a3f7052-2')
+ */
+function getFieldDomId(field, optionIndex) {
+  const id = `form-field-${getElementorFieldId(field)}`;
+  return optionIndex === undefined ? id : `${id}-${optionIndex}`;
+}
+
+/**
+ * Get the path part of a form URL (e.g. '/contact-nl/')
+ * @param {Object} form - Form definition from forms-list.json
+ * @returns {string} URL path
+ */
+function getFormPath(form) {
+  return new URL(form.url).pathname;
+}
+
+/**
+ * Submitted values keyed by Elementor field id
+ * @param {Object} form - Form definition from forms-list.json
+ * @param {Object} data - Form data keyed by field name or alias
+ * @returns {Object} Values keyed by field id (fields missing from the data are left out)
+ */
+function getFieldValuesById(form, data) {
+  const values = {};
+  for (const field of form.fields || []) {
+    const key = [field.name, ...(field.aliases || [])].find(k => data[k] !== undefined);
+    if (key) {
+      values[getElementorFieldId(field)] = data[key];
+    }
+  }
+  return values;
+}
+
+/**
+ * Get the after-submit actions of a form, optionally of one type
+ * @param {Object} form - Form definition from forms-list.json
+ * @param {string} [type] - Action type (e.g. 'email')
+ * @returns {Array<Object>} Actions from submission.actions
+ */
+function getFormActions(form, type) {
+  const actions = form.submission?.actions || [];
+  return type ? actions.filter(action => action.type === type) : actions;
+}
+
+/**
+ * Field that carries the correlation ID of synthetic submissions
+ * @param {Object} form - Form definition from forms-list.json
+ * @returns {Object|null} Field named by correlation_field (name or alias), null when not set
+ */
+function getCorrelationField(form) {
+  const key = form.correlation_field;
+  if (!key) {
+    return null;
+  }
+  return (form.fields || []).find(field => field.name === key || (field.aliases || []).includes(key)) || null;
+}
+
+/**
+ * Replace Elementor shortcodes in an action template, as Elementor does for
+ * email subjects and bodies: `[field id="name"]` and `[all-fields]`
+ * @param {string} template - Template text
+ * @param {Object} form - Form definition from forms-list.json
+ * @param {Object} values - Submitted values keyed by Elementor field id
+ * @returns {string} Rendered text
+ */
+function renderFieldShortcodes(template, form, values) {
+  const format = value => [].concat(value ?? []).join(', ');
+
+  return String(template || '')
+    .replace(/\[field id=["']?([^"'\]]+)["']?\]/g, (match, id) => format(values[id]))
+    .replace(/\[all-fields\]/g, () => (form.fields || [])
+      .map(field => [field.label || field.name, format(values[getElementorFieldId(field)])])
+      .filter(([, value]) => value !== '')
+      .map(([label, value]) => `${label}: ${value}`)
+      .join('\n'));
+}
+
+module.exports = {
+  getElementorFieldId,
+  getFieldInputName,
+  getFieldDomId,
+  getFormPath,
+  getFieldValuesById,
+  getFormActions,
+  getCorrelationField,
+  renderFieldShortcodes
+};
@@ -0,0 +1,57 @@
+/**
+ * Form Registry
+ *
+ * Loads form definitions from a customer's forms/forms-list.json so page
+ * objects and specs can be driven by the registry instead of hard-coded selectors.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getCustomerDir } = require('./customer-registry');
+
+/**
+ * Get the path of a customer's forms-list.json
+ * @param {string} customer - Customer name (directory under customers/)
+ * @returns {string} Absolute path
+ */
+function getFormsFile(customer) {
+  return path.join(getCustomerDir(customer), 'forms', 'forms-list.json');
+}
+
+/**
+ * Load all form definitions for a customer
+ * @param {string} customer - Customer name (directory under customers/)
+ * @returns {Array} Form definitions
+ */
+function loadFormRegistry(customer) {
+  const formsFile = getFormsFile(customer);
+  if (!fs.existsSync(formsFile)) {
+    throw new Error(`No forms registry for customer '${customer}': ${formsFile}`);
+  }
+
+  const formsList = JSON.parse(fs.readFileSync(formsFile, 'utf8'));
+  return formsList.forms || [];
+}
+
+/**
+ * Get a single form definition by id
+ * @param {string} customer - Customer name
+ * @param {string} formId - Form id from forms-list.json
+ * @returns {Object} Form definition
+ */
+function getFormDefinition(customer, formId) {
+  const forms = loadFormRegistry(customer);
+  const form = forms.find(f => f.id === formId);
+
+  if (!form) {
+    throw new Error(`Unknown form '${formId}' for customer '${customer}'. Available: ${forms.map(f => f.id).join(', ')}`);
+  }
+
+  return form;
+}
+
+module.exports = {
+  getFormsFile,
+  loadFormRegistry,
+  getFormDefinition
+};
@@ -0,0 +1,22 @@
+/**
+ * HTML Escape
+ *
+ * Escaping for text and attribute values in the HTML the toolkit generates
+ * (stand-in pages, dashboards, reports).
+ */
+
+/**
+ * Escape text for use in HTML content and quoted attributes
+ * @param {*} value - Value (converted to a string)
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = { escapeHtml };
@@ -0,0 +1,290 @@
+/**
+ * Mail Message
+ *
+ * Builds and parses RFC 5322 messages for the mail-delivery checks: the stand-in
+ * server builds the notification mail of a form's email action, the SMTP sink and
+ * the mailbox adapters parse what arrived (encoded headers, quoted-printable or
+ * base64 bodies, multipart alternatives, any charset).
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Decode bytes in a given charset
+ * @param {Buffer} buffer - Raw bytes
+ * @param {string} charset - Charset name (default: utf-8)
+ * @returns {string} Text
+ */
+function decodeCharset(buffer, charset = 'utf-8') {
+  try {
+    return new TextDecoder(charset.trim().toLowerCase()).decode(buffer);
+  } catch (error) {
+    return buffer.toString('utf8');
+  }
+}
+
+/**
+ * Decode a quoted-printable body into bytes
+ * @param {string} text - Encoded body (latin1 string, one char per byte)
+ * @returns {Buffer} Bytes
+ */
+function decodeQuotedPrintable(text) {
+  const unfolded = text.replace(/=\r?\n/g, '');
+  const bytes = [];
+
+  for (let i = 0; i < unfolded.length; i++) {
+    const hex = unfolded.slice(i + 1, i + 3);
+    if (unfolded[i] === '=' && /^[0-9A-F]{2}$/i.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(unfolded.charCodeAt(i) & 0xff);
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Decode RFC 2047 encoded words (=?UTF-8?B?...?=) in a header value
+ * @param {string} value - Raw header value
+ * @returns {string} Decoded value
+ */
+function decodeHeaderValue(value) {
+  return value
+    // Whitespace between adjacent encoded words is not part of the text
+    .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? Buffer.from(text, 'base64')
+        : decodeQuotedPrintable(text.replace(/_/g, ' '));
+      return decodeCharset(bytes, charset);
+    });
+}
+
+/**
+ * Encode a header value as an RFC 2047 encoded word when it is not plain ASCII
+ * @param {string} value - Header value
+ * @returns {string} Encoded value
+ */
+function encodeHeaderValue(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Parse a header block (latin1 string) into decoded values keyed by lowercase name
+ * @param {string} block - Header block
+ * @returns {Object} Headers (repeated headers are joined with ', ')
+ */
+function parseHeaders(block) {
+  const headers = {};
+  const unfolded = block.replace(/\r?\n[ \t]+/g, ' ');
+
+  for (const line of unfolded.split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+
+    const name = line.slice(0, colon).trim().toLowerCase();
+    const value = decodeHeaderValue(decodeCharset(Buffer.from(line.slice(colon + 1).trim(), 'latin1')));
+    headers[name] = headers[name] ? `${headers[name]}, ${value}` : value;
+  }
+
+  return headers;
+}
+
+/**
+ * Split a header value like Content-Type into its value and parameters
+ * @param {string} value - Header value
+ * @returns {Object} { value, params }
+ */
+function parseHeaderParams(value = '') {
+  const [main, ...rest] = value.split(';');
+  const params = {};
+
+  for (const param of rest) {
+    const match = param.match(/^\s*([^=\s]+)\s*=\s*(?:"([^"]*)"|([^\s;]*))/);
+    if (match) {
+      params[match[1].toLowerCase()] = match[2] !== undefined ? match[2] : match[3];
+    }
+  }
+
+  return { value: main.trim().toLowerCase(), params };
+}
+
+/**
+ * Extract the addresses from an address list header
+ * @param {string} value - e.g. 'JBIT <info@jbit.be>, sales@jbit.be'
+ * @returns {Array<string>} Lowercased addresses
+ */
+function parseAddressList(value = '') {
+  return (value.match(/[^\s<>,;"]+@[^\s<>,;"]+/g) || []).map(address => address.toLowerCase());
+}
+
+/**
+ * Split header block and body of a (latin1) entity
+ * @param {string} entity - Entity text
+ * @returns {Array<string>} [headerBlock, body]
+ */
+function splitEntity(entity) {
+  const match = entity.match(/\r?\n\r?\n/);
+  if (!match) {
+    return [entity, ''];
+  }
+  return [entity.slice(0, match.index), entity.slice(match.index + match[0].length)];
+}
+
+/**
+ * Walk a MIME entity and collect its text, html and attachments
+ * @param {string} entity - Entity text (latin1, one char per byte)
+ * @param {Object} result - { text, html, attachments } collected so far
+ */
+function collectParts(entity, result) {
+  const [headerBlock, body] = splitEntity(entity);
+  const headers = parseHeaders(headerBlock);
+  const contentType = parseHeaderParams(headers['content-type'] || 'text/plain; charset=us-ascii');
+  const disposition = parseHeaderParams(headers['content-disposition'] || '');
+
+  if (contentType.value.startsWith('multipart/') && contentType.params.boundary) {
+    const delimiter = `--${contentType.params.boundary}`;
+    const parts = body.split(delimiter).slice(1);
+
+    for (const part of parts) {
+      if (part.startsWith('--')) break;
+      collectParts(part.replace(/^\r?\n/, '').replace(/\r?\n$/, ''), result);
+    }
+    return;
+  }
+
+  const encoding = (headers['content-transfer-encoding'] || '7bit').toLowerCase();
+  let bytes;
+  if (encoding === 'base64') {
+    bytes = Buffer.from(body.replace(/\s+/g, ''), 'base64');
+  } else if (encoding === 'quoted-printable') {
+    bytes = decodeQuotedPrintable(body);
+  } else {
+    bytes = Buffer.from(body, 'latin1');
+  }
+
+  const filename = disposition.params.filename || contentType.params.name;
+  if (disposition.value === 'attachment' || (filename && !contentType.value.startsWith('text/'))) {
+    result.attachments.push({ filename: filename || null, contentType: contentType.value, size: bytes.length });
+    return;
+  }
+
+  const text = decodeCharset(bytes, contentType.params.charset || 'utf-8');
+  if (contentType.value === 'text/html' && result.html === null) {
+    result.html = text;
+  } else if (contentType.value.startsWith('text/') && contentType.value !== 'text/html' && result.text === null) {
+    result.text = text;
+  }
+}
+
+/**
+ * Plain text version of an HTML body
+ * @param {string} html - HTML
+ * @returns {string} Text
+ */
+function htmlToText(html) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+  return html
+    .replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>|<\/(p|div|tr|li|h[1-6])>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return String.fromCodePoint(code);
+      }
+      return entities[entity.toLowerCase()] ?? match;
+    })
+    .replace(/[ \t]+\n/g, '\n')
+    .trim();
+}
+
+/**
+ * Parse a raw RFC 5322 message
+ * @param {string|Buffer} raw - Message as received (headers and body)
+ * @returns {Object} { from, to, cc, subject, date, messageId, headers, text, html, attachments }
+ *   text falls back to the html body converted to text
+ */
+function parseMailMessage(raw) {
+  const source = Buffer.isBuffer(raw) ? raw.toString('latin1') : Buffer.from(raw, 'utf8').toString('latin1');
+  const [headerBlock] = splitEntity(source);
+  const headers = parseHeaders(headerBlock);
+
+  const result = { text: null, html: null, attachments: [] };
+  collectParts(source, result);
+
+  return {
+    from: parseAddressList(headers.from)[0] || null,
+    to: parseAddressList(headers.to),
+    cc: parseAddressList(headers.cc),
+    subject: headers.subject || '',
+    date: headers.date || null,
+    messageId: headers['message-id'] || null,
+    headers,
+    text: result.text ?? (result.html !== null ? htmlToText(result.html) : ''),
+    html: result.html,
+    attachments: result.attachments
+  };
+}
+
+/**
+ * Build a plain-text UTF-8 message
+ * @param {Object} options - Message options
+ * @param {string} options.from - Sender address
+ * @param {string} options.fromName - Sender display name (optional)
+ * @param {Array<string>|string} options.to - Recipients
+ * @param {string} options.subject - Subject
+ * @param {string} options.text - Body
+ * @param {Object} options.headers - Extra headers (optional)
+ * @returns {string} Message with CRLF line endings
+ *   Line breaks in header values (e.g. a Reply-To taken from the form) become
+ *   spaces, so a value can never start a header of its own.
+ */
+function buildMailMessage(options) {
+  const to = [].concat(options.to);
+  const domain = (options.from.split('@')[1] || 'localhost').replace(/>$/, '');
+  const from = options.fromName
+    ? `${encodeHeaderValue(options.fromName)} <${options.from}>`
+    : options.from;
+
+  const headers = {
+    Date: new Date().toUTCString().replace('GMT', '+0000'),
+    From: from,
+    To: to.join(', '),
+    Subject: encodeHeaderValue(options.subject || ''),
+    'Message-ID': `<${crypto.randomBytes(8).toString('hex')}@${domain}>`,
+    'MIME-Version': '1.0',
+    'Content-Type': 'text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding': '8bit',
+    ...(options.headers || {})
+  };
+
+  const headerLines = Object.entries(headers).map(([name, value]) => `${name}: ${String(value).replace(/[\r\n]+/g, ' ')}`);
+  const body = String(options.text || '').replace(/\r?\n/g, '\r\n');
+
+  return `${headerLines.join('\r\n')}\r\n\r\n${body}\r\n`;
+}
+
+/**
+ * Check whether a parsed message mentions a token in its subject or body
+ * @param {Object} message - Parsed message
+ * @param {string} token - Correlation token
+ * @returns {boolean}
+ */
+function messageContains(message, token) {
+  return [message.subject, message.text, message.html].some(part => part && part.includes(token));
+}
+
+module.exports = {
+  parseMailMessage,
+  buildMailMessage,
+  htmlToText,
+  messageContains,
+  decodeHeaderValue,
+  encodeHeaderValue
+};
@@ -0,0 +1,218 @@
+/**
+ * Scenario Loader
+ *
+ * Expands the data sets in a customer's data/test-data.json into
+ * parameterised test scenarios with an expected outcome, so the test cases
+ * documented in forms/test-cases.md are executed instead of only described.
+ *
+ * The expected outcome is documented in the data: an entry without `expected`
+ * must be accepted, others declare { outcome: 'success' | 'field_error' |
+ * 'general_error', fields }. `fields` maps a field to the key of its message in
+ * expected_error_messages (e.g. { email: 'required_field' }), or lists the
+ * fields whose message is not checked. The outcomes are not recomputed from
+ * the validation rules the stand-in applies, so the stand-in is tested against
+ * them rather than agreeing with itself.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getFormDefinition, loadFormRegistry } = require('./form-registry');
+const { getCustomerDir, loadCustomer } = require('./customer-registry');
+
+const OUTCOMES = {
+  SUCCESS: 'success',
+  FIELD_ERROR: 'field_error',
+  GENERAL_ERROR: 'general_error'
+};
+
+/**
+ * How each data set in test-data.json maps onto a test case.
+ * Sets with `field` are lists of values for one field, applied on top of `base`.
+ */
+const DEFAULT_DATA_SETS = [
+  { path: 'valid_data.happy_path_basic', testCase: 'TC-001' },
+  { path: 'valid_data.happy_path_comprehensive', testCase: 'TC-001' },
+  { path: 'invalid_data.empty_required_fields', testCase: 'TC-002' },
+  { path: 'invalid_data.missing_individual_required', testCase: 'TC-003' },
+  { path: 'invalid_data.invalid_email_formats', testCase: 'TC-004' },
+  { path: 'valid_email_formats', testCase: 'TC-005', field: 'email' },
+  { path: 'valid_data.minimal_required', testCase: 'TC-006' },
+  { path: 'interest_combinations', testCase: 'TC-007', field: 'interesse' },
+  { path: 'edge_cases.long_content', testCase: 'TC-008' },
+  { path: 'edge_cases.special_characters', testCase: 'TC-009' },
+  { path: 'phone_number_variations', testCase: 'TC-012', field: 'phone' },
+  { path: 'edge_cases.unicode_content', testCase: 'TC-013' },
+  { path: 'edge_cases.boundary_values', testCase: 'TC-014' }
+];
+
+const DEFAULT_BASE = 'valid_data.happy_path_basic';
+
+/**
+ * Load a customer's test-data.json
+ * @param {string} customer - Customer name
+ * @returns {Object} Parsed test data
+ */
+function loadTestData(customer) {
+  const file = path.join(getCustomerDir(customer), 'data', 'test-data.json');
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Resolve a dotted path inside test_data_sets
+ * @param {Object} testData - Parsed test data
+ * @param {string} dataPath - Dotted path (e.g. 'valid_data.happy_path_basic')
+ * @returns {*} Data set or undefined
+ */
+function resolveDataSet(testData, dataPath) {
+  return dataPath.split('.').reduce(
+    (current, key) => (current === undefined ? undefined : current[key]),
+    testData.test_data_sets
+  );
+}
+
+/**
+ * Find a field definition by name or alias
+ * @param {Object} form - Form definition
+ * @param {string} key - Field name or alias
+ * @returns {Object|undefined} Field definition
+ */
+function findField(form, key) {
+  return form.fields.find(field => field.name === key || (field.aliases || []).includes(key));
+}
+
+/**
+ * Re-key a data entry by canonical field name, dropping keys the form doesn't define
+ * (test data carries both 'name' and 'naam' style keys)
+ * @param {Object} form - Form definition
+ * @param {Object} entry - Data entry from test-data.json
+ * @returns {Object} Values keyed by field name
+ */
+function normalizeData(form, entry) {
+  const values = {};
+
+  for (const [key, value] of Object.entries(entry)) {
+    const field = findField(form, key);
+    if (field && values[field.name] === undefined) {
+      values[field.name] = value;
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Resolve the expected outcome a data entry documents
+ * @param {Object} expected - `expected` from the data entry (none: success)
+ * @param {Object} messages - expected_error_messages of the customer's locale
+ * @returns {Object} { outcome, fields } where fields maps field name to expected error text (null: any text)
+ */
+function expectOutcome(expected, messages = {}) {
+  if (!expected) {
+    return { outcome: OUTCOMES.SUCCESS, fields: {} };
+  }
+
+  const fields = {};
+  if (Array.isArray(expected.fields)) {
+    expected.fields.forEach(name => { fields[name] = null; });
+  } else {
+    for (const [name, key] of Object.entries(expected.fields || {})) {
+      if (!messages[key]) {
+        throw new Error(`Unknown message '${key}' expected for ${name}; add it to expected_error_messages`);
+      }
+      fields[name] = messages[key];
+    }
+  }
+  return { outcome: expected.outcome, fields };
+}
+
+/**
+ * Describe an expected outcome for a test title
+ * @param {Object} expected - Expected outcome
+ * @returns {string} e.g. 'success' or 'field error on email'
+ */
+function describeOutcome(expected) {
+  if (expected.outcome === OUTCOMES.FIELD_ERROR) {
+    return `field error on ${Object.keys(expected.fields).join(', ')}`;
+  }
+  return expected.outcome.replace('_', ' ');
+}
+
+/**
+ * Format a value for use in a test title (long strings are shortened)
+ * @param {*} value - Value
+ * @returns {string} Label
+ */
+function labelFor(value) {
+  if (Array.isArray(value)) {
+    return `[${value.join(', ')}]`;
+  }
+  const text = String(value);
+  return `"${text.length > 40 ? `${text.slice(0, 37)}...` : text}"`;
+}
+
+/**
+ * Expand every data set into scenarios for one form
+ * @param {string} customer - Customer name
+ * @param {string} formId - Form id (default: first registered form)
+ * @param {Object} options - { dataSets, base } to override the default mapping, { locale } of the messages
+ * @returns {Array} Scenarios: { id, testCase, dataSet, title, data, expected }
+ */
+function loadScenarios(customer, formId, options = {}) {
+  const form = formId ? getFormDefinition(customer, formId) : loadFormRegistry(customer)[0];
+  const testData = loadTestData(customer);
+  const messages = testData.expected_error_messages?.[options.locale || loadCustomer(customer).locale] || {};
+  const dataSets = options.dataSets || DEFAULT_DATA_SETS;
+  const base = normalizeData(form, resolveDataSet(testData, options.base || DEFAULT_BASE) || {});
+
+  const scenarios = [];
+  const addScenario = (definition, dataSet, label, values, override) => {
+    const expected = expectOutcome(override, messages);
+    scenarios.push({
+      id: `${definition.testCase}-${dataSet.replace(/[^a-zA-Z0-9]+/g, '-').replace(/-$/, '')}`,
+      testCase: definition.testCase,
+      formId: form.id,
+      dataSet,
+      title: `${definition.testCase}: ${label} → ${describeOutcome(expected)}`,
+      data: values,
+      expected
+    });
+  };
+
+  for (const definition of dataSets) {
+    const dataSet = resolveDataSet(testData, definition.path);
+    if (dataSet === undefined) {
+      console.warn(`Data set not found in test-data.json: ${definition.path}`);
+      continue;
+    }
+
+    if (definition.field) {
+      const field = findField(form, definition.field);
+      if (!field) {
+        console.warn(`Data set ${definition.path} targets unknown field: ${definition.field}`);
+        continue;
+      }
+
+      dataSet.forEach((value, index) => {
+        addScenario(definition, `${definition.path}[${index}]`, `${field.name} ${labelFor(value)}`, { ...base, [field.name]: value });
+      });
+    } else if (Array.isArray(dataSet)) {
+      dataSet.forEach((entry, index) => {
+        const label = entry.description || `${definition.path.split('.').pop()} #${index + 1}`;
+        addScenario(definition, `${definition.path}[${index}]`, label, normalizeData(form, entry), entry.expected);
+      });
+    } else {
+      addScenario(definition, definition.path, definition.path.split('.').pop(), normalizeData(form, dataSet), dataSet.expected);
+    }
+  }
+
+  return scenarios;
+}
+
+module.exports = {
+  OUTCOMES,
+  DEFAULT_DATA_SETS,
+  loadTestData,
+  normalizeData,
+  expectOutcome,
+  loadScenarios
+};
@@ -0,0 +1,235 @@
+/**
+ * Security Probes
+ *
+ * Hostile input for our own forms: script and HTML injection, mail header
+ * injection (CRLF), oversized values and SQL metacharacters. Probes are built
+ * from a seed data set (edge_cases.special_characters) so every submission also
+ * carries the seed's accents and ampersands; the checks decide from what the
+ * page, the admin-ajax response and the notification mail show whether a probe
+ * came back unescaped.
+ *
+ * Every finding is { probe, category, field, where, message }; where is 'page',
+ * 'response' or 'mail'. The checks are pure so they can be tested without a
+ * browser; SecurityProbe runs them against a live form.
+ *
+ * Only point probes at forms you own, preferably the local Elementor stand-in:
+ * every accepted probe sends a notification mail.
+ */
+
+const { isValidEmail } = require('./field-validation');
+
+const CATEGORIES = {
+  XSS: 'xss',
+  HTML: 'html-injection',
+  HEADER: 'header-injection',
+  OVERSIZED: 'oversized',
+  SQL: 'sql-meta'
+};
+
+// Injected markup carries this attribute, injected script sets this global
+const PROBE_ATTRIBUTE = 'data-security-probe';
+const PROBE_GLOBAL = '__securityProbe';
+const PROBE_ADDRESS = 'security-probe@example.com';
+const PROBE_HEADERS = ['bcc', 'x-security-probe'];
+
+// Used instead of a seed address the server would reject, so the probe reaches the mail action
+const FALLBACK_EMAIL = 'security.probe@example.com';
+const OVERSIZED_LENGTH = 64 * 1024;
+
+const PAYLOADS = {
+  [CATEGORIES.XSS]: [
+    `<script>window.${PROBE_GLOBAL} = 'script'</script>`,
+    `<img src=x onerror="window.${PROBE_GLOBAL} = 'img'" ${PROBE_ATTRIBUTE}>`,
+    `"><svg onload="window.${PROBE_GLOBAL} = 'svg'" ${PROBE_ATTRIBUTE}>`,
+    `</textarea><script>alert('${PROBE_GLOBAL}')</script>`
+  ],
+  [CATEGORIES.HTML]: [
+    `<b ${PROBE_ATTRIBUTE}>E2E</b>`,
+    `<a href="https://example.com/login" ${PROBE_ATTRIBUTE}>Log opnieuw in</a>`,
+    `<iframe src="about:blank" ${PROBE_ATTRIBUTE}></iframe>`
+  ],
+  [CATEGORIES.HEADER]: [
+    `\r\nBcc: ${PROBE_ADDRESS}`,
+    '\nX-Security-Probe: injected',
+    `%0d%0aBcc: ${PROBE_ADDRESS}`
+  ],
+  [CATEGORIES.SQL]: [
+    "' OR '1'='1' -- ",
+    '"; DROP TABLE wp_e_submissions; --',
+    "1' UNION SELECT user_pass FROM wp_users#",
+    "\\'; SELECT SLEEP(5); -- "
+  ]
+};
+
+// What a database error looks like when it leaks into a response
+const DATABASE_ERROR_PATTERN = /SQL syntax|mysqli?_|wpdb|SQLSTATE|WordPress database error/i;
+
+// Field types a probe is typed into
+const TEXT_TYPES = ['text', 'tel', 'textarea', 'email'];
+
+/**
+ * Build the probes for a form from a seed data set
+ * One probe per category and text field; the payloads of a category are sent together.
+ * @param {Object} form - Form definition from forms-list.json
+ * @param {Object} seed - Valid data keyed by field name or alias (e.g. edge_cases.special_characters)
+ * @returns {Array<Object>} { id, category, field, payload, data, browser }
+ *   browser is false for probes a visitor cannot type: line breaks in single-line
+ *   inputs and anything but an address in an email input; post those directly
+ */
+function buildSecurityProbes(form, seed) {
+  const keyOf = field => [field.name, ...(field.aliases || [])].find(key => seed[key] !== undefined) || field.name;
+  const base = { ...seed };
+  (form.fields || []).filter(field => field.type === 'email').forEach(field => {
+    if (!isValidEmail(String(base[keyOf(field)] || ''))) {
+      base[keyOf(field)] = FALLBACK_EMAIL;
+    }
+  });
+
+  const probes = [];
+  for (const field of (form.fields || []).filter(f => TEXT_TYPES.includes(f.type))) {
+    const key = keyOf(field);
+    const seedValue = String(base[key] || field.label || field.name);
+
+    for (const category of Object.values(CATEGORIES)) {
+      let payload;
+      if (category === CATEGORIES.OVERSIZED) {
+        // An oversized address only tests the email validation
+        if (field.type === 'email') continue;
+        payload = seedValue.repeat(Math.ceil(OVERSIZED_LENGTH / seedValue.length)).slice(0, OVERSIZED_LENGTH);
+      } else {
+        payload = `${seedValue} ${PAYLOADS[category].join(' ')}`;
+      }
+
+      probes.push({
+        id: `${category}-${field.name}`,
+        category,
+        field: field.name,
+        payload,
+        data: { ...base, [key]: payload },
+        browser: field.type !== 'email' && (category !== CATEGORIES.HEADER || field.type === 'textarea')
+      });
+    }
+  }
+
+  return probes;
+}
+
+/**
+ * Build a finding
+ * @param {Object} probe - Probe from buildSecurityProbes()
+ * @param {string} where - 'page', 'response' or 'mail'
+ * @param {string} message - What came back
+ * @returns {Object} Finding
+ */
+function finding(probe, where, message) {
+  return { probe: probe.id, category: probe.category, field: probe.field, where, message };
+}
+
+/**
+ * Check the page after the probe was submitted
+ * @param {Object} probe - Probe from buildSecurityProbes()
+ * @param {Object} state - { executed, injected, dialogs } as read by SecurityProbe
+ *   executed is the value the payload's script set (or null), injected the outerHTML
+ *   of elements carrying PROBE_ATTRIBUTE, dialogs the texts of alert()/confirm() calls
+ * @returns {Array<Object>} Findings
+ */
+function checkPageState(probe, state) {
+  const findings = [];
+
+  if (state.executed) {
+    findings.push(finding(probe, 'page', `Injected script ran (${PROBE_GLOBAL} = '${state.executed}')`));
+  }
+  (state.dialogs || []).forEach(text => findings.push(finding(probe, 'page', `Injected script opened a dialog: '${text}'`)));
+  (state.injected || []).forEach(html => findings.push(finding(probe, 'page', `Injected markup rendered: ${html}`)));
+
+  return findings;
+}
+
+/**
+ * Check the admin-ajax answer to a probe
+ * @param {Object} probe - Probe from buildSecurityProbes()
+ * @param {Object} response - { status, body } with body the parsed JSON (or text)
+ * @returns {Array<Object>} Findings
+ */
+function checkResponse(probe, response) {
+  const findings = [];
+  const text = typeof response.body === 'string' ? response.body : JSON.stringify(response.body ?? '');
+
+  if (response.status >= 500) {
+    findings.push(finding(probe, 'response', `Server error ${response.status} instead of accepting or rejecting the input`));
+  }
+  const databaseError = text.match(DATABASE_ERROR_PATTERN);
+  if (databaseError) {
+    findings.push(finding(probe, 'response', `Database error leaked ('${databaseError[0]}')`));
+  }
+  PAYLOADS[probe.category]?.filter(payload => payload.includes('<') && text.includes(payload))
+    .forEach(payload => findings.push(finding(probe, 'response', `Payload returned unescaped: ${payload}`)));
+
+  return findings;
+}
+
+/**
+ * Check the notification mail of an accepted probe
+ * @param {Object} probe - Probe from buildSecurityProbes()
+ * @param {Object} message - Parsed mail (mail-message.js)
+ * @param {Object} options - { recipients } the addresses the form's email action sends to
+ * @returns {Array<Object>} Findings
+ */
+function checkMail(probe, message, options = {}) {
+  const findings = [];
+  const expected = [].concat(options.recipients || []).map(address => address.toLowerCase());
+
+  PROBE_HEADERS.filter(name => message.headers?.[name] !== undefined)
+    .forEach(name => findings.push(finding(probe, 'mail', `Injected header ${name}: ${message.headers[name]}`)));
+
+  const recipients = [...(message.to || []), ...(message.cc || []), ...(message.envelope?.to || [])].map(address => address.toLowerCase());
+  [...new Set(recipients)].filter(address => address === PROBE_ADDRESS || (expected.length > 0 && !expected.includes(address)))
+    .forEach(address => findings.push(finding(probe, 'mail', `Mail also went to ${address}`)));
+
+  // A text/plain body shows markup as text; an HTML body must escape it
+  if (message.html) {
+    PAYLOADS[probe.category]?.filter(payload => payload.includes('<') && message.html.includes(payload))
+      .forEach(payload => findings.push(finding(probe, 'mail', `Payload in the HTML body unescaped: ${payload}`)));
+  }
+
+  // Magic quotes or stripping would mangle what the visitor wrote
+  if (probe.category === CATEGORIES.SQL) {
+    const normalise = text => String(text || '').replace(/\s+/g, ' ').trim();
+    if (!normalise(message.text).includes(normalise(probe.payload))) {
+      findings.push(finding(probe, 'mail', 'SQL metacharacters were altered (added slashes or stripped) on the way to the mail'));
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Readable report, one line per probe
+ * @param {Array<Object>} results - { probe, outcome, findings } per probe
+ * @returns {string} Text
+ */
+function formatProbeReport(results) {
+  if (results.length === 0) {
+    return 'No security probes run';
+  }
+
+  const width = Math.max(...results.map(result => result.probe.length));
+  return results.map(result => {
+    const head = `${result.findings.length === 0 ? '✅' : '❌'} ${result.probe.padEnd(width)}  ${result.outcome || 'unknown'}`;
+    return [head, ...result.findings.map(entry => `   - [${entry.where}] ${entry.message}`)].join('\n');
+  }).join('\n');
+}
+
+module.exports = {
+  CATEGORIES,
+  PAYLOADS,
+  PROBE_ATTRIBUTE,
+  PROBE_GLOBAL,
+  PROBE_ADDRESS,
+  OVERSIZED_LENGTH,
+  buildSecurityProbes,
+  checkPageState,
+  checkResponse,
+  checkMail,
+  formatProbeReport
+};
@@ -0,0 +1,138 @@
+/**
+ * SMTP Client
+ *
+ * Minimal SMTP client for delivering stand-in notification mails to a local
+ * sink such as SmtpSinkServer, Mailpit or MailHog, and alert mails through a
+ * submission server (STARTTLS on port 587 with AUTH PLAIN).
+ */
+
+const net = require('net');
+const tls = require('tls');
+
+/**
+ * Deliver a message
+ * @param {Object} options - Delivery options
+ * @param {string} options.host - SMTP host (default: 127.0.0.1)
+ * @param {number} options.port - SMTP port (default: 25)
+ * @param {string} options.from - Envelope sender
+ * @param {Array<string>|string} options.to - Envelope recipients
+ * @param {string} options.message - Complete message (headers and body, CRLF line endings)
+ * @param {boolean} options.starttls - Upgrade the connection with STARTTLS before authenticating (default: off)
+ * @param {Object} options.auth - { user, pass } for AUTH PLAIN (default: none)
+ * @param {boolean} options.rejectUnauthorized - Verify the server certificate (default: true)
+ * @param {number} options.timeout - Socket timeout (default: 10000ms)
+ * @returns {Promise<string>} Final server reply to DATA (e.g. '250 OK queued as 1')
+ */
+function sendMail(options) {
+  const { host = '127.0.0.1', port = 25, from, message, auth, timeout = 10000 } = options;
+  const recipients = [].concat(options.to);
+
+  return new Promise((resolve, reject) => {
+    let socket = net.createConnection({ host, port });
+    let buffer = '';
+    let waiting = null;
+
+    const fail = (error) => {
+      socket.destroy();
+      reject(error);
+    };
+
+    // Replies can span several lines ("250-..."); the last line has a space after the code
+    const flush = () => {
+      const lines = buffer.split('\r\n');
+      const lastIndex = lines.slice(0, -1).findIndex(line => /^\d{3} /.test(line));
+      if (lastIndex !== -1 && waiting) {
+        buffer = '';
+        const { resolveReply } = waiting;
+        waiting = null;
+        resolveReply({ last: lines[lastIndex], lines: lines.slice(0, lastIndex + 1) });
+      }
+    };
+
+    // The socket timeout does not fire on a closed socket, so a hang-up fails the reply it still owes
+    const hangUp = () => {
+      if (waiting) {
+        const { rejectReply } = waiting;
+        waiting = null;
+        rejectReply(new Error(`SMTP server ${host}:${port} closed the connection before replying`));
+      }
+    };
+
+    // Decoded per chunk: the raw socket must stay binary for a TLS upgrade
+    const listen = (target) => {
+      target.setTimeout(timeout, () => fail(new Error(`SMTP timeout after ${timeout}ms (${host}:${port})`)));
+      target.on('error', fail);
+      target.on('end', hangUp);
+      target.on('close', hangUp);
+      target.on('data', chunk => {
+        buffer += chunk.toString('utf8');
+        flush();
+      });
+    };
+    listen(socket);
+
+    const reply = (expected, command) => new Promise((resolveReply, rejectReply) => {
+      waiting = { resolveReply, rejectReply };
+      if (command !== undefined) socket.write(command);
+      flush();
+    }).then(({ last, lines }) => {
+      if (!last.startsWith(expected)) {
+        throw new Error(`SMTP ${command ? command.split(/[\s:]/)[0] : 'greeting'} failed: ${last}`);
+      }
+      return { last, lines };
+    });
+
+    const upgrade = () => new Promise((resolveUpgrade, rejectUpgrade) => {
+      socket.removeAllListeners('data');
+      socket.removeAllListeners('error');
+      socket.off('end', hangUp);
+      socket.off('close', hangUp);
+      socket.setTimeout(0);
+      const secure = tls.connect({
+        socket,
+        servername: net.isIP(host) ? undefined : host,
+        rejectUnauthorized: options.rejectUnauthorized !== false
+      }, () => resolveUpgrade(secure));
+      secure.once('error', rejectUpgrade);
+      socket = secure;
+      listen(secure);
+    });
+
+    (async () => {
+      await reply('220');
+      const ehlo = await reply('250', 'EHLO localhost\r\n');
+
+      if (options.starttls) {
+        if (!ehlo.lines.some(line => /^250[- ]STARTTLS\b/i.test(line))) {
+          throw new Error(`SMTP server ${host}:${port} does not offer STARTTLS`);
+        }
+        await reply('220', 'STARTTLS\r\n');
+        await upgrade();
+        await reply('250', 'EHLO localhost\r\n');
+      }
+
+      if (auth?.user) {
+        const credentials = Buffer.from(`\0${auth.user}\0${auth.pass || ''}`, 'utf8').toString('base64');
+        await reply('235', `AUTH PLAIN ${credentials}\r\n`);
+      }
+
+      await reply('250', `MAIL FROM:<${from}>\r\n`);
+      for (const recipient of recipients) {
+        await reply('25', `RCPT TO:<${recipient}>\r\n`);
+      }
+      await reply('354', 'DATA\r\n');
+
+      // Dot-stuffing: lines starting with '.' get an extra '.'
+      const data = message.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+      const accepted = await reply('250', `${data}${data.endsWith('\r\n') ? '' : '\r\n'}.\r\n`);
+
+      await reply('221', 'QUIT\r\n').catch(() => {});
+      socket.end();
+      resolve(accepted.last);
+    })().catch(fail);
+  });
+}
+
+module.exports = {
+  sendMail
+};
@@ -0,0 +1,165 @@
+/**
+ * Submission Outcome
+ *
+ * Classifies the admin-ajax answer of an Elementor Pro form instead of guessing
+ * from CSS selectors. Elementor Pro answers with { success, data: { message,
+ * errors } } where errors are keyed by field id; CAPTCHA and rate-limit
+ * rejections arrive through the same channel and are told apart by status and
+ * message text. The DOM is only used to cross-check what the visitor saw.
+ */
+
+const { getElementorFieldId } = require('./form-definition');
+const { annotate } = require('./test-annotations');
+
+const ANNOTATION_TYPE = 'submission-outcome';
+const DURATION_ANNOTATION = 'submission-duration';
+
+const OUTCOMES = {
+  SUCCESS: 'SUCCESS',
+  FIELD_ERRORS: 'FIELD_ERRORS',
+  SERVER_ERROR: 'SERVER_ERROR',
+  CAPTCHA_REJECTED: 'CAPTCHA_REJECTED',
+  RATE_LIMITED: 'RATE_LIMITED',
+  NO_REQUEST_SENT: 'NO_REQUEST_SENT'
+};
+
+/**
+ * Message patterns for rejections that Elementor reports as plain errors
+ */
+const CAPTCHA_PATTERN = /captcha|turnstile|verify that you are human|human verification|robot/i;
+const RATE_LIMIT_PATTERN = /too many|rate limit|try again later|te veel|probeer het later/i;
+
+/**
+ * Map error keys (Elementor field ids) to field names from the definition
+ * @param {Object} errors - Errors keyed by field id
+ * @param {Object} definition - Form definition (optional)
+ * @returns {Object} Errors keyed by field name (unknown ids are kept as-is)
+ */
+function mapFieldErrors(errors, definition) {
+  const fieldErrors = {};
+
+  for (const [id, message] of Object.entries(errors)) {
+    const field = (definition?.fields || []).find(f => getElementorFieldId(f) === id);
+    fieldErrors[field ? field.name : id] = message;
+  }
+
+  return fieldErrors;
+}
+
+/**
+ * Classify an admin-ajax response
+ * @param {Object|null} response - Parsed response from parseSubmissionResponse(), null when no request was sent
+ * @param {Object} definition - Form definition, used to key field errors by field name (optional)
+ * @returns {Object} { type, status, message, fieldErrors }
+ */
+function classifyResponse(response, definition = null) {
+  if (!response) {
+    return { type: OUTCOMES.NO_REQUEST_SENT, status: null, message: null, fieldErrors: {} };
+  }
+
+  const { status, success, message, errors } = response;
+  const result = { type: OUTCOMES.SERVER_ERROR, status, message, fieldErrors: {} };
+  const errorTexts = [message, ...Object.values(errors)].filter(Boolean);
+
+  if (status === 429 || errorTexts.some(text => RATE_LIMIT_PATTERN.test(text))) {
+    result.type = OUTCOMES.RATE_LIMITED;
+  } else if (success) {
+    result.type = OUTCOMES.SUCCESS;
+  } else if (Object.keys(errors).some(id => CAPTCHA_PATTERN.test(id)) || errorTexts.some(text => CAPTCHA_PATTERN.test(text))) {
+    // Elementor Pro reports a failed reCAPTCHA as an error on the recaptcha field
+    result.type = OUTCOMES.CAPTCHA_REJECTED;
+  } else if (status < 500 && Object.keys(errors).length > 0) {
+    result.type = OUTCOMES.FIELD_ERRORS;
+    result.fieldErrors = mapFieldErrors(errors, definition);
+  }
+
+  return result;
+}
+
+/**
+ * Cross-check a classification against what the page shows
+ * @param {Object} classification - Result of classifyResponse()
+ * @param {Object} dom - { successMessage, errorMessage, fieldErrors } as read from the page
+ * @returns {Array<string>} Inconsistencies, empty when the page agrees with the response
+ */
+function crossCheckDom(classification, dom) {
+  const issues = [];
+  const { type, message, fieldErrors } = classification;
+  const domFieldErrors = dom.fieldErrors || {};
+
+  if (type === OUTCOMES.SUCCESS) {
+    if (!dom.successMessage) {
+      issues.push('server accepted the submission but no success message is shown');
+    } else if (message && !dom.successMessage.includes(message)) {
+      issues.push(`success message "${dom.successMessage}" differs from the server message "${message}"`);
+    }
+    if (dom.errorMessage) {
+      issues.push(`error message "${dom.errorMessage}" shown after a successful submission`);
+    }
+    return issues;
+  }
+
+  if (dom.successMessage) {
+    issues.push(`success message "${dom.successMessage}" shown for a ${type} outcome`);
+  }
+
+  if (type === OUTCOMES.NO_REQUEST_SENT) {
+    return issues;
+  }
+
+  if (type === OUTCOMES.FIELD_ERRORS) {
+    for (const [field, text] of Object.entries(fieldErrors)) {
+      if (!domFieldErrors[field]) {
+        issues.push(`server rejected ${field} ("${text}") but the field shows no error`);
+      } else if (domFieldErrors[field] !== text) {
+        issues.push(`${field} shows "${domFieldErrors[field]}" instead of the server error "${text}"`);
+      }
+    }
+  }
+
+  if (!dom.errorMessage) {
+    issues.push(`no error message shown for a ${type} outcome`);
+  } else if (message && !dom.errorMessage.includes(message)) {
+    issues.push(`error message "${dom.errorMessage}" differs from the server message "${message}"`);
+  }
+
+  return issues;
+}
+
+/**
+ * Time between sending the submission request and receiving the full answer
+ * @param {Response} response - Playwright response of the submission
+ * @returns {number|null} Milliseconds, null when the browser reported no timing
+ */
+function getResponseDuration(response) {
+  try {
+    const { responseEnd } = response.request().timing();
+    return responseEnd >= 0 ? Math.round(responseEnd) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Record an outcome on the running test, so reports and monitoring see the outcome class
+ * and, when known, how long the submission took (outcome.duration in ms)
+ * @param {Object} outcome - Result of classifyResponse()
+ * @returns {Object} The outcome
+ */
+function recordOutcome(outcome) {
+  annotate(ANNOTATION_TYPE, outcome.type);
+  if (Number.isFinite(outcome.duration)) {
+    annotate(DURATION_ANNOTATION, String(outcome.duration));
+  }
+  return outcome;
+}
+
+module.exports = {
+  ANNOTATION_TYPE,
+  DURATION_ANNOTATION,
+  OUTCOMES,
+  classifyResponse,
+  crossCheckDom,
+  getResponseDuration,
+  recordOutcome
+};
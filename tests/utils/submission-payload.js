@@ -0,0 +1,129 @@
+/**
+ * Submission Payload
+ *
+ * Reads what an Elementor Pro form actually posted to admin-ajax.php and what the
+ * server answered, so tests can assert that the values typed into the form are
+ * exactly the values the server received.
+ */
+
+const { parseFormBody, getElementorFields } = require('./form-body-parser');
+const { getElementorFieldId } = require('./form-definition');
+const { RESPONSE_FIELDS } = require('./captcha-test-keys');
+
+const NONCE_FIELDS = ['_wpnonce', 'nonce', '_nonce'];
+
+/**
+ * Parse a posted admin-ajax body
+ * @param {string|Buffer} body - Raw request body
+ * @param {string} contentType - Content-Type header value
+ * @returns {Object} { contentType, action, formId, postId, nonce, captcha, fields, formFields }
+ *   captcha holds the response token per provider that was present in the body
+ */
+function parseSubmissionRequest(body, contentType = '') {
+  const fields = parseFormBody(body, contentType);
+
+  const captcha = {};
+  for (const [provider, name] of Object.entries(RESPONSE_FIELDS)) {
+    if (fields[name] !== undefined) {
+      captcha[provider] = fields[name];
+    }
+  }
+
+  const nonceField = NONCE_FIELDS.find(name => fields[name] !== undefined);
+
+  return {
+    contentType: contentType.split(';')[0].trim() || 'application/x-www-form-urlencoded',
+    action: fields.action || null,
+    formId: fields.form_id || null,
+    postId: fields.post_id || null,
+    nonce: nonceField ? fields[nonceField] : null,
+    captcha,
+    fields,
+    formFields: getElementorFields(fields)
+  };
+}
+
+/**
+ * Parse an admin-ajax JSON response ({ success, data: { message, errors, data } })
+ * @param {number} status - HTTP status
+ * @param {Object|null} json - Parsed body, null when the body was not JSON
+ * @returns {Object} { status, json, success, message, errors }
+ */
+function parseSubmissionResponse(status, json) {
+  const data = json?.data || {};
+
+  return {
+    status,
+    json,
+    success: json?.success === true,
+    message: typeof data.message === 'string' ? data.message : null,
+    // Elementor sends an empty array instead of an empty object when there are no errors
+    errors: data.errors && !Array.isArray(data.errors) ? data.errors : {}
+  };
+}
+
+/**
+ * Value for a field from typed data (field name first, then aliases)
+ * @param {Object} field - Field definition
+ * @param {Object} data - Typed data
+ * @returns {*} Value or undefined
+ */
+function getTypedValue(field, data) {
+  for (const key of [field.name, ...(field.aliases || [])]) {
+    if (data[key] !== undefined) {
+      return data[key];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Normalise a value to the shape it takes in a form post
+ * @param {Object} field - Field definition
+ * @param {*} value - Typed or received value
+ * @returns {string|Array<string>} Comparable value
+ */
+function normaliseValue(field, value) {
+  if (field.type === 'checkbox') {
+    // Unchecked checkbox groups are left out of the post entirely
+    return [].concat(value ?? []).map(String).sort();
+  }
+
+  // Browsers submit textarea line breaks as CRLF
+  const text = Array.isArray(value) ? value.join(',') : String(value ?? '');
+  return field.type === 'textarea' ? text.replace(/\r\n/g, '\n') : text;
+}
+
+/**
+ * Compare typed data with the form_fields the server received
+ * @param {Object} definition - Form definition from forms-list.json
+ * @param {Object} typedData - Data the test typed, keyed by field name or alias
+ * @param {Object} formFields - Received values keyed by Elementor field id
+ * @returns {Array<Object>} Mismatches [{ field, id, expected, received }], empty when identical
+ */
+function compareSubmittedFields(definition, typedData, formFields) {
+  const mismatches = [];
+
+  for (const field of definition.fields || []) {
+    const typed = getTypedValue(field, typedData);
+    if (typed === undefined) continue;
+
+    const id = getElementorFieldId(field);
+    const expected = normaliseValue(field, typed);
+    const received = formFields[id] === undefined && field.type !== 'checkbox'
+      ? undefined
+      : normaliseValue(field, formFields[id]);
+
+    if (JSON.stringify(expected) !== JSON.stringify(received)) {
+      mismatches.push({ field: field.name, id, expected, received });
+    }
+  }
+
+  return mismatches;
+}
+
+module.exports = {
+  parseSubmissionRequest,
+  parseSubmissionResponse,
+  compareSubmittedFields
+};
@@ -0,0 +1,52 @@
+/**
+ * Test Annotations
+ *
+ * Records facts about the running Playwright test (correlation IDs, submission
+ * outcomes) as annotations, which end up in the JSON report for check-status,
+ * monitoring and alerting. Outside a test the helpers do nothing.
+ */
+
+/**
+ * TestInfo of the running Playwright test, null outside a test
+ * @returns {Object|null} TestInfo
+ */
+function currentTestInfo() {
+  try {
+    return require('@playwright/test').test.info();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Add an annotation to the running test
+ * @param {string} type - Annotation type
+ * @param {string} description - Annotation value
+ * @param {Object} testInfo - TestInfo (default: the running test)
+ * @returns {boolean} Whether a test was running to record it
+ */
+function annotate(type, description, testInfo = currentTestInfo()) {
+  if (!testInfo) {
+    return false;
+  }
+  testInfo.annotations.push({ type, description });
+  return true;
+}
+
+/**
+ * Values of one annotation type (annotations from a test or the JSON report)
+ * @param {Array<Object>} annotations - Result or test annotations
+ * @param {string} type - Annotation type
+ * @returns {Array<string>} Descriptions
+ */
+function getAnnotations(annotations = [], type) {
+  return annotations
+    .filter(annotation => annotation.type === type)
+    .map(annotation => annotation.description);
+}
+
+module.exports = {
+  currentTestInfo,
+  annotate,
+  getAnnotations
+};
@@ -0,0 +1,189 @@
+/**
+ * Validation Matrix
+ *
+ * Tells for every validation rule of a form which layer rejects invalid input.
+ * Each invalid data set is submitted twice: once as a visitor would (the
+ * browser's HTML5 constraints and the page's scripts may block it), and once
+ * with client validation disabled (FormPage#disableClientValidation), so only
+ * the server can reject it. A rule the server does not enforce can be
+ * bypassed by anyone posting to admin-ajax.php directly.
+ *
+ * Per rule and data set the spec records a row as a 'validation-rule'
+ * annotation; scripts/validation-matrix.js builds the matrix from a run.
+ */
+
+const ANNOTATION_TYPE = 'validation-rule';
+
+// Who blocked the normal submission
+const CLIENT_LAYERS = {
+  HTML5: 'html5',     // constraint validation (required, type=email, pattern)
+  SCRIPT: 'script',   // the page's JavaScript showed an error without a request
+  NONE: 'none'        // the input reached the server
+};
+
+// How the server answered the submission without client validation
+const SERVER_RESULTS = {
+  FIELD: 'field',     // field error at the field
+  FORM: 'form',       // general error message
+  NONE: 'none',       // accepted
+  UNKNOWN: 'unknown'  // nothing was sent, client validation could not be disabled
+};
+
+const VERDICTS = {
+  ENFORCED: 'enforced',           // the server rejects it
+  CLIENT_ONLY: 'client-only',     // only the browser or page script rejects it
+  NOT_ENFORCED: 'not-enforced',   // nobody rejects it
+  UNKNOWN: 'unknown'
+};
+
+// Worst first, a rule gets the worst verdict of its data sets
+const VERDICT_ORDER = [VERDICTS.NOT_ENFORCED, VERDICTS.CLIENT_ONLY, VERDICTS.UNKNOWN, VERDICTS.ENFORCED];
+
+const VERDICT_ICONS = {
+  [VERDICTS.ENFORCED]: '✅',
+  [VERDICTS.CLIENT_ONLY]: '⚠️ ',
+  [VERDICTS.NOT_ENFORCED]: '❌',
+  [VERDICTS.UNKNOWN]: '❔'
+};
+
+/**
+ * @param {Object} violation - { field, rule } from getRuleViolations()
+ * @param {Object} run - FormPage#validationState() of the normal submission
+ * @returns {string} One of CLIENT_LAYERS
+ */
+function getClientLayer(violation, run) {
+  if (run.sent) {
+    return CLIENT_LAYERS.NONE;
+  }
+  if ((run.nativeInvalid || []).includes(violation.field)) {
+    return CLIENT_LAYERS.HTML5;
+  }
+  return run.fieldErrors?.[violation.field] ? CLIENT_LAYERS.SCRIPT : CLIENT_LAYERS.NONE;
+}
+
+/**
+ * @param {Object} violation - { field, rule } from getRuleViolations()
+ * @param {Object} run - FormPage#validationState() of the submission without client validation
+ * @returns {string} One of SERVER_RESULTS
+ */
+function getServerResult(violation, run) {
+  if (!run.sent) {
+    return SERVER_RESULTS.UNKNOWN;
+  }
+  if (run.fieldErrors?.[violation.field]) {
+    return SERVER_RESULTS.FIELD;
+  }
+  return run.status === 'error' ? SERVER_RESULTS.FORM : SERVER_RESULTS.NONE;
+}
+
+/**
+ * @param {string} client - One of CLIENT_LAYERS
+ * @param {string} server - One of SERVER_RESULTS
+ * @returns {string} One of VERDICTS
+ */
+function getVerdict(client, server) {
+  if (server === SERVER_RESULTS.FIELD || server === SERVER_RESULTS.FORM) {
+    return VERDICTS.ENFORCED;
+  }
+  if (server === SERVER_RESULTS.UNKNOWN) {
+    return VERDICTS.UNKNOWN;
+  }
+  return client === CLIENT_LAYERS.NONE ? VERDICTS.NOT_ENFORCED : VERDICTS.CLIENT_ONLY;
+}
+
+/**
+ * Matrix rows for one data set
+ * @param {Array<Object>} violations - getRuleViolations() of the data set
+ * @param {Object} clientRun - validationState() of the normal submission
+ * @param {Object} serverRun - validationState() of the submission without client validation
+ * @param {string} dataSet - Data set path, e.g. 'invalid_data.invalid_email_formats[1]'
+ * @returns {Array<Object>} { rule, field, type, dataSet, client, server, expectedMessage, serverMessage, verdict }
+ */
+function buildRuleResults(violations, clientRun, serverRun, dataSet) {
+  return violations.map(violation => {
+    const client = getClientLayer(violation, clientRun);
+    const server = getServerResult(violation, serverRun);
+    return {
+      rule: `${violation.field}:${violation.rule}`,
+      field: violation.field,
+      type: violation.rule,
+      dataSet,
+      client,
+      server,
+      expectedMessage: violation.message,
+      serverMessage: serverRun.fieldErrors?.[violation.field] || (server === SERVER_RESULTS.FORM ? serverRun.message : null) || null,
+      verdict: getVerdict(client, server)
+    };
+  });
+}
+
+/**
+ * One entry per rule, combining the rows of every data set (and browser)
+ * @param {Array<Object>} rows - buildRuleResults() rows
+ * @returns {Array<Object>} { rule, field, type, dataSets, browsers, client, server, serverMessages, verdict }
+ */
+function buildValidationMatrix(rows) {
+  const rules = new Map();
+  const addUnique = (list, value) => {
+    if (value && !list.includes(value)) list.push(value);
+  };
+
+  for (const row of rows) {
+    if (!rules.has(row.rule)) {
+      rules.set(row.rule, {
+        rule: row.rule,
+        field: row.field,
+        type: row.type,
+        dataSets: [],
+        browsers: [],
+        client: [],
+        server: [],
+        serverMessages: [],
+        verdict: VERDICTS.ENFORCED
+      });
+    }
+
+    const entry = rules.get(row.rule);
+    addUnique(entry.dataSets, row.dataSet);
+    addUnique(entry.browsers, row.browser);
+    addUnique(entry.client, row.client);
+    addUnique(entry.server, row.server);
+    addUnique(entry.serverMessages, row.serverMessage);
+    if (VERDICT_ORDER.indexOf(row.verdict) < VERDICT_ORDER.indexOf(entry.verdict)) {
+      entry.verdict = row.verdict;
+    }
+  }
+
+  return [...rules.values()];
+}
+
+/**
+ * Readable matrix, one line per rule
+ * @param {Array<Object>} matrix - buildValidationMatrix() result
+ * @returns {string} Text
+ */
+function formatValidationMatrix(matrix) {
+  if (matrix.length === 0) {
+    return 'No validation rules recorded';
+  }
+
+  const width = Math.max(...matrix.map(entry => entry.rule.length), 'Rule'.length);
+  const lines = [`   ${'Rule'.padEnd(width)}  ${'Client'.padEnd(12)}  ${'Server'.padEnd(12)}  Verdict`];
+  matrix.forEach(entry => {
+    lines.push(`${VERDICT_ICONS[entry.verdict]} ${entry.rule.padEnd(width)}  ${entry.client.join(',').padEnd(12)}  ${entry.server.join(',').padEnd(12)}  ${entry.verdict} (${entry.dataSets.length} data set${entry.dataSets.length === 1 ? '' : 's'})`);
+  });
+  return lines.join('\n');
+}
+
+module.exports = {
+  ANNOTATION_TYPE,
+  CLIENT_LAYERS,
+  SERVER_RESULTS,
+  VERDICTS,
+  getClientLayer,
+  getServerResult,
+  getVerdict,
+  buildRuleResults,
+  buildValidationMatrix,
+  formatValidationMatrix
+};
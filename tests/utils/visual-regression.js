@@ -0,0 +1,75 @@
+/**
+ * Visual Regression
+ *
+ * Names and comparison settings for the baseline screenshots of a form in its
+ * key states. Baselines are kept per browser (and platform) next to the specs,
+ * see snapshotPathTemplate in playwright.config.js, and approved with
+ * `form-tester visual approve`.
+ *
+ * A form definition can tune the comparison in forms-list.json:
+ *   "visual": { "mask": [".opening-hours"], "max_diff_pixel_ratio": 0.02, "threshold": 0.3 }
+ */
+
+const VISUAL_STATES = ['empty', 'filled', 'field-error', 'success'];
+
+// Regions that change between runs on their own
+const DYNAMIC_REGIONS = {
+  captcha: [
+    '.g-recaptcha',
+    '.grecaptcha-badge',
+    'iframe[src*="recaptcha"]',
+    '.cf-turnstile',
+    'iframe[src*="challenges.cloudflare.com"]',
+    '.h-captcha',
+    'iframe[src*="hcaptcha"]'
+  ],
+  dates: [
+    'time',
+    '[datetime]',
+    'input[type="date"]',
+    'input[type="datetime-local"]',
+    '.elementor-field-type-date input'
+  ]
+};
+
+const DEFAULT_COMPARISON = {
+  // Share of pixels allowed to differ (anti-aliasing, font hinting)
+  maxDiffPixelRatio: 0.01,
+  // Perceptual color distance (YIQ) below which two pixels count as equal
+  threshold: 0.2
+};
+
+/**
+ * Comparison settings for a form: default masks plus the definition's own
+ * @param {Object} definition - Form definition
+ * @returns {Object} { mask: Array<string>, maxDiffPixelRatio, threshold }
+ */
+function getVisualSettings(definition = {}) {
+  const visual = definition.visual || {};
+  return {
+    mask: [...DYNAMIC_REGIONS.captcha, ...DYNAMIC_REGIONS.dates, ...(visual.mask || [])],
+    maxDiffPixelRatio: visual.max_diff_pixel_ratio ?? DEFAULT_COMPARISON.maxDiffPixelRatio,
+    threshold: visual.threshold ?? DEFAULT_COMPARISON.threshold
+  };
+}
+
+/**
+ * Baseline name of a form state, without extension
+ * @param {string} formId - Form id
+ * @param {string} state - One of VISUAL_STATES
+ * @returns {string} e.g. 'jbit-contact-form-field-error'
+ */
+function getBaselineName(formId, state) {
+  if (!VISUAL_STATES.includes(state)) {
+    throw new Error(`Unknown visual state '${state}'. Available: ${VISUAL_STATES.join(', ')}`);
+  }
+  return `${formId}-${state}`;
+}
+
+module.exports = {
+  VISUAL_STATES,
+  DYNAMIC_REGIONS,
+  DEFAULT_COMPARISON,
+  getVisualSettings,
+  getBaselineName
+};
@@ -0,0 +1,105 @@
+/**
+ * Webhook Payload
+ *
+ * The body Elementor Pro's webhook action posts for a submission, so the stand-in
+ * can send it and tests can check what a Zapier/n8n/CRM endpoint received.
+ *
+ * Elementor posts application/x-www-form-urlencoded:
+ * - simple (default): one entry per field, keyed by its label (its id when unlabelled)
+ * - advanced (`advanced_data: true`): form[id], form[name],
+ *   fields[<id>][id|type|title|value|raw_value|required] and meta[<key>][title|value]
+ */
+
+const { getElementorFieldId } = require('./form-definition');
+const { parseFormBody } = require('./form-body-parser');
+
+/**
+ * Format a field value the way Elementor does (checkbox options joined with ', ')
+ * @param {string|Array} value - Submitted value
+ * @returns {string} Formatted value
+ */
+function formatValue(value) {
+  return [].concat(value ?? []).join(', ');
+}
+
+/**
+ * Build the payload a webhook action sends for a submission
+ * @param {Object} form - Form definition from forms-list.json
+ * @param {Object} values - Submitted values keyed by Elementor field id
+ * @param {Object} action - Webhook action from submission.actions
+ * @param {Object} meta - Metadata { key: { title, value } }, advanced payloads only
+ * @returns {Object} Payload entries keyed by parameter name
+ */
+function buildWebhookPayload(form, values, action = {}, meta = {}) {
+  const payload = {};
+
+  if (!action.advanced_data) {
+    for (const field of form.fields || []) {
+      const id = getElementorFieldId(field);
+      payload[field.label || id] = formatValue(values[id]);
+    }
+    return payload;
+  }
+
+  payload['form[id]'] = form.form_id || form.id;
+  payload['form[name]'] = form.name || form.id;
+
+  for (const field of form.fields || []) {
+    const id = getElementorFieldId(field);
+    const prefix = `fields[${id}]`;
+    payload[`${prefix}[id]`] = id;
+    payload[`${prefix}[type]`] = field.type;
+    payload[`${prefix}[title]`] = field.label || id;
+    payload[`${prefix}[value]`] = formatValue(values[id]);
+    payload[`${prefix}[raw_value]`] = formatValue(values[id]);
+    payload[`${prefix}[required]`] = field.required ? '1' : '';
+  }
+
+  for (const [key, { title, value }] of Object.entries(meta)) {
+    payload[`meta[${key}][title]`] = title;
+    payload[`meta[${key}][value]`] = value;
+  }
+
+  return payload;
+}
+
+/**
+ * Parse a received webhook body (urlencoded, multipart or JSON)
+ * @param {Buffer|string} body - Raw body
+ * @param {string} contentType - Content-Type header
+ * @returns {Object} Payload entries keyed by parameter name
+ */
+function parseWebhookPayload(body, contentType = '') {
+  if (/json/i.test(contentType)) {
+    try {
+      return JSON.parse(Buffer.isBuffer(body) ? body.toString('utf8') : body);
+    } catch (error) {
+      return {};
+    }
+  }
+
+  return parseFormBody(body, contentType);
+}
+
+/**
+ * Compare a received payload with the one the action should have sent
+ * Metadata is left out; CRLF and LF line endings compare equal.
+ * @param {Object} form - Form definition from forms-list.json
+ * @param {Object} action - Webhook action from submission.actions
+ * @param {Object} values - Submitted values keyed by Elementor field id
+ * @param {Object} payload - Received payload from parseWebhookPayload()
+ * @returns {Array<Object>} Mismatches [{ key, expected, received }]
+ */
+function compareWebhookPayload(form, action, values, payload) {
+  const normalise = value => (value === undefined ? undefined : formatValue(value).replace(/\r\n/g, '\n'));
+
+  return Object.entries(buildWebhookPayload(form, values, action))
+    .map(([key, expected]) => ({ key, expected: normalise(expected), received: normalise(payload[key]) }))
+    .filter(({ expected, received }) => expected !== received);
+}
+
+module.exports = {
+  buildWebhookPayload,
+  parseWebhookPayload,
+  compareWebhookPayload
+};